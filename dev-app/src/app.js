@@ -4,10 +4,12 @@
  * onto the core app.
  */
 
-import { taskRoutes } from './routes/router.js';
+import { createTokenService } from '@animated-spork/app';
+import { taskRoutes, taskApiRoutes } from './routes/router.js';
 
 /**
- * Plugin that registers task_manager-specific routes.
+ * Plugin that registers task_manager-specific routes. The JSON task API
+ * is only mounted when `TASKS_API_SECRET` is configured.
  *
  * @param {import('express').Express} app    - Express app instance.
  * @param {object}                    config - Frozen config object.
@@ -17,4 +19,9 @@ export function taskManagerApplicationPlugin(app, config) {
   app.locals.navLinks.push({ label: 'Tasks', url: '/tasks' });
 
   app.use(taskRoutes(config));
+
+  if (config.tasks.apiSecret) {
+    const tokens = createTokenService({ secret: config.tasks.apiSecret, issuer: config.appName });
+    app.use(taskApiRoutes(tokens));
+  }
 }
@@ -0,0 +1,23 @@
+/**
+ * @module demo/auth/users
+ * @description Demo credential check for the cookie-session login form.
+ * A real application would look users up in its database and compare
+ * password hashes (see hashPassword / verifyPassword in
+ * `@animated-spork/shared`).
+ */
+
+import process from 'node:process';
+
+const DEMO_USER = { id: 'demo', name: 'Demo User', roles: ['user'] };
+
+/**
+ * Accept the single demo account (`demo` / `$DEMO_PASSWORD`, default `demo`).
+ *
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<object|null>} The signed-in user, or null.
+ */
+export async function authenticateDemoUser(username, password) {
+  const expected = process.env.DEMO_PASSWORD ?? 'demo';
+  return username === DEMO_USER.id && password === expected ? DEMO_USER : null;
+}
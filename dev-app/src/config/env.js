@@ -11,10 +11,23 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 /**
  * Overrides merged into the core config via createConfig().
  * Points `viewsDir` at the demo's own views directory so the demo
- * can provide custom templates alongside the core views.
+ * can provide custom templates alongside the core views, and opts out
+ * of admin authentication for local development.
  */
 export const demoOverrides = {
   appName: 'task_manager',
   appVersion: '1.0.0',
   viewsDir: path.join(__dirname, '..', 'views'),
-};
\ No newline at end of file
+  adminAuth: 'none',
+};
+
+/**
+ * Config section owned by the task_manager plugin. Resolved by
+ * createConfig() into `config.tasks`.
+ */
+export const demoSections = {
+  tasks: {
+    pageSize: { type: 'integer', env: 'TASKS_PAGE_SIZE', default: 20, min: 1, max: 100 },
+    apiSecret: { type: 'string', env: 'TASKS_API_SECRET', description: 'HMAC secret for /api/tasks bearer tokens' },
+  },
+};
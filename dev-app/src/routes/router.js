@@ -4,6 +4,15 @@
  */
 
 import { Router } from 'express';
+import {
+  createValidationError,
+  createNotFoundError,
+  jwtAuthMiddleware,
+  requireScopes,
+  requireRoles,
+  requireAny,
+  requireOwnership,
+} from '@animated-spork/app';
 
 /**
  * Create a router with task_manager routes.
@@ -15,9 +24,53 @@ export function taskRoutes(config) {
   const router = Router();
 
   router.get('/tasks', (_req, res) => {
-    res.render('tasks/list', { appName: config.appName });
+    res.render('tasks/list', { appName: config.appName, pageSize: config.tasks.pageSize });
   });
 
 
+  return router;
+}
+
+/**
+ * Create the bearer-token task API. Every route needs `tasks:read`;
+ * creating needs `tasks:write`; deleting is limited to admins and the
+ * task's owner.
+ *
+ * @param {object} tokens - Token service from createTokenService().
+ * @returns {import('express').Router}
+ */
+export function taskApiRoutes(tokens) {
+  const router = Router();
+  /** @type {Map<string, { id: string, title: string, owner: string }>} */
+  const tasks = new Map();
+  let nextId = 1;
+
+  const ownerOf = (req) => tasks.get(req.params.id)?.owner;
+
+  router.use('/api/tasks', jwtAuthMiddleware(tokens), requireScopes('tasks:read'));
+
+  router.get('/api/tasks', (_req, res) => {
+    res.json({ tasks: [...tasks.values()] });
+  });
+
+  router.post('/api/tasks', requireScopes('tasks:write'), (req, res, next) => {
+    if (typeof req.body?.title !== 'string' || req.body.title === '') {
+      return next(createValidationError('"title" is required'));
+    }
+    const task = { id: String(nextId++), title: req.body.title, owner: req.auth.sub };
+    tasks.set(task.id, task);
+    res.status(201).json(task);
+  });
+
+  router.delete(
+    '/api/tasks/:id',
+    (req, _res, next) => next(tasks.has(req.params.id) ? undefined : createNotFoundError('Task not found')),
+    requireAny(requireRoles('admin'), requireOwnership(ownerOf)),
+    (req, res) => {
+      tasks.delete(req.params.id);
+      res.status(204).end();
+    },
+  );
+
   return router;
 }
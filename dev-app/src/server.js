@@ -4,12 +4,14 @@
  * plugins and boots the server.
  */
 
+import process from 'node:process';
 import { createApp, createServer, createConfig } from '@animated-spork/app';
 import { taskManagerApplicationPlugin } from './app.js';
-import { demoOverrides } from './config/env.js';
+import { demoOverrides, demoSections } from './config/env.js';
+import { authenticateDemoUser } from './auth/users.js';
 
-const config = createConfig(demoOverrides);
-const app = createApp(config, [taskManagerApplicationPlugin]);
+const config = createConfig(demoOverrides, process.env, { sections: demoSections });
+const app = createApp(config, [taskManagerApplicationPlugin], { authenticate: authenticateDemoUser });
 const { server, close } = createServer(app, config);
 
 export { server, close };
@@ -6,9 +6,26 @@
 
 export { createApp } from './src/app-factory.js';
 export { createServer } from './src/server-factory.js';
-export { createConfig, filterSensitiveKeys } from './src/config/env.js';
+export {
+  createConfig,
+  loadConfig,
+  getConfigSources,
+  describeConfig,
+  filterSensitiveKeys,
+} from './src/config/env.js';
 export {
   createAppError,
   createNotFoundError,
   createValidationError,
+  createConfigError,
 } from './src/errors/appError.js';
+export { CORE_SCHEMA } from './src/config/schema.js';
+export { loggerOptions } from './src/config/logging.js';
+export {
+  createTokenService,
+  jwtAuthMiddleware,
+  requireRoles,
+  requireScopes,
+  requireAny,
+  requireOwnership,
+} from '@animated-spork/shared';
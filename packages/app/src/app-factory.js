@@ -7,10 +7,35 @@
 import { fileURLToPath } from 'node:url';
 import path from 'node:path';
 import express from 'express';
+import {
+  cors,
+  createMetricsRegistry,
+  createTracer,
+  isCorsPreflight,
+  rateLimit,
+  requestIdMiddleware,
+} from '@animated-spork/shared';
 
 import { healthRoutes } from './routes/health.js';
+import { createHealthRegistry } from './health/registry.js';
+import { createShutdownHooks } from './lifecycle/shutdownHooks.js';
+import { tracerOptions } from './config/tracing.js';
+import { rateLimitOptions, rateLimitStore } from './config/rateLimit.js';
+import { corsOptions } from './config/cors.js';
 import { indexRoutes } from './routes/index.js';
 import { adminRoutes } from './routes/admin.js';
+import { jwksRoutes } from './routes/jwks.js';
+import { authRoutes } from './routes/auth.js';
+import { sessionRoutes } from './routes/session.js';
+import { cspReportRoutes } from './routes/cspReport.js';
+import { metricsRoutes } from './routes/metrics.js';
+import { accessLog } from './middlewares/accessLog.js';
+import { adminAuth } from './middlewares/adminAuth.js';
+import { httpMetrics, metricsAuth } from './middlewares/metrics.js';
+import { sessionMiddleware } from './middlewares/session.js';
+import { csrfProtection } from './middlewares/csrf.js';
+import { tracing } from './middlewares/tracing.js';
+import { securityHeaders } from './middlewares/securityHeaders.js';
 import { notFoundHandler, errorHandler } from './middlewares/errorHandler.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -19,20 +44,43 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  * @typedef {(app: import('express').Express, config: object) => void} Plugin
  */
 
+/**
+ * Runtime services that cannot live in the frozen config.
+ *
+ * @typedef {object} AppOptions
+ * @property {object} [keyRing] - JWT key ring; publishes `/.well-known/jwks.json`.
+ * @property {object} [refreshTokens] - Refresh token manager; mounts `/auth/token/refresh` and `/auth/token/revoke`.
+ * @property {object} [tokenService] - Token service verifying admin bearer tokens when `config.adminAuth` is 'jwt',
+ *   and identifying bearer-token users for `config.rateLimitBy` 'user'.
+ * @property {Function|Function[]} [adminAuth] - Custom middleware guarding /admin instead of `config.adminAuth`.
+ * @property {(username: string, password: string, req: object) => Promise<object|null>} [authenticate]
+ *   Credential check enabling cookie sessions and the `/login` / `/logout` routes.
+ * @property {object} [sessionStore] - Key-value store for sessions (default: in-memory).
+ * @property {object} [logger] - Logger for security events (default: a createLogger() instance per concern).
+ * @property {object} [accessLogger] - Logger for access log entries (default: an 'app:access' logger).
+ * @property {object[]} [spanExporters] - Span exporters in addition to `config.tracingExporters`.
+ * @property {object} [rateLimitStore] - Store shared by the rate limiters (default: Redis with
+ *   `config.rateLimitRedisUrl`, otherwise in-memory).
+ */
+
 /**
  * Build and return a fully configured Express application.
  *
  * 1. View engine (EJS) setup.
- * 2. Built-in middleware (body parsers, static files).
- * 3. Core routes (health, landing, admin).
+ * 2. Built-in middleware (request ids, request spans, access log, request
+ *    metrics, security headers, CORS, body parsers, static files, sessions,
+ *    rate limiting, CSRF protection).
+ * 3. Core routes (health, metrics, landing, admin, JWKS and token
+ *    endpoints when the matching services are given).
  * 4. Consumer plugins (in array order).
  * 5. Error-handling middleware (404 + generic handler).
  *
- * @param {object}   config          - Frozen config from createConfig().
- * @param {Plugin[]} [plugins=[]]    - Plugin functions applied after core routes.
+ * @param {object}     config        - Frozen config from createConfig().
+ * @param {Plugin[]}   [plugins=[]]  - Plugin functions applied after core routes.
+ * @param {AppOptions} [options={}]  - Runtime services (key ring, refresh tokens, …).
  * @returns {import('express').Express} Configured Express app instance.
  */
-export function createApp(config, plugins = []) {
+export function createApp(config, plugins = [], options = {}) {
   const app = express();
   app.disable('x-powered-by');
 
@@ -54,11 +102,79 @@ export function createApp(config, plugins = []) {
     { label: 'Admin', url: '/admin' },
   ];
 
+  // ── Health checks (mutable — plugins may register checks) ──
+  app.locals.health = createHealthRegistry();
+
+  // ── Shutdown hooks (mutable — run by createServer() on shutdown) ─
+  app.locals.shutdownHooks = createShutdownHooks();
+
+  // ── Metrics (mutable — plugins may register metrics) ────────
+  app.locals.metrics = createMetricsRegistry();
+
+  // ── Tracing (plugins start child spans; flushed on shutdown) ─
+  app.locals.tracer = createTracer(tracerOptions(config, { exporters: options.spanExporters, logger: options.logger }));
+  app.locals.shutdownHooks.register('tracing', () => app.locals.tracer.shutdown(), { order: 1000 });
+
+  // ── Rate limiting (plugins build route limiters on the same store) ─
+  const limiterStore = rateLimitStore(config, options.rateLimitStore);
+  app.locals.rateLimit = (limiterOptions) => rateLimit({ store: limiterStore, ...limiterOptions });
+  // Only close stores created here; the app owns the ones it passes in
+  if (!options.rateLimitStore && limiterStore.close) {
+    app.locals.shutdownHooks.register('rate-limit-store', () => limiterStore.close(), { order: 1000 });
+  }
+
+  // ── CORS (plugin routers may replace the app-wide policy with their own) ─
+  app.locals.cors = (overrides) => cors({ ...corsOptions(config), ...overrides });
+
+  // ── Template defaults (sessions and security headers override per request) ─
+  app.locals.user = null;
+  app.locals.cspNonce = '';
+  app.locals.csrfToken = () => '';
+  app.locals.csrfField = () => '';
+  app.locals.loginEnabled = Boolean(options.authenticate);
+
   // ── Built-in middleware ──────────────────────────────────────
+  // Request id + trace context for everything after this, logs included
+  app.use(requestIdMiddleware({ header: config.requestIdHeader }));
+
+  // Root span per request, current for everything after this
+  if (config.tracingEnabled) {
+    app.use(tracing(app.locals.tracer));
+  }
+
+  // Access log, written when each response finishes
+  const accessLogMiddleware = accessLog(config, { logger: options.accessLogger });
+  if (accessLogMiddleware) {
+    app.use(accessLogMiddleware);
+  }
+
+  // Request duration histogram by route and status
+  if (config.metricsEnabled) {
+    app.use(httpMetrics(app.locals.metrics));
+  }
+
+  // Security headers; views get this request's CSP nonce as `cspNonce`
+  const securityHeadersMiddleware = securityHeaders(config);
+  if (securityHeadersMiddleware) {
+    app.use(securityHeadersMiddleware);
+  }
+
+  // App-wide CORS policy; preflights are answered after the plugins, so
+  // a router's own policy can still replace it
+  const corsEnabled = config.corsOrigins.length > 0;
+  if (corsEnabled) {
+    app.use(app.locals.cors({ preflightContinue: true }));
+  }
+
   // CWE-770: Configure resource limits to prevent DoS attacks
   app.use(express.json({ limit: config.maxRequestSize }));
   app.use(express.urlencoded({ limit: config.maxRequestSize, extended: true }));
-  app.use(express.static(path.join(__dirname, 'public')));
+  app.use(express.static(path.join(__dirname, 'public'), {
+    // Lets the access log leave static assets out
+    setHeaders: (res) => {
+      res.locals.staticAsset = true;
+    },
+  }));
 
   // CWE-770: Set request timeout to prevent resource exhaustion
   app.use((req, res, next) => {
@@ -67,19 +183,73 @@ export function createApp(config, plugins = []) {
     next();
   });
 
+  // ── Sessions (only with an authenticate callback) ────────────
+  if (options.authenticate) {
+    app.use(sessionMiddleware(config, { store: options.sessionStore, logger: options.logger }));
+  }
+
+  // ── Rate limiting (after sessions, so RATE_LIMIT_BY=user sees req.user) ─
+  if (config.rateLimitEnabled) {
+    app.use(app.locals.rateLimit(rateLimitOptions(config, { tokens: options.tokenService })));
+  }
+
+  // ── CSRF protection (views render the token with `csrfField()`) ─
+  const csrfMiddleware = csrfProtection(config, {
+    // Browsers post CSP reports without a token
+    ignorePaths: config.cspReportUri ? [config.cspReportUri] : [],
+    logger: options.logger,
+  });
+  if (csrfMiddleware) {
+    app.use(csrfMiddleware);
+  }
+
   // ── Core routes ──────────────────────────────────────────────
-  app.use(healthRoutes());
+  const adminGuard = options.adminAuth
+    ? [options.adminAuth].flat()
+    : adminAuth(config, {
+      tokens: options.tokenService,
+      denylist: options.refreshTokens?.denylist,
+      logger: options.logger,
+    });
+
+  app.use(healthRoutes(app.locals.health));
+  if (config.securityHeaders && config.cspMode !== 'off' && /^\/(?!\/)/.test(config.cspReportUri ?? '')) {
+    app.use(cspReportRoutes(config, { path: config.cspReportUri, logger: options.logger }));
+  }
+  if (config.metricsEnabled) {
+    app.use(metricsRoutes(app.locals.metrics, { auth: metricsAuth(config, { adminGuard }) }));
+  }
   app.use(indexRoutes(config));
-  app.use(adminRoutes(config));
+  app.use(adminRoutes(config, { auth: adminGuard }));
+  if (options.keyRing) {
+    app.use(jwksRoutes(options.keyRing));
+  }
+  if (options.refreshTokens) {
+    app.use(authRoutes(options.refreshTokens));
+  }
+  if (options.authenticate) {
+    app.use(sessionRoutes(config, {
+      authenticate: options.authenticate,
+      logger: options.logger,
+      limiter: config.loginRateLimit > 0
+        ? app.locals.rateLimit({ name: 'login', limit: config.loginRateLimit, window: config.loginRateLimitWindow })
+        : null,
+    }));
+  }
 
   // ── Plugins ──────────────────────────────────────────────────
   for (const plugin of plugins) {
     plugin(app, config);
   }
 
+  // Preflights no router policy answered get the app-wide policy's headers
+  if (corsEnabled) {
+    app.use((req, res, next) => (isCorsPreflight(req) ? res.status(204).end() : next()));
+  }
+
   // ── Error handling ───────────────────────────────────────────
   app.use(notFoundHandler);
-  app.use(errorHandler);
+  app.use(errorHandler(config));
 
   return app;
 }
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * @module cluster/supervisor
+ * @description Primary side of cluster mode: forks `config.clusterWorkers`
+ * workers, restarts crashed ones with exponential backoff, replaces them
+ * one at a time on a rolling restart and shuts them all down gracefully.
+ *
+ * Each worker occupies a numbered slot; restart counts and backoff are
+ * tracked per slot so they survive the worker being replaced. Workers
+ * report their stats over IPC (see cluster/worker.js) and can ask for
+ * the aggregated view of the whole cluster.
+ */
+
+import { once } from 'node:events';
+import process from 'node:process';
+import { MESSAGES } from './worker.js';
+
+/** Extra time a worker gets on top of its own shutdown budget before it is killed. */
+const KILL_GRACE = 10000;
+
+/**
+ * @typedef {object} WorkerStats
+ * @property {number}      slot     - Worker slot (0-based).
+ * @property {number|null} pid      - Process id, null while the slot is waiting to restart.
+ * @property {'online'|'restarting'} state
+ * @property {number}      uptime   - Seconds since the worker was forked.
+ * @property {object|null} memory   - Last reported process.memoryUsage().
+ * @property {number}      restarts - Crash restarts of this slot.
+ */
+
+/**
+ * @typedef {object} ClusterStats
+ * @property {number} primaryPid
+ * @property {WorkerStats[]} workers
+ */
+
+/**
+ * Create a cluster supervisor.
+ *
+ * @param {import('../config/env.js').AppConfig} config - Reads `clusterWorkers`, `clusterRestartDelay`,
+ *   `clusterMaxRestartDelay`, `shutdownDelay` and `shutdownTimeout`.
+ * @param {object} options
+ * @param {import('node:cluster').Cluster} options.cluster - `node:cluster` (injectable for tests).
+ * @param {object} options.logger
+ * @param {() => number} [options.now=Date.now] - Clock (injectable for tests).
+ * @returns {{
+ *   start: () => void,
+ *   rollingRestart: () => Promise<void>,
+ *   stop: () => Promise<void>,
+ *   stats: () => ClusterStats,
+ * }}
+ */
+export function createClusterSupervisor(config, { cluster, logger, now = Date.now }) {
+  const {
+    clusterWorkers,
+    clusterRestartDelay = 1000,
+    clusterMaxRestartDelay = 30000,
+    shutdownDelay = 0,
+    shutdownTimeout = 30000,
+  } = config;
+  const slots = Array.from({ length: clusterWorkers }, (_, index) => ({
+    index,
+    worker: null,
+    startedAt: 0,
+    restarts: 0,
+    crashes: 0,
+    memory: null,
+    timer: null,
+  }));
+  let stopping = false;
+  let rolling = null;
+
+  /** Aggregated stats for every slot. */
+  const stats = () => ({
+    primaryPid: process.pid,
+    workers: slots.map((slot) => ({
+      slot: slot.index,
+      pid: slot.worker?.process.pid ?? null,
+      state: slot.worker ? 'online' : 'restarting',
+      uptime: slot.worker ? (now() - slot.startedAt) / 1000 : 0,
+      memory: slot.worker ? slot.memory : null,
+      restarts: slot.restarts,
+    })),
+  });
+
+  /** Restart a slot whose worker died, backing off on repeated crashes. */
+  const onExit = (slot, worker, code, signal) => {
+    if (slot.worker !== worker || stopping) {
+      return;
+    }
+    // A worker that stayed up longer than the longest backoff counts as healthy again
+    if (now() - slot.startedAt >= clusterMaxRestartDelay) {
+      slot.crashes = 0;
+    }
+    const delay = Math.min(clusterRestartDelay * 2 ** slot.crashes, clusterMaxRestartDelay);
+    slot.crashes += 1;
+    slot.restarts += 1;
+    slot.worker = null;
+    logger.warn(`Worker ${worker.process.pid} exited (${signal ?? `code ${code}`}) — restarting in ${delay}ms`);
+    slot.timer = globalThis.setTimeout(() => {
+      slot.timer = null;
+      if (!stopping) {
+        fork(slot);
+      }
+    }, delay);
+  };
+
+  /**
+   * Fork a worker for `slot`. With `assign: false` the worker is not put
+   * in the slot yet (rolling restarts promote it once it listens).
+   */
+  const fork = (slot, { assign = true } = {}) => {
+    const worker = cluster.fork({ CLUSTER_SLOT: String(slot.index) });
+    worker.on('message', (message) => {
+      if (message?.type === MESSAGES.STATS && slot.worker === worker) {
+        slot.memory = message.stats.memory;
+      } else if (message?.type === MESSAGES.CLUSTER_STATS) {
+        worker.send({ type: MESSAGES.CLUSTER_STATS, id: message.id, stats: stats() });
+      }
+    });
+    worker.once('exit', (code, signal) => onExit(slot, worker, code, signal));
+    if (assign) {
+      slot.worker = worker;
+      slot.startedAt = now();
+      slot.memory = null;
+    }
+    return worker;
+  };
+
+  /** Ask a worker to shut down gracefully; kill it if it takes too long. */
+  const stopWorker = async (worker) => {
+    const exited = once(worker, 'exit');
+    const deadline = globalThis.setTimeout(() => {
+      logger.warn(`Worker ${worker.process.pid} did not exit in time — killing it`);
+      worker.process.kill('SIGKILL');
+    }, shutdownDelay + shutdownTimeout + KILL_GRACE);
+    if (worker.isConnected()) {
+      worker.send({ type: MESSAGES.SHUTDOWN });
+    }
+    await exited;
+    globalThis.clearTimeout(deadline);
+  };
+
+  /** Fork every worker. */
+  const start = () => {
+    logger.info(`Primary ${process.pid} starting ${clusterWorkers} workers`);
+    for (const slot of slots) {
+      fork(slot);
+    }
+  };
+
+  /**
+   * Replace the workers one at a time: fork a replacement, wait until it
+   * listens, then gracefully stop the old one. Stops early (keeping the
+   * remaining old workers) if a replacement dies before listening.
+   *
+   * @returns {Promise<void>}
+   */
+  const rollingRestart = () => {
+    rolling ??= (async () => {
+      logger.info('Rolling restart started');
+      for (const slot of slots) {
+        const old = slot.worker;
+        if (stopping || !old) {
+          continue;
+        }
+        const replacement = fork(slot, { assign: false });
+        const started = await Promise.race([
+          once(replacement, 'listening').then(() => true),
+          once(replacement, 'exit').then(() => false),
+        ]);
+        if (!started) {
+          logger.error(`Replacement for worker ${old.process.pid} exited before listening — rolling restart aborted`);
+          return;
+        }
+        if (stopping) {
+          await stopWorker(replacement);
+          return;
+        }
+        slot.worker = replacement;
+        slot.startedAt = now();
+        slot.memory = null;
+        await stopWorker(old);
+      }
+      logger.info('Rolling restart finished');
+    })().finally(() => {
+      rolling = null;
+    });
+    return rolling;
+  };
+
+  /**
+   * Stop restarting workers and shut every worker down gracefully.
+   *
+   * @returns {Promise<void>}
+   */
+  const stop = async () => {
+    stopping = true;
+    for (const slot of slots) {
+      globalThis.clearTimeout(slot.timer);
+    }
+    await Promise.all(slots.filter((slot) => slot.worker).map((slot) => stopWorker(slot.worker)));
+    await rolling;
+  };
+
+  return { start, rollingRestart, stop, stats };
+}
@@ -0,0 +1,85 @@
+/**
+ * @module cluster/worker
+ * @description Worker side of cluster mode: reports this process's stats
+ * to the primary, answers its shutdown requests and asks it for the
+ * aggregated stats of every worker (shown on the admin dashboard).
+ */
+
+import process from 'node:process';
+
+/** IPC message types exchanged with the primary (see cluster/supervisor.js). */
+export const MESSAGES = Object.freeze({
+  STATS: 'animated-spork:stats',
+  CLUSTER_STATS: 'animated-spork:cluster-stats',
+  SHUTDOWN: 'animated-spork:shutdown',
+});
+
+/**
+ * @typedef {object} WorkerLink
+ * @property {() => Promise<import('./supervisor.js').ClusterStats|null>} stats
+ *   Aggregated stats from the primary, or null when it doesn't answer in time.
+ * @property {() => void} disconnect - Stop reporting and listening.
+ */
+
+/**
+ * Connect this worker to the cluster primary.
+ *
+ * @param {object} options
+ * @param {import('node:cluster').Worker} options.channel - `cluster.worker` (IPC to the primary).
+ * @param {() => void} options.onShutdown - Called when the primary asks for a graceful shutdown
+ *   or the IPC channel closes.
+ * @param {number} [options.interval=5000] - Milliseconds between stats reports.
+ * @param {number} [options.timeout=1000]  - Milliseconds to wait for the primary's answer in stats().
+ * @returns {WorkerLink}
+ */
+export function connectWorker({ channel, onShutdown, interval = 5000, timeout = 1000 }) {
+  const pending = new Map();
+  let nextId = 0;
+
+  const send = (message) => {
+    if (channel.isConnected?.() !== false) {
+      channel.send(message);
+    }
+  };
+
+  const report = () => send({
+    type: MESSAGES.STATS,
+    stats: { memory: process.memoryUsage(), uptime: process.uptime() },
+  });
+
+  const onMessage = (message) => {
+    if (message?.type === MESSAGES.SHUTDOWN) {
+      onShutdown();
+    } else if (message?.type === MESSAGES.CLUSTER_STATS) {
+      pending.get(message.id)?.(message.stats);
+    }
+  };
+
+  report();
+  const timer = globalThis.setInterval(report, interval);
+  timer.unref?.();
+  channel.on('message', onMessage);
+  channel.on('disconnect', onShutdown);
+
+  return {
+    stats() {
+      return new Promise((resolve) => {
+        const id = ++nextId;
+        const finish = (stats) => {
+          globalThis.clearTimeout(expiry);
+          pending.delete(id);
+          resolve(stats);
+        };
+        const expiry = globalThis.setTimeout(() => finish(null), timeout);
+        pending.set(id, finish);
+        send({ type: MESSAGES.CLUSTER_STATS, id });
+      });
+    },
+
+    disconnect() {
+      globalThis.clearInterval(timer);
+      channel.off('message', onMessage);
+      channel.off('disconnect', onShutdown);
+    },
+  };
+}
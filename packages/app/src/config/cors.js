@@ -0,0 +1,23 @@
+/**
+ * @module config/cors
+ * @description Maps the `cors*` config keys onto `cors()` options. The
+ * app-wide policy uses them as they are; `app.locals.cors(overrides)`
+ * starts from them for plugin routers with a policy of their own.
+ */
+
+/**
+ * Build `cors()` options from config.
+ *
+ * @param {import('./env.js').AppConfig} config - Frozen app config.
+ * @returns {object} Options for `cors()` from `@animated-spork/shared`.
+ */
+export function corsOptions(config) {
+  return {
+    origin: config.corsOrigins,
+    methods: config.corsMethods,
+    allowedHeaders: config.corsAllowedHeaders,
+    exposedHeaders: config.corsExposedHeaders,
+    credentials: config.corsCredentials,
+    maxAge: config.corsMaxAge,
+  };
+}
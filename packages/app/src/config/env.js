@@ -3,26 +3,13 @@
  * @description Configuration factory and utilities for the core module.
  */
 
-/**
- * Regex pattern matching sensitive key names that should be filtered
- * from config output (case-insensitive).
- */
+import fs from 'node:fs';
+import path from 'node:path';
 import process from 'node:process';
-
-const SENSITIVE_PATTERN = /SECRET|KEY|PASSWORD|TOKEN|CREDENTIAL/i;
-
-/**
- * Default configuration values.
- * @type {Readonly<Record<string, string|number>>}
- */
-const DEFAULTS = Object.freeze({
-  port: 3000,
-  nodeEnv: 'development',
-  appName: 'app',
-  appVersion: '0.0.0',
-  maxRequestSize: '1mb',
-  requestTimeout: 30000,
-});
+import util from 'node:util';
+import { isSecretRef } from '@animated-spork/shared';
+import { createAppError, createConfigError } from '../errors/appError.js';
+import { CORE_SCHEMA, SENSITIVE_PATTERN, redactUrlCredentials, resolveSchema } from './schema.js';
 
 /**
  * @typedef {object} AppConfig
@@ -32,28 +19,311 @@ const DEFAULTS = Object.freeze({
  * @property {string}  appVersion        - Semantic version of the consuming application.
  * @property {string}  maxRequestSize    - Maximum allowed request body size (e.g., '1mb').
  * @property {number}  requestTimeout    - Request timeout in milliseconds.
+ * @property {number}  headersTimeout    - Ms a client gets to send its first bytes on the h2c port.
+ * @property {string}  [viewsDir]        - Consumer views directory.
+ * @property {string}  requestIdHeader   - Header request ids are accepted from and echoed in.
+ * @property {string}  [problemTypeBase] - URI prefix for problem+json types (see middlewares/errorHandler.js).
+ * @property {string}  logLevel          - Minimum log level.
+ * @property {'pretty'|'json'} [logFormat] - Log line format (default: json in production).
+ * @property {string}  [logDir]          - Directory for log files.
+ * @property {boolean} logFile           - Write log files in addition to the console.
+ * @property {'none'|'hourly'|'daily'} logRotate - Log file rotation interval.
+ * @property {string}  [logMaxSize]      - Size that also rotates a log file (e.g. '20m').
+ * @property {string}  [logMaxFiles]     - Rotated files (e.g. '10') or days (e.g. '14d') to keep.
+ * @property {boolean} logCompress       - Gzip rotated log files.
+ * @property {'short'|'combined'|'json'|'none'} [accessLogFormat] - Access log format (default: json in production).
+ * @property {string[]} accessLogSkip    - Paths not access-logged (trailing `*`: prefix).
+ * @property {boolean} accessLogStatic   - Access-log static asset requests.
+ * @property {number}  accessLogSampleRate - Fraction of requests access-logged (0–1).
+ * @property {number}  accessLogSlowThreshold - Slow request warning threshold in milliseconds (0: off).
+ * @property {boolean} metricsEnabled    - Serve Prometheus metrics on /metrics.
+ * @property {'none'|'admin'|'token'} metricsAuth - How /metrics is protected.
+ * @property {string}  [metricsToken]    - Bearer token required on /metrics in token mode.
+ * @property {boolean} memoryMonitor     - Sample memory in the background (see config/memory.js).
+ * @property {number}  memorySampleInterval - Milliseconds between memory samples.
+ * @property {number}  memoryHistorySize - Memory samples kept for the /admin chart.
+ * @property {number}  memoryHeapThreshold - Warn when heap used stays above this many MB (0: off).
+ * @property {number}  memoryGrowthCycles - Warn when the heap after GC grows across this many major GCs (0: off).
+ * @property {number}  memorySnapshotThreshold - Write a heap snapshot when heap used crosses this many MB (0: off).
+ * @property {string}  [memorySnapshotDir] - Directory heap snapshots are written to.
+ * @property {boolean} tracingEnabled    - Create a server span per request (see middlewares/tracing.js).
+ * @property {Array<'console'|'file'|'otlp'>} tracingExporters - Built-in span exporters.
+ * @property {string}  [tracingFile]     - OTLP/JSON file of the file exporter.
+ * @property {string}  tracingEndpoint   - OTLP/HTTP traces endpoint of the otlp exporter.
+ * @property {number}  tracingSampleRate - Fraction of new traces sampled (0–1).
+ * @property {boolean} rateLimitEnabled  - Rate limit every route (see config/rateLimit.js).
+ * @property {'fixed-window'|'sliding-window'|'token-bucket'} rateLimitAlgorithm - Rate limiting algorithm.
+ * @property {number}  rateLimitLimit    - Requests per client and window.
+ * @property {number}  rateLimitWindow   - Rate limit window in milliseconds.
+ * @property {'ip'|'user'|'api-key'} rateLimitBy - What identifies a client.
+ * @property {string}  [rateLimitRedisUrl] - Redis-protocol server sharing limits between instances.
+ * @property {number}  loginRateLimit    - POST /login attempts per IP and window (0: off).
+ * @property {number}  loginRateLimitWindow - Login rate limit window in milliseconds.
+ * @property {boolean} securityHeaders   - Send security headers (see middlewares/securityHeaders.js).
+ * @property {'enforce'|'report-only'|'off'} cspMode - Content-Security-Policy mode.
+ * @property {string[]} cspDirectives    - CSP directives replacing the defaults.
+ * @property {string}  cspReportUri      - Where browsers report CSP violations.
+ * @property {string}  referrerPolicy    - Referrer-Policy header.
+ * @property {string}  permissionsPolicy - Permissions-Policy header.
+ * @property {string}  crossOriginOpenerPolicy - Cross-Origin-Opener-Policy header ('off': not sent).
+ * @property {string}  crossOriginEmbedderPolicy - Cross-Origin-Embedder-Policy header ('off': not sent).
+ * @property {number}  shutdownDelay     - Pre-stop delay in milliseconds.
+ * @property {number}  shutdownTimeout   - Drain deadline for in-flight requests in milliseconds.
+ * @property {'basic'|'jwt'|'ip'|'none'} adminAuth - How /admin is protected.
+ * @property {string[]} adminCredentials - Basic auth users (`user:<hash>`).
+ * @property {string[]} adminAllowlist   - IPs / CIDR ranges allowed in ip mode.
+ * @property {string}  adminRole         - Role required in jwt mode.
+ * @property {number}  adminMaxAttempts  - Failed attempts before lockout.
+ * @property {number}  adminLockout      - Lockout duration in milliseconds.
+ * @property {string}  [sessionSecret]   - HMAC key signing session cookies.
+ * @property {string}  sessionCookie     - Session cookie name.
+ * @property {number}  sessionTtl        - Idle session lifetime in milliseconds.
+ * @property {boolean} [sessionSecure]   - HTTPS-only session cookie (default: in production).
+ * @property {'lax'|'strict'|'none'} sessionSameSite - SameSite attribute of the session cookie.
+ * @property {boolean} csrfProtection    - Require CSRF tokens (see middlewares/csrf.js).
+ * @property {string}  [csrfSecret]      - HMAC key signing CSRF tokens (default: sessionSecret).
+ * @property {string}  csrfCookie        - CSRF token cookie name.
+ * @property {string[]} csrfIgnorePaths  - Paths exempt from CSRF checks.
+ * @property {string[]} corsOrigins     - Origins allowed cross-origin access (see config/cors.js).
+ * @property {string[]} corsMethods     - Methods allowed in cross-origin requests.
+ * @property {string[]} corsAllowedHeaders - Request headers allowed in cross-origin requests.
+ * @property {string[]} corsExposedHeaders - Response headers cross-origin pages may read.
+ * @property {boolean} corsCredentials   - Allow credentialed cross-origin requests.
+ * @property {number}  corsMaxAge        - Preflight cache lifetime in seconds.
+ * @property {number}  clusterWorkers    - Worker processes to fork (0: single process).
+ * @property {number}  clusterRestartDelay - Initial worker restart backoff in milliseconds.
+ * @property {number}  clusterMaxRestartDelay - Maximum worker restart backoff in milliseconds.
+ * @property {boolean} https             - Serve HTTPS instead of HTTP.
+ * @property {boolean} http2             - Serve HTTP/2 alongside HTTP/1.1.
+ * @property {string}  [tlsCert]         - Path to the PEM certificate (chain).
+ * @property {string}  [tlsKey]          - Path to the PEM private key.
+ * @property {string}  [tlsPfx]          - Path to a PKCS#12 bundle.
+ * @property {string}  [tlsPassword]     - Passphrase for the private key or PFX.
+ * @property {string}  [tlsCa]           - Path to the CA bundle for client certificates.
+ * @property {'none'|'request'|'require'} tlsClientAuth - Client certificate (mTLS) verification.
+ * @property {number}  [httpRedirectPort] - Plain-HTTP port redirecting to HTTPS.
+ * @property {number}  hstsMaxAge        - Strict-Transport-Security max-age in seconds (0: off).
+ * @property {boolean} hstsIncludeSubDomains - Add includeSubDomains to the HSTS header.
+ * @property {boolean} hstsPreload       - Add preload to the HSTS header.
+ */
+
+/**
+ * Provenance of every config object built here: dotted key → source label.
+ * @type {WeakMap<object, Readonly<Record<string, string>>>}
+ */
+const provenance = new WeakMap();
+
+/**
+ * Read and parse a JSON config file; a missing file yields null.
+ *
+ * @param {string} file - Absolute path.
+ * @returns {object|null}
+ */
+function readJsonFile(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw createAppError('CONFIG_FILE_INVALID', `Cannot parse ${file}: ${err.message}`, 500);
+  }
+}
+
+/**
+ * Read and parse a dotenv file; a missing file yields null.
+ *
+ * @param {string} file - Absolute path.
+ * @returns {Record<string, string>|null}
+ */
+function readEnvFile(file) {
+  try {
+    return util.parseEnv(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Build the ordered source layers (highest priority first):
+ * overrides → process env → `.env.<NODE_ENV>` → `.env` →
+ * `config/<NODE_ENV>.json` → `config/default.json`. Schema defaults sit
+ * below all of them. Missing files are skipped.
+ *
+ * @param {object}      overrides
+ * @param {object}      env
+ * @param {string|null} rootDir - Directory holding `.env*` and `config/`; null skips files.
+ * @returns {import('./schema.js').ConfigLayer[]}
  */
+function buildLayers(overrides, env, rootDir) {
+  if (!rootDir) {
+    return [{ source: 'overrides', values: overrides }, { source: 'env', env }];
+  }
+
+  const dotenv = readEnvFile(path.join(rootDir, '.env'));
+  const nodeEnv = overrides.nodeEnv ?? env.NODE_ENV ?? dotenv?.NODE_ENV ?? CORE_SCHEMA.nodeEnv.default;
+  const candidates = [
+    { source: 'overrides', values: overrides },
+    { source: 'env', env },
+    { source: `.env.${nodeEnv}`, env: readEnvFile(path.join(rootDir, `.env.${nodeEnv}`)) },
+    { source: '.env', env: dotenv },
+    { source: `config/${nodeEnv}.json`, values: readJsonFile(path.join(rootDir, 'config', `${nodeEnv}.json`)) },
+    { source: 'config/default.json', values: readJsonFile(path.join(rootDir, 'config', 'default.json')) },
+  ];
+
+  return candidates.filter((layer) => layer.values || layer.env);
+}
 
 /**
- * Build a frozen configuration object by layering defaults, environment
- * variables, and explicit overrides (highest priority).
+ * Build a frozen configuration object from layered sources. Precedence,
+ * highest first:
+ *
+ * 1. `overrides`
+ * 2. environment variables (`env`)
+ * 3. `.env.<NODE_ENV>`, then `.env`
+ * 4. `config/<NODE_ENV>.json`, then `config/default.json`
+ * 5. schema defaults
+ *
+ * Values are coerced to the types declared in the core schema and in any
+ * plugin `sections`. Every violation is collected, then reported in a
+ * single CONFIG_INVALID error. Section keys live under their namespace
+ * (`config.tasks.pageSize`); unknown keys inside a section are rejected.
+ * The source that set each key is available via getConfigSources().
+ *
+ * @example
+ * const config = createConfig({ appName: 'tasks' }, process.env, {
+ *   sections: {
+ *     tasks: { pageSize: { type: 'integer', env: 'TASKS_PAGE_SIZE', default: 20, min: 1, max: 100 } },
+ *   },
+ * });
  *
  * @param {object} [overrides={}] - Consumer-provided config values.
  * @param {object} [env=process.env] - Environment variable source (injectable for tests).
+ * @param {object} [options={}]
+ * @param {Record<string, import('./schema.js').ConfigSchema>} [options.sections={}] - Namespaced plugin schemas.
+ * @param {string|null} [options.rootDir=process.cwd()] - Where `.env*` and `config/*.json` live; null disables file sources.
  * @returns {Readonly<AppConfig>} Frozen configuration object.
+ * @throws {AppError} CONFIG_INVALID listing every invalid key.
  */
-export function createConfig(overrides = {}, env = process.env) {
-  const config = {
-    port: Number(overrides.port ?? env.PORT ?? DEFAULTS.port),
-    nodeEnv: overrides.nodeEnv ?? env.NODE_ENV ?? DEFAULTS.nodeEnv,
-    appName: overrides.appName ?? env.APP_NAME ?? DEFAULTS.appName,
-    appVersion: overrides.appVersion ?? env.APP_VERSION ?? DEFAULTS.appVersion,
-    maxRequestSize: overrides.maxRequestSize ?? env.MAX_REQUEST_SIZE ?? DEFAULTS.maxRequestSize,
-    requestTimeout: Number(overrides.requestTimeout ?? env.REQUEST_TIMEOUT ?? DEFAULTS.requestTimeout),
-    ...overrides,
-  };
-
-  return Object.freeze(config);
+export function createConfig(overrides = {}, env = process.env, { sections = {}, rootDir = process.cwd() } = {}) {
+  const layers = buildLayers(overrides, env, rootDir);
+  const valueLayers = layers.filter((layer) => layer.values);
+  const core = resolveSchema(CORE_SCHEMA, { layers });
+  const violations = [...core.violations];
+  const sources = { ...core.sources };
+  const config = {};
+
+  // Keys outside every schema pass through from the highest value layer.
+  for (const layer of [...valueLayers].reverse()) {
+    for (const [key, value] of Object.entries(layer.values)) {
+      if (!Object.hasOwn(CORE_SCHEMA, key) && !Object.hasOwn(sections, key)) {
+        config[key] = value;
+        sources[key] = layer.source;
+      }
+    }
+  }
+  Object.assign(config, core.values);
+
+  for (const [name, schema] of Object.entries(sections)) {
+    if (Object.hasOwn(CORE_SCHEMA, name)) {
+      throw createAppError('CONFIG_SECTION_CONFLICT', `Config section "${name}" clashes with a core key`, 500);
+    }
+
+    const sectionLayers = layers.map((layer) =>
+      layer.values ? { source: layer.source, values: layer.values[name] ?? {} } : layer,
+    );
+
+    for (const layer of sectionLayers.filter((l) => l.values)) {
+      for (const key of Object.keys(layer.values)) {
+        if (!Object.hasOwn(schema, key)) {
+          violations.push({ key: `${name}.${key}`, message: `is not a known key (${layer.source})` });
+        }
+      }
+    }
+
+    const section = resolveSchema(schema, { layers: sectionLayers, prefix: `${name}.` });
+    violations.push(...section.violations);
+    Object.assign(sources, section.sources);
+    config[name] = Object.freeze(section.values);
+  }
+
+  if (violations.length > 0) {
+    throw createConfigError(violations);
+  }
+
+  const frozen = Object.freeze(config);
+  provenance.set(frozen, Object.freeze(sources));
+  return frozen;
+}
+
+/**
+ * Return the source that set each key of a config built by createConfig()
+ * or loadConfig(), keyed by dotted path (e.g. `{ port: 'env (PORT)',
+ * 'tasks.pageSize': 'config/default.json' }`).
+ *
+ * @param {object} config - Config object.
+ * @returns {Readonly<Record<string, string>>} Empty for objects not built here.
+ */
+export function getConfigSources(config) {
+  return provenance.get(config) ?? {};
+}
+
+/**
+ * Deep-copy `value`, replacing every `secret://` reference with the
+ * secret resolved through `vault`.
+ *
+ * @param {*}      value - Config value (plain objects and arrays are walked).
+ * @param {object} vault - Vault from createVault().
+ * @returns {Promise<*>} Resolved copy.
+ */
+async function resolveSecretRefs(value, vault) {
+  if (isSecretRef(value)) {
+    return vault.resolve(value);
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map((item) => resolveSecretRefs(item, vault)));
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, item]) => [key, await resolveSecretRefs(item, vault)]),
+    );
+    return Object.fromEntries(entries);
+  }
+  return value;
+}
+
+/**
+ * Async variant of createConfig() that resolves `secret://<name>`
+ * references through a secrets vault before freezing the result, so
+ * secrets can be kept out of plain environment variables.
+ *
+ * @example
+ * const vault = createVault({ providers: [createFileSecretProvider()] });
+ * const config = await loadConfig({ jwtSecret: 'secret://jwt-signing-key' }, process.env, { vault });
+ * // config.jwtSecret now holds the contents of /run/secrets/jwt-signing-key
+ *
+ * @param {object} [overrides={}]    - Consumer-provided config values.
+ * @param {object} [env=process.env] - Environment variable source.
+ * @param {object} [options={}]
+ * @param {object} [options.vault]   - Vault from createVault(); without one, references are left as-is.
+ *                                     Remaining options are passed to createConfig().
+ * @returns {Promise<Readonly<AppConfig>>} Frozen configuration object.
+ */
+export async function loadConfig(overrides = {}, env = process.env, { vault, ...options } = {}) {
+  const config = createConfig(overrides, env, options);
+
+  if (!vault) {
+    return config;
+  }
+
+  const resolved = Object.freeze(await resolveSecretRefs(config, vault));
+  provenance.set(resolved, getConfigSources(config));
+  return resolved;
 }
 
 /**
@@ -68,4 +338,33 @@ export function filterSensitiveKeys(config) {
   return Object.fromEntries(
     Object.entries(config).filter(([key]) => !SENSITIVE_PATTERN.test(key)),
   );
-}
\ No newline at end of file
+}
+
+/**
+ * Flatten a config into display rows for the admin config viewer.
+ * Sensitive keys are removed at every level (including inside plugin
+ * sections), credentials in URLs are masked, and each row carries the
+ * source that set the value.
+ *
+ * @param {object} config - Config from createConfig() or loadConfig().
+ * @returns {Array<{ key: string, value: *, source: string|undefined }>}
+ */
+export function describeConfig(config) {
+  const sources = getConfigSources(config);
+  const rows = [];
+
+  for (const [key, value] of Object.entries(filterSensitiveKeys(config))) {
+    // Schema sections have per-key provenance and no entry of their own.
+    const isSection = !(key in sources) && value && Object.getPrototypeOf(value) === Object.prototype;
+
+    if (!isSection) {
+      rows.push({ key, value: redactUrlCredentials(value), source: sources[key] });
+      continue;
+    }
+    for (const [subKey, subValue] of Object.entries(filterSensitiveKeys(value))) {
+      rows.push({ key: `${key}.${subKey}`, value: redactUrlCredentials(subValue), source: sources[`${key}.${subKey}`] });
+    }
+  }
+
+  return rows;
+}
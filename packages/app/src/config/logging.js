@@ -0,0 +1,37 @@
+/**
+ * @module config/logging
+ * @description Maps the `log*` config keys onto `createLogger()` options
+ * so every logger the app creates shares one format, destination and
+ * rotation policy.
+ */
+
+/**
+ * Build `createLogger()` options for a named logger.
+ *
+ * @param {import('./env.js').AppConfig} config - Frozen app config.
+ * @param {string} name - Logger name (log file basename), e.g. 'app:server'.
+ * @returns {object} Options for `createLogger()` from `@animated-spork/shared`.
+ *
+ * @example
+ * const logger = createLogger(loggerOptions(config, 'app:server'));
+ */
+export function loggerOptions(config, name) {
+  const rotating = config.logRotate && config.logRotate !== 'none';
+  return {
+    name,
+    level: config.logLevel,
+    format: config.logFormat ?? (config.nodeEnv === 'production' ? 'json' : 'pretty'),
+    logDir: config.logDir,
+    file: config.logFile,
+    rotate: rotating
+      ? {
+        interval: config.logRotate,
+        maxSize: config.logMaxSize,
+        maxFiles: config.logMaxFiles,
+        compress: config.logCompress,
+      }
+      : undefined,
+    service: config.appName,
+    version: config.appVersion,
+  };
+}
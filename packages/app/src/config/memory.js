@@ -0,0 +1,31 @@
+/**
+ * @module config/memory
+ * @description Maps the `memory*` config keys onto the background
+ * sampling options of `createMemoryLogger()`. Thresholds are configured
+ * in MB and passed on in bytes.
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * Build `createMemoryLogger()` sampling options.
+ *
+ * @param {import('./env.js').AppConfig} config - Frozen app config.
+ * @returns {object} Options for `createMemoryLogger()` from `@animated-spork/shared`.
+ *
+ * @example
+ * const memory = createMemoryLogger(process, (msg) => logger.info(msg), {
+ *   ...memoryMonitorOptions(config),
+ *   warn: (msg) => logger.warn(msg),
+ * }).start();
+ */
+export function memoryMonitorOptions(config) {
+  return {
+    interval: config.memorySampleInterval,
+    historySize: config.memoryHistorySize,
+    heapThreshold: (config.memoryHeapThreshold ?? 0) * MB,
+    growthCycles: config.memoryGrowthCycles,
+    snapshotThreshold: (config.memorySnapshotThreshold ?? 0) * MB,
+    snapshotDir: config.memorySnapshotDir,
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * @module config/rateLimit
+ * @description Maps the `rateLimit*` config keys onto `rateLimit()`
+ * options and picks the store every limiter of the app shares.
+ */
+
+import { createMemoryStore, createRedisStore } from '@animated-spork/shared';
+
+/** Health probes are never limited, so orchestrators can't be locked out. */
+const PROBES = new Set(['/healthz', '/readyz', '/livez']);
+
+/**
+ * Pick the rate limit store: the app's own, a Redis store when
+ * `config.rateLimitRedisUrl` is set (shared by every instance and cluster
+ * worker), otherwise in-memory (per process).
+ *
+ * @param {import('./env.js').AppConfig} config - Frozen app config.
+ * @param {object} [store] - Store passed in by the app (see AppOptions.rateLimitStore).
+ * @returns {object} Store with increment() and update().
+ */
+export function rateLimitStore(config, store) {
+  if (store) {
+    return store;
+  }
+  return config.rateLimitRedisUrl
+    ? createRedisStore({ url: config.rateLimitRedisUrl, prefix: `${config.appName}:` })
+    : createMemoryStore();
+}
+
+/**
+ * Client key for `RATE_LIMIT_BY=user` on the app-wide limiter. It runs
+ * before plugin routers attach `req.auth`, so bearer tokens are verified
+ * here with the app's token service; requests without a session user or
+ * a valid token count against their IP.
+ *
+ * @param {object} [tokens] - Token service from createTokenService().
+ * @returns {(req: import('express').Request) => string|null}
+ */
+function userKey(tokens) {
+  return (req) => {
+    let id = req.user?.id;
+    const [scheme, token] = (req.get('authorization') ?? '').split(' ');
+    if ((id === undefined || id === null) && tokens && scheme?.toLowerCase() === 'bearer' && token) {
+      try {
+        id = tokens.verify(token).sub;
+      } catch {
+        // Invalid or expired: limited by IP
+      }
+    }
+    return id === undefined || id === null ? null : `user:${id}`;
+  };
+}
+
+/**
+ * Build `rateLimit()` options for the app-wide limiter.
+ *
+ * @param {import('./env.js').AppConfig} config - Frozen app config.
+ * @param {object} [options={}]
+ * @param {object} [options.tokens] - Token service identifying bearer-token users for `RATE_LIMIT_BY=user`.
+ * @returns {object} Options for `rateLimit()` from `@animated-spork/shared`.
+ */
+export function rateLimitOptions(config, { tokens } = {}) {
+  return {
+    algorithm: config.rateLimitAlgorithm,
+    limit: config.rateLimitLimit,
+    window: config.rateLimitWindow,
+    key: config.rateLimitBy === 'user' ? userKey(tokens) : config.rateLimitBy,
+    skip: (req) => PROBES.has(req.path),
+  };
+}
@@ -0,0 +1,708 @@
+/**
+ * @module config/schema
+ * @description Declarative config schemas. Each key declares its type,
+ * default, env var name, and constraints; resolveSchema() coerces raw
+ * values and collects every violation instead of stopping at the first.
+ */
+
+/** Keys (and env vars) whose values are never shown: admin view, startup errors. */
+export const SENSITIVE_PATTERN = /SECRET|KEY|PASSWORD|TOKEN|CREDENTIAL/i;
+
+/** Userinfo in URL values, e.g. the `:secret@` of `redis://:secret@cache:6379`. */
+const URL_CREDENTIALS = /^([a-z][a-z\d+.-]*:\/\/)[^/?#@\s]+@/i;
+
+/**
+ * Mask credentials embedded in URL values (and URL lists) before they
+ * are shown. Other values are returned as they are.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+export function redactUrlCredentials(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactUrlCredentials);
+  }
+  return typeof value === 'string' ? value.replace(URL_CREDENTIALS, '$1[redacted]@') : value;
+}
+
+/**
+ * @typedef {object} ConfigField
+ * @property {'string'|'number'|'integer'|'boolean'|'array'|'port'} type - Target type raw values are coerced to.
+ * @property {string}   [env]         - Environment variable the value is read from.
+ * @property {*}        [default]     - Value used when no source provides one.
+ * @property {boolean}  [required]    - Fail when no source (or default) provides a value.
+ * @property {Array}    [enum]        - Allowed values (compared after coercion).
+ * @property {number}   [min]         - Inclusive lower bound for numeric types.
+ * @property {number}   [max]         - Inclusive upper bound for numeric types.
+ * @property {RegExp}   [pattern]     - Pattern string values must match.
+ * @property {string}   [description] - Human-readable description.
+ */
+
+/**
+ * @typedef {Record<string, ConfigField>} ConfigSchema
+ */
+
+/**
+ * @typedef {object} ConfigViolation
+ * @property {string} key     - Dotted config key (e.g. 'port', 'tasks.pageSize').
+ * @property {string} message - What is wrong with the value.
+ * @property {string} [env]   - Environment variable the key maps to, if any.
+ */
+
+/**
+ * Schema for the core config keys every app gets.
+ * @type {Readonly<ConfigSchema>}
+ */
+export const CORE_SCHEMA = Object.freeze({
+  port: { type: 'port', env: 'PORT', default: 3000, description: 'HTTP listen port' },
+  nodeEnv: { type: 'string', env: 'NODE_ENV', default: 'development', description: 'Runtime environment' },
+  appName: { type: 'string', env: 'APP_NAME', default: 'app', description: 'Application name' },
+  appVersion: { type: 'string', env: 'APP_VERSION', default: '0.0.0', description: 'Application version' },
+  maxRequestSize: {
+    type: 'string',
+    env: 'MAX_REQUEST_SIZE',
+    default: '1mb',
+    pattern: /^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i,
+    description: 'Maximum request body size',
+  },
+  requestTimeout: {
+    type: 'integer',
+    env: 'REQUEST_TIMEOUT',
+    default: 30000,
+    min: 0,
+    description: 'Request timeout in milliseconds',
+  },
+  headersTimeout: {
+    type: 'integer',
+    env: 'HEADERS_TIMEOUT',
+    default: 60000,
+    min: 1,
+    description: 'Milliseconds a client gets to send its first bytes on the h2c port',
+  },
+  viewsDir: { type: 'string', description: 'Consumer views directory' },
+  requestIdHeader: {
+    type: 'string',
+    env: 'REQUEST_ID_HEADER',
+    default: 'x-request-id',
+    pattern: /^[A-Za-z0-9-]+$/,
+    description: 'Header request ids are accepted from and echoed in',
+  },
+  problemTypeBase: {
+    type: 'string',
+    env: 'PROBLEM_TYPE_BASE',
+    pattern: /^[a-z][a-z0-9+.-]*:\S+$/i,
+    description: 'URI prefix for problem+json types, followed by the error code (default: about:blank)',
+  },
+  logLevel: {
+    type: 'string',
+    env: 'LOG_LEVEL',
+    default: 'info',
+    enum: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'],
+    description: 'Minimum level written by the app loggers',
+  },
+  logFormat: {
+    type: 'string',
+    env: 'LOG_FORMAT',
+    enum: ['pretty', 'json'],
+    description: 'Log line format (default: json in production, pretty otherwise)',
+  },
+  logDir: { type: 'string', env: 'LOG_DIR', description: 'Directory for log files (default: ./logs)' },
+  logFile: {
+    type: 'boolean',
+    env: 'LOG_FILE',
+    default: true,
+    description: 'Write log files in addition to the console (turn off when stdout is collected)',
+  },
+  logRotate: {
+    type: 'string',
+    env: 'LOG_ROTATE',
+    default: 'none',
+    enum: ['none', 'hourly', 'daily'],
+    description: 'Start a new log file every hour or day (none: one ever-growing file)',
+  },
+  logMaxSize: {
+    type: 'string',
+    env: 'LOG_MAX_SIZE',
+    pattern: /^\d+[kmg]?$/i,
+    description: 'Also rotate a log file past this size (bytes, or with a k/m/g suffix)',
+  },
+  logMaxFiles: {
+    type: 'string',
+    env: 'LOG_MAX_FILES',
+    pattern: /^\d+d?$/,
+    description: 'Rotated log files to keep, or days to keep them with a d suffix (unset: keep all)',
+  },
+  logCompress: { type: 'boolean', env: 'LOG_COMPRESS', default: true, description: 'Gzip rotated log files' },
+  accessLogFormat: {
+    type: 'string',
+    env: 'ACCESS_LOG_FORMAT',
+    enum: ['short', 'combined', 'json', 'none'],
+    description: 'Access log format, none to turn access logging off (default: json in production, short otherwise)',
+  },
+  accessLogSkip: {
+    type: 'array',
+    env: 'ACCESS_LOG_SKIP',
+    default: ['/healthz', '/livez', '/readyz'],
+    description: 'Paths not access-logged; a trailing * matches a prefix (e.g. /assets/*)',
+  },
+  accessLogStatic: {
+    type: 'boolean',
+    env: 'ACCESS_LOG_STATIC',
+    default: false,
+    description: 'Access-log requests served from the static assets directory',
+  },
+  accessLogSampleRate: {
+    type: 'number',
+    env: 'ACCESS_LOG_SAMPLE_RATE',
+    default: 1,
+    min: 0,
+    max: 1,
+    description: 'Fraction of requests access-logged (5xx and slow requests are always logged)',
+  },
+  accessLogSlowThreshold: {
+    type: 'integer',
+    env: 'ACCESS_LOG_SLOW_THRESHOLD',
+    default: 1000,
+    min: 0,
+    description: 'Requests taking at least this many milliseconds are logged as warnings (0: off)',
+  },
+  metricsEnabled: {
+    type: 'boolean',
+    env: 'METRICS_ENABLED',
+    default: false,
+    description: 'Serve Prometheus metrics on /metrics',
+  },
+  metricsAuth: {
+    type: 'string',
+    env: 'METRICS_AUTH',
+    default: 'none',
+    enum: ['none', 'admin', 'token'],
+    description: 'How /metrics is protected (admin: same as /admin, token: METRICS_TOKEN bearer token)',
+  },
+  metricsToken: { type: 'string', env: 'METRICS_TOKEN', description: 'Bearer token required on /metrics in token mode' },
+  memoryMonitor: {
+    type: 'boolean',
+    env: 'MEMORY_MONITOR',
+    default: true,
+    description: 'Sample memory in the background for /admin and leak warnings',
+  },
+  memorySampleInterval: {
+    type: 'integer',
+    env: 'MEMORY_SAMPLE_INTERVAL',
+    default: 10000,
+    min: 100,
+    description: 'Milliseconds between memory samples',
+  },
+  memoryHistorySize: {
+    type: 'integer',
+    env: 'MEMORY_HISTORY_SIZE',
+    default: 360,
+    min: 2,
+    description: 'Memory samples kept for the /admin chart',
+  },
+  memoryHeapThreshold: {
+    type: 'integer',
+    env: 'MEMORY_HEAP_THRESHOLD',
+    default: 0,
+    min: 0,
+    description: 'Warn when heap used stays above this many MB for 3 samples (0: off)',
+  },
+  memoryGrowthCycles: {
+    type: 'integer',
+    env: 'MEMORY_GROWTH_CYCLES',
+    default: 5,
+    min: 0,
+    description: 'Warn when the heap left after GC grows across this many major GCs in a row (0: off)',
+  },
+  memorySnapshotThreshold: {
+    type: 'integer',
+    env: 'MEMORY_SNAPSHOT_THRESHOLD',
+    default: 0,
+    min: 0,
+    description: 'Write a .heapsnapshot the first time heap used crosses this many MB (0: off)',
+  },
+  memorySnapshotDir: { type: 'string', env: 'MEMORY_SNAPSHOT_DIR', description: 'Directory heap snapshots are written to (default: working directory)' },
+  tracingEnabled: {
+    type: 'boolean',
+    env: 'TRACING_ENABLED',
+    default: true,
+    description: 'Create a server span per request (exported only with TRACING_EXPORTERS)',
+  },
+  tracingExporters: {
+    type: 'array',
+    env: 'TRACING_EXPORTERS',
+    default: [],
+    description: 'Span exporters: console, file (OTLP/JSON lines) and/or otlp (OTLP/HTTP)',
+  },
+  tracingFile: { type: 'string', env: 'TRACING_FILE', description: 'OTLP/JSON file of the file exporter (default: <LOG_DIR>/traces.jsonl)' },
+  tracingEndpoint: {
+    type: 'string',
+    env: 'TRACING_ENDPOINT',
+    default: 'http://localhost:4318/v1/traces',
+    description: 'OTLP/HTTP traces endpoint of the otlp exporter',
+  },
+  tracingSampleRate: {
+    type: 'number',
+    env: 'TRACING_SAMPLE_RATE',
+    default: 1,
+    min: 0,
+    max: 1,
+    description: 'Fraction of new traces sampled (incoming traceparent flags are kept)',
+  },
+  rateLimitEnabled: {
+    type: 'boolean',
+    env: 'RATE_LIMIT_ENABLED',
+    default: false,
+    description: 'Rate limit every route except static files and health probes',
+  },
+  rateLimitAlgorithm: {
+    type: 'string',
+    env: 'RATE_LIMIT_ALGORITHM',
+    default: 'fixed-window',
+    enum: ['fixed-window', 'sliding-window', 'token-bucket'],
+    description: 'Rate limiting algorithm',
+  },
+  rateLimitLimit: {
+    type: 'integer',
+    env: 'RATE_LIMIT_LIMIT',
+    default: 100,
+    min: 1,
+    description: 'Requests per client and window (bucket size for token-bucket)',
+  },
+  rateLimitWindow: {
+    type: 'integer',
+    env: 'RATE_LIMIT_WINDOW',
+    default: 60000,
+    min: 1000,
+    description: 'Rate limit window in milliseconds (bucket refill time for token-bucket)',
+  },
+  rateLimitBy: {
+    type: 'string',
+    env: 'RATE_LIMIT_BY',
+    default: 'ip',
+    enum: ['ip', 'user', 'api-key'],
+    description: 'What identifies a client (user and api-key fall back to the IP)',
+  },
+  rateLimitRedisUrl: {
+    type: 'string',
+    env: 'RATE_LIMIT_REDIS_URL',
+    description: 'Redis-protocol server sharing limits between instances (default: in-memory per process)',
+  },
+  loginRateLimit: {
+    type: 'integer',
+    env: 'LOGIN_RATE_LIMIT',
+    default: 10,
+    min: 0,
+    description: 'POST /login attempts per client IP and LOGIN_RATE_LIMIT_WINDOW (0: off)',
+  },
+  loginRateLimitWindow: {
+    type: 'integer',
+    env: 'LOGIN_RATE_LIMIT_WINDOW',
+    default: 900000,
+    min: 1000,
+    description: 'Login rate limit window in milliseconds',
+  },
+  securityHeaders: {
+    type: 'boolean',
+    env: 'SECURITY_HEADERS',
+    default: true,
+    description: 'Send CSP, HSTS, X-Content-Type-Options, Referrer-Policy, Permissions-Policy and COOP/COEP headers',
+  },
+  cspMode: {
+    type: 'string',
+    env: 'CSP_MODE',
+    default: 'enforce',
+    enum: ['enforce', 'report-only', 'off'],
+    description: 'Enforce the Content-Security-Policy, only report violations, or send none',
+  },
+  cspDirectives: {
+    type: 'array',
+    env: 'CSP_DIRECTIVES',
+    default: [],
+    description: "CSP directives replacing the defaults, e.g. img-src 'self' https://cdn.example.com",
+  },
+  cspReportUri: {
+    type: 'string',
+    env: 'CSP_REPORT_URI',
+    default: '/csp-report',
+    description: 'Where browsers report CSP violations (a path mounts the built-in endpoint)',
+  },
+  referrerPolicy: {
+    type: 'string',
+    env: 'REFERRER_POLICY',
+    default: 'strict-origin-when-cross-origin',
+    enum: [
+      'no-referrer',
+      'no-referrer-when-downgrade',
+      'origin',
+      'origin-when-cross-origin',
+      'same-origin',
+      'strict-origin',
+      'strict-origin-when-cross-origin',
+      'unsafe-url',
+    ],
+    description: 'Referrer-Policy header',
+  },
+  permissionsPolicy: {
+    type: 'string',
+    env: 'PERMISSIONS_POLICY',
+    default: 'camera=(), microphone=(), geolocation=(), payment=(), usb=()',
+    description: 'Permissions-Policy header (browser features the pages may use)',
+  },
+  crossOriginOpenerPolicy: {
+    type: 'string',
+    env: 'CROSS_ORIGIN_OPENER_POLICY',
+    default: 'same-origin',
+    enum: ['same-origin', 'same-origin-allow-popups', 'unsafe-none', 'off'],
+    description: 'Cross-Origin-Opener-Policy header (off: not sent)',
+  },
+  crossOriginEmbedderPolicy: {
+    type: 'string',
+    env: 'CROSS_ORIGIN_EMBEDDER_POLICY',
+    default: 'off',
+    enum: ['require-corp', 'credentialless', 'unsafe-none', 'off'],
+    description: 'Cross-Origin-Embedder-Policy header (off: not sent)',
+  },
+  shutdownDelay: {
+    type: 'integer',
+    env: 'SHUTDOWN_DELAY',
+    default: 0,
+    min: 0,
+    description: 'Pre-stop delay in milliseconds between failing readiness and closing the server',
+  },
+  shutdownTimeout: {
+    type: 'integer',
+    env: 'SHUTDOWN_TIMEOUT',
+    default: 30000,
+    min: 0,
+    description: 'Milliseconds in-flight requests get to finish before their sockets are destroyed',
+  },
+  adminAuth: {
+    type: 'string',
+    env: 'ADMIN_AUTH',
+    default: 'basic',
+    enum: ['basic', 'jwt', 'ip', 'none'],
+    description: 'How /admin is protected',
+  },
+  adminCredentials: {
+    type: 'array',
+    env: 'ADMIN_CREDENTIALS',
+    default: [],
+    description: 'Basic auth users as user:<hashPassword() hash>',
+  },
+  adminAllowlist: {
+    type: 'array',
+    env: 'ADMIN_ALLOWLIST',
+    default: [],
+    description: 'IP addresses or CIDR ranges allowed to reach /admin in ip mode',
+  },
+  adminRole: { type: 'string', env: 'ADMIN_ROLE', default: 'admin', description: 'Role required in jwt mode' },
+  adminMaxAttempts: {
+    type: 'integer',
+    env: 'ADMIN_MAX_ATTEMPTS',
+    default: 5,
+    min: 1,
+    description: 'Failed admin logins before a client is locked out',
+  },
+  adminLockout: {
+    type: 'integer',
+    env: 'ADMIN_LOCKOUT',
+    default: 900000,
+    min: 0,
+    description: 'Admin lockout duration in milliseconds',
+  },
+  sessionSecret: { type: 'string', env: 'SESSION_SECRET', description: 'HMAC key signing session cookies' },
+  sessionCookie: { type: 'string', env: 'SESSION_COOKIE', default: 'sid', description: 'Session cookie name' },
+  sessionTtl: {
+    type: 'integer',
+    env: 'SESSION_TTL',
+    default: 1800000,
+    min: 1000,
+    description: 'Idle session lifetime in milliseconds (sliding)',
+  },
+  sessionSecure: {
+    type: 'boolean',
+    env: 'SESSION_SECURE',
+    description: 'Send the session cookie over HTTPS only (default: in production)',
+  },
+  sessionSameSite: {
+    type: 'string',
+    env: 'SESSION_SAME_SITE',
+    default: 'lax',
+    enum: ['lax', 'strict', 'none'],
+    description: 'SameSite attribute of the session cookie',
+  },
+  csrfProtection: {
+    type: 'boolean',
+    env: 'CSRF_PROTECTION',
+    default: true,
+    description: 'Require a CSRF token on form posts and on requests carrying the session cookie',
+  },
+  csrfSecret: { type: 'string', env: 'CSRF_SECRET', description: 'HMAC key signing CSRF tokens (default: SESSION_SECRET)' },
+  csrfCookie: { type: 'string', env: 'CSRF_COOKIE', default: 'csrf', description: 'CSRF token cookie name' },
+  csrfIgnorePaths: {
+    type: 'array',
+    env: 'CSRF_IGNORE_PATHS',
+    default: [],
+    description: 'Paths exempt from CSRF checks (e.g. webhooks); a trailing * matches a prefix',
+  },
+  corsOrigins: {
+    type: 'array',
+    env: 'CORS_ORIGINS',
+    default: [],
+    description: 'Origins allowed to call the app from browsers: *, https://app.example.com or https://*.example.com (empty: CORS off)',
+  },
+  corsMethods: {
+    type: 'array',
+    env: 'CORS_METHODS',
+    default: ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE'],
+    description: 'Methods allowed in cross-origin requests',
+  },
+  corsAllowedHeaders: {
+    type: 'array',
+    env: 'CORS_ALLOWED_HEADERS',
+    default: [],
+    description: 'Request headers allowed in cross-origin requests (empty: whatever the preflight asks for)',
+  },
+  corsExposedHeaders: {
+    type: 'array',
+    env: 'CORS_EXPOSED_HEADERS',
+    default: [],
+    description: 'Response headers cross-origin pages may read',
+  },
+  corsCredentials: {
+    type: 'boolean',
+    env: 'CORS_CREDENTIALS',
+    default: false,
+    description: 'Allow cookies and HTTP authentication on cross-origin requests',
+  },
+  corsMaxAge: {
+    type: 'integer',
+    env: 'CORS_MAX_AGE',
+    default: 600,
+    min: 0,
+    description: 'Seconds browsers may cache preflight responses',
+  },
+  clusterWorkers: {
+    type: 'integer',
+    env: 'CLUSTER_WORKERS',
+    default: 0,
+    min: 0,
+    description: 'Worker processes to fork (0: single process)',
+  },
+  clusterRestartDelay: {
+    type: 'integer',
+    env: 'CLUSTER_RESTART_DELAY',
+    default: 1000,
+    min: 0,
+    description: 'Initial backoff in milliseconds before a crashed worker is restarted (doubles per crash)',
+  },
+  clusterMaxRestartDelay: {
+    type: 'integer',
+    env: 'CLUSTER_MAX_RESTART_DELAY',
+    default: 30000,
+    min: 0,
+    description: 'Upper bound for the worker restart backoff in milliseconds',
+  },
+  https: { type: 'boolean', env: 'HTTPS', default: false, description: 'Serve HTTPS instead of HTTP' },
+  http2: {
+    type: 'boolean',
+    env: 'HTTP2',
+    default: false,
+    description: 'Serve HTTP/2 (h2 over TLS, h2c in cleartext) alongside HTTP/1.1',
+  },
+  tlsCert: { type: 'string', env: 'TLS_CERT', description: 'Path to the PEM certificate (chain)' },
+  tlsKey: { type: 'string', env: 'TLS_KEY', description: 'Path to the PEM private key' },
+  tlsPfx: { type: 'string', env: 'TLS_PFX', description: 'Path to a PKCS#12 bundle (instead of tlsCert/tlsKey)' },
+  tlsPassword: { type: 'string', env: 'TLS_PASSWORD', description: 'Passphrase for the private key or PFX' },
+  tlsCa: { type: 'string', env: 'TLS_CA', description: 'Path to the PEM CA bundle client certificates are verified against' },
+  tlsClientAuth: {
+    type: 'string',
+    env: 'TLS_CLIENT_AUTH',
+    default: 'none',
+    enum: ['none', 'request', 'require'],
+    description: 'Client certificate (mTLS) verification',
+  },
+  httpRedirectPort: {
+    type: 'port',
+    env: 'HTTP_REDIRECT_PORT',
+    description: 'Plain-HTTP port that redirects to HTTPS (unset: no redirect server)',
+  },
+  hstsMaxAge: {
+    type: 'integer',
+    env: 'HSTS_MAX_AGE',
+    default: 0,
+    min: 0,
+    description: 'Strict-Transport-Security max-age in seconds over HTTPS (0: no header)',
+  },
+  hstsIncludeSubDomains: {
+    type: 'boolean',
+    env: 'HSTS_INCLUDE_SUBDOMAINS',
+    default: false,
+    description: 'Add includeSubDomains to the Strict-Transport-Security header',
+  },
+  hstsPreload: {
+    type: 'boolean',
+    env: 'HSTS_PRELOAD',
+    default: false,
+    description: 'Add preload to the Strict-Transport-Security header',
+  },
+});
+
+const BOOLEAN_VALUES = new Map([
+  ['true', true], ['1', true], ['yes', true], ['on', true],
+  ['false', false], ['0', false], ['no', false], ['off', false],
+]);
+
+/**
+ * Coerce a raw value (usually a string from the environment) to the
+ * field's declared type.
+ *
+ * @param {ConfigField} field - Field definition.
+ * @param {*}           raw   - Raw value.
+ * @returns {{ value?: *, error?: string }} Coerced value, or an error message.
+ */
+export function coerceValue(field, raw) {
+  switch (field.type) {
+    case 'string':
+      return typeof raw === 'string' || typeof raw === 'number'
+        ? { value: String(raw) }
+        : { error: 'expected a string' };
+
+    case 'number':
+    case 'integer':
+    case 'port': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        return { error: `expected ${field.type === 'number' ? 'a number' : 'an integer'}` };
+      }
+      if (field.type !== 'number' && !Number.isInteger(value)) {
+        return { error: 'expected an integer' };
+      }
+      if (field.type === 'port' && (value < 0 || value > 65535)) {
+        return { error: 'expected a port number between 0 and 65535' };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') {
+        return { value: raw };
+      }
+      const value = BOOLEAN_VALUES.get(String(raw).trim().toLowerCase());
+      return value === undefined ? { error: 'expected a boolean' } : { value };
+    }
+
+    case 'array':
+      if (Array.isArray(raw)) {
+        return { value: raw };
+      }
+      return typeof raw === 'string'
+        ? { value: raw.split(',').map((item) => item.trim()).filter(Boolean) }
+        : { error: 'expected a list' };
+
+    default:
+      return { error: `unknown schema type "${field.type}"` };
+  }
+}
+
+/**
+ * Check a coerced value against the field's enum, range and pattern.
+ *
+ * @param {ConfigField} field - Field definition.
+ * @param {*}           value - Coerced value.
+ * @returns {string|null} Error message, or null when the value is valid.
+ */
+function checkConstraints(field, value) {
+  if (field.enum && !field.enum.includes(value)) {
+    return `expected one of ${field.enum.map((v) => JSON.stringify(v)).join(', ')}`;
+  }
+  if (field.min !== undefined && value < field.min) {
+    return `must be >= ${field.min}`;
+  }
+  if (field.max !== undefined && value > field.max) {
+    return `must be <= ${field.max}`;
+  }
+  if (field.pattern && !field.pattern.test(value)) {
+    return `must match ${field.pattern}`;
+  }
+  return null;
+}
+
+/**
+ * @typedef {object} ConfigLayer
+ * @property {string} source   - Label recorded as provenance (e.g. 'overrides', '.env').
+ * @property {object} [values] - Values keyed by config key (overrides, JSON files).
+ * @property {object} [env]    - Values keyed by env var name (process env, .env files).
+ */
+
+/**
+ * Find the highest-priority layer that provides a value for `key`.
+ * Empty strings from env-style layers count as unset.
+ *
+ * @param {string}       key
+ * @param {ConfigField}  field
+ * @param {ConfigLayer[]} layers - Highest priority first.
+ * @returns {{ raw: *, source: string }|null}
+ */
+function pickRaw(key, field, layers) {
+  for (const layer of layers) {
+    if (layer.values && layer.values[key] !== undefined) {
+      return { raw: layer.values[key], source: layer.source };
+    }
+    if (layer.env && field.env) {
+      const raw = layer.env[field.env];
+      if (raw !== undefined && raw !== '') {
+        return { raw, source: `${layer.source} (${field.env})` };
+      }
+    }
+  }
+  return field.default === undefined ? null : { raw: field.default, source: 'default' };
+}
+
+/**
+ * Resolve every key of a schema from an ordered list of source layers.
+ *
+ * The first layer (highest priority) providing a value wins; the schema
+ * default is the last resort. Keys with no value and no default are
+ * omitted. The winning layer of each key is recorded in `sources`.
+ *
+ * @param {ConfigSchema}  schema
+ * @param {object}        options
+ * @param {ConfigLayer[]} options.layers     - Source layers, highest priority first.
+ * @param {string}        [options.prefix=''] - Prefix for reported keys (e.g. 'tasks.').
+ * @returns {{ values: object, sources: Record<string, string>, violations: ConfigViolation[] }}
+ */
+export function resolveSchema(schema, { layers, prefix = '' }) {
+  const values = {};
+  const sources = {};
+  const violations = [];
+
+  for (const [key, field] of Object.entries(schema)) {
+    const picked = pickRaw(key, field, layers);
+    const violation = (message) => violations.push({ key: `${prefix}${key}`, message, env: field.env });
+
+    if (!picked) {
+      if (field.required) {
+        violation('is required');
+      }
+      continue;
+    }
+
+    const { value, error } = coerceValue(field, picked.raw);
+    const problem = error ?? checkConstraints(field, value);
+
+    if (problem) {
+      // Startup errors end up in logs; don't print secrets there
+      const shown = SENSITIVE_PATTERN.test(key) || SENSITIVE_PATTERN.test(field.env ?? '')
+        ? '[redacted]'
+        : JSON.stringify(redactUrlCredentials(picked.raw));
+      violation(`${problem}, got ${shown} from ${picked.source}`);
+      continue;
+    }
+    values[key] = value;
+    sources[`${prefix}${key}`] = picked.source;
+  }
+
+  return { values, sources, violations };
+}
@@ -0,0 +1,59 @@
+/**
+ * @module config/tracing
+ * @description Maps the `tracing*` config keys onto `createTracer()`
+ * options: the built-in span exporters named in `config.tracingExporters`
+ * plus any the app passes in.
+ */
+
+import path from 'node:path';
+import {
+  createConsoleSpanExporter,
+  createFileSpanExporter,
+  createLogger,
+  createOtlpHttpSpanExporter,
+} from '@animated-spork/shared';
+import { createAppError } from '../errors/appError.js';
+import { loggerOptions } from './logging.js';
+
+/** Built-in exporters by `TRACING_EXPORTERS` name. */
+const EXPORTERS = {
+  console: (config, log) => createConsoleSpanExporter({ log: (line) => log().info(line) }),
+  file: (config) => createFileSpanExporter({
+    file: config.tracingFile ?? path.join(config.logDir ?? 'logs', 'traces.jsonl'),
+  }),
+  otlp: (config) => createOtlpHttpSpanExporter({ url: config.tracingEndpoint }),
+};
+
+/**
+ * Build `createTracer()` options.
+ *
+ * @param {import('./env.js').AppConfig} config - Frozen app config.
+ * @param {object} [options={}]
+ * @param {object[]} [options.exporters=[]] - Extra span exporters (see AppOptions.spanExporters).
+ * @param {object} [options.logger] - Logger for console spans and export failures (default: an 'app:tracing' logger).
+ * @returns {object} Options for `createTracer()` from `@animated-spork/shared`.
+ * @throws {AppError} TRACING_MISCONFIGURED for an unknown exporter name.
+ */
+export function tracerOptions(config, { exporters = [], logger } = {}) {
+  let log = logger;
+  const getLogger = () => (log ??= createLogger(loggerOptions(config, 'app:tracing')));
+
+  const builtIn = (config.tracingExporters ?? []).map((name) => {
+    if (!EXPORTERS[name]) {
+      throw createAppError(
+        'TRACING_MISCONFIGURED',
+        `Unknown span exporter "${name}" in TRACING_EXPORTERS (expected console, file or otlp)`,
+        500,
+      );
+    }
+    return EXPORTERS[name](config, getLogger);
+  });
+
+  return {
+    serviceName: config.appName,
+    serviceVersion: config.appVersion,
+    exporters: [...builtIn, ...exporters],
+    sampleRate: config.tracingSampleRate,
+    onError: (err) => getLogger().warn(`Span export failed: ${err.message}`),
+  };
+}
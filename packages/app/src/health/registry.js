@@ -0,0 +1,173 @@
+/**
+ * @module health/registry
+ * @description Named health checks for the readiness and liveness probes.
+ *
+ * Plugins register checks on `app.locals.health`; `/readyz` and `/livez`
+ * run them. A check fails when it throws, rejects, resolves `false` or
+ * exceeds its timeout. Only failing critical checks make a probe fail —
+ * non-critical failures report the probe as degraded.
+ */
+
+import { createAppError } from '../errors/appError.js';
+
+/**
+ * @typedef {(signal: AbortSignal) => (void|boolean|object|Promise<void|boolean|object>)} HealthCheckFn
+ *   Resolves (optionally with a details object) when healthy. The signal
+ *   aborts when the check times out.
+ */
+
+/**
+ * @typedef {object} HealthCheckOptions
+ * @property {number}  [timeout=5000]          - Milliseconds before the check counts as failed.
+ * @property {boolean} [critical=true]         - Whether a failure fails the whole probe.
+ * @property {number}  [cacheTtl=0]            - Reuse the last result for this many ms (0 = run every time).
+ * @property {'readiness'|'liveness'} [type='readiness'] - Probe the check belongs to.
+ */
+
+/**
+ * @typedef {object} HealthCheckResult
+ * @property {'ok'|'fail'} status
+ * @property {boolean} critical
+ * @property {number}  durationMs - How long the check took (0 for cached results).
+ * @property {boolean} cached     - Whether the result came from the cache.
+ * @property {string}  [error]    - Failure reason.
+ * @property {object}  [details]  - Details the check resolved with.
+ */
+
+/**
+ * @typedef {object} HealthReport
+ * @property {'ok'|'degraded'|'fail'} status
+ * @property {number} durationMs
+ * @property {Record<string, HealthCheckResult>} checks
+ */
+
+/**
+ * Run `fn` with a timeout, resolving with a result instead of throwing.
+ *
+ * @param {HealthCheckFn} fn
+ * @param {number} timeout
+ * @param {() => number} now
+ * @returns {Promise<{ status: 'ok'|'fail', durationMs: number, error?: string, details?: object }>}
+ */
+async function runWithTimeout(fn, timeout, now) {
+  const started = now();
+  const controller = new globalThis.AbortController();
+  let timer;
+
+  const timedOut = new Promise((_resolve, reject) => {
+    timer = globalThis.setTimeout(() => {
+      controller.abort();
+      reject(new Error(`timed out after ${timeout}ms`));
+    }, timeout);
+  });
+
+  try {
+    const value = await Promise.race([Promise.resolve().then(() => fn(controller.signal)), timedOut]);
+    if (value === false) {
+      return { status: 'fail', durationMs: now() - started, error: 'check reported unhealthy' };
+    }
+    return {
+      status: 'ok',
+      durationMs: now() - started,
+      ...(value && typeof value === 'object' && { details: value }),
+    };
+  } catch (err) {
+    return { status: 'fail', durationMs: now() - started, error: err?.message ?? String(err) };
+  } finally {
+    globalThis.clearTimeout(timer);
+  }
+}
+
+/**
+ * Create a health-check registry.
+ *
+ * @param {object} [options={}]
+ * @param {() => number} [options.now=Date.now] - Clock (injectable for tests).
+ * @returns {{
+ *   register: (name: string, fn: HealthCheckFn, options?: HealthCheckOptions) => void,
+ *   unregister: (name: string) => boolean,
+ *   names: (type?: 'readiness'|'liveness') => string[],
+ *   run: (type?: 'readiness'|'liveness') => Promise<HealthReport>,
+ * }}
+ *
+ * @example
+ * app.locals.health.register('database', () => pool.query('SELECT 1'), { timeout: 1000 });
+ * app.locals.health.register('cache', () => redis.ping(), { critical: false, cacheTtl: 10_000 });
+ */
+export function createHealthRegistry({ now = Date.now } = {}) {
+  /** @type {Map<string, { fn: HealthCheckFn, timeout: number, critical: boolean, cacheTtl: number, type: string, last?: object, expiresAt?: number, pending?: Promise<object> }>} */
+  const checks = new Map();
+
+  /**
+   * Add (or replace) a named check.
+   *
+   * @param {string} name
+   * @param {HealthCheckFn} fn
+   * @param {HealthCheckOptions} [options={}]
+   */
+  const register = (name, fn, { timeout = 5000, critical = true, cacheTtl = 0, type = 'readiness' } = {}) => {
+    if (typeof fn !== 'function') {
+      throw createAppError('INVALID_HEALTH_CHECK', `Health check "${name}" must be a function`, 500);
+    }
+    checks.set(name, { fn, timeout, critical, cacheTtl, type });
+  };
+
+  /**
+   * Remove a check.
+   *
+   * @param {string} name
+   * @returns {boolean} Whether a check was removed.
+   */
+  const unregister = (name) => checks.delete(name);
+
+  /**
+   * Names of the registered checks, optionally for one probe type.
+   *
+   * @param {'readiness'|'liveness'} [type]
+   * @returns {string[]}
+   */
+  const names = (type) => [...checks].filter(([, check]) => !type || check.type === type).map(([name]) => name);
+
+  /** Run one check, honouring its cache and sharing in-flight runs. */
+  const runCheck = async (check) => {
+    if (check.last && check.expiresAt > now()) {
+      return { ...check.last, durationMs: 0, cached: true };
+    }
+    check.pending ??= runWithTimeout(check.fn, check.timeout, now).finally(() => {
+      check.pending = undefined;
+    });
+    const result = await check.pending;
+    if (check.cacheTtl > 0) {
+      check.last = result;
+      check.expiresAt = now() + check.cacheTtl;
+    }
+    return { ...result, cached: false };
+  };
+
+  /**
+   * Run every check of a probe type concurrently.
+   *
+   * @param {'readiness'|'liveness'} [type='readiness']
+   * @returns {Promise<HealthReport>}
+   */
+  const run = async (type = 'readiness') => {
+    const started = now();
+    const selected = [...checks].filter(([, check]) => check.type === type);
+    const results = await Promise.all(selected.map(async ([name, check]) => [
+      name,
+      { critical: check.critical, ...(await runCheck(check)) },
+    ]));
+
+    const failed = results.filter(([, result]) => result.status === 'fail');
+    let status = 'ok';
+    if (failed.some(([, result]) => result.critical)) {
+      status = 'fail';
+    } else if (failed.length > 0) {
+      status = 'degraded';
+    }
+
+    return { status, durationMs: now() - started, checks: Object.fromEntries(results) };
+  };
+
+  return { register, unregister, names, run };
+}
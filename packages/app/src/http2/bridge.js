@@ -0,0 +1,58 @@
+/**
+ * @module http2/bridge
+ * @description Run an Express app behind `node:http2`'s compatibility API.
+ *
+ * Express swaps the prototype of every request/response to `app.request` /
+ * `app.response`, which inherit from `http.IncomingMessage` /
+ * `http.ServerResponse`. HTTP/2 compat objects are
+ * `Http2ServerRequest` / `Http2ServerResponse`, so the bridge builds a
+ * second pair of prototypes carrying Express's methods on top of the
+ * HTTP/2 classes and hands HTTP/2 requests to the app with those.
+ * HTTP/1.1 requests (ALPN fallback, cleartext clients) go through the app
+ * unchanged.
+ */
+
+import http2 from 'node:http2';
+
+/**
+ * Copy Express's request/response methods onto an HTTP/2 compat prototype.
+ *
+ * @param {object} expressProto - Express's `request` or `response` prototype.
+ * @param {object} http2Proto   - `Http2ServerRequest.prototype` or `Http2ServerResponse.prototype`.
+ * @param {import('express').Express} app
+ * @returns {object}
+ */
+function bridgePrototype(expressProto, http2Proto, app) {
+  const bridged = Object.create(http2Proto, Object.getOwnPropertyDescriptors(expressProto));
+  return Object.create(bridged, {
+    app: { configurable: true, enumerable: true, writable: true, value: app },
+  });
+}
+
+/**
+ * Create a request handler that serves `app` over HTTP/2 and HTTP/1.1.
+ *
+ * @param {import('express').Express} app - Express app from createApp().
+ * @returns {(req: object, res: object) => void}
+ */
+export function createHttp2Bridge(app) {
+  // Inherits everything from `app` except the prototypes handed to requests
+  const bridged = Object.create(app, {
+    request: {
+      value: bridgePrototype(Object.getPrototypeOf(app.request), http2.Http2ServerRequest.prototype, app),
+    },
+    response: {
+      value: bridgePrototype(Object.getPrototypeOf(app.response), http2.Http2ServerResponse.prototype, app),
+    },
+  });
+
+  return (req, res) => {
+    if (req.httpVersionMajor < 2) {
+      app(req, res);
+      return;
+    }
+    // HTTP/2 carries the host in :authority; Express reads the Host header
+    req.headers.host ??= req.authority;
+    bridged.handle(req, res);
+  };
+}
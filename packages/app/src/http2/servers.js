@@ -0,0 +1,181 @@
+/**
+ * @module http2/servers
+ * @description HTTP/2 listeners for createServer().
+ *
+ * - With TLS: one `http2.createSecureServer()` advertising `h2` and
+ *   `http/1.1` over ALPN, so HTTP/1.1-only clients still connect.
+ * - Cleartext (h2c): Node cannot fall back to HTTP/1.1 on its own, so a
+ *   plain TCP listener looks at the first bytes of each connection and
+ *   hands it to an HTTP/2 server (connection preface `PRI * HTTP/2.0`) or
+ *   an HTTP/1.1 server. Probes and tools that only speak HTTP/1.1 keep
+ *   working on the same port.
+ *
+ * Both return a connection tracker that graceful shutdown uses in place
+ * of `closeIdleConnections()` / `closeAllConnections()`, which HTTP/2
+ * servers don't have.
+ */
+
+import { Buffer } from 'node:buffer';
+import http from 'node:http';
+import http2 from 'node:http2';
+import net from 'node:net';
+
+const PREFACE = Buffer.from('PRI * HTTP/2.0\r\n');
+
+/**
+ * @typedef {object} ConnectionTracker
+ * @property {() => void} closeIdle - Send GOAWAY to HTTP/2 sessions and close idle HTTP/1.1 sockets;
+ *   busy HTTP/1.1 sockets close once their last response is sent.
+ * @property {() => void} closeAll  - Destroy every session and socket.
+ */
+
+/**
+ * Whether `received` starts with the HTTP/2 connection preface.
+ *
+ * @param {Buffer} received - Bytes read from the connection so far.
+ * @returns {boolean|null} null while they match but are too few to tell
+ *   (a lone "P" may still become "POST").
+ */
+function isPreface(received) {
+  const length = Math.min(received.length, PREFACE.length);
+  if (!received.subarray(0, length).equals(PREFACE.subarray(0, length))) {
+    return false;
+  }
+  return received.length >= PREFACE.length ? true : null;
+}
+
+/**
+ * Track sockets, HTTP/2 sessions and in-flight HTTP/1.1 requests.
+ *
+ * @param {(socket: net.Socket) => boolean} isHttp2Socket
+ * @returns {ConnectionTracker & {
+ *   addSocket: (socket: net.Socket) => void,
+ *   addSession: (session: http2.Http2Session) => void,
+ *   wrap: (handler: Function) => Function,
+ * }}
+ */
+function createTracker(isHttp2Socket) {
+  const sockets = new Set();
+  const sessions = new Set();
+  const inFlight = new WeakMap();
+  let draining = false;
+
+  const forget = (set, item) => item.once('close', () => set.delete(item));
+
+  return {
+    addSocket(socket) {
+      sockets.add(socket);
+      forget(sockets, socket);
+    },
+
+    addSession(session) {
+      sessions.add(session);
+      forget(sessions, session);
+    },
+
+    /** Count HTTP/1.1 requests per socket so idle sockets can be told apart. */
+    wrap(handler) {
+      return (req, res) => {
+        if (req.httpVersionMajor < 2) {
+          const { socket } = req;
+          inFlight.set(socket, (inFlight.get(socket) ?? 0) + 1);
+          res.once('close', () => {
+            const remaining = inFlight.get(socket) - 1;
+            inFlight.set(socket, remaining);
+            if (draining && remaining === 0) {
+              socket.end();
+            }
+          });
+        }
+        handler(req, res);
+      };
+    },
+
+    closeIdle() {
+      draining = true;
+      for (const session of sessions) {
+        session.close();
+      }
+      for (const socket of sockets) {
+        if (!isHttp2Socket(socket) && !inFlight.get(socket)) {
+          socket.end();
+        }
+      }
+    },
+
+    closeAll() {
+      for (const session of sessions) {
+        session.destroy();
+      }
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+    },
+  };
+}
+
+/**
+ * Create an HTTP/2 server: h2 with HTTP/1.1 ALPN fallback when `tls` is
+ * given, otherwise h2c with HTTP/1.1 on the same port.
+ *
+ * @param {(req: object, res: object) => void} handler - Request handler (see createHttp2Bridge()).
+ * @param {object} [options={}]
+ * @param {import('node:https').ServerOptions} [options.tls] - TLS options from createTlsOptions().
+ * @param {number} [options.headersTimeout=60000] - Ms an h2c-port client gets to send its first bytes.
+ * @returns {{ server: net.Server, connections: ConnectionTracker }}
+ */
+export function createHttp2Server(handler, { tls, headersTimeout = 60000 } = {}) {
+  if (tls) {
+    const tracker = createTracker((socket) => socket.alpnProtocol === 'h2');
+    const server = http2.createSecureServer({ ...tls, allowHTTP1: true }, tracker.wrap(handler));
+    server.on('secureConnection', tracker.addSocket);
+    server.on('session', tracker.addSession);
+    return { server, connections: tracker };
+  }
+
+  const h2cSockets = new WeakSet();
+  const tracker = createTracker((socket) => h2cSockets.has(socket));
+  const wrapped = tracker.wrap(handler);
+  const h1 = http.createServer(wrapped);
+  const h2c = http2.createServer(wrapped);
+  h2c.on('session', tracker.addSession);
+
+  const server = net.createServer((socket) => {
+    tracker.addSocket(socket);
+    const ignoreEarlyErrors = () => socket.destroy();
+    socket.on('error', ignoreEarlyErrors);
+    // Clients that connect and stay silent would otherwise hold the socket
+    // forever, before the HTTP servers' own timeouts apply
+    const dropSilent = () => socket.destroy();
+    socket.setTimeout(headersTimeout, dropSilent);
+
+    // Buffer until the bytes tell the protocols apart
+    let received = Buffer.alloc(0);
+    const sniff = () => {
+      for (let chunk = socket.read(); chunk; chunk = socket.read()) {
+        received = Buffer.concat([received, chunk]);
+      }
+      const preface = isPreface(received);
+      if (preface === null) {
+        return;
+      }
+      socket.off('readable', sniff);
+      socket.off('end', dropSilent);
+      socket.off('error', ignoreEarlyErrors);
+      socket.setTimeout(0);
+      socket.off('timeout', dropSilent);
+      socket.unshift(received);
+      if (preface) {
+        h2cSockets.add(socket);
+        h2c.emit('connection', socket);
+      } else {
+        h1.emit('connection', socket);
+      }
+    };
+    socket.on('readable', sniff);
+    // Closed before saying enough to pick a server
+    socket.once('end', dropSilent);
+  });
+
+  return { server, connections: tracker };
+}
@@ -0,0 +1,91 @@
+/**
+ * @module lifecycle/shutdownHooks
+ * @description Ordered async hooks run by createServer() during graceful
+ * shutdown, after connections have drained — the place for plugins to
+ * flush buffers and close pools.
+ */
+
+import { createAppError } from '../errors/appError.js';
+
+/**
+ * @typedef {object} ShutdownHookOptions
+ * @property {number} [order=0]      - Lower runs first; equal orders run in registration order.
+ * @property {number} [timeout=5000] - Milliseconds before the hook is abandoned.
+ */
+
+/**
+ * @typedef {object} ShutdownHookResult
+ * @property {string} name
+ * @property {'ok'|'fail'} status
+ * @property {number} durationMs
+ * @property {string} [error]
+ */
+
+/**
+ * Create a shutdown hook registry.
+ *
+ * @param {object} [options={}]
+ * @param {() => number} [options.now=Date.now] - Clock (injectable for tests).
+ * @returns {{
+ *   register: (name: string, fn: () => (void|Promise<void>), options?: ShutdownHookOptions) => void,
+ *   run: (options?: { logger?: object }) => Promise<ShutdownHookResult[]>,
+ * }}
+ *
+ * @example
+ * app.locals.shutdownHooks.register('flush-metrics', () => metrics.flush(), { order: 10 });
+ * app.locals.shutdownHooks.register('close-db', () => pool.end(), { order: 20, timeout: 10_000 });
+ */
+export function createShutdownHooks({ now = Date.now } = {}) {
+  const hooks = [];
+
+  /**
+   * Add a hook.
+   *
+   * @param {string} name
+   * @param {() => (void|Promise<void>)} fn
+   * @param {ShutdownHookOptions} [options={}]
+   */
+  const register = (name, fn, { order = 0, timeout = 5000 } = {}) => {
+    if (typeof fn !== 'function') {
+      throw createAppError('INVALID_SHUTDOWN_HOOK', `Shutdown hook "${name}" must be a function`, 500);
+    }
+    hooks.push({ name, fn, order, timeout, seq: hooks.length });
+  };
+
+  /**
+   * Run every hook in order, one at a time. A failing or timed-out hook
+   * is logged and does not stop the hooks after it.
+   *
+   * @param {object} [options={}]
+   * @param {object} [options.logger] - Logger for hook failures.
+   * @returns {Promise<ShutdownHookResult[]>}
+   */
+  const run = async ({ logger } = {}) => {
+    const ordered = [...hooks].sort((a, b) => a.order - b.order || a.seq - b.seq);
+    const results = [];
+
+    for (const hook of ordered) {
+      const started = now();
+      let timer;
+      try {
+        await Promise.race([
+          Promise.resolve().then(() => hook.fn()),
+          new Promise((_resolve, reject) => {
+            timer = globalThis.setTimeout(() => reject(new Error(`timed out after ${hook.timeout}ms`)), hook.timeout);
+          }),
+        ]);
+        results.push({ name: hook.name, status: 'ok', durationMs: now() - started });
+      } catch (err) {
+        const error = err?.message ?? String(err);
+        logger?.error(`Shutdown hook "${hook.name}" failed: ${error}`);
+        results.push({ name: hook.name, status: 'fail', durationMs: now() - started, error });
+      } finally {
+        globalThis.clearTimeout(timer);
+      }
+    }
+
+    return results;
+  };
+
+  return { register, run };
+}
@@ -0,0 +1,186 @@
+/**
+ * @module middlewares/accessLog
+ * @description HTTP access logging through the shared logger. One entry
+ * per request, written when the response finishes (or the client goes
+ * away), in one of three formats:
+ *
+ * - `short`    – `127.0.0.1 GET /tasks HTTP/1.1 200 512 - 3.2 ms`
+ * - `combined` – Apache/NCSA combined log format
+ * - `json`     – `request completed` with the fields as metadata
+ *
+ * Paths are logged without their query string so tokens passed in URLs
+ * don't end up in log files (CWE-532). Client-supplied fields in the
+ * text formats are escaped so they can't forge log lines (CWE-117).
+ */
+
+import { performance } from 'node:perf_hooks';
+import { createLogger } from '@animated-spork/shared';
+import { loggerOptions } from '../config/logging.js';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * @typedef {object} AccessLogEntry
+ * @property {string}      method
+ * @property {string|null} route       - Matched route pattern (e.g. '/tasks/:id'), null when no route matched.
+ * @property {string}      path        - Request path without the query string.
+ * @property {number}      status
+ * @property {number|null} bytes       - Response Content-Length, null when unknown (e.g. chunked).
+ * @property {number}      durationMs
+ * @property {string}      httpVersion - '1.1', '2.0', …
+ * @property {string}      [remoteAddr]
+ * @property {string}      [user]      - Session user id, if logged in.
+ * @property {string}      [referrer]
+ * @property {string}      [userAgent]
+ * @property {string}      [requestId]
+ * @property {boolean}     [aborted]   - The client closed the connection before the response finished.
+ */
+
+/**
+ * Format a date like `10/Oct/2000:13:55:36 +0000` (UTC).
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function clfDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:`
+    + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+/**
+ * Escape a field the way Apache does: `"` and `\` are backslash-escaped,
+ * control characters written as `\xNN`.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeField(value) {
+  // eslint-disable-next-line no-control-regex
+  return value.replace(/["\\\x00-\x1f\x7f]/g, (ch) => (ch === '"' || ch === '\\'
+    ? `\\${ch}`
+    : `\\x${ch.charCodeAt(0).toString(16).padStart(2, '0')}`));
+}
+
+/** Line formatters; `json` logs the entry as metadata instead. */
+const FORMATS = {
+  short: (e) => `${e.remoteAddr ?? '-'} ${e.method} ${escapeField(e.path)} HTTP/${e.httpVersion} ${e.status} ${e.bytes ?? '-'} - ${e.durationMs} ms`,
+  combined: (e, startedAt) => `${e.remoteAddr ?? '-'} - ${escapeField(e.user ?? '-')} [${clfDate(startedAt)}] `
+    + `"${e.method} ${escapeField(e.path)} HTTP/${e.httpVersion}" ${e.status} ${e.bytes ?? '-'} `
+    + `"${escapeField(e.referrer ?? '-')}" "${escapeField(e.userAgent ?? '-')}"`,
+};
+
+/**
+ * Does `path` match a skip rule? Rules are exact paths, or prefixes when
+ * they end in `*` (e.g. '/assets/*'). Also used for CSRF exemptions.
+ *
+ * @param {string[]} rules
+ * @param {string}   path
+ * @returns {boolean}
+ */
+export function isSkipped(rules, path) {
+  return rules.some((rule) => (rule.endsWith('*') ? path.startsWith(rule.slice(0, -1)) : path === rule));
+}
+
+/**
+ * The route pattern that handled the request, e.g. '/admin/config'.
+ * Also used for metric labels, where raw paths would explode cardinality.
+ *
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+export function routePattern(req) {
+  if (!req.route) {
+    return null;
+  }
+  const routePath = String(req.route.path);
+  return req.baseUrl && routePath === '/' ? req.baseUrl : `${req.baseUrl}${routePath}`;
+}
+
+/**
+ * Create the access log middleware for `config.accessLogFormat`.
+ *
+ * Requests matching `config.accessLogSkip`, and static assets (marked
+ * with `res.locals.staticAsset`) unless `config.accessLogStatic` is set,
+ * are not logged. Of the rest, `config.accessLogSampleRate` decides
+ * which are logged, except that 5xx responses and requests slower than
+ * `config.accessLogSlowThreshold` ms are always logged, the latter as
+ * warnings.
+ *
+ * @param {import('../config/env.js').AppConfig} config - Frozen app config.
+ * @param {object} [options={}]
+ * @param {object} [options.logger] - Logger (default: an 'app:access' logger configured from `config`).
+ * @param {() => number} [options.random=Math.random] - Sampling source (injectable for tests).
+ * @returns {import('express').RequestHandler|null} Middleware, or null when access logging is off.
+ */
+export function accessLog(config, { logger, random = Math.random } = {}) {
+  const format = config.accessLogFormat ?? (config.nodeEnv === 'production' ? 'json' : 'short');
+  if (format === 'none') {
+    return null;
+  }
+  const {
+    accessLogSkip: skip = [],
+    accessLogStatic: logStatic = false,
+    accessLogSampleRate: sampleRate = 1,
+    accessLogSlowThreshold: slowThreshold = 0,
+  } = config;
+  let log = logger;
+  const getLogger = () => (log ??= createLogger(loggerOptions(config, 'app:access')));
+
+  return (req, res, next) => {
+    if (isSkipped(skip, req.path)) {
+      return next();
+    }
+    const startedAt = new Date();
+    const start = performance.now();
+    let finished = false;
+    let logged = false;
+
+    const write = () => {
+      if (logged || (res.locals.staticAsset && !logStatic)) {
+        return;
+      }
+      logged = true;
+
+      const durationMs = Number((performance.now() - start).toFixed(1));
+      const slow = slowThreshold > 0 && durationMs >= slowThreshold;
+      if (!slow && res.statusCode < 500 && random() >= sampleRate) {
+        return;
+      }
+
+      const length = res.getHeader('content-length');
+      /** @type {AccessLogEntry} */
+      const entry = {
+        method: req.method,
+        route: routePattern(req),
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        bytes: length === undefined ? null : Number(length),
+        durationMs,
+        httpVersion: req.httpVersion,
+        remoteAddr: req.ip ?? req.socket?.remoteAddress,
+        user: req.user?.id,
+        referrer: req.get('referer'),
+        userAgent: req.get('user-agent'),
+        requestId: req.id,
+      };
+      if (!finished) {
+        entry.aborted = true;
+      }
+
+      const level = slow ? 'warn' : 'info';
+      if (format === 'json') {
+        getLogger()[level](slow ? 'slow request' : 'request completed', entry);
+      } else {
+        getLogger()[level](FORMATS[format](entry, startedAt) + (slow ? ' (slow)' : ''), { requestId: entry.requestId });
+      }
+    };
+
+    res.once('finish', () => {
+      finished = true;
+      write();
+    });
+    res.once('close', write);
+    next();
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * @module middlewares/adminAuth
+ * @description Authentication for the built-in /admin routes. The mode
+ * comes from `config.adminAuth`:
+ *
+ * - `basic` (default) — HTTP Basic against `config.adminCredentials`
+ *   (`user:<hash>` entries, hashes from hashPassword()).
+ * - `jwt`   — bearer token via jwtAuthMiddleware, requiring `config.adminRole`.
+ * - `ip`    — client address must match `config.adminAllowlist`.
+ * - `none`  — no protection; meant for local development only.
+ *
+ * Failed attempts are logged. After `config.adminMaxAttempts` failures a
+ * client address is locked out for `config.adminLockout` ms (429).
+ */
+
+import crypto from 'node:crypto';
+import net from 'node:net';
+import { Buffer } from 'node:buffer';
+import {
+  createLogger,
+  createMemoryStore,
+  hashPassword,
+  jwtAuthMiddleware,
+  requireRoles,
+  verifyPassword,
+} from '@animated-spork/shared';
+import { loggerOptions } from '../config/logging.js';
+import { createAppError } from '../errors/appError.js';
+
+/**
+ * Split `user:hash` entries into a lookup map.
+ *
+ * @param {string[]} entries
+ * @returns {Map<string, string>}
+ */
+function parseCredentials(entries) {
+  const users = new Map();
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    if (separator < 1) {
+      throw createAppError('ADMIN_AUTH_MISCONFIGURED', 'adminCredentials entries must look like user:<hash>', 500);
+    }
+    users.set(entry.slice(0, separator), entry.slice(separator + 1));
+  }
+  return users;
+}
+
+/**
+ * Build a matcher for IP addresses and CIDR ranges.
+ *
+ * @param {string[]} entries - e.g. ['127.0.0.1', '10.0.0.0/8', '::1']
+ * @returns {net.BlockList}
+ */
+function createAllowlist(entries) {
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address) || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+      throw createAppError('ADMIN_AUTH_MISCONFIGURED', `Invalid adminAllowlist entry "${entry}"`, 500);
+    }
+    if (prefix === undefined) {
+      list.addAddress(address, family);
+    } else {
+      list.addSubnet(address, Number(prefix), family);
+    }
+  }
+  return list;
+}
+
+/**
+ * Client address with IPv4-mapped IPv6 addresses unwrapped.
+ *
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function clientAddress(req) {
+  return (req.ip ?? req.socket?.remoteAddress ?? '').replace(/^::ffff:(?=\d+\.)/, '');
+}
+
+/**
+ * Create the admin authentication middleware chain for `config.adminAuth`.
+ *
+ * @param {import('../config/env.js').AppConfig} config - Frozen app config.
+ * @param {object} [options={}]
+ * @param {object} [options.tokens] - Token service (required in jwt mode).
+ * @param {object} [options.denylist] - Revoked token ids checked in jwt mode.
+ * @param {object} [options.logger] - Logger for failed attempts (default: an 'app:admin' logger configured from `config`).
+ * @param {object} [options.store] - Key-value store with an atomic update() for failure counters (default: in-memory).
+ * @param {() => number} [options.now=Date.now] - Clock (injectable for tests).
+ * @returns {Function[]} Express middleware to mount in front of /admin.
+ * @throws {AppError} ADMIN_AUTH_MISCONFIGURED for unusable settings.
+ */
+export function adminAuth(config, {
+  tokens,
+  denylist,
+  logger,
+  store = createMemoryStore(),
+  now = Date.now,
+} = {}) {
+  const mode = config.adminAuth;
+  let log = logger;
+  const getLogger = () => (log ??= createLogger(loggerOptions(config, 'app:admin')));
+
+  if (mode === 'none') {
+    if (config.nodeEnv === 'production') {
+      getLogger().warn('Admin routes are unprotected (adminAuth=none) in production');
+    }
+    return [];
+  }
+
+  const failureKey = (req) => `admin-failures:${clientAddress(req)}`;
+
+  /** Reject clients that are currently locked out. */
+  const lockoutGuard = async (req, res, next) => {
+    try {
+      const entry = await store.get(failureKey(req));
+      if (entry?.lockedUntil > now()) {
+        res.set('Retry-After', String(Math.ceil((entry.lockedUntil - now()) / 1000)));
+        return next(createAppError('ADMIN_LOCKED_OUT', 'Too many failed attempts — try again later', 429));
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  /** Log a failed attempt and lock the client out once the limit is hit. */
+  const recordFailure = async (req, reason, user) => {
+    const ip = clientAddress(req);
+    getLogger().warn('Admin authentication failed', { ip, path: req.originalUrl, reason, user });
+
+    if (config.adminLockout === 0) {
+      return;
+    }
+    // Atomic, so parallel guesses can't overwrite each other's count
+    const entry = await store.update(failureKey(req), (current) => {
+      const count = (current?.count ?? 0) + 1;
+      return count >= config.adminMaxAttempts ? { count, lockedUntil: now() + config.adminLockout } : { count };
+    }, config.adminLockout);
+    if (entry.lockedUntil) {
+      getLogger().warn('Admin client locked out', { ip, attempts: entry.count, lockout: config.adminLockout });
+    }
+  };
+
+  const clearFailures = (req) => store.delete(failureKey(req));
+
+  if (mode === 'basic') {
+    const users = parseCredentials(config.adminCredentials);
+    // Unknown users are checked against a throwaway hash so timing doesn't reveal valid names
+    const dummyHash = hashPassword(crypto.randomUUID());
+    const challenge = `Basic realm="${config.appName} admin", charset="UTF-8"`;
+
+    if (users.size === 0) {
+      getLogger().warn('No adminCredentials configured — every /admin request will be rejected');
+    }
+
+    const basic = async (req, res, next) => {
+      try {
+        const [scheme, encoded] = (req.headers.authorization ?? '').split(' ');
+        if (scheme?.toLowerCase() === 'basic' && encoded) {
+          const decoded = Buffer.from(encoded, 'base64').toString('utf8');
+          const separator = decoded.indexOf(':');
+          const user = decoded.slice(0, Math.max(separator, 0));
+          const hash = users.get(user);
+          const valid = await verifyPassword(decoded.slice(separator + 1), hash ?? (await dummyHash));
+
+          if (valid && hash !== undefined && separator > 0) {
+            await clearFailures(req);
+            req.adminUser = user;
+            return next();
+          }
+          await recordFailure(req, 'invalid credentials', user);
+        }
+
+        res.set('WWW-Authenticate', challenge);
+        next(createAppError('UNAUTHORIZED', 'Admin authentication required', 401));
+      } catch (err) {
+        next(err);
+      }
+    };
+
+    return [lockoutGuard, basic];
+  }
+
+  if (mode === 'jwt') {
+    if (!tokens) {
+      throw createAppError('ADMIN_AUTH_MISCONFIGURED', 'adminAuth=jwt needs a token service', 500);
+    }
+    const verify = jwtAuthMiddleware(tokens, { denylist });
+
+    const bearer = async (req, res, next) => {
+      try {
+        let failure;
+        await verify(req, res, (err) => {
+          failure = err;
+        });
+
+        if (failure) {
+          if (failure.statusCode === 401 && req.headers.authorization) {
+            await recordFailure(req, 'invalid token');
+          }
+          return next(failure);
+        }
+        await clearFailures(req);
+        req.adminUser = req.auth.sub;
+        next();
+      } catch (err) {
+        next(err);
+      }
+    };
+
+    return [lockoutGuard, bearer, requireRoles(config.adminRole)];
+  }
+
+  // ip
+  const allowlist = createAllowlist(config.adminAllowlist);
+  const ipGuard = (req, _res, next) => {
+    const ip = clientAddress(req);
+    if (net.isIP(ip) && allowlist.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4')) {
+      return next();
+    }
+    getLogger().warn('Admin access denied for address', { ip, path: req.originalUrl });
+    next(createAppError('FORBIDDEN', 'Admin access is not allowed from this address', 403));
+  };
+
+  return [ipGuard];
+}
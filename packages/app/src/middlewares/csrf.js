@@ -0,0 +1,152 @@
+/**
+ * @module middlewares/csrf
+ * @description Cross-site request forgery protection with signed
+ * double-submit tokens.
+ *
+ * The token lives in an HttpOnly cookie and must come back with the
+ * request, in the `_csrf` body field or the `X-CSRF-Token` header. A
+ * cross-site page can make the browser send the cookie but can't read
+ * it, so it can't supply the matching token. Tokens are HMAC-signed and
+ * bound to the session id, so a token planted from a sibling subdomain
+ * or taken from another session is rejected.
+ *
+ * Checked: POST/PUT/PATCH/DELETE requests that a cross-site HTML form
+ * could send (urlencoded, multipart or text/plain bodies), and any that
+ * carry the session cookie. Requests authenticated by a Bearer token
+ * without the session cookie are exempt — browsers never attach those
+ * on their own.
+ */
+
+import { Buffer } from 'node:buffer';
+import crypto from 'node:crypto';
+import { createLogger } from '@animated-spork/shared';
+import { loggerOptions } from '../config/logging.js';
+import { createAppError } from '../errors/appError.js';
+import { isSkipped } from './accessLog.js';
+import { parseCookies } from './session.js';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'TRACE']);
+
+/** Content types a cross-site HTML form can submit without a CORS preflight. */
+const FORM_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data', 'text/plain'];
+
+/** Body field and header the token is read from. */
+export const CSRF_FIELD = '_csrf';
+export const CSRF_HEADER = 'x-csrf-token';
+
+/**
+ * Escape a value for an HTML attribute.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeAttribute = (value) => value.replace(/[&"<>]/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Create the CSRF middleware. Adds `req.csrfToken()` and, for views,
+ * `csrfToken()` and `csrfField()` (the hidden `<input>`, rendered with
+ * `<%- csrfField() %>`). The token cookie is only (re)issued when a token
+ * is asked for and the current one doesn't match the session.
+ *
+ * Must run after the body parsers and sessionMiddleware().
+ *
+ * @param {import('../config/env.js').AppConfig} config - Frozen app config.
+ * @param {object} [options={}]
+ * @param {string[]} [options.ignorePaths=[]] - Paths exempt in addition to `config.csrfIgnorePaths`.
+ * @param {object} [options.logger] - Logger for rejected requests (default: an 'app:csrf' logger configured from `config`).
+ * @returns {import('express').RequestHandler|null} Middleware, or null when `config.csrfProtection` is off.
+ * @throws {AppError} CSRF_MISCONFIGURED in production without `config.csrfSecret` or `config.sessionSecret`.
+ */
+export function csrfProtection(config, { ignorePaths = [], logger } = {}) {
+  if (!config.csrfProtection) {
+    return null;
+  }
+  let log = logger;
+  const getLogger = () => (log ??= createLogger(loggerOptions(config, 'app:csrf')));
+
+  let secret = config.csrfSecret ?? config.sessionSecret;
+  let warnOnIssue = false;
+  if (!secret) {
+    // Plugin forms need protection too, so turning it off must be explicit
+    if (config.nodeEnv === 'production') {
+      throw createAppError(
+        'CSRF_MISCONFIGURED',
+        'CSRF_SECRET (or SESSION_SECRET) is required for CSRF protection in production; set CSRF_PROTECTION=false to turn it off',
+        500,
+      );
+    }
+    // Development fallback: open forms stop working when the process restarts.
+    // Warned about once forms use it, not in every app without any
+    secret = crypto.randomBytes(32).toString('base64url');
+    warnOnIssue = true;
+  }
+
+  const name = config.csrfCookie;
+  const ignored = [...(config.csrfIgnorePaths ?? []), ...ignorePaths];
+  const cookieOptions = {
+    httpOnly: true,
+    sameSite: config.sessionSameSite,
+    secure: config.sessionSecure ?? config.nodeEnv === 'production',
+    path: '/',
+  };
+
+  const sign = (sessionId, random) => crypto.createHmac('sha256', secret).update(`${sessionId}!${random}`).digest('base64url');
+  const issue = (sessionId) => {
+    if (warnOnIssue) {
+      warnOnIssue = false;
+      getLogger().warn('CSRF_SECRET is not set — using a random per-process secret');
+    }
+    const random = crypto.randomBytes(24).toString('base64url');
+    return `${random}.${sign(sessionId, random)}`;
+  };
+  const isValid = (token, sessionId) => {
+    const [random, signature, extra] = typeof token === 'string' ? token.split('.') : [];
+    if (!random || !signature || extra !== undefined) {
+      return false;
+    }
+    const expected = Buffer.from(sign(sessionId, random));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  };
+  const sameToken = (a, b) => typeof a === 'string' && typeof b === 'string'
+    && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+  const needsCheck = (req, cookies) => {
+    if (SAFE_METHODS.has(req.method) || isSkipped(ignored, req.path)) {
+      return false;
+    }
+    const hasSession = cookies[config.sessionCookie] !== undefined;
+    if (!hasSession && /^Bearer\s/i.test(req.get('authorization') ?? '')) {
+      return false;
+    }
+    return hasSession || Boolean(req.is(FORM_TYPES));
+  };
+
+  return (req, res, next) => {
+    const cookies = parseCookies(req.headers.cookie);
+    // The session can change during the request (login), so ids are read lazily
+    const sessionId = () => req.session?.id ?? '';
+    let token = cookies[name];
+
+    req.csrfToken = () => {
+      if (!isValid(token, sessionId())) {
+        token = issue(sessionId());
+        res.cookie(name, token, cookieOptions);
+      }
+      return token;
+    };
+    res.locals.csrfToken = req.csrfToken;
+    res.locals.csrfField = () => `<input type="hidden" name="${CSRF_FIELD}" value="${escapeAttribute(req.csrfToken())}">`;
+
+    if (!needsCheck(req, cookies)) {
+      return next();
+    }
+    const submitted = req.body?.[CSRF_FIELD] ?? req.get(CSRF_HEADER);
+    if (isValid(cookies[name], sessionId()) && sameToken(submitted, cookies[name])) {
+      return next();
+    }
+
+    getLogger().warn('CSRF check failed', { ip: req.ip, method: req.method, path: req.path, tokenSent: Boolean(submitted) });
+    next(createAppError('CSRF_INVALID', 'Invalid or missing CSRF token — reload the page and try again', 403));
+  };
+}
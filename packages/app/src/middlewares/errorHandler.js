@@ -1,11 +1,17 @@
 /**
  * @module middlewares/errorHandler
  * @description Express error-handling middleware for 404 catch-all and
- * generic error responses. Content-negotiates between HTML and JSON.
+ * generic error responses. Browsers get an HTML error page, every other
+ * client RFC 9457 `application/problem+json`; both show the request id
+ * so support tickets can quote it.
  */
 import console from 'node:console';
+import { STATUS_CODES } from 'node:http';
 import { createNotFoundError } from '../errors/appError.js';
 
+/** Problem members that error extensions can't override. */
+const PROBLEM_MEMBERS = new Set(['type', 'title', 'status', 'detail', 'instance', 'code', 'requestId']);
+
 /**
  * Catch-all middleware that creates a 404 AppError for any unmatched
  * route and forwards it to the error handler.
@@ -19,40 +25,89 @@ export function notFoundHandler(req, res, next) {
 }
 
 /**
- * Express 4-argument error middleware. Content-negotiates the response:
- * - `text/html`        → renders an EJS error view.
- * - `application/json` → returns a JSON error envelope.
+ * Build the RFC 9457 problem details for an error.
  *
- * Non-operational (unexpected) errors are logged and surfaced as a
- * generic 500 response.
+ * `type` is `config.problemTypeBase` followed by the error code in
+ * kebab-case (`RATE_LIMITED` → `…/rate-limited`), or `about:blank`
+ * without a base. Operational errors add their message as `detail` and
+ * their `extensions` as extra members; unexpected errors reveal neither.
  *
- * @param {Error}  err
- * @param {import('express').Request}  req
- * @param {import('express').Response} res
- * @param {import('express').NextFunction} _next
+ * @param {Error} err
+ * @param {import('express').Request} req
+ * @param {object} [options={}]
+ * @param {string} [options.typeBase] - URI prefix for problem types.
+ * @returns {object} Problem details object.
  */
-// eslint-disable-next-line no-unused-vars
-export function errorHandler(err, req, res, _next) {
-  const statusCode = err.statusCode || 500;
-  const code = err.code || 'INTERNAL_ERROR';
-  const message = err.isOperational ? err.message : 'Internal server error';
-
-  if (!err.isOperational) {
-    console.error('Unexpected error:', err);
+export function problemDetails(err, req, { typeBase } = {}) {
+  const status = err.statusCode || 500;
+  const code = err.isOperational && err.code ? err.code : 'INTERNAL_ERROR';
+  const problem = {
+    type: typeBase ? `${typeBase}${code.toLowerCase().replaceAll('_', '-')}` : 'about:blank',
+    title: STATUS_CODES[status] ?? 'Error',
+    status,
+  };
+  if (err.isOperational) {
+    problem.detail = err.message;
   }
+  problem.instance = req.originalUrl.split('?')[0];
+  problem.code = code;
+  problem.requestId = req.id;
 
-  res.status(statusCode);
-
-  if (req.accepts('html')) {
-    res.render('errors/404', { message, statusCode }, (renderErr, html) => {
-      if (renderErr) {
-        res.type('text/plain').send(`${statusCode} — ${message}`);
-        return;
+  if (err.isOperational && err.extensions) {
+    for (const [name, value] of Object.entries(err.extensions)) {
+      if (!PROBLEM_MEMBERS.has(name)) {
+        problem[name] = value;
       }
-      res.send(html);
-    });
-    return;
+    }
   }
+  return problem;
+}
+
+/**
+ * Create the Express 4-argument error middleware. Content-negotiates the
+ * response:
+ * - clients preferring `text/html` → the `errors/<status>` view, falling
+ *   back to `errors/error` (both overridable through `config.viewsDir`).
+ * - everyone else, clients accepting anything included →
+ *   `application/problem+json`.
+ *
+ * Non-operational (unexpected) errors are logged and surfaced as a
+ * generic 500 response.
+ *
+ * @param {import('../config/env.js').AppConfig} [config={}] - Frozen app config.
+ * @returns {import('express').ErrorRequestHandler}
+ */
+export function errorHandler(config = {}) {
+  // eslint-disable-next-line no-unused-vars
+  return (err, req, res, _next) => {
+    const problem = problemDetails(err, req, { typeBase: config.problemTypeBase });
+    const { status: statusCode, requestId } = problem;
+
+    if (!err.isOperational) {
+      console.error(`Unexpected error (request ${requestId}):`, err);
+    }
+    if (statusCode >= 500) {
+      req.span?.recordException(err);
+    }
+
+    res.status(statusCode);
+
+    if (req.accepts(['application/problem+json', 'application/json', 'html']) === 'html') {
+      const locals = { ...problem, statusCode, message: problem.detail ?? problem.title };
+      const sendPlain = () => res.type('text/plain').send(`${statusCode} — ${locals.message}`);
+      res.render(`errors/${statusCode}`, locals, (renderErr, html) => {
+        if (!renderErr) {
+          res.send(html);
+          return;
+        }
+        if (!/^Failed to lookup view/.test(renderErr.message)) {
+          console.error(`Error view errors/${statusCode} failed (request ${requestId}):`, renderErr);
+        }
+        res.render('errors/error', locals, (fallbackErr, fallbackHtml) => (fallbackErr ? sendPlain() : res.send(fallbackHtml)));
+      });
+      return;
+    }
 
-  res.json({ error: { code, message, statusCode } });
+    res.type('application/problem+json').json(problem);
+  };
 }
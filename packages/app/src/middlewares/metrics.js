@@ -0,0 +1,81 @@
+/**
+ * @module middlewares/metrics
+ * @description HTTP request metrics and the guard in front of /metrics.
+ */
+
+import crypto from 'node:crypto';
+import { createAppError } from '../errors/appError.js';
+import { routePattern } from './accessLog.js';
+
+/**
+ * Record `http_request_duration_seconds{method,route,status}` for every
+ * request. `route` is the matched route pattern, or 'unmatched' (404s,
+ * static assets) so scanners can't create a series per path.
+ *
+ * @param {ReturnType<import('@animated-spork/shared').createMetricsRegistry>} registry
+ * @returns {import('express').RequestHandler}
+ */
+export function httpMetrics(registry) {
+  const duration = registry.histogram('http_request_duration_seconds', 'HTTP request duration in seconds', {
+    labelNames: ['method', 'route', 'status'],
+  });
+
+  return (req, res, next) => {
+    const end = duration.startTimer({ method: req.method });
+    let recorded = false;
+    const record = () => {
+      if (!recorded) {
+        recorded = true;
+        end({ route: routePattern(req) ?? 'unmatched', status: res.statusCode });
+      }
+    };
+    res.once('finish', record);
+    res.once('close', record);
+    next();
+  };
+}
+
+/**
+ * Compare two secrets in constant time (digests equalise the lengths).
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Build the middleware guarding /metrics for `config.metricsAuth`:
+ * nothing (`none`), the /admin guard (`admin`), or a bearer token equal
+ * to `config.metricsToken` (`token`, Prometheus' `authorization` setting).
+ *
+ * @param {import('../config/env.js').AppConfig} config - Frozen app config.
+ * @param {object} options
+ * @param {Function[]} options.adminGuard - Middleware guarding /admin.
+ * @returns {Function[]}
+ * @throws {AppError} METRICS_MISCONFIGURED when token mode has no token.
+ */
+export function metricsAuth(config, { adminGuard }) {
+  switch (config.metricsAuth) {
+    case 'admin':
+      return adminGuard;
+    case 'token': {
+      if (!config.metricsToken) {
+        throw createAppError('METRICS_MISCONFIGURED', 'metricsAuth=token needs METRICS_TOKEN', 500);
+      }
+      return [(req, res, next) => {
+        const [scheme, token] = (req.get('authorization') ?? '').split(' ');
+        if (scheme?.toLowerCase() === 'bearer' && token && safeEqual(token, config.metricsToken)) {
+          return next();
+        }
+        res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+        next(createAppError('UNAUTHORIZED', 'Metrics authentication required', 401));
+      }];
+    }
+    default:
+      return [];
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * @module middlewares/securityHeaders
+ * @description Security response headers: Content-Security-Policy (or
+ * its report-only variant) with a fresh nonce per request,
+ * X-Content-Type-Options, Referrer-Policy, Permissions-Policy,
+ * Cross-Origin-Opener/Embedder-Policy and, on secure requests,
+ * Strict-Transport-Security.
+ *
+ * The nonce is added to `script-src` and `style-src` and exposed to views
+ * as `cspNonce`, so templates can mark their inline scripts and styles:
+ * `<script nonce="<%= cspNonce %>">`.
+ */
+
+import crypto from 'node:crypto';
+import { createAppError } from '../errors/appError.js';
+
+/** Default policy; `CSP_DIRECTIVES` entries replace directives by name. */
+const DEFAULT_DIRECTIVES = {
+  'default-src': "'self'",
+  'script-src': "'self'",
+  'style-src': "'self'",
+  'img-src': "'self' data:",
+  'font-src': "'self'",
+  'connect-src': "'self'",
+  'object-src': "'none'",
+  'base-uri': "'self'",
+  'form-action': "'self'",
+  'frame-ancestors': "'self'",
+};
+
+/** Directives that get the per-request nonce. */
+const NONCE_DIRECTIVES = new Set(['script-src', 'style-src']);
+
+/** Stands in for the nonce in the prebuilt header value. */
+const NONCE_PLACEHOLDER = '{nonce}';
+
+/**
+ * Build the Strict-Transport-Security header value, or null when disabled.
+ * createServer() sends it on HTTPS servers; securityHeaders() on requests
+ * that arrived over HTTPS at a proxy in front of the app.
+ *
+ * @param {object} config
+ * @returns {string|null}
+ */
+export function hstsHeader({ hstsMaxAge = 0, hstsIncludeSubDomains = false, hstsPreload = false }) {
+  if (hstsMaxAge <= 0) {
+    return null;
+  }
+  return `max-age=${hstsMaxAge}${hstsIncludeSubDomains ? '; includeSubDomains' : ''}${hstsPreload ? '; preload' : ''}`;
+}
+
+/**
+ * Merge `CSP_DIRECTIVES` entries (`'img-src https://cdn.example.com'`)
+ * over the defaults and serialise the policy, with a placeholder where
+ * the nonce goes.
+ *
+ * @param {string[]} overrides - Directive entries from config.
+ * @param {string}   [reportUri] - Where browsers send violation reports.
+ * @returns {string}
+ * @throws {AppError} SECURITY_HEADERS_MISCONFIGURED for a malformed entry.
+ */
+export function buildContentSecurityPolicy(overrides = [], reportUri) {
+  const directives = { ...DEFAULT_DIRECTIVES };
+  for (const entry of overrides) {
+    const match = /^([a-z-]+)(?:\s+([^;,]*))?$/.exec(entry.trim());
+    if (!match) {
+      throw createAppError(
+        'SECURITY_HEADERS_MISCONFIGURED',
+        `Invalid CSP_DIRECTIVES entry "${entry}" (expected "<directive> <sources>")`,
+        500,
+      );
+    }
+    directives[match[1]] = (match[2] ?? '').trim();
+  }
+  if (reportUri) {
+    directives['report-uri'] = reportUri;
+    directives['report-to'] = 'csp-endpoint';
+  }
+
+  return Object.entries(directives)
+    .map(([name, value]) => {
+      const sources = NONCE_DIRECTIVES.has(name) ? `${value} 'nonce-${NONCE_PLACEHOLDER}'` : value;
+      return sources ? `${name} ${sources.trim()}` : name;
+    })
+    .join('; ');
+}
+
+/**
+ * Create the security headers middleware.
+ *
+ * @param {import('../config/env.js').AppConfig} config - Frozen app config.
+ * @returns {import('express').RequestHandler|null} Middleware, or null when `config.securityHeaders` is off.
+ * @throws {AppError} SECURITY_HEADERS_MISCONFIGURED for malformed `CSP_DIRECTIVES`.
+ */
+export function securityHeaders(config) {
+  if (!config.securityHeaders) {
+    return null;
+  }
+
+  // Everything but the nonce is fixed for the app's lifetime
+  const headers = {
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': config.referrerPolicy,
+    'Permissions-Policy': config.permissionsPolicy,
+  };
+  if (config.crossOriginOpenerPolicy !== 'off') {
+    headers['Cross-Origin-Opener-Policy'] = config.crossOriginOpenerPolicy;
+  }
+  if (config.crossOriginEmbedderPolicy !== 'off') {
+    headers['Cross-Origin-Embedder-Policy'] = config.crossOriginEmbedderPolicy;
+  }
+  if (config.cspMode !== 'off' && config.cspReportUri) {
+    headers['Reporting-Endpoints'] = `csp-endpoint="${config.cspReportUri}"`;
+  }
+
+  const hsts = hstsHeader(config);
+  const cspHeader = config.cspMode === 'report-only' ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy';
+  const policy = config.cspMode === 'off' ? null : buildContentSecurityPolicy(config.cspDirectives, config.cspReportUri);
+
+  return (req, res, next) => {
+    res.set(headers);
+    // Browsers ignore HSTS over plain HTTP; `req.secure` needs `trust proxy` behind a proxy
+    if (hsts && req.secure) {
+      res.set('Strict-Transport-Security', hsts);
+    }
+    if (policy) {
+      const nonce = crypto.randomBytes(16).toString('base64');
+      res.locals.cspNonce = nonce;
+      res.set(cspHeader, policy.replaceAll(NONCE_PLACEHOLDER, nonce));
+    }
+    next();
+  };
+}
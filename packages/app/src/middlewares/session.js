@@ -0,0 +1,171 @@
+/**
+ * @module middlewares/session
+ * @description Cookie-based login sessions for the server-rendered UI.
+ *
+ * The cookie holds only a random session id signed with HMAC-SHA256
+ * (`<id>.<signature>`); the session itself lives in a key-value store
+ * from `@animated-spork/shared`. Sessions expire after `config.sessionTtl`
+ * ms of inactivity — every request renews them (sliding expiry).
+ */
+
+import { Buffer } from 'node:buffer';
+import crypto from 'node:crypto';
+import { createLogger, createMemoryStore } from '@animated-spork/shared';
+import { loggerOptions } from '../config/logging.js';
+import { createAppError } from '../errors/appError.js';
+
+/**
+ * Parse a Cookie header into a name → value map. Malformed pairs are skipped.
+ *
+ * @param {string} [header]
+ * @returns {Record<string, string>}
+ */
+export function parseCookies(header = '') {
+  const cookies = {};
+  for (const pair of header.split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator < 1) {
+      continue;
+    }
+    const name = pair.slice(0, separator).trim();
+    try {
+      cookies[name] ??= decodeURIComponent(pair.slice(separator + 1).trim());
+    } catch {
+      // Ignore values with broken percent-encoding
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Sign a value as `<value>.<base64url HMAC-SHA256>`.
+ *
+ * @param {string} value
+ * @param {string} secret
+ * @returns {string}
+ */
+export function signValue(value, secret) {
+  return `${value}.${crypto.createHmac('sha256', secret).update(value).digest('base64url')}`;
+}
+
+/**
+ * Verify a value produced by signValue() in constant time.
+ *
+ * @param {string} signed
+ * @param {string} secret
+ * @returns {string|null} The original value, or null when the signature is wrong.
+ */
+export function unsignValue(signed, secret) {
+  const separator = signed.lastIndexOf('.');
+  if (separator < 1) {
+    return null;
+  }
+  const value = signed.slice(0, separator);
+  const expected = Buffer.from(signValue(value, secret));
+  const actual = Buffer.from(signed);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? value : null;
+}
+
+/**
+ * @typedef {object} Session
+ * @property {string} id   - Session id (never exposed unsigned).
+ * @property {object} user - User object returned by `authenticate()`.
+ */
+
+/**
+ * Create session middleware. Populates `req.session` / `req.user`,
+ * exposes `res.locals.user` to templates and adds `req.login(user)` /
+ * `req.logout()`.
+ *
+ * @param {import('../config/env.js').AppConfig} config - Frozen app config.
+ * @param {object} [options={}]
+ * @param {import('@animated-spork/shared').KeyValueStore} [options.store] - Session store (default: in-memory).
+ * @param {object} [options.logger] - Logger for configuration warnings (default: an 'app:session' logger configured from `config`).
+ * @returns {import('express').RequestHandler}
+ * @throws {AppError} SESSION_MISCONFIGURED in production without `config.sessionSecret`.
+ */
+export function sessionMiddleware(config, { store = createMemoryStore(), logger } = {}) {
+  let secret = config.sessionSecret;
+  if (!secret) {
+    if (config.nodeEnv === 'production') {
+      throw createAppError('SESSION_MISCONFIGURED', 'SESSION_SECRET is required for login sessions in production', 500);
+    }
+    // Development fallback: sessions simply end when the process restarts
+    secret = crypto.randomBytes(32).toString('base64url');
+    (logger ?? createLogger(loggerOptions(config, 'app:session'))).warn('SESSION_SECRET is not set — using a random per-process secret');
+  }
+
+  const name = config.sessionCookie;
+  const ttl = config.sessionTtl;
+  const cookieOptions = {
+    httpOnly: true,
+    sameSite: config.sessionSameSite,
+    secure: config.sessionSecure ?? config.nodeEnv === 'production',
+    path: '/',
+  };
+  const key = (id) => `session:${id}`;
+
+  /** Drop any session cookie already queued on this response, so only the last one is sent. */
+  const dropQueuedCookie = (res) => {
+    const kept = [res.getHeader('Set-Cookie') ?? []].flat().filter((cookie) => !cookie.startsWith(`${name}=`));
+    if (kept.length > 0) {
+      res.setHeader('Set-Cookie', kept);
+    } else {
+      res.removeHeader('Set-Cookie');
+    }
+  };
+
+  const writeCookie = (res, id) => {
+    dropQueuedCookie(res);
+    res.cookie(name, signValue(id, secret), { ...cookieOptions, maxAge: ttl });
+  };
+
+  return async (req, res, next) => {
+    try {
+      const signed = parseCookies(req.headers.cookie)[name];
+      const id = signed && unsignValue(signed, secret);
+      const record = id ? await store.get(key(id)) : undefined;
+
+      req.session = record ? { id, user: record.user } : null;
+      if (req.session) {
+        // Sliding expiry — every request pushes the deadline out
+        await store.set(key(id), record, ttl);
+        writeCookie(res, id);
+      }
+
+      /**
+       * Start a session for `user`. Always issues a fresh id so a
+       * pre-login id can never be fixated onto an authenticated session.
+       */
+      req.login = async (user) => {
+        if (req.session) {
+          await store.delete(key(req.session.id));
+        }
+        const fresh = crypto.randomBytes(32).toString('base64url');
+        await store.set(key(fresh), { user }, ttl);
+        writeCookie(res, fresh);
+        req.session = { id: fresh, user };
+        req.user = user;
+        res.locals.user = user;
+      };
+
+      /** End the current session and clear the cookie. */
+      req.logout = async () => {
+        if (req.session) {
+          await store.delete(key(req.session.id));
+        }
+        dropQueuedCookie(res);
+        res.clearCookie(name, cookieOptions);
+        req.session = null;
+        req.user = null;
+        res.locals.user = null;
+      };
+
+      req.user = req.session?.user ?? null;
+      res.locals.user = req.user;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
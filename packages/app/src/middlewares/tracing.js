@@ -0,0 +1,55 @@
+/**
+ * @module middlewares/tracing
+ * @description Root server span per request. The span takes the ids the
+ * request id middleware put in the request context, so the `traceparent`
+ * response header, log entries and child spans all point at it.
+ */
+
+import { formatTraceparent, getRequestContext, runWithRequestContext } from '@animated-spork/shared';
+import { routePattern } from './accessLog.js';
+
+/**
+ * Create the tracing middleware. Mount it right after the request id
+ * middleware. The span is named `<METHOD> <route pattern>` once a route
+ * has matched, exposed as `req.span`, and marked as failed for 5xx
+ * responses.
+ *
+ * @param {ReturnType<import('@animated-spork/shared').createTracer>} tracer
+ * @returns {import('express').RequestHandler}
+ */
+export function tracing(tracer) {
+  return (req, res, next) => {
+    const context = getRequestContext();
+    const span = tracer.startSpan(req.method, {
+      kind: 'server',
+      context,
+      attributes: {
+        'http.request.method': req.method,
+        'url.path': req.path,
+        'url.scheme': req.protocol,
+        'network.protocol.version': req.httpVersion,
+        'user_agent.original': req.get('user-agent'),
+        'request.id': req.id,
+      },
+    });
+    req.span = span;
+    // The sampling decision for a new trace is the tracer's
+    res.setHeader('traceparent', formatTraceparent(span));
+
+    const end = () => {
+      const route = routePattern(req);
+      if (route) {
+        span.updateName(`${req.method} ${route}`).setAttribute('http.route', route);
+      }
+      span.setAttribute('http.response.status_code', res.statusCode);
+      if (res.statusCode >= 500 && span.status.code === 'unset') {
+        span.setStatus('error', `HTTP ${res.statusCode}`);
+      }
+      span.end();
+    };
+    res.once('finish', end);
+    res.once('close', end);
+
+    runWithRequestContext({ ...context, traceFlags: span.traceFlags, span }, next);
+  };
+}
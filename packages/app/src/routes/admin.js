@@ -4,32 +4,93 @@
  */
 import process from 'node:process';
 import { Router } from 'express';
-import { filterSensitiveKeys } from '../config/env.js';
+import { describeConfig } from '../config/env.js';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const MB = 1024 * 1024;
+
+/** Series drawn on the memory chart, largest first. */
+const CHART_SERIES = [
+  { key: 'rss', label: 'RSS' },
+  { key: 'heapTotal', label: 'Heap Total' },
+  { key: 'heapUsed', label: 'Heap Used' },
+];
+
+/**
+ * Lay out the sampled memory history as SVG polylines.
+ *
+ * @param {object} memory - `app.locals.memory` (a started createMemoryLogger()).
+ * @returns {object|null} Chart data for the dashboard, or null with fewer than two samples.
+ */
+function memoryChart(memory) {
+  const history = memory.getHistory();
+  if (history.length < 2) {
+    return null;
+  }
+  const start = history[0].time;
+  const span = Math.max(history[history.length - 1].time - start, 1);
+  const max = Math.max(...history.map((sample) => sample.rss), 1);
+  const trend = memory.getTrend();
+
+  return {
+    width: CHART_WIDTH,
+    height: CHART_HEIGHT,
+    maxMb: (max / MB).toFixed(0),
+    spanMinutes: (span / 60000).toFixed(1),
+    samples: history.length,
+    series: CHART_SERIES.map(({ key, label }) => ({
+      key,
+      label,
+      points: history
+        .map((sample) => `${((sample.time - start) / span * CHART_WIDTH).toFixed(1)},`
+          + `${(CHART_HEIGHT - sample[key] / max * CHART_HEIGHT).toFixed(1)}`)
+        .join(' '),
+    })),
+    growthMbPerMinute: (trend.heapGrowthPerMinute / MB).toFixed(2),
+    growing: trend.growing,
+  };
+}
 
 /**
  * Create a router for admin pages.
  *
  * @param {object} config - Frozen app config.
+ * @param {object} [options={}]
+ * @param {Function[]} [options.auth=[]] - Middleware guarding every /admin route (see adminAuth()).
  * @returns {import('express').Router}
  */
-export function adminRoutes(config) {
+export function adminRoutes(config, { auth = [] } = {}) {
   const router = Router();
 
-  /** Admin dashboard — app info, uptime, memory. */
-  router.get('/admin', (_req, res) => {
-    res.render('admin/dashboard', {
-      appName: config.appName,
-      appVersion: config.appVersion,
-      uptime: process.uptime(),
-      nodeVersion: process.version,
-      memoryUsage: process.memoryUsage(),
-    });
+  if (auth.length > 0) {
+    router.use('/admin', auth);
+  }
+
+  /** Admin dashboard — app info, protocol, uptime, memory (and its history) and cluster workers. */
+  router.get('/admin', async (req, res, next) => {
+    try {
+      res.render('admin/dashboard', {
+        appName: config.appName,
+        appVersion: config.appVersion,
+        serverProtocol: req.app.locals.serverProtocol ?? 'unknown',
+        requestProtocol: `HTTP/${req.httpVersion}`,
+        uptime: process.uptime(),
+        nodeVersion: process.version,
+        memoryUsage: process.memoryUsage(),
+        memoryChart: req.app.locals.memory ? memoryChart(req.app.locals.memory) : null,
+        pid: process.pid,
+        clusterStats: (await req.app.locals.cluster?.stats()) ?? null,
+      });
+    } catch (err) {
+      next(err);
+    }
   });
 
-  /** Config viewer — non-sensitive values only. */
+  /** Config viewer — non-sensitive values only, with the source of each. */
   router.get('/admin/config', (_req, res) => {
     res.render('admin/config', {
-      config: filterSensitiveKeys(config),
+      rows: describeConfig(config),
     });
   });
 
@@ -0,0 +1,64 @@
+/**
+ * @module routes/auth
+ * @description Token endpoints backed by a refresh token manager:
+ * rotate a refresh token for a new token pair, and revoke tokens.
+ */
+
+import { Router } from 'express';
+import { createValidationError } from '../errors/appError.js';
+
+/**
+ * Read a required string field from the request body.
+ *
+ * @param {import('express').Request} req
+ * @param {string} field
+ * @returns {string}
+ */
+function requireBodyField(req, field) {
+  const value = req.body?.[field];
+  if (typeof value !== 'string' || value === '') {
+    throw createValidationError(`"${field}" is required`);
+  }
+  return value;
+}
+
+/**
+ * Create a router with `POST /auth/token/refresh` and `POST /auth/token/revoke`.
+ *
+ * - refresh: `{ refreshToken }` → `{ accessToken, refreshToken, tokenType, expiresIn }`.
+ *   Each refresh token works once; replaying one revokes its whole family.
+ * - revoke: `{ token }` (refresh or access token) → 204. Unknown tokens
+ *   are ignored so the endpoint cannot be used to probe for valid ones.
+ *
+ * @param {object} refreshTokens - Manager from createRefreshTokenManager().
+ * @returns {import('express').Router}
+ */
+export function authRoutes(refreshTokens) {
+  const router = Router();
+
+  router.post('/auth/token/refresh', async (req, res, next) => {
+    try {
+      const pair = await refreshTokens.refresh(requireBodyField(req, 'refreshToken'));
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        accessToken: pair.accessToken,
+        refreshToken: pair.refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: pair.expiresIn,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/auth/token/revoke', async (req, res, next) => {
+    try {
+      await refreshTokens.revoke(requireBodyField(req, 'token'));
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
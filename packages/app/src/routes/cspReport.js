@@ -0,0 +1,75 @@
+/**
+ * @module routes/cspReport
+ * @description Collection endpoint for Content-Security-Policy violation
+ * reports, logged as warnings.
+ */
+
+import express, { Router } from 'express';
+import { createLogger } from '@animated-spork/shared';
+import { loggerOptions } from '../config/logging.js';
+
+/** Report bodies: legacy `report-uri` and Reporting API (`report-to`). */
+const REPORT_TYPES = ['application/csp-report', 'application/reports+json', 'application/json'];
+
+/**
+ * Normalise both report formats to the violation fields worth logging.
+ *
+ * - `application/csp-report`: `{ "csp-report": { "blocked-uri": …, … } }`
+ * - `application/reports+json`: `[{ type: 'csp-violation', body: { blockedURL: …, … } }]`
+ *
+ * @param {*} body - Parsed request body.
+ * @returns {object[]} One entry per violation.
+ */
+export function parseCspReports(body) {
+  if (Array.isArray(body)) {
+    return body
+      .filter((report) => report?.type === 'csp-violation' && report.body)
+      .map(({ body: v }) => ({
+        documentUrl: v.documentURL,
+        blockedUrl: v.blockedURL,
+        directive: v.effectiveDirective,
+        disposition: v.disposition,
+        sourceFile: v.sourceFile,
+        line: v.lineNumber,
+        sample: v.sample,
+      }));
+  }
+  const v = body?.['csp-report'];
+  if (!v || typeof v !== 'object') {
+    return [];
+  }
+  return [{
+    documentUrl: v['document-uri'],
+    blockedUrl: v['blocked-uri'],
+    directive: v['effective-directive'] ?? v['violated-directive'],
+    disposition: v.disposition,
+    sourceFile: v['source-file'],
+    line: v['line-number'],
+    sample: v['script-sample'],
+  }];
+}
+
+/**
+ * Create a router accepting violation reports at `POST <path>` and
+ * answering 204.
+ *
+ * @param {object} config - Frozen app config.
+ * @param {object} [options={}]
+ * @param {string} [options.path='/csp-report'] - Endpoint path (`config.cspReportUri`).
+ * @param {object} [options.logger] - Logger for violations (default: an 'app:csp' logger configured from `config`).
+ * @returns {import('express').Router}
+ */
+export function cspReportRoutes(config, { path = '/csp-report', logger } = {}) {
+  const router = Router();
+  let log = logger;
+  const getLogger = () => (log ??= createLogger(loggerOptions(config, 'app:csp')));
+
+  router.post(path, express.json({ type: REPORT_TYPES, limit: '64kb' }), (req, res) => {
+    for (const violation of parseCspReports(req.body)) {
+      getLogger().warn('CSP violation', violation);
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
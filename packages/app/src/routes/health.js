@@ -5,28 +5,70 @@
 
 import { Router } from 'express';
 
+/** Probe status words, keyed by report status. */
+const STATUS_LABELS = {
+  readiness: { ok: 'ready', degraded: 'degraded', fail: 'not ready' },
+  liveness: { ok: 'alive', degraded: 'degraded', fail: 'not alive' },
+};
+
+/**
+ * Shape a registry report for the response. Terse by default; `verbose`
+ * adds timings, cache hits and check details.
+ *
+ * @param {import('../health/registry.js').HealthReport} report
+ * @param {'readiness'|'liveness'} type
+ * @param {boolean} verbose
+ * @returns {object}
+ */
+function formatReport(report, type, verbose) {
+  const checks = Object.fromEntries(Object.entries(report.checks).map(([name, result]) => [
+    name,
+    verbose
+      ? result
+      : { status: result.status, ...(result.error && { error: result.error }) },
+  ]));
+
+  return {
+    status: STATUS_LABELS[type][report.status],
+    ...(verbose && { durationMs: report.durationMs }),
+    checks,
+  };
+}
+
 /**
  * Create a router with health-check endpoints.
  *
+ * `/readyz` and `/livez` run the registry's readiness / liveness checks
+ * and answer 503 when a critical check fails. Add `?verbose` (or
+ * `?verbose=1` / `?verbose=true`) for timings.
+ *
+ * @param {ReturnType<import('../health/registry.js').createHealthRegistry>} registry
  * @returns {import('express').Router}
  */
-export function healthRoutes() {
+export function healthRoutes(registry) {
   const router = Router();
 
-  /** Basic liveness check. */
+  const probe = (type) => async (req, res, next) => {
+    try {
+      const report = await registry.run(type);
+      res.set('Cache-Control', 'no-store');
+      res.status(report.status === 'fail' ? 503 : 200);
+      res.json(formatReport(report, type, ['1', 'true', ''].includes(req.query.verbose)));
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  /** Basic liveness check — the process is up and serving. */
   router.get('/healthz', (_req, res) => {
     res.json({ status: 'ok' });
   });
 
-  /** Readiness check — extensible to verify DB, cache, etc. */
-  router.get('/readyz', (_req, res) => {
-    res.json({ status: 'ready' });
-  });
+  /** Readiness check — aggregates the registered readiness checks. */
+  router.get('/readyz', probe('readiness'));
 
-  /** Liveness check — extensible for deep health verification. */
-  router.get('/livez', (_req, res) => {
-    res.json({ status: 'alive' });
-  });
+  /** Liveness check — aggregates the registered liveness checks. */
+  router.get('/livez', probe('liveness'));
 
   return router;
 }
@@ -0,0 +1,27 @@
+/**
+ * @module routes/jwks
+ * @description Publishes the public half of a JWT key ring so other
+ * services can verify tokens without sharing a secret.
+ */
+
+import { Router } from 'express';
+
+/**
+ * Create a router serving `/.well-known/jwks.json` from a key ring.
+ * The document is rebuilt per request, so rotations show up immediately.
+ *
+ * @param {object} keyRing - Key ring from createKeyRing().
+ * @param {object} [options={}]
+ * @param {number} [options.maxAge=300] - Cache-Control max-age in seconds.
+ * @returns {import('express').Router}
+ */
+export function jwksRoutes(keyRing, { maxAge = 300 } = {}) {
+  const router = Router();
+
+  router.get('/.well-known/jwks.json', (_req, res) => {
+    res.set('Cache-Control', `public, max-age=${maxAge}`);
+    res.json(keyRing.toJWKS());
+  });
+
+  return router;
+}
@@ -0,0 +1,29 @@
+/**
+ * @module routes/metrics
+ * @description Prometheus scrape endpoint.
+ */
+
+import { Router } from 'express';
+
+/**
+ * Create a router serving the registry at `GET /metrics` in the text
+ * exposition format.
+ *
+ * @param {ReturnType<import('@animated-spork/shared').createMetricsRegistry>} registry
+ * @param {object} [options={}]
+ * @param {Function[]} [options.auth=[]] - Middleware guarding /metrics (see metricsAuth()).
+ * @returns {import('express').Router}
+ */
+export function metricsRoutes(registry, { auth = [] } = {}) {
+  const router = Router();
+
+  router.get('/metrics', ...auth, async (req, res, next) => {
+    try {
+      res.set('Content-Type', registry.contentType).send(await registry.metrics());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,80 @@
+/**
+ * @module routes/session
+ * @description Login and logout routes for cookie sessions.
+ */
+
+import { Router } from 'express';
+import { createLogger } from '@animated-spork/shared';
+import { loggerOptions } from '../config/logging.js';
+
+/**
+ * Only allow same-site relative redirects after login (no `//host` or
+ * `/\host` tricks that browsers treat as absolute URLs).
+ *
+ * @param {*} target
+ * @returns {string}
+ */
+function safeReturnTo(target) {
+  return typeof target === 'string' && /^\/(?![/\\])/.test(target) ? target : '/';
+}
+
+/**
+ * Create a router with `GET /login`, `POST /login` and `POST /logout`.
+ * Needs sessionMiddleware() in front of it. The form is rendered from
+ * the `auth/login` view, which consumers can override in their
+ * `viewsDir`.
+ *
+ * @param {object} config - Frozen app config.
+ * @param {object} options
+ * @param {(username: string, password: string, req: import('express').Request) => Promise<object|null>} options.authenticate
+ *   Resolves the user for valid credentials, or null.
+ * @param {object} [options.logger] - Logger for failed logins (default: an 'app:session' logger configured from `config`).
+ * @param {Function} [options.limiter] - Rate limiting middleware run before each `POST /login`.
+ * @returns {import('express').Router}
+ */
+export function sessionRoutes(config, { authenticate, logger, limiter }) {
+  const router = Router();
+  let log = logger;
+  const getLogger = () => (log ??= createLogger(loggerOptions(config, 'app:session')));
+
+  const renderLogin = (res, { error = null, username = '', returnTo = '/' } = {}) => {
+    res.render('auth/login', { appName: config.appName, error, username, returnTo });
+  };
+
+  router.get('/login', (req, res) => {
+    if (req.user) {
+      return res.redirect(safeReturnTo(req.query.returnTo));
+    }
+    renderLogin(res, { returnTo: safeReturnTo(req.query.returnTo) });
+  });
+
+  router.post('/login', ...(limiter ? [limiter] : []), async (req, res, next) => {
+    try {
+      const { username = '', password = '' } = req.body ?? {};
+      const returnTo = safeReturnTo(req.body?.returnTo);
+      const user = username && password ? await authenticate(String(username), String(password), req) : null;
+
+      if (!user) {
+        getLogger().warn('Login failed', { ip: req.ip, username: String(username) });
+        res.status(401);
+        return renderLogin(res, { error: 'Invalid username or password', username: String(username), returnTo });
+      }
+
+      await req.login(user);
+      res.redirect(303, returnTo);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/logout', async (req, res, next) => {
+    try {
+      await req.logout();
+      res.redirect(303, '/');
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
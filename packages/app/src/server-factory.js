@@ -1,60 +1,359 @@
 /**
  * @module server
- * @description HTTP server factory with graceful shutdown support for
+ * @description HTTP(S) server factory with graceful shutdown support for
  * Kubernetes pod lifecycle (SIGTERM / SIGINT).
+ *
+ * With `config.https`, the server speaks TLS (see tls/tlsOptions.js),
+ * exposes client certificates as `req.clientCertificate` /
+ * `req.clientAuthorized`, can send HSTS and can run a plain-HTTP
+ * redirect server on `config.httpRedirectPort`. With `config.http2`, the
+ * app is served over HTTP/2 (see http2/bridge.js and http2/servers.js),
+ * keeping HTTP/1.1 for clients that don't speak it.
+ *
+ * With `config.clusterWorkers > 0`, the primary process forks that many
+ * workers instead of listening itself (see cluster/supervisor.js); each
+ * worker runs the same entry point and listens on the shared port. The
+ * primary restarts crashed workers, does a rolling restart on SIGUSR2 and
+ * shuts the workers down gracefully on SIGTERM / SIGINT.
+ *
+ * Shutdown sequence:
+ * 1. `/readyz` starts failing so the load balancer stops routing here.
+ * 2. Wait `config.shutdownDelay` ms (pre-stop delay) for that to propagate.
+ * 3. Stop accepting connections and close idle keep-alive sockets.
+ * 4. Let in-flight requests finish for up to `config.shutdownTimeout` ms,
+ *    then destroy whatever is still open.
+ * 5. Run the plugins' shutdown hooks (`app.locals.shutdownHooks`).
+ *
+ * With `config.memoryMonitor`, the process's memory is sampled in the
+ * background (`app.locals.memory`, charted on /admin) and heap warnings
+ * are logged (see config/memory.js).
  */
 import process from 'node:process';
+import nodeCluster from 'node:cluster';
 import http from 'node:http';
-import { createLogger } from '@animated-spork/shared';
+import https from 'node:https';
+import { collectRuntimeMetrics, createLogger, createMemoryLogger } from '@animated-spork/shared';
+import { createClusterSupervisor } from './cluster/supervisor.js';
+import { connectWorker } from './cluster/worker.js';
+import { loggerOptions } from './config/logging.js';
+import { memoryMonitorOptions } from './config/memory.js';
+import { createHttp2Bridge } from './http2/bridge.js';
+import { createHttp2Server } from './http2/servers.js';
+import { createTlsOptions } from './tls/tlsOptions.js';
+import { hstsHeader } from './middlewares/securityHeaders.js';
+
+/**
+ * @typedef {object} ServerOptions
+ * @property {(code: number) => void} [exit=process.exit] - Called after a signal-triggered shutdown.
+ * @property {string[]} [signals=['SIGTERM', 'SIGINT']] - Signals that trigger shutdown ([] to install none).
+ * @property {object}   [logger] - Logger (default: an 'app:server' logger configured from `config`).
+ * @property {string}   [certDir='.certs'] - Where the development certificate is cached.
+ * @property {string|null} [restartSignal='SIGUSR2'] - Signal that triggers a rolling restart in cluster mode.
+ * @property {import('node:cluster').Cluster} [cluster] - `node:cluster` (injectable for tests).
+ */
 
 /**
- * Start an HTTP server for the given Express app.
+ * Resolve after `ms` milliseconds.
  *
- * @param {import('express').Express} app    - Configured Express app from createApp().
- * @param {object}                    config - Config object (reads `port`).
- * @returns {{ server: http.Server, close: () => Promise<void> }}
+ * @param {number} ms
+ * @returns {Promise<void>}
  */
-export function createServer(app, config) {
-  const port = config.port || 3000;
-  const logger = createLogger({ name: 'app:server' });
-  const server = http.createServer(app);
+const delay = (ms) => new Promise((resolve) => {
+  globalThis.setTimeout(resolve, ms);
+});
 
-  server.listen(port, () => {
-    logger.info(`${config.appName ?? 'app'} listening on http://localhost:${port}`);
+/**
+ * Create a plain-HTTP server that permanently redirects to `https://`
+ * on the HTTPS server's port. Requests with an unusable Host get 400.
+ *
+ * @param {http.Server} target - The HTTPS server.
+ * @returns {http.Server}
+ */
+function createRedirectServer(target) {
+  return http.createServer((req, res) => {
+    const host = /^(\[[0-9a-f:.]+\]|[a-z0-9.-]+)(:\d+)?$/i.exec(req.headers.host ?? '')?.[1];
+    if (!host) {
+      res.writeHead(400, { 'Content-Length': '0' }).end();
+      return;
+    }
+    const { port } = target.address();
+    res.writeHead(308, {
+      Location: `https://${host}${port === 443 ? '' : `:${port}`}${req.url}`,
+      'Content-Length': '0',
+    }).end();
   });
+}
 
-  /**
-   * Gracefully close the server — stop accepting new connections,
-   * wait for in-flight requests to finish, then resolve.
-   *
-   * @returns {Promise<void>}
-   */
-  const close = () =>
-    new Promise((resolve, reject) => {
-      server.close((err) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        resolve();
-      });
-    });
+/**
+ * Turn signals into a graceful shutdown: the first one runs `close()`
+ * and exits 0 (1 on error); a second one exits 1 immediately.
+ *
+ * @param {object} options
+ * @param {string[]} options.signals
+ * @param {(code: number) => void} options.exit
+ * @param {object} options.logger
+ * @param {() => Promise<void>} options.close
+ * @returns {{ shutdown: (reason: string) => Promise<void>, remove: () => void }}
+ */
+function handleShutdownSignals({ signals, exit, logger, close }) {
+  let signalled = false;
 
-  // ── Kubernetes / container lifecycle signals ─────────────────
-  const shutdown = async () => {
-    logger.info('Shutdown signal received — closing server…');
+  const shutdown = async (reason) => {
+    if (signalled) {
+      logger.warn(`${reason} again — exiting immediately`);
+      exit(1);
+      return;
+    }
+    signalled = true;
+    logger.info(`${reason} — shutting down…`);
     try {
       await close();
       logger.info('Server closed.');
-      process.exit(0);
+      exit(0);
     } catch (err) {
       logger.error('Error during shutdown:', err);
-      process.exit(1);
+      exit(1);
+    }
+  };
+
+  const onSignal = (signal) => shutdown(`${signal} received`);
+  for (const signal of signals) {
+    process.on(signal, onSignal);
+  }
+
+  return {
+    shutdown,
+    remove() {
+      for (const signal of signals) {
+        process.off(signal, onSignal);
+      }
+    },
+  };
+}
+
+/**
+ * Run the cluster primary: fork and supervise workers instead of
+ * listening.
+ *
+ * @param {object} config
+ * @param {object} options
+ * @returns {{ server: null, redirectServer: null, close: () => Promise<void>, supervisor: object }}
+ */
+function createClusterPrimary(config, { cluster, exit, signals, restartSignal, logger }) {
+  const supervisor = createClusterSupervisor(config, { cluster, logger });
+  let closing = null;
+
+  const onRestart = () => {
+    supervisor.rollingRestart();
+  };
+
+  const close = () => {
+    closing ??= supervisor.stop().finally(() => {
+      handlers.remove();
+      if (restartSignal) {
+        process.off(restartSignal, onRestart);
+      }
+    });
+    return closing;
+  };
+
+  const handlers = handleShutdownSignals({ signals, exit, logger, close });
+  if (restartSignal) {
+    process.on(restartSignal, onRestart);
+  }
+  supervisor.start();
+
+  return { server: null, redirectServer: null, close, supervisor };
+}
+
+/**
+ * Human-readable description of the protocols a server speaks.
+ *
+ * @param {{ secure: boolean, http2: boolean }} mode
+ * @returns {string}
+ */
+function describeProtocol({ secure, http2 }) {
+  if (http2) {
+    return secure ? 'HTTP/2 over TLS (HTTP/1.1 fallback via ALPN)' : 'HTTP/2 cleartext (h2c) and HTTP/1.1';
+  }
+  return secure ? 'HTTP/1.1 over TLS' : 'HTTP/1.1';
+}
+
+/**
+ * Start an HTTP — or, with `config.https`, HTTPS — server for the given
+ * Express app; with `config.http2`, over HTTP/2. In the primary process
+ * of cluster mode, fork workers instead (see the module description).
+ *
+ * @param {import('express').Express} app         - Configured Express app from createApp().
+ * @param {object}                    config      - Config object (reads `port`, `shutdownDelay`, `shutdownTimeout`, `https`, `http2`, `tls*`, `httpRedirectPort`, `hsts*`, `cluster*`).
+ * @param {ServerOptions}             [options={}]
+ * @returns {{ server: import('node:net').Server|null, redirectServer: http.Server|null, close: () => Promise<void>, supervisor?: object }}
+ *   `server` is null in the cluster primary, which returns its `supervisor` instead.
+ * @throws {AppError} TLS_MISCONFIGURED when HTTPS is enabled without usable certificates.
+ */
+export function createServer(app, config, {
+  exit = process.exit,
+  signals = ['SIGTERM', 'SIGINT'],
+  logger = createLogger(loggerOptions(config, 'app:server')),
+  certDir,
+  restartSignal = 'SIGUSR2',
+  cluster = nodeCluster,
+} = {}) {
+  const clustered = config.clusterWorkers > 0;
+  if (clustered && cluster.isPrimary) {
+    return createClusterPrimary(config, { cluster, exit, signals, restartSignal, logger });
+  }
+
+  const { port = 3000, shutdownDelay = 0, shutdownTimeout = 30000 } = config;
+  const secure = config.https === true;
+  const useHttp2 = config.http2 === true;
+  const protocol = describeProtocol({ secure, http2: useHttp2 });
+  const dispatch = useHttp2 ? createHttp2Bridge(app) : app;
+  const hsts = secure ? hstsHeader(config) : null;
+  let shuttingDown = false;
+  let closing = null;
+
+  const handler = (req, res) => {
+    // Responses written during shutdown ask the client to drop the connection
+    if (shuttingDown) {
+      res.shouldKeepAlive = false;
+    }
+    if (secure) {
+      const peer = req.socket.getPeerCertificate();
+      req.clientCertificate = peer && Object.keys(peer).length > 0 ? peer : null;
+      req.clientAuthorized = req.socket.authorized === true;
+      if (hsts) {
+        res.setHeader('Strict-Transport-Security', hsts);
+      }
+    }
+    dispatch(req, res);
+  };
+
+  const tls = secure ? createTlsOptions(config, { certDir, logger }) : undefined;
+  let server;
+  let connections;
+  if (useHttp2) {
+    ({ server, connections } = createHttp2Server(handler, { tls, headersTimeout: config.headersTimeout }));
+  } else {
+    server = secure ? https.createServer(tls, handler) : http.createServer(handler);
+    connections = {
+      closeIdle: () => server.closeIdleConnections(),
+      closeAll: () => server.closeAllConnections(),
+    };
+  }
+
+  if (app.locals) {
+    app.locals.serverProtocol = protocol;
+  }
+
+  // Memory history for /admin, heap threshold and leak warnings
+  const memory = config.memoryMonitor && app.locals
+    ? createMemoryLogger(process, (message) => logger.info(message), {
+      ...memoryMonitorOptions(config),
+      warn: (message) => logger.warn(message),
+    }).start()
+    : null;
+  if (memory) {
+    app.locals.memory = memory;
+  }
+
+  // Memory, event-loop and GC metrics for this process on /metrics
+  const runtimeMetrics = config.metricsEnabled && app.locals?.metrics
+    ? collectRuntimeMetrics(app.locals.metrics, { memoryLogger: memory ?? undefined })
+    : null;
+
+  server.listen(port, () => {
+    const scheme = secure ? 'https' : 'http';
+    const worker = clustered ? ` [worker ${process.pid}]` : '';
+    logger.info(`${config.appName ?? 'app'} listening on ${scheme}://localhost:${server.address().port} (${protocol})${worker}`);
+  });
+
+  let redirectServer = null;
+  if (secure && config.httpRedirectPort !== undefined) {
+    redirectServer = createRedirectServer(server);
+    redirectServer.listen(config.httpRedirectPort, () => {
+      logger.info(`Redirecting http://localhost:${redirectServer.address().port} to HTTPS`);
+    });
+  }
+
+  // Readiness fails as soon as shutdown starts
+  app.locals?.health?.register('shutdown', () => {
+    if (shuttingDown) {
+      throw new Error('server is shutting down');
+    }
+  });
+
+  /**
+   * Stop accepting connections and wait for in-flight requests, up to
+   * the deadline; then destroy the remaining sockets.
+   *
+   * @returns {Promise<void>}
+   */
+  const drain = () => new Promise((resolve, reject) => {
+    if (redirectServer) {
+      redirectServer.close();
+      redirectServer.closeAllConnections();
     }
+    const deadline = globalThis.setTimeout(() => {
+      logger.warn(`In-flight requests still open after ${shutdownTimeout}ms — closing them`);
+      connections.closeAll();
+    }, shutdownTimeout);
+
+    server.close((err) => {
+      globalThis.clearTimeout(deadline);
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve();
+    });
+    connections.closeIdle();
+  });
+
+  /**
+   * Gracefully close the server (see the module description for the
+   * sequence). Safe to call more than once — later calls share the
+   * first call's promise.
+   *
+   * @returns {Promise<void>}
+   */
+  const close = () => {
+    closing ??= (async () => {
+      shuttingDown = true;
+      if (shutdownDelay > 0) {
+        logger.info(`Waiting ${shutdownDelay}ms before closing the server…`);
+        await delay(shutdownDelay);
+      }
+      try {
+        await drain();
+      } finally {
+        await app.locals?.shutdownHooks?.run({ logger });
+        runtimeMetrics?.stop();
+        memory?.stop();
+        handlers.remove();
+        workerLink?.disconnect();
+      }
+    })();
+    return closing;
   };
 
-  process.on('SIGTERM', shutdown);
-  process.on('SIGINT', shutdown);
+  // ── Kubernetes / container lifecycle signals ─────────────────
+  const handlers = handleShutdownSignals({ signals, exit, logger, close });
+
+  // ── Cluster worker: stats for the primary, shutdown on request ─
+  const workerLink = clustered && cluster.isWorker
+    ? connectWorker({
+      channel: cluster.worker,
+      onShutdown: () => {
+        if (!closing) {
+          handlers.shutdown('Shutdown requested by the cluster primary');
+        }
+      },
+    })
+    : null;
+  if (workerLink && app.locals) {
+    app.locals.cluster = { stats: () => workerLink.stats() };
+  }
 
-  return { server, close };
-}
\ No newline at end of file
+  return { server, redirectServer, close };
+}
@@ -0,0 +1,129 @@
+/**
+ * @module tls/devCert
+ * @description Self-signed certificate for local HTTPS. Generated once
+ * with `node-forge` and cached on disk (`.certs/` in the working directory
+ * by default) so browsers only need to trust it once; regenerated when it
+ * is missing, unreadable or about to expire.
+ *
+ * `node-forge` is an optional peer dependency — production deployments
+ * that bring their own certificates never load it.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import net from 'node:net';
+import path from 'node:path';
+import { createAppError } from '../errors/appError.js';
+
+const require = createRequire(import.meta.url);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** Regenerate certificates that expire within this window. */
+const RENEW_BEFORE = 7 * DAY;
+
+/**
+ * Load node-forge on demand.
+ *
+ * @returns {object}
+ * @throws {AppError} DEV_CERT_UNAVAILABLE when node-forge is not installed.
+ */
+function loadForge() {
+  try {
+    return require('node-forge');
+  } catch {
+    throw createAppError(
+      'DEV_CERT_UNAVAILABLE',
+      'Generating a development certificate needs node-forge (npm install --save-dev node-forge), or set TLS_CERT/TLS_KEY',
+      500,
+    );
+  }
+}
+
+/**
+ * Create a self-signed certificate for `hosts`.
+ *
+ * @param {object} options
+ * @param {string[]} options.hosts   - DNS names and IP addresses for subjectAltName.
+ * @param {number}   options.days    - Validity in days.
+ * @param {string}   options.appName - Organisation name on the certificate.
+ * @param {number}   options.now     - Current time in milliseconds.
+ * @returns {{ key: string, cert: string }} PEM strings.
+ */
+export function generateDevCertificate({ hosts, days, appName, now }) {
+  const forge = loadForge();
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKey);
+  // Random positive serial number (high bit cleared)
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+  cert.serialNumber = serial.toString('hex');
+  cert.validity.notBefore = new Date(now - DAY);
+  cert.validity.notAfter = new Date(now + days * DAY);
+
+  const attrs = [
+    { name: 'commonName', value: hosts[0] },
+    { name: 'organizationName', value: `${appName} development` },
+  ];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.setExtensions([
+    { name: 'basicConstraints', cA: false },
+    { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+    { name: 'extKeyUsage', serverAuth: true },
+    {
+      name: 'subjectAltName',
+      altNames: hosts.map((host) => (net.isIP(host) ? { type: 7, ip: host } : { type: 2, value: host })),
+    },
+  ]);
+  cert.sign(forge.pki.privateKeyFromPem(privateKey), forge.md.sha256.create());
+
+  return { key: privateKey, cert: forge.pki.certificateToPem(cert) };
+}
+
+/**
+ * Return the cached development certificate, generating (and caching) a
+ * new one when there is none or it expires within a week.
+ *
+ * @param {object} [options={}]
+ * @param {string}   [options.dir='.certs']  - Cache directory (resolved against the working directory).
+ * @param {string[]} [options.hosts=['localhost', '127.0.0.1', '::1']] - Names the certificate is valid for.
+ * @param {number}   [options.days=365]      - Validity of newly generated certificates.
+ * @param {string}   [options.appName='app'] - Organisation name on the certificate.
+ * @param {() => number} [options.now=Date.now] - Clock (injectable for tests).
+ * @returns {{ key: string, cert: string, generated: boolean }}
+ * @throws {AppError} DEV_CERT_UNAVAILABLE when a certificate must be generated without node-forge.
+ */
+export function loadDevCertificate({
+  dir = '.certs',
+  hosts = ['localhost', '127.0.0.1', '::1'],
+  days = 365,
+  appName = 'app',
+  now = Date.now,
+} = {}) {
+  const keyFile = path.resolve(dir, 'dev-key.pem');
+  const certFile = path.resolve(dir, 'dev-cert.pem');
+
+  try {
+    const key = fs.readFileSync(keyFile, 'utf8');
+    const cert = fs.readFileSync(certFile, 'utf8');
+    if (Date.parse(new crypto.X509Certificate(cert).validTo) - now() > RENEW_BEFORE) {
+      return { key, cert, generated: false };
+    }
+  } catch {
+    // Missing or unreadable — generate a new one below
+  }
+
+  const { key, cert } = generateDevCertificate({ hosts, days, appName, now: now() });
+  fs.mkdirSync(path.resolve(dir), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(keyFile, key, { mode: 0o600 });
+  fs.writeFileSync(certFile, cert);
+  return { key, cert, generated: true };
+}
@@ -0,0 +1,75 @@
+/**
+ * @module tls/tlsOptions
+ * @description Turn the `tls*` config keys into `https.createServer()`
+ * options: a PFX bundle, or a PEM certificate and key, or — outside
+ * production — the cached development certificate.
+ */
+
+import fs from 'node:fs';
+import { createAppError } from '../errors/appError.js';
+import { loadDevCertificate } from './devCert.js';
+
+/**
+ * Read a file referenced by config, naming the config key on failure.
+ *
+ * @param {string} file
+ * @param {string} key - Config key the path came from.
+ * @returns {Buffer}
+ * @throws {AppError} TLS_MISCONFIGURED when the file cannot be read.
+ */
+function readTlsFile(file, key) {
+  try {
+    return fs.readFileSync(file);
+  } catch (err) {
+    throw createAppError('TLS_MISCONFIGURED', `Cannot read ${key} "${file}": ${err.code ?? err.message}`, 500);
+  }
+}
+
+/**
+ * Build HTTPS server options from config.
+ *
+ * @param {import('../config/env.js').AppConfig} config - Frozen app config.
+ * @param {object} [options={}]
+ * @param {string} [options.certDir] - Development certificate cache directory (default: `.certs`).
+ * @param {object} [options.logger]  - Logger told when a development certificate is generated.
+ * @returns {import('node:https').ServerOptions}
+ * @throws {AppError} TLS_MISCONFIGURED for missing or unreadable certificates.
+ */
+export function createTlsOptions(config, { certDir, logger } = {}) {
+  const options = {};
+
+  if (config.tlsPfx) {
+    options.pfx = readTlsFile(config.tlsPfx, 'tlsPfx');
+  } else if (config.tlsCert || config.tlsKey) {
+    if (!config.tlsCert || !config.tlsKey) {
+      throw createAppError('TLS_MISCONFIGURED', 'TLS_CERT and TLS_KEY must be set together', 500);
+    }
+    options.cert = readTlsFile(config.tlsCert, 'tlsCert');
+    options.key = readTlsFile(config.tlsKey, 'tlsKey');
+  } else if (config.nodeEnv === 'production') {
+    throw createAppError('TLS_MISCONFIGURED', 'HTTPS in production needs TLS_CERT/TLS_KEY or TLS_PFX', 500);
+  } else {
+    const dev = loadDevCertificate({ dir: certDir, appName: config.appName });
+    if (dev.generated) {
+      logger?.warn('Generated a self-signed development certificate — browsers will warn until it is trusted');
+    }
+    options.cert = dev.cert;
+    options.key = dev.key;
+  }
+
+  if (config.tlsPassword) {
+    options.passphrase = config.tlsPassword;
+  }
+
+  if (config.tlsClientAuth === 'request' || config.tlsClientAuth === 'require') {
+    if (!config.tlsCa) {
+      throw createAppError('TLS_MISCONFIGURED', `TLS_CLIENT_AUTH=${config.tlsClientAuth} needs TLS_CA`, 500);
+    }
+    options.ca = readTlsFile(config.tlsCa, 'tlsCa');
+    options.requestCert = true;
+    // 'request' lets unverified clients through; the app checks req.clientAuthorized
+    options.rejectUnauthorized = config.tlsClientAuth === 'require';
+  }
+
+  return options;
+}
@@ -0,0 +1,151 @@
+/**
+ * @file tests/accessLog.spec.js
+ * Tests for the access log middleware (src/middlewares/accessLog.js) as
+ * mounted by createApp(): formats, skip rules, sampling and slow-request
+ * warnings.
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+import { createApp } from '../src/app-factory.js';
+import { createConfig } from '../src/config/env.js';
+import { accessLog } from '../src/middlewares/accessLog.js';
+
+const stubLogger = () => ({ info: sinon.stub(), warn: sinon.stub() });
+
+const tick = () => new Promise((resolve) => globalThis.setImmediate(resolve));
+
+/**
+ * App with a parameterised route and a slow route, logging to `logger`.
+ */
+function appWith(logger, overrides = {}) {
+    const config = createConfig({ adminAuth: 'none', ...overrides }, {}, { rootDir: null });
+    const tasksPlugin = (app) => {
+        app.get('/tasks/:id', (req, res) => res.json({ id: req.params.id }));
+        app.get('/slow', (req, res) => globalThis.setTimeout(() => res.send('done'), 30));
+    };
+    return createApp(config, [tasksPlugin], { accessLogger: logger });
+}
+
+describe('access log', () => {
+    it('logs a short line per request by default', async () => {
+        const logger = stubLogger();
+        await request(appWith(logger)).get('/tasks/42?token=secret').set('X-Request-Id', 'req-1').expect(200);
+        await tick();
+
+        expect(logger.info.calledOnce).to.be.true;
+        const [line, meta] = logger.info.firstCall.args;
+        expect(line).to.match(/^\S+ GET \/tasks\/42 HTTP\/1\.1 200 \d+ - [\d.]+ ms$/);
+        expect(meta).to.deep.equal({ requestId: 'req-1' });
+    });
+
+    it('logs the route pattern, status, bytes and duration as JSON fields', async () => {
+        const logger = stubLogger();
+        const res = await request(appWith(logger, { accessLogFormat: 'json' }))
+            .get('/tasks/42?token=secret')
+            .set('User-Agent', 'spec')
+            .expect(200);
+        await tick();
+
+        const [message, entry] = logger.info.firstCall.args;
+        expect(message).to.equal('request completed');
+        expect(entry).to.include({
+            method: 'GET',
+            route: '/tasks/:id',
+            path: '/tasks/42',
+            status: 200,
+            bytes: Number(res.headers['content-length']),
+            httpVersion: '1.1',
+            userAgent: 'spec',
+            requestId: res.headers['x-request-id'],
+        });
+        expect(entry.durationMs).to.be.a('number');
+        expect(entry).to.not.have.property('aborted');
+    });
+
+    it('writes the combined log format', async () => {
+        const logger = stubLogger();
+        await request(appWith(logger, { accessLogFormat: 'combined' }))
+            .get('/missing')
+            .set('Referer', 'http://example.test/')
+            .set('User-Agent', 'spec')
+            .expect(404);
+        await tick();
+
+        expect(logger.info.firstCall.args[0]).to.match(
+            /^\S+ - - \[\d{2}\/[A-Z][a-z]{2}\/\d{4}:\d{2}:\d{2}:\d{2} \+0000\] "GET \/missing HTTP\/1\.1" 404 \d+ "http:\/\/example\.test\/" "spec"$/,
+        );
+    });
+
+    it('escapes quotes, backslashes and control characters in the combined format', async () => {
+        const logger = stubLogger();
+        await request(appWith(logger, { accessLogFormat: 'combined' }))
+            .get('/missing')
+            .set('Referer', 'x" 200 "forged')
+            .set('User-Agent', 'spec\\\tbot')
+            .expect(404);
+        await tick();
+
+        expect(logger.info.firstCall.args[0]).to.match(/ "x\\" 200 \\"forged" "spec\\\\\\x09bot"$/);
+    });
+
+    it('skips configured paths and static assets', async () => {
+        const logger = stubLogger();
+        const app = appWith(logger, { accessLogSkip: ['/healthz', '/tasks/*'] });
+        await request(app).get('/healthz').expect(200);
+        await request(app).get('/tasks/1').expect(200);
+        await request(app).get('/css/style.css').expect(200);
+        await tick();
+        expect(logger.info.called).to.be.false;
+
+        const staticLogger = stubLogger();
+        await request(appWith(staticLogger, { accessLogStatic: true })).get('/css/style.css').expect(200);
+        await tick();
+        expect(staticLogger.info.calledOnce).to.be.true;
+    });
+
+    it('samples requests but always logs server errors', () => {
+        const logger = stubLogger();
+        const config = createConfig({ adminAuth: 'none', accessLogSampleRate: 0.5 }, {}, { rootDir: null });
+        const middleware = accessLog(config, { logger, random: () => 0.9 });
+        const res = (statusCode) => {
+            const listeners = {};
+            return {
+                statusCode,
+                locals: {},
+                getHeader: () => undefined,
+                once: (event, fn) => {
+                    listeners[event] = fn;
+                },
+                emit: (event) => listeners[event](),
+            };
+        };
+        const req = { method: 'GET', path: '/', originalUrl: '/', httpVersion: '1.1', get: () => undefined };
+
+        for (const status of [200, 404, 503]) {
+            const response = res(status);
+            middleware(req, response, () => {});
+            response.emit('finish');
+        }
+
+        expect(logger.info.calledOnce).to.be.true;
+        expect(logger.info.firstCall.args[0]).to.include(' 503 ');
+    });
+
+    it('warns about slow requests', async () => {
+        const logger = stubLogger();
+        await request(appWith(logger, { accessLogSlowThreshold: 20 })).get('/slow').expect(200);
+        await request(appWith(logger, { accessLogSlowThreshold: 20 })).get('/tasks/1').expect(200);
+        await tick();
+
+        expect(logger.warn.calledOnce).to.be.true;
+        expect(logger.warn.firstCall.args[0]).to.match(/GET \/slow .* ms \(slow\)$/);
+        expect(logger.info.calledOnce).to.be.true;
+    });
+
+    it('can be turned off', () => {
+        const config = createConfig({ adminAuth: 'none', accessLogFormat: 'none' }, {}, { rootDir: null });
+        expect(accessLog(config)).to.equal(null);
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * @file tests/adminAuth.spec.js
+ * Tests for the /admin authentication modes (src/middlewares/adminAuth.js)
+ * as wired by createApp.
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+import { createMemoryStore, createTokenService, hashPassword } from '@animated-spork/shared';
+import { createApp } from '../src/app-factory.js';
+import { createConfig } from '../src/config/env.js';
+import { adminAuth } from '../src/middlewares/adminAuth.js';
+
+describe('admin authentication', () => {
+    let logger;
+
+    /**
+     * Build an app whose config carries the given admin settings.
+     */
+    const appWith = (overrides, options = {}) =>
+        createApp(createConfig(overrides, {}, { rootDir: null }), [], { logger, ...options });
+
+    beforeEach(() => {
+        logger = { warn: sinon.spy(), info: sinon.spy(), error: sinon.spy() };
+    });
+
+    describe('basic (default)', () => {
+        let credentials;
+
+        before(async () => {
+            credentials = [`admin:${await hashPassword('hunter2', { cost: 1024 })}`];
+        });
+
+        it('is the default and challenges unauthenticated requests', async () => {
+            const res = await request(appWith({}))
+                .get('/admin')
+                .set('Accept', 'application/json')
+                .expect(401)
+                .expect('WWW-Authenticate', /^Basic realm="app admin"/);
+
+            expect(res.body.code).to.equal('UNAUTHORIZED');
+            expect(logger.warn.calledWithMatch(/No adminCredentials/)).to.be.true;
+        });
+
+        it('admits valid credentials on every /admin route', async () => {
+            const app = appWith({ adminCredentials: credentials });
+
+            await request(app).get('/admin').auth('admin', 'hunter2').expect(200);
+            await request(app).get('/admin/config').auth('admin', 'hunter2').expect(200);
+            await request(app).get('/').expect(200);
+        });
+
+        it('logs failures and locks the client out after repeated attempts', async () => {
+            const app = appWith({ adminCredentials: credentials, adminMaxAttempts: 2, adminLockout: 60_000 });
+
+            await request(app).get('/admin').auth('admin', 'wrong').expect(401);
+            await request(app).get('/admin').auth('nobody', 'wrong').expect(401);
+            const locked = await request(app)
+                .get('/admin')
+                .set('Accept', 'application/json')
+                .auth('admin', 'hunter2')
+                .expect(429);
+
+            expect(locked.headers['retry-after']).to.equal('60');
+            expect(locked.body.code).to.equal('ADMIN_LOCKED_OUT');
+            expect(logger.warn.calledWithMatch('Admin authentication failed', { reason: 'invalid credentials', user: 'nobody' }))
+                .to.be.true;
+            expect(logger.warn.calledWithMatch('Admin client locked out')).to.be.true;
+        });
+
+        it('counts failures that arrive at the same time', async () => {
+            const config = createConfig({ adminCredentials: credentials, adminMaxAttempts: 3, adminLockout: 60_000 }, {}, { rootDir: null });
+            // Reads take a while, as they would on a networked store
+            const memory = createMemoryStore();
+            const store = {
+                ...memory,
+                get: async (key) => {
+                    const value = await memory.get(key);
+                    await new Promise((resolve) => globalThis.setTimeout(resolve, 20));
+                    return value;
+                },
+            };
+            const app = createApp(config, [], { logger, adminAuth: adminAuth(config, { store, logger }) });
+
+            await Promise.all([1, 2, 3, 4, 5].map(() => request(app).get('/admin').auth('admin', 'wrong')));
+            await request(app).get('/admin').set('Accept', 'application/json').auth('admin', 'hunter2').expect(429);
+        });
+
+        it('rejects malformed credential entries at startup', () => {
+            expect(() => appWith({ adminCredentials: ['no-separator'] }))
+                .to.throw().with.property('code', 'ADMIN_AUTH_MISCONFIGURED');
+        });
+    });
+
+    describe('jwt', () => {
+        const tokenService = createTokenService({ secret: 'test-secret-that-is-long-enough' });
+
+        it('requires a bearer token carrying the admin role', async () => {
+            const app = appWith({ adminAuth: 'jwt' }, { tokenService });
+
+            await request(app)
+                .get('/admin')
+                .set('Authorization', `Bearer ${tokenService.sign({ sub: 'ops', roles: ['admin'] })}`)
+                .expect(200);
+            await request(app)
+                .get('/admin')
+                .set('Accept', 'application/json')
+                .set('Authorization', `Bearer ${tokenService.sign({ sub: 'dev', roles: ['viewer'] })}`)
+                .expect(403);
+            const forged = await request(app).get('/admin').set('Authorization', 'Bearer forged').expect(401);
+            expect(forged.headers['content-type']).to.match(/^application\/problem\+json/);
+            expect(forged.body).to.include({ status: 401, code: 'UNAUTHORIZED', detail: 'Invalid token' });
+
+            expect(logger.warn.calledWithMatch('Admin authentication failed', { reason: 'invalid token' })).to.be.true;
+        });
+
+        it('refuses to start without a token service', () => {
+            expect(() => appWith({ adminAuth: 'jwt' })).to.throw().with.property('code', 'ADMIN_AUTH_MISCONFIGURED');
+        });
+    });
+
+    describe('ip', () => {
+        it('admits addresses on the allowlist only', async () => {
+            await request(appWith({ adminAuth: 'ip', adminAllowlist: ['127.0.0.0/8', '::1'] })).get('/admin').expect(200);
+
+            await request(appWith({ adminAuth: 'ip', adminAllowlist: ['10.0.0.0/8'] }))
+                .get('/admin')
+                .set('Accept', 'application/json')
+                .expect(403);
+            expect(logger.warn.calledWithMatch('Admin access denied for address')).to.be.true;
+        });
+    });
+
+    describe('none and custom', () => {
+        it('leaves /admin open when explicitly disabled', async () => {
+            await request(appWith({ adminAuth: 'none' })).get('/admin').expect(200);
+        });
+
+        it('uses options.adminAuth instead of the configured mode', async () => {
+            const custom = (req, _res, next) => next(req.get('X-Admin') === 'yes' ? undefined : new Error('nope'));
+            const app = appWith({}, { adminAuth: custom });
+
+            await request(app).get('/admin').set('X-Admin', 'yes').expect(200);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * @file tests/auth.spec.js
+ * Tests for the token endpoints (src/routes/auth.js) mounted by createApp.
+ */
+
+import { expect } from 'chai';
+import request from 'supertest';
+import { createTokenService, createRefreshTokenManager } from '@animated-spork/shared';
+import { createApp } from '../src/app-factory.js';
+import { createConfig } from '../src/config/env.js';
+
+describe('routes/auth', () => {
+    const config = createConfig({ adminAuth: 'none' }, {}, { rootDir: null });
+    const tokenService = createTokenService({ secret: 'test-secret-that-is-long-enough' });
+    let refreshTokens;
+    let app;
+
+    beforeEach(() => {
+        refreshTokens = createRefreshTokenManager({ tokenService });
+        app = createApp(config, [], { refreshTokens });
+    });
+
+    it('exchanges a refresh token for a new pair', async () => {
+        const { refreshToken } = await refreshTokens.issue({ sub: 'user-42' });
+
+        const res = await request(app)
+            .post('/auth/token/refresh')
+            .send({ refreshToken })
+            .expect(200)
+            .expect('Cache-Control', 'no-store');
+
+        expect(res.body).to.include({ tokenType: 'Bearer', expiresIn: 900 });
+        expect(res.body.refreshToken).to.not.equal(refreshToken);
+        expect(tokenService.verify(res.body.accessToken).sub).to.equal('user-42');
+    });
+
+    it('answers 401 REFRESH_TOKEN_REUSED when a refresh token is replayed', async () => {
+        const { refreshToken } = await refreshTokens.issue({ sub: 'user-42' });
+        await request(app).post('/auth/token/refresh').send({ refreshToken }).expect(200);
+
+        const res = await request(app)
+            .post('/auth/token/refresh')
+            .set('Accept', 'application/json')
+            .send({ refreshToken })
+            .expect(401);
+
+        expect(res.body.code).to.equal('REFRESH_TOKEN_REUSED');
+    });
+
+    it('revokes tokens with 204 and rejects requests without a token', async () => {
+        const { accessToken, refreshToken } = await refreshTokens.issue({ sub: 'user-42' });
+
+        await request(app).post('/auth/token/revoke').send({ token: refreshToken }).expect(204);
+        expect(await refreshTokens.denylist.isRevoked(tokenService.decode(accessToken).jti)).to.be.true;
+
+        const res = await request(app)
+            .post('/auth/token/revoke')
+            .set('Accept', 'application/json')
+            .send({})
+            .expect(400);
+        expect(res.body.code).to.equal('VALIDATION_ERROR');
+    });
+
+    it('is not mounted without a refresh token manager', async () => {
+        await request(createApp(config))
+            .post('/auth/token/refresh')
+            .set('Accept', 'application/json')
+            .send({ refreshToken: 'x' })
+            .expect(404);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * @file tests/authorize.spec.js
+ * Tests that the authorization guards and jwtAuthMiddleware re-exported by
+ * the package answer through the app's error handler (JSON and HTML).
+ */
+
+import { expect } from 'chai';
+import request from 'supertest';
+import { Router } from 'express';
+import { createApp } from '../src/app-factory.js';
+import { createConfig } from '../src/config/env.js';
+import { createTokenService, jwtAuthMiddleware, requireScopes, requireRoles } from '../index.js';
+
+describe('authorization guards', () => {
+    const config = createConfig({ adminAuth: 'none' }, {}, { rootDir: null });
+    const tokens = createTokenService({ secret: 'test-secret-that-is-long-enough' });
+
+    /**
+     * Plugin guarding a router as a whole and one route individually.
+     */
+    const guardedPlugin = (app) => {
+        const router = Router();
+        router.use('/api', jwtAuthMiddleware(tokens), requireScopes('tasks:read'));
+        router.get('/api/tasks', (_req, res) => res.json({ tasks: [] }));
+        router.delete('/api/tasks/:id', requireRoles('admin'), (_req, res) => res.status(204).end());
+        app.use(router);
+    };
+
+    const app = createApp(config, [guardedPlugin]);
+    const bearer = (claims) => `Bearer ${tokens.sign(claims)}`;
+
+    it('lets requests with the required scope and role through', async () => {
+        await request(app).get('/api/tasks').set('Authorization', bearer({ scope: 'tasks:read' })).expect(200);
+        await request(app)
+            .delete('/api/tasks/1')
+            .set('Authorization', bearer({ scope: 'tasks:read', roles: ['admin'] }))
+            .expect(204);
+    });
+
+    it('answers 403 with problem details', async () => {
+        const res = await request(app)
+            .delete('/api/tasks/1')
+            .set('Accept', 'application/json')
+            .set('Authorization', bearer({ scope: 'tasks:read' }))
+            .expect(403);
+
+        expect(res.headers['content-type']).to.equal('application/problem+json; charset=utf-8');
+        expect(res.body).to.deep.equal({
+            type: 'about:blank',
+            title: 'Forbidden',
+            status: 403,
+            detail: 'Missing required role: admin',
+            instance: '/api/tasks/1',
+            code: 'FORBIDDEN',
+            requestId: res.headers['x-request-id'],
+        });
+    });
+
+    it('answers 401 from jwtAuthMiddleware with problem details too', async () => {
+        const res = await request(app).get('/api/tasks').set('Accept', 'application/json').expect(401);
+
+        expect(res.headers['content-type']).to.equal('application/problem+json; charset=utf-8');
+        expect(res.body).to.include({
+            status: 401,
+            detail: 'Missing or invalid authorization header',
+            code: 'UNAUTHORIZED',
+        });
+    });
+
+    it('renders the HTML error page for browsers', async () => {
+        const res = await request(app)
+            .get('/api/tasks')
+            .set('Accept', 'text/html')
+            .set('Authorization', bearer({ scope: 'other' }))
+            .expect(403);
+
+        expect(res.text).to.include('Missing required scope: tasks:read');
+    });
+});
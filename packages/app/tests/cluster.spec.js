@@ -0,0 +1,248 @@
+/**
+ * @file tests/cluster.spec.js
+ * Tests for cluster mode: the primary's supervisor
+ * (src/cluster/supervisor.js), the worker link (src/cluster/worker.js)
+ * and how createServer() wires them up. `node:cluster` is replaced by a
+ * fake so no processes are forked.
+ */
+
+import { EventEmitter, once } from 'node:events';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+import { createApp } from '../src/app-factory.js';
+import { createConfig } from '../src/config/env.js';
+import { createServer } from '../src/server-factory.js';
+import { createClusterSupervisor } from '../src/cluster/supervisor.js';
+import { MESSAGES } from '../src/cluster/worker.js';
+
+let nextPid = 1000;
+
+/**
+ * Fake cluster worker. Exits on its own when asked to shut down, unless
+ * `stubborn` is set.
+ */
+class FakeWorker extends EventEmitter {
+    constructor(env) {
+        super();
+        this.env = env;
+        this.sent = [];
+        this.stubborn = false;
+        this.process = {
+            pid: nextPid++,
+            kill: sinon.spy((signal) => this.emit('exit', null, signal)),
+        };
+    }
+
+    send(message) {
+        this.sent.push(message);
+        if (message.type === MESSAGES.SHUTDOWN && !this.stubborn) {
+            globalThis.setImmediate(() => this.emit('exit', 0, null));
+        }
+    }
+
+    isConnected() {
+        return true;
+    }
+}
+
+const fakeCluster = () => {
+    const cluster = { isPrimary: true, isWorker: false, forked: [] };
+    cluster.fork = sinon.spy((env) => {
+        const worker = new FakeWorker(env);
+        cluster.forked.push(worker);
+        return worker;
+    });
+    return cluster;
+};
+
+const stubLogger = () => ({ info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() });
+
+const clusterConfig = (overrides = {}) => createConfig(
+    { adminAuth: 'none', port: 0, clusterWorkers: 2, clusterRestartDelay: 100, clusterMaxRestartDelay: 400, ...overrides },
+    {},
+    { rootDir: null },
+);
+
+const tick = () => new Promise((resolve) => globalThis.setImmediate(resolve));
+
+describe('cluster mode', () => {
+    describe('createClusterSupervisor', () => {
+        let cluster;
+        let logger;
+
+        beforeEach(() => {
+            cluster = fakeCluster();
+            logger = stubLogger();
+        });
+
+        it('forks one worker per slot', () => {
+            const supervisor = createClusterSupervisor(clusterConfig({ clusterWorkers: 3 }), { cluster, logger });
+            supervisor.start();
+
+            expect(cluster.fork.callCount).to.equal(3);
+            expect(cluster.forked.map((w) => w.env.CLUSTER_SLOT)).to.deep.equal(['0', '1', '2']);
+            expect(supervisor.stats().workers.map((w) => w.state)).to.deep.equal(['online', 'online', 'online']);
+        });
+
+        it('restarts crashed workers with exponential backoff', () => {
+            const clock = sinon.useFakeTimers();
+            try {
+                const supervisor = createClusterSupervisor(clusterConfig({ clusterWorkers: 1 }), {
+                    cluster,
+                    logger,
+                    now: () => clock.now,
+                });
+                supervisor.start();
+
+                const delays = [];
+                for (let crash = 0; crash < 4; crash++) {
+                    const forks = cluster.fork.callCount;
+                    cluster.forked.at(-1).emit('exit', 1, null);
+                    expect(supervisor.stats().workers[0].state).to.equal('restarting');
+                    let waited = 0;
+                    while (cluster.fork.callCount === forks) {
+                        clock.tick(50);
+                        waited += 50;
+                    }
+                    delays.push(waited);
+                }
+
+                expect(delays).to.deep.equal([100, 200, 400, 400]);
+                expect(supervisor.stats().workers[0]).to.include({ state: 'online', restarts: 4 });
+                expect(logger.warn.calledWithMatch(/exited \(code 1\) — restarting in 100ms/)).to.be.true;
+            } finally {
+                clock.restore();
+            }
+        });
+
+        it('replaces workers one at a time on a rolling restart', async () => {
+            const supervisor = createClusterSupervisor(clusterConfig(), { cluster, logger });
+            supervisor.start();
+            const [first, second] = cluster.forked;
+
+            const rolling = supervisor.rollingRestart();
+            await tick();
+            expect(cluster.fork.callCount).to.equal(3);
+            expect(first.sent).to.be.empty;
+
+            cluster.forked[2].emit('listening');
+            await tick();
+            expect(first.sent).to.deep.include({ type: MESSAGES.SHUTDOWN });
+            expect(second.sent).to.be.empty;
+
+            await tick();
+            cluster.forked[3].emit('listening');
+            await rolling;
+
+            expect(second.sent).to.deep.include({ type: MESSAGES.SHUTDOWN });
+            expect(cluster.fork.callCount).to.equal(4);
+            expect(supervisor.stats().workers.map((w) => w.pid))
+                .to.deep.equal([cluster.forked[2].process.pid, cluster.forked[3].process.pid]);
+            expect(supervisor.stats().workers.every((w) => w.restarts === 0)).to.be.true;
+        });
+
+        it('keeps the old workers when a replacement dies before listening', async () => {
+            const supervisor = createClusterSupervisor(clusterConfig(), { cluster, logger });
+            supervisor.start();
+            const pids = supervisor.stats().workers.map((w) => w.pid);
+
+            const rolling = supervisor.rollingRestart();
+            await tick();
+            cluster.forked[2].emit('exit', 1, null);
+            await rolling;
+
+            expect(supervisor.stats().workers.map((w) => w.pid)).to.deep.equal(pids);
+            expect(cluster.fork.callCount).to.equal(3);
+            expect(logger.error.calledWithMatch(/rolling restart aborted/)).to.be.true;
+        });
+
+        it('stops every worker without restarting them and kills stragglers', async () => {
+            const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+            try {
+                const supervisor = createClusterSupervisor(
+                    clusterConfig({ shutdownDelay: 0, shutdownTimeout: 1000 }),
+                    { cluster, logger },
+                );
+                supervisor.start();
+                const [polite, stubborn] = cluster.forked;
+                stubborn.stubborn = true;
+
+                const stopping = supervisor.stop();
+                await tick();
+                clock.tick(11000);
+                await stopping;
+
+                expect(polite.process.kill.called).to.be.false;
+                expect(stubborn.process.kill.calledOnceWithExactly('SIGKILL')).to.be.true;
+                clock.tick(1000);
+                expect(cluster.fork.callCount).to.equal(2);
+            } finally {
+                clock.restore();
+            }
+        });
+
+        it('aggregates worker stats and answers stats requests from workers', () => {
+            const supervisor = createClusterSupervisor(clusterConfig(), { cluster, logger });
+            supervisor.start();
+            const [first, second] = cluster.forked;
+            const memory = { rss: 50 * 1024 * 1024, heapUsed: 20 * 1024 * 1024 };
+
+            first.emit('message', { type: MESSAGES.STATS, stats: { memory, uptime: 3 } });
+            second.emit('message', { type: MESSAGES.CLUSTER_STATS, id: 7 });
+
+            const reply = second.sent.find((m) => m.type === MESSAGES.CLUSTER_STATS);
+            expect(reply.id).to.equal(7);
+            expect(reply.stats.workers[0]).to.include({ slot: 0, pid: first.process.pid, restarts: 0 });
+            expect(reply.stats.workers[0].memory).to.deep.equal(memory);
+            expect(reply.stats.workers[1].memory).to.equal(null);
+        });
+    });
+
+    describe('createServer', () => {
+        it('supervises workers instead of listening in the primary', async () => {
+            const cluster = fakeCluster();
+            const config = clusterConfig();
+            const result = createServer(createApp(config), config, { cluster, signals: [], restartSignal: null, logger: stubLogger() });
+
+            expect(result.server).to.equal(null);
+            expect(cluster.fork.callCount).to.equal(2);
+
+            await result.close();
+            expect(cluster.forked.every((w) => w.sent.some((m) => m.type === MESSAGES.SHUTDOWN))).to.be.true;
+        });
+
+        it('reports to the primary, shows cluster stats on /admin and shuts down on request in a worker', async () => {
+            const channel = new EventEmitter();
+            channel.isConnected = () => true;
+            channel.send = sinon.spy((message) => {
+                if (message.type === MESSAGES.CLUSTER_STATS) {
+                    globalThis.setImmediate(() => channel.emit('message', {
+                        type: MESSAGES.CLUSTER_STATS,
+                        id: message.id,
+                        stats: {
+                            primaryPid: 1,
+                            workers: [{ slot: 0, pid: 4242, state: 'online', uptime: 12, memory: null, restarts: 3 }],
+                        },
+                    }));
+                }
+            });
+            const cluster = { isPrimary: false, isWorker: true, worker: channel };
+            const exit = sinon.spy();
+            const config = clusterConfig();
+            const { server } = createServer(createApp(config), config, { cluster, exit, signals: [], logger: stubLogger() });
+            await once(server, 'listening');
+
+            expect(channel.send.calledWithMatch({ type: MESSAGES.STATS })).to.be.true;
+            const res = await request(server).get('/admin').expect(200);
+            expect(res.text).to.include('Cluster Workers').and.include('4242');
+
+            channel.emit('message', { type: MESSAGES.SHUTDOWN });
+            await once(server, 'close');
+            await tick();
+
+            expect(exit.calledOnceWithExactly(0)).to.be.true;
+            expect(channel.listenerCount('message')).to.equal(0);
+        });
+    });
+});
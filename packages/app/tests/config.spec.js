@@ -0,0 +1,300 @@
+/**
+ * @file tests/config.spec.js
+ * Unit tests for the configuration factory (src/config/env.js) and the
+ * logger options derived from it (src/config/logging.js).
+ */
+
+import { expect } from 'chai';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import request from 'supertest';
+import { createVault } from '@animated-spork/shared';
+import { createApp } from '../src/app-factory.js';
+import {
+    createConfig,
+    loadConfig,
+    getConfigSources,
+    describeConfig,
+    filterSensitiveKeys,
+} from '../src/config/env.js';
+import { loggerOptions } from '../src/config/logging.js';
+
+/**
+ * Vault whose only provider serves from a plain object.
+ */
+function stubVault(secrets) {
+    return createVault({
+        providers: [{ name: 'stub', get: async (name) => secrets[name] }],
+    });
+}
+
+describe('config/env', () => {
+    describe('createConfig', () => {
+        it('layers defaults, env and overrides', () => {
+            const config = createConfig({ appName: 'override' }, { PORT: '4000', APP_NAME: 'env' });
+
+            expect(config.port).to.equal(4000);
+            expect(config.appName).to.equal('override');
+            expect(config.nodeEnv).to.equal('development');
+            expect(Object.isFrozen(config)).to.be.true;
+        });
+
+        it('coerces env strings to the declared types', () => {
+            const config = createConfig({}, { REQUEST_TIMEOUT: '500', PORT: '0' });
+
+            expect(config.requestTimeout).to.equal(500);
+            expect(config.port).to.equal(0);
+        });
+
+        it('collects every violation into one CONFIG_INVALID error', () => {
+            try {
+                createConfig({ maxRequestSize: 'lots' }, { PORT: 'abc', REQUEST_TIMEOUT: '-1' });
+                expect.fail('expected createConfig to throw');
+            } catch (err) {
+                expect(err.code).to.equal('CONFIG_INVALID');
+                expect(err.violations.map((v) => v.key)).to.have.members(['port', 'maxRequestSize', 'requestTimeout']);
+                expect(err.message).to.include('port (PORT): expected an integer, got "abc"');
+            }
+        });
+
+        it('redacts sensitive values in violations', () => {
+            const sections = { billing: { apiToken: { type: 'string', env: 'BILLING_API_TOKEN', pattern: /^tok_/ } } };
+            try {
+                createConfig({}, { BILLING_API_TOKEN: 'sk-live-123', PORT: 'abc' }, { sections, rootDir: null });
+                expect.fail('expected createConfig to throw');
+            } catch (err) {
+                expect(err.message).to.include('billing.apiToken (BILLING_API_TOKEN): must match /^tok_/, got [redacted] from env');
+                expect(err.message).to.not.include('sk-live-123');
+                expect(err.message).to.include('got "abc"');
+            }
+        });
+
+        it('resolves namespaced plugin sections', () => {
+            const sections = {
+                tasks: {
+                    pageSize: { type: 'integer', env: 'TASKS_PAGE_SIZE', default: 20, min: 1, max: 100 },
+                    sort: { type: 'string', enum: ['asc', 'desc'], default: 'asc' },
+                    tags: { type: 'array', env: 'TASKS_TAGS' },
+                    enabled: { type: 'boolean', env: 'TASKS_ENABLED', default: false },
+                },
+            };
+
+            const config = createConfig(
+                { tasks: { sort: 'desc' } },
+                { TASKS_PAGE_SIZE: '50', TASKS_TAGS: 'a, b', TASKS_ENABLED: 'yes' },
+                { sections },
+            );
+
+            expect(config.tasks).to.deep.equal({ pageSize: 50, sort: 'desc', tags: ['a', 'b'], enabled: true });
+            expect(Object.isFrozen(config.tasks)).to.be.true;
+        });
+
+        it('reports unknown, missing and out-of-range section keys', () => {
+            const sections = {
+                billing: {
+                    apiUrl: { type: 'string', env: 'BILLING_API_URL', required: true },
+                    retries: { type: 'integer', max: 5, default: 3 },
+                },
+            };
+
+            try {
+                createConfig({ billing: { retires: 2, retries: 9 } }, {}, { sections });
+                expect.fail('expected createConfig to throw');
+            } catch (err) {
+                expect(err.violations).to.deep.include({ key: 'billing.retires', message: 'is not a known key (overrides)' });
+                expect(err.violations.map((v) => v.key)).to.include.members(['billing.apiUrl', 'billing.retries']);
+            }
+        });
+
+        it('refuses sections that shadow core keys', () => {
+            expect(() => createConfig({}, {}, { sections: { port: {} } }))
+                .to.throw().with.property('code', 'CONFIG_SECTION_CONFLICT');
+        });
+    });
+
+    describe('layered sources', () => {
+        let rootDir;
+
+        /**
+         * Write a file relative to the temp root, creating parent dirs.
+         */
+        const write = (file, contents) => {
+            fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+            fs.writeFileSync(path.join(rootDir, file), contents);
+        };
+
+        beforeEach(() => {
+            rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-config-test-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(rootDir, { recursive: true, force: true });
+        });
+
+        it('applies files in precedence order and records where each key came from', () => {
+            write('config/default.json', JSON.stringify({ appName: 'json-default', appVersion: '1.0.0', port: 1111, team: 'core' }));
+            write('config/staging.json', JSON.stringify({ appVersion: '2.0.0', port: 2222 }));
+            write('.env', 'PORT=3333\nREQUEST_TIMEOUT=1000\n');
+            write('.env.staging', 'PORT=4444\n');
+
+            const config = createConfig({ nodeEnv: 'staging' }, { REQUEST_TIMEOUT: '5000' }, { rootDir });
+
+            expect(config).to.include({
+                appName: 'json-default',
+                appVersion: '2.0.0',
+                port: 4444,
+                requestTimeout: 5000,
+                team: 'core',
+            });
+            expect(getConfigSources(config)).to.include({
+                nodeEnv: 'overrides',
+                appName: 'config/default.json',
+                appVersion: 'config/staging.json',
+                port: '.env.staging (PORT)',
+                requestTimeout: 'env (REQUEST_TIMEOUT)',
+                maxRequestSize: 'default',
+                team: 'config/default.json',
+            });
+        });
+
+        it('reads NODE_ENV from .env to pick the environment files', () => {
+            write('.env', 'NODE_ENV=production\n');
+            write('config/production.json', JSON.stringify({ appName: 'prod' }));
+
+            const config = createConfig({}, {}, { rootDir });
+
+            expect(config.appName).to.equal('prod');
+        });
+
+        it('feeds sections from JSON files and rejects unknown section keys there', () => {
+            const sections = { tasks: { pageSize: { type: 'integer', default: 20 } } };
+            write('config/default.json', JSON.stringify({ tasks: { pageSize: 5 } }));
+
+            const config = createConfig({}, {}, { rootDir, sections });
+            expect(config.tasks.pageSize).to.equal(5);
+            expect(getConfigSources(config)['tasks.pageSize']).to.equal('config/default.json');
+
+            write('config/default.json', JSON.stringify({ tasks: { pagesize: 5 } }));
+            expect(() => createConfig({}, {}, { rootDir, sections }))
+                .to.throw(/tasks\.pagesize: is not a known key \(config\/default\.json\)/);
+        });
+
+        it('fails with CONFIG_FILE_INVALID on malformed JSON', () => {
+            write('config/default.json', '{ nope');
+            expect(() => createConfig({}, {}, { rootDir })).to.throw().with.property('code', 'CONFIG_FILE_INVALID');
+        });
+
+        it('describeConfig flattens sections and hides sensitive keys', () => {
+            const sections = { tasks: { pageSize: { type: 'integer', default: 20 }, apiToken: { type: 'string', default: 't' } } };
+            const config = createConfig({ jwtSecret: 'x' }, { PORT: '8080' }, { rootDir, sections });
+
+            const rows = describeConfig(config);
+
+            expect(rows).to.deep.include({ key: 'port', value: 8080, source: 'env (PORT)' });
+            expect(rows).to.deep.include({ key: 'tasks.pageSize', value: 20, source: 'default' });
+            expect(rows.map((r) => r.key)).to.not.include.members(['jwtSecret', 'tasks.apiToken']);
+        });
+
+        it('masks credentials in URLs on the admin view and in violations', () => {
+            const config = createConfig({ rateLimitRedisUrl: 'redis://:s3cret@cache:6379/2' }, {}, { rootDir });
+            expect(describeConfig(config)).to.deep.include({
+                key: 'rateLimitRedisUrl',
+                value: 'redis://[redacted]@cache:6379/2',
+                source: 'overrides',
+            });
+
+            const sections = { jobs: { queueUrl: { type: 'string', env: 'JOBS_QUEUE_URL', pattern: /^amqps:/ } } };
+            try {
+                createConfig({}, { JOBS_QUEUE_URL: 'amqp://worker:hunter2@mq/' }, { rootDir, sections });
+                expect.fail('expected createConfig to throw');
+            } catch (err) {
+                expect(err.message).to.include('got "amqp://[redacted]@mq/"');
+                expect(err.message).to.not.include('hunter2');
+            }
+        });
+
+        it('shows provenance on the /admin/config page', async () => {
+            const config = createConfig({ appName: 'provenance', adminAuth: 'none' }, { PORT: '8080' }, { rootDir });
+
+            const res = await request(createApp(config)).get('/admin/config').expect(200);
+
+            expect(res.text).to.include('env (PORT)');
+            expect(res.text).to.include('overrides');
+        });
+    });
+
+    describe('loadConfig', () => {
+        it('resolves secret:// references through the vault', async () => {
+            const vault = stubVault({ 'jwt-key': 's3cret', 'db/password': 'pw' });
+
+            const config = await loadConfig(
+                { jwtSecret: 'secret://jwt-key', db: { password: 'secret://db/password', host: 'localhost' } },
+                {},
+                { vault },
+            );
+
+            expect(config.jwtSecret).to.equal('s3cret');
+            expect(config.db).to.deep.equal({ password: 'pw', host: 'localhost' });
+            expect(Object.isFrozen(config)).to.be.true;
+            expect(getConfigSources(config).appName).to.equal('default');
+        });
+
+        it('leaves references untouched without a vault', async () => {
+            const config = await loadConfig({ jwtSecret: 'secret://jwt-key' }, {});
+            expect(config.jwtSecret).to.equal('secret://jwt-key');
+        });
+
+        it('rejects when a referenced secret does not exist', async () => {
+            try {
+                await loadConfig({ jwtSecret: 'secret://missing' }, {}, { vault: stubVault({}) });
+                expect.fail('expected rejection');
+            } catch (err) {
+                expect(err.code).to.equal('SECRET_NOT_FOUND');
+            }
+        });
+    });
+
+    describe('filterSensitiveKeys', () => {
+        it('drops keys that look like secrets', () => {
+            expect(filterSensitiveKeys({ jwtSecret: 'x', apiKey: 'y', port: 1 })).to.deep.equal({ port: 1 });
+        });
+    });
+
+    describe('loggerOptions', () => {
+        const config = (env) => createConfig({ appName: 'shop', appVersion: '2.0.0' }, env, { rootDir: null });
+
+        it('logs pretty lines to one file by default and JSON in production', () => {
+            expect(loggerOptions(config({}), 'app:server')).to.deep.include({
+                name: 'app:server',
+                level: 'info',
+                format: 'pretty',
+                file: true,
+                rotate: undefined,
+                service: 'shop',
+                version: '2.0.0',
+            });
+            expect(loggerOptions(config({ NODE_ENV: 'production' }), 'app:server').format).to.equal('json');
+            expect(loggerOptions(config({ NODE_ENV: 'production', LOG_FORMAT: 'pretty' }), 'app:server').format)
+                .to.equal('pretty');
+        });
+
+        it('maps the rotation and file settings', () => {
+            const options = loggerOptions(config({
+                LOG_ROTATE: 'hourly',
+                LOG_MAX_SIZE: '20m',
+                LOG_MAX_FILES: '14d',
+                LOG_COMPRESS: 'false',
+                LOG_FILE: 'off',
+            }), 'app:admin');
+
+            expect(options.file).to.equal(false);
+            expect(options.rotate).to.deep.equal({ interval: 'hourly', maxSize: '20m', maxFiles: '14d', compress: false });
+        });
+
+        it('rejects malformed sizes and retention', () => {
+            expect(() => config({ LOG_MAX_SIZE: '20 MB', LOG_MAX_FILES: 'two weeks' }))
+                .to.throw(/logMaxSize[\s\S]*logMaxFiles/);
+        });
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * @file tests/cors.spec.js
+ * Tests for CORS in createApp() (src/config/cors.js): the app-wide
+ * policy from config, preflights, and plugin routers with policies of
+ * their own through `app.locals.cors()`.
+ */
+
+import { Router } from 'express';
+import { expect } from 'chai';
+import request from 'supertest';
+import { createApp } from '../src/app-factory.js';
+import { configWith } from './helpers/index.js';
+
+/**
+ * Plugin with an API under the app-wide policy, a public read API open
+ * to every origin and admin endpoints closed to all of them.
+ */
+const apiPlugin = (app) => {
+    app.get('/api/items', (req, res) => res.json([]));
+    app.put('/api/items/:id', (req, res) => res.json({ id: req.params.id }));
+
+    const publicApi = Router();
+    publicApi.use(app.locals.cors({ origin: '*', credentials: false, methods: ['GET', 'HEAD'] }));
+    publicApi.get('/stats', (req, res) => res.json({ items: 0 }));
+    app.use('/api/public', publicApi);
+
+    const adminApi = Router();
+    adminApi.use(app.locals.cors({ origin: false }));
+    adminApi.delete('/items/:id', (req, res) => res.status(204).end());
+    app.use('/api/admin', adminApi);
+};
+
+describe('CORS', () => {
+    const origin = 'https://app.example.com';
+
+    it('is off until origins are configured', async () => {
+        const app = createApp(configWith(), [apiPlugin]);
+
+        const res = await request(app).get('/api/items').set('Origin', origin).expect(200);
+        expect(res.headers).to.not.have.property('access-control-allow-origin');
+        await request(app).options('/api/items').set('Origin', origin).set('Access-Control-Request-Method', 'PUT').expect(404);
+    });
+
+    it('applies the configured policy to core and plugin routes', async () => {
+        const app = createApp(configWith({}, {
+            CORS_ORIGINS: 'https://app.example.com,https://*.example.org',
+            CORS_CREDENTIALS: 'true',
+            CORS_EXPOSED_HEADERS: 'X-Request-Id',
+        }), [apiPlugin]);
+
+        const items = await request(app).get('/api/items').set('Origin', origin).expect(200);
+        expect(items.headers).to.include({
+            'access-control-allow-origin': origin,
+            'access-control-allow-credentials': 'true',
+            'access-control-expose-headers': 'X-Request-Id',
+        });
+        expect(items.headers.vary).to.include('Origin');
+
+        const probe = await request(app).get('/healthz').set('Origin', 'https://status.example.org').expect(200);
+        expect(probe.headers['access-control-allow-origin']).to.equal('https://status.example.org');
+
+        // Errors stay readable to allowed pages
+        const missing = await request(app).get('/api/nope').set('Origin', origin).set('Accept', 'application/json').expect(404);
+        expect(missing.headers['access-control-allow-origin']).to.equal(origin);
+
+        const denied = await request(app).get('/api/items').set('Origin', 'https://evil.example').expect(200);
+        expect(denied.headers).to.not.have.property('access-control-allow-origin');
+    });
+
+    it('answers preflights', async () => {
+        const app = createApp(configWith({ corsOrigins: [origin], corsMaxAge: 3600 }), [apiPlugin]);
+
+        const res = await request(app)
+            .options('/api/items/7')
+            .set('Origin', origin)
+            .set('Access-Control-Request-Method', 'PUT')
+            .set('Access-Control-Request-Headers', 'content-type, x-csrf-token')
+            .expect(204);
+        expect(res.headers).to.include({
+            'access-control-allow-origin': origin,
+            'access-control-allow-methods': 'GET, HEAD, PUT, PATCH, POST, DELETE',
+            'access-control-allow-headers': 'content-type, x-csrf-token',
+            'access-control-max-age': '3600',
+        });
+        expect(res.text).to.equal('');
+
+        // Not a preflight: no Access-Control-Request-Method
+        await request(app).options('/api/items/7').set('Origin', origin).expect(404);
+    });
+
+    it('lets plugin routers replace the app-wide policy', async () => {
+        const app = createApp(configWith({ corsOrigins: [origin], corsCredentials: true }), [apiPlugin]);
+
+        const stats = await request(app).get('/api/public/stats').set('Origin', 'https://anyone.example').expect(200);
+        expect(stats.headers['access-control-allow-origin']).to.equal('*');
+        expect(stats.headers).to.not.have.property('access-control-allow-credentials');
+
+        const statsPreflight = await request(app).options('/api/public/stats')
+            .set('Origin', 'https://anyone.example').set('Access-Control-Request-Method', 'GET').expect(204);
+        expect(statsPreflight.headers['access-control-allow-methods']).to.equal('GET, HEAD');
+
+        // Closed even to the origins the app-wide policy allows
+        const adminPreflight = await request(app).options('/api/admin/items/7')
+            .set('Origin', origin).set('Access-Control-Request-Method', 'DELETE').expect(204);
+        expect(adminPreflight.headers).to.not.have.property('access-control-allow-origin');
+        expect(adminPreflight.headers).to.not.have.property('access-control-allow-methods');
+        const admin = await request(app).delete('/api/admin/items/7').set('Origin', origin).expect(204);
+        expect(admin.headers).to.not.have.property('access-control-allow-origin');
+        expect(admin.headers).to.not.have.property('access-control-allow-credentials');
+    });
+
+    it('rejects invalid policies up front', () => {
+        expect(() => createApp(configWith({ corsOrigins: ['app.example.com'] })))
+            .to.throw().with.property('code', 'CORS_MISCONFIGURED');
+        expect(() => createApp(configWith({ corsOrigins: ['*'], corsCredentials: true })))
+            .to.throw().with.property('code', 'CORS_MISCONFIGURED');
+    });
+});
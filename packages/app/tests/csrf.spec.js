@@ -0,0 +1,132 @@
+/**
+ * @file tests/csrf.spec.js
+ * Tests for CSRF protection in createApp() (src/middlewares/csrf.js):
+ * which requests are checked, where tokens come from, session binding
+ * and the template helpers.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+import { createApp } from '../src/app-factory.js';
+import { configWith } from './helpers/index.js';
+
+let viewsDir;
+
+const csrfConfig = (overrides = {}) => configWith({ csrfSecret: 'test-csrf-secret', viewsDir, ...overrides });
+
+/**
+ * Plugin with a form page and handlers for posting it, as form data or JSON.
+ */
+const notesPlugin = (app) => {
+    app.get('/notes/new', (req, res) => res.render('notes'));
+    app.post('/notes', (req, res) => res.status(201).json({ saved: true }));
+    app.post('/webhooks/github', (req, res) => res.status(204).end());
+};
+
+/**
+ * Load the form page and return its token and the cookies to post with.
+ */
+async function loadForm(app, cookie = '') {
+    const res = await request(app).get('/notes/new').set('Cookie', cookie).expect(200);
+    const token = /name="_csrf" value="([^"]+)"/.exec(res.text)[1];
+    const setCookie = res.headers['set-cookie']?.find((header) => header.startsWith('csrf='));
+    return { token, cookie: [cookie, setCookie?.split(';')[0] ?? `csrf=${token}`].filter(Boolean).join('; '), setCookie };
+}
+
+describe('CSRF protection', () => {
+    let logger;
+
+    before(() => {
+        viewsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-csrf-views-'));
+        fs.writeFileSync(path.join(viewsDir, 'notes.ejs'), '<form method="post" action="/notes"><%- csrfField() %></form>');
+    });
+
+    after(() => {
+        fs.rmSync(viewsDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        logger = { warn: sinon.spy(), info: sinon.spy(), error: sinon.spy() };
+    });
+
+    it('renders a hidden field and sets an HttpOnly token cookie', async () => {
+        const { token, setCookie } = await loadForm(createApp(csrfConfig(), [notesPlugin]));
+
+        expect(token).to.match(/^[\w-]+\.[\w-]+$/);
+        expect(setCookie).to.match(new RegExp(`^csrf=${token.replace('.', '\\.')}; Path=/; HttpOnly; SameSite=Lax$`));
+    });
+
+    it('rejects form posts without a valid token with 403 through the error handler', async () => {
+        const app = createApp(csrfConfig(), [notesPlugin], { logger });
+        const { token, cookie } = await loadForm(app);
+
+        const missing = await request(app).post('/notes').set('Cookie', cookie).set('Accept', 'application/json')
+            .type('form').send({ title: 'x' }).expect(403);
+        expect(missing.body).to.include({ code: 'CSRF_INVALID', status: 403 });
+        expect(logger.warn.calledWithMatch('CSRF check failed', { method: 'POST', path: '/notes', tokenSent: false })).to.be.true;
+
+        // A token without its cookie, as a cross-site page would send it
+        await request(app).post('/notes').type('form').send({ _csrf: token }).expect(403);
+        // A self-made cookie and token pair
+        await request(app).post('/notes').set('Cookie', 'csrf=abc.def').type('form').send({ _csrf: 'abc.def' }).expect(403);
+
+        await request(app).post('/notes').set('Cookie', cookie).type('form').send({ title: 'x', _csrf: token }).expect(201);
+    });
+
+    it('checks requests carrying the session cookie, taking the token from a header', async () => {
+        const authenticate = async (username) => ({ id: username });
+        const app = createApp(csrfConfig({ sessionSecret: 'test-session-secret' }), [notesPlugin], { authenticate, logger });
+
+        const login = await request(app).get('/login').expect(200);
+        const preLogin = /name="_csrf" value="([^"]+)"/.exec(login.text)[1];
+        const loggedIn = await request(app).post('/login').set('Cookie', `csrf=${preLogin}`)
+            .type('form').send({ username: 'alice', password: 'pw', _csrf: preLogin }).expect(303);
+        const session = loggedIn.headers['set-cookie'][0].split(';')[0];
+
+        // JSON needs the token too once the session cookie rides along
+        await request(app).post('/notes').set('Cookie', session).send({ title: 'x' }).expect(403);
+        // The pre-login token is bound to no session and doesn't carry over
+        await request(app).post('/notes').set('Cookie', `${session}; csrf=${preLogin}`)
+            .set('X-CSRF-Token', preLogin).send({ title: 'x' }).expect(403);
+
+        const { token, cookie } = await loadForm(app, session);
+        expect(token).to.not.equal(preLogin);
+        await request(app).post('/notes').set('Cookie', cookie).set('X-CSRF-Token', token).send({ title: 'x' }).expect(201);
+    });
+
+    it('exempts Bearer-authenticated and cookie-less JSON requests', async () => {
+        const app = createApp(csrfConfig({ sessionSecret: 'test-session-secret' }), [notesPlugin], {
+            authenticate: async () => null,
+        });
+
+        await request(app).post('/notes').set('Authorization', 'Bearer abc').type('form').send({ title: 'x' }).expect(201);
+        await request(app).post('/notes').send({ title: 'x' }).expect(201);
+        // With the session cookie, a Bearer header proves nothing
+        await request(app).post('/notes').set('Authorization', 'Bearer abc').set('Cookie', 'sid=whatever')
+            .send({ title: 'x' }).expect(403);
+    });
+
+    it('skips ignored paths and can be turned off', async () => {
+        const app = createApp(csrfConfig({ csrfIgnorePaths: ['/webhooks/*'] }), [notesPlugin]);
+        await request(app).post('/webhooks/github').type('form').send({ payload: '{}' }).expect(204);
+
+        const off = createApp(csrfConfig({ csrfProtection: false }), [notesPlugin]);
+        await request(off).post('/notes').type('form').send({ title: 'x' }).expect(201);
+        const form = await request(off).get('/notes/new').expect(200);
+        expect(form.text).to.equal('<form method="post" action="/notes"></form>');
+    });
+
+    it('requires a secret in production unless turned off explicitly', async () => {
+        expect(() => createApp(csrfConfig({ csrfSecret: undefined, nodeEnv: 'production' }), [notesPlugin], { logger }))
+            .to.throw(/CSRF_PROTECTION=false/).with.property('code', 'CSRF_MISCONFIGURED');
+        expect(() => createApp(csrfConfig({ csrfSecret: undefined, sessionSecret: 's', nodeEnv: 'production' }), [notesPlugin], { logger }))
+            .to.not.throw();
+
+        const off = createApp(csrfConfig({ csrfSecret: undefined, csrfProtection: false, nodeEnv: 'production' }), [notesPlugin], { logger });
+        await request(off).post('/notes').type('form').send({ title: 'x' }).expect(201);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * @file tests/errorHandler.spec.js
+ * Tests for the error handler in createApp() (src/middlewares/errorHandler.js):
+ * content negotiation, RFC 9457 problem details and per-status error views.
+ */
+
+import console from 'node:console';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+import { createApp } from '../src/app-factory.js';
+import { createAppError } from '../src/errors/appError.js';
+import { configWith } from './helpers/index.js';
+
+const BROWSER_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+
+/**
+ * Plugin with routes failing in different ways.
+ */
+const failingPlugin = (app) => {
+    app.get('/limited', (req, res, next) => next(createAppError('RATE_LIMITED', 'Slow down', 429)));
+    app.post('/tasks', (req, res, next) => next(createAppError('VALIDATION_ERROR', 'Invalid task', 400, {
+        errors: [{ field: 'title', message: 'Required' }],
+        status: 200,
+    })));
+    app.get('/boom', () => {
+        throw Object.assign(new Error('db password rejected'), { code: 'ECONNREFUSED' });
+    });
+};
+
+describe('error handler', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('answers API clients with problem+json, including those accepting anything', async () => {
+        const app = createApp(configWith(), [failingPlugin]);
+
+        for (const accept of [undefined, '*/*', 'application/json', 'application/problem+json']) {
+            const req = request(app).get('/limited?page=2');
+            const res = await (accept ? req.set('Accept', accept) : req).expect(429);
+            expect(res.headers['content-type'], accept).to.equal('application/problem+json; charset=utf-8');
+            expect(res.body, accept).to.deep.equal({
+                type: 'about:blank',
+                title: 'Too Many Requests',
+                status: 429,
+                detail: 'Slow down',
+                instance: '/limited',
+                code: 'RATE_LIMITED',
+                requestId: res.headers['x-request-id'],
+            });
+        }
+    });
+
+    it('builds problem types from PROBLEM_TYPE_BASE and adds extension members', async () => {
+        const app = createApp(configWith({ problemTypeBase: 'https://docs.example.com/problems/' }), [failingPlugin]);
+
+        const res = await request(app).post('/tasks').send({}).expect(400);
+        expect(res.body).to.include({
+            type: 'https://docs.example.com/problems/validation-error',
+            title: 'Bad Request',
+            status: 400,
+            code: 'VALIDATION_ERROR',
+        });
+        expect(res.body.errors).to.deep.equal([{ field: 'title', message: 'Required' }]);
+    });
+
+    it('hides the details of unexpected errors', async () => {
+        const logged = sinon.stub(console, 'error');
+        const app = createApp(configWith({ problemTypeBase: 'https://docs.example.com/problems/' }), [failingPlugin]);
+
+        const res = await request(app).get('/boom').expect(500);
+        expect(res.body).to.deep.equal({
+            type: 'https://docs.example.com/problems/internal-error',
+            title: 'Internal Server Error',
+            status: 500,
+            instance: '/boom',
+            code: 'INTERNAL_ERROR',
+            requestId: res.headers['x-request-id'],
+        });
+        expect(logged.calledOnce).to.be.true;
+
+        const page = await request(app).get('/boom').set('Accept', BROWSER_ACCEPT).expect(500);
+        expect(page.text).to.include('Something went wrong on our side');
+        expect(page.text).to.not.include('db password');
+    });
+
+    it('renders status views for browsers, falling back to the generic one', async () => {
+        const app = createApp(configWith(), [failingPlugin]);
+
+        const missing = await request(app).get('/nope').set('Accept', BROWSER_ACCEPT).expect(404);
+        expect(missing.headers['content-type']).to.match(/^text\/html/);
+        expect(missing.text).to.include('Cannot find /nope');
+
+        const limited = await request(app).get('/limited').set('Accept', BROWSER_ACCEPT).expect(429);
+        expect(limited.text).to.include('<h1>429</h1>');
+        expect(limited.text).to.include('<p>Too Many Requests</p>');
+        expect(limited.text).to.include('<p>Slow down</p>');
+    });
+
+    it('prefers error views from viewsDir', async () => {
+        const viewsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-error-views-'));
+        try {
+            fs.mkdirSync(path.join(viewsDir, 'errors'));
+            fs.writeFileSync(path.join(viewsDir, 'errors', '429.ejs'), 'Easy! Retry later (<%= code %>, <%= requestId %>)');
+            fs.writeFileSync(path.join(viewsDir, 'errors', 'error.ejs'), 'Oops: <%= status %> <%= title %>');
+            fs.writeFileSync(path.join(viewsDir, 'errors', '400.ejs'), '<%= undefinedLocal.name %>');
+            const logged = sinon.stub(console, 'error');
+            const app = createApp(configWith({ viewsDir }), [failingPlugin]);
+
+            const limited = await request(app).get('/limited').set('Accept', BROWSER_ACCEPT).set('X-Request-Id', 'req-1').expect(429);
+            expect(limited.text).to.equal('Easy! Retry later (RATE_LIMITED, req-1)');
+
+            const missing = await request(app).get('/nope').set('Accept', BROWSER_ACCEPT).expect(404);
+            expect(missing.text).to.include('Cannot find /nope');
+
+            // A broken status view is logged and replaced by the generic one
+            const invalid = await request(app).post('/tasks').set('Accept', BROWSER_ACCEPT).send({}).expect(400);
+            expect(invalid.text).to.equal('Oops: 400 Bad Request');
+            expect(logged.calledWithMatch('Error view errors/400 failed')).to.be.true;
+        } finally {
+            fs.rmSync(viewsDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * @file tests/health.spec.js
+ * Tests for the health-check registry (src/health/registry.js) and the
+ * probe routes (src/routes/health.js).
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+import { createApp } from '../src/app-factory.js';
+import { createConfig } from '../src/config/env.js';
+import { createHealthRegistry } from '../src/health/registry.js';
+
+describe('health checks', () => {
+    describe('createHealthRegistry', () => {
+        it('reports ok, degraded or fail depending on which checks fail', async () => {
+            const registry = createHealthRegistry();
+            registry.register('db', async () => {});
+            expect((await registry.run()).status).to.equal('ok');
+
+            registry.register('cache', () => false, { critical: false });
+            const degraded = await registry.run();
+            expect(degraded.status).to.equal('degraded');
+            expect(degraded.checks.cache).to.include({ status: 'fail', critical: false, error: 'check reported unhealthy' });
+
+            registry.register('db', async () => {
+                throw new Error('connection refused');
+            });
+            const failed = await registry.run();
+            expect(failed.status).to.equal('fail');
+            expect(failed.checks.db.error).to.equal('connection refused');
+        });
+
+        it('fails checks that exceed their timeout and aborts their signal', async () => {
+            const registry = createHealthRegistry();
+            let aborted = false;
+            registry.register('slow', (signal) => new Promise((resolve) => {
+                signal.addEventListener('abort', () => {
+                    aborted = true;
+                    resolve();
+                });
+            }), { timeout: 20 });
+
+            const report = await registry.run();
+
+            expect(report.checks.slow).to.include({ status: 'fail', error: 'timed out after 20ms' });
+            expect(aborted).to.be.true;
+        });
+
+        it('caches results for cacheTtl and keeps probe types apart', async () => {
+            let time = 0;
+            const registry = createHealthRegistry({ now: () => time });
+            const check = sinon.stub().resolves({ connections: 3 });
+            registry.register('db', check, { cacheTtl: 1000 });
+            registry.register('loop', () => {}, { type: 'liveness' });
+
+            await registry.run();
+            const cached = await registry.run();
+            time += 1000;
+            await registry.run();
+
+            expect(check.callCount).to.equal(2);
+            expect(cached.checks.db).to.include({ status: 'ok', cached: true });
+            expect(cached.checks.db.details).to.deep.equal({ connections: 3 });
+            expect(registry.names('liveness')).to.deep.equal(['loop']);
+            expect(Object.keys((await registry.run('liveness')).checks)).to.deep.equal(['loop']);
+        });
+
+        it('rejects non-function checks and supports unregister', () => {
+            const registry = createHealthRegistry();
+            expect(() => registry.register('x', 'nope')).to.throw().with.property('code', 'INVALID_HEALTH_CHECK');
+
+            registry.register('x', () => {});
+            expect(registry.unregister('x')).to.be.true;
+            expect(registry.names()).to.deep.equal([]);
+        });
+    });
+
+    describe('probe routes', () => {
+        const config = createConfig({ adminAuth: 'none' }, {}, { rootDir: null });
+
+        /**
+         * Plugin registering one healthy and one failing readiness check.
+         */
+        const checksPlugin = ({ critical }) => (app) => {
+            app.locals.health.register('db', () => ({ pool: 'warm' }));
+            app.locals.health.register('search', () => {
+                throw new Error('index unavailable');
+            }, { critical });
+        };
+
+        it('answers ready with no checks registered', async () => {
+            const app = createApp(config);
+
+            const ready = await request(app).get('/readyz').expect(200).expect('Cache-Control', 'no-store');
+            const alive = await request(app).get('/livez').expect(200);
+
+            expect(ready.body).to.deep.equal({ status: 'ready', checks: {} });
+            expect(alive.body.status).to.equal('alive');
+        });
+
+        it('answers 503 with per-check detail when a critical check fails', async () => {
+            const res = await request(createApp(config, [checksPlugin({ critical: true })])).get('/readyz').expect(503);
+
+            expect(res.body).to.deep.equal({
+                status: 'not ready',
+                checks: {
+                    db: { status: 'ok' },
+                    search: { status: 'fail', error: 'index unavailable' },
+                },
+            });
+        });
+
+        it('stays 200 but degraded when only non-critical checks fail', async () => {
+            const res = await request(createApp(config, [checksPlugin({ critical: false })])).get('/readyz').expect(200);
+            expect(res.body.status).to.equal('degraded');
+        });
+
+        it('adds timings and details with ?verbose', async () => {
+            const res = await request(createApp(config, [checksPlugin({ critical: false })]))
+                .get('/readyz?verbose')
+                .expect(200);
+
+            expect(res.body.durationMs).to.be.a('number');
+            expect(res.body.checks.db).to.include({ status: 'ok', critical: true, cached: false });
+            expect(res.body.checks.db.durationMs).to.be.a('number');
+            expect(res.body.checks.db.details).to.deep.equal({ pool: 'warm' });
+        });
+
+        it('leaves timings out with ?verbose=false or ?verbose=0', async () => {
+            const app = createApp(config, [checksPlugin({ critical: false })]);
+
+            for (const query of ['verbose=false', 'verbose=0']) {
+                const res = await request(app).get(`/readyz?${query}`).expect(200);
+                expect(res.body.durationMs, query).to.be.undefined;
+                expect(res.body.checks.db, query).to.deep.equal({ status: 'ok' });
+            }
+            const res = await request(app).get('/readyz?verbose=true').expect(200);
+            expect(res.body.durationMs).to.be.a('number');
+        });
+    });
+});
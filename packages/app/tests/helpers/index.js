@@ -0,0 +1,31 @@
+/**
+ * @file tests/helpers/index.js
+ * Reusable test utilities for app tests.
+ *
+ * These helpers provide:
+ * - App configs for createApp() tests, with admin auth and access logging off (configWith)
+ *
+ * The Redis stand-in for RATE_LIMIT_REDIS_URL lives in ./redisServer.js.
+ */
+
+import { createConfig } from '../../src/config/env.js';
+
+/**
+ * configWith(overrides, env)
+ * Build an app config the way createApp() tests need it: /admin left
+ * unprotected, access logging off and no .env files read.
+ *
+ * @param {object} [overrides={}] - Config keys overriding the defaults
+ * @param {object} [env={}] - Environment variables to resolve the config from
+ * @returns {import('../../src/config/env.js').AppConfig} Frozen app config
+ *
+ * @example
+ * const app = createApp(configWith({ metricsEnabled: true }), [plugin]);
+ */
+export function configWith(overrides = {}, env = {}) {
+    return createConfig(
+        { adminAuth: 'none', accessLogFormat: 'none', ...overrides },
+        env,
+        { rootDir: null },
+    );
+}
@@ -0,0 +1,172 @@
+/**
+ * @file tests/http2.spec.js
+ * Tests for HTTP/2 in createServer(): the Express compatibility bridge
+ * (src/http2/bridge.js) and the h2 / h2c listeners (src/http2/servers.js).
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import http2 from 'node:http2';
+import https from 'node:https';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { once } from 'node:events';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createApp } from '../src/app-factory.js';
+import { createConfig } from '../src/config/env.js';
+import { createServer } from '../src/server-factory.js';
+
+/**
+ * GET `urlPath` over an HTTP/2 session and collect status, headers and body.
+ */
+async function h2get(session, urlPath, headers = {}) {
+    const stream = session.request({ ':path': urlPath, ...headers });
+    const [responseHeaders] = await once(stream, 'response');
+    let body = '';
+    for await (const chunk of stream) {
+        body += chunk;
+    }
+    return { status: responseHeaders[':status'], headers: responseHeaders, body };
+}
+
+/**
+ * GET `url` over HTTP/1.1 and collect status, version and body.
+ */
+async function h1get(url, options = {}) {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.get(url, { agent: false, ...options });
+    const [res] = await once(req, 'response');
+    let body = '';
+    for await (const chunk of res) {
+        body += chunk;
+    }
+    return { status: res.statusCode, httpVersion: res.httpVersion, body };
+}
+
+describe('HTTP/2', function () {
+    // The TLS cases generate a development certificate
+    this.timeout(10000);
+
+    let running;
+    let session;
+    let certDir;
+
+    const start = async (overrides = {}) => {
+        const config = createConfig({ adminAuth: 'none', port: 0, http2: true, ...overrides }, {}, { rootDir: null });
+        const logger = { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() };
+        running = createServer(createApp(config), config, { signals: [], logger, certDir });
+        await once(running.server, 'listening');
+        return { ...running, logger, port: running.server.address().port };
+    };
+
+    before(() => {
+        certDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spork-h2-'));
+    });
+
+    after(() => {
+        fs.rmSync(certDir, { recursive: true, force: true });
+    });
+
+    afterEach(async () => {
+        session?.close();
+        session = null;
+        await running?.close();
+        running = null;
+    });
+
+    describe('h2c (cleartext)', () => {
+        it('serves probes, static assets and errors over HTTP/2', async () => {
+            const { port } = await start();
+            session = http2.connect(`http://localhost:${port}`);
+
+            const health = await h2get(session, '/healthz');
+            const css = await h2get(session, '/css/style.css');
+            const missingJson = await h2get(session, '/nope', { accept: 'application/json' });
+            const missingHtml = await h2get(session, '/nope', { accept: 'text/html' });
+
+            expect(health.status).to.equal(200);
+            expect(JSON.parse(health.body)).to.have.property('status');
+            expect(css.status).to.equal(200);
+            expect(css.headers['content-type']).to.match(/^text\/css/);
+            expect(missingJson.status).to.equal(404);
+            expect(JSON.parse(missingJson.body).status).to.equal(404);
+            expect(missingHtml.status).to.equal(404);
+            expect(missingHtml.headers['content-type']).to.match(/^text\/html/);
+        });
+
+        it('drops connections that send nothing', async () => {
+            const { port } = await start({ headersTimeout: 100 });
+            const socket = net.connect(port, 'localhost');
+            await once(socket, 'connect');
+
+            const started = Date.now();
+            await once(socket, 'close');
+            expect(Date.now() - started).to.be.below(2000);
+        });
+
+        it('waits for enough bytes before telling HTTP/1.1 from HTTP/2', async () => {
+            const { port } = await start();
+            const socket = net.connect(port, 'localhost');
+            await once(socket, 'connect');
+
+            // "P" could still be the HTTP/2 preface, or the start of "POST"
+            socket.write('P');
+            await new Promise((resolve) => globalThis.setTimeout(resolve, 50));
+            socket.write('OST /readyz HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+
+            let response = '';
+            socket.on('data', (chunk) => {
+                response += chunk;
+            });
+            await once(socket, 'close');
+            expect(response).to.match(/^HTTP\/1\.1 404 /);
+        });
+
+        it('still answers HTTP/1.1 clients on the same port', async () => {
+            const { port } = await start();
+
+            const res = await h1get(`http://localhost:${port}/readyz`);
+
+            expect(res.status).to.equal(200);
+            expect(res.httpVersion).to.equal('1.1');
+        });
+
+        it('shows the protocol in the startup log and on the admin dashboard', async () => {
+            const { port, logger } = await start();
+            session = http2.connect(`http://localhost:${port}`);
+
+            const res = await h2get(session, '/admin');
+
+            expect(logger.info.calledWithMatch(/HTTP\/2 cleartext \(h2c\) and HTTP\/1\.1/)).to.be.true;
+            expect(res.body).to.include('HTTP/2 cleartext (h2c) and HTTP/1.1').and.include('HTTP/2.0');
+        });
+
+        it('closes idle sessions on shutdown instead of waiting for the deadline', async () => {
+            const { port, logger, close } = await start({ shutdownTimeout: 5000 });
+            session = http2.connect(`http://localhost:${port}`);
+            await h2get(session, '/healthz');
+
+            const started = Date.now();
+            await close();
+
+            expect(Date.now() - started).to.be.below(1000);
+            expect(logger.warn.called).to.be.false;
+        });
+    });
+
+    describe('h2 over TLS', () => {
+        it('negotiates HTTP/2 via ALPN and falls back to HTTP/1.1', async () => {
+            const { port } = await start({ https: true });
+            session = http2.connect(`https://localhost:${port}`, { rejectUnauthorized: false });
+
+            const h2 = await h2get(session, '/healthz');
+            const h1 = await h1get(`https://localhost:${port}/healthz`, { rejectUnauthorized: false });
+
+            expect(session.alpnProtocol).to.equal('h2');
+            expect(h2.status).to.equal(200);
+            expect(h1).to.include({ status: 200, httpVersion: '1.1' });
+        });
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * @file tests/jwks.spec.js
+ * Tests for the JWKS endpoint (src/routes/jwks.js) mounted by createApp.
+ */
+
+import { expect } from 'chai';
+import crypto from 'node:crypto';
+import request from 'supertest';
+import { createKeyRing, loadKeyPair } from '@animated-spork/shared';
+import { createApp } from '../src/app-factory.js';
+import { createConfig } from '../src/config/env.js';
+
+describe('routes/jwks', () => {
+    const config = createConfig({ adminAuth: 'none' }, {}, { rootDir: null });
+
+    it('serves the key ring public keys at /.well-known/jwks.json', async () => {
+        const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        const keyRing = createKeyRing({
+            keys: [loadKeyPair({ privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }), kid: 'k1' })],
+        });
+
+        const res = await request(createApp(config, [], { keyRing }))
+            .get('/.well-known/jwks.json')
+            .expect(200)
+            .expect('Cache-Control', /max-age=300/);
+
+        expect(res.body.keys).to.have.length(1);
+        expect(res.body.keys[0]).to.include({ kid: 'k1', alg: 'ES256', use: 'sig' });
+        expect(res.body.keys[0]).to.not.have.property('d');
+    });
+
+    it('is not mounted without a key ring', async () => {
+        await request(createApp(config))
+            .get('/.well-known/jwks.json')
+            .set('Accept', 'application/json')
+            .expect(404);
+    });
+});
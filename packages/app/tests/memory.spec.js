@@ -0,0 +1,79 @@
+/**
+ * @file tests/memory.spec.js
+ * Tests for the background memory monitor createServer() starts
+ * (config/memory.js) and the memory history chart on /admin.
+ */
+
+import { once } from 'node:events';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+import { createApp } from '../src/app-factory.js';
+import { memoryMonitorOptions } from '../src/config/memory.js';
+import { createServer } from '../src/server-factory.js';
+import { configWith } from './helpers/index.js';
+
+const memoryConfig = (overrides = {}) => configWith({ port: 0, ...overrides });
+
+/**
+ * Start a server for `config` and return it with its app.
+ */
+async function start(config) {
+    const app = createApp(config);
+    const { server, close } = createServer(app, config, {
+        signals: [],
+        logger: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+    });
+    await once(server, 'listening');
+    return { app, server, close };
+}
+
+describe('memory monitor', () => {
+    it('maps the memory config keys to createMemoryLogger() options in bytes', () => {
+        const options = memoryMonitorOptions(memoryConfig({
+            memorySampleInterval: 5000,
+            memoryHeapThreshold: 512,
+            memorySnapshotThreshold: 1024,
+            memorySnapshotDir: '/var/snapshots',
+        }));
+
+        expect(options).to.deep.equal({
+            interval: 5000,
+            historySize: 360,
+            heapThreshold: 512 * 1024 * 1024,
+            growthCycles: 5,
+            snapshotThreshold: 1024 * 1024 * 1024,
+            snapshotDir: '/var/snapshots',
+        });
+    });
+
+    it('samples in the background and charts the history on /admin', async () => {
+        const { app, server, close } = await start(memoryConfig({ memorySampleInterval: 100 }));
+        try {
+            expect(app.locals.memory.getHistory()).to.have.length(1);
+            await new Promise((resolve) => globalThis.setTimeout(resolve, 250));
+
+            const res = await request(server).get('/admin').expect(200);
+
+            expect(app.locals.memory.getHistory().length).to.be.at.least(3);
+            expect(res.text).to.include('Memory History');
+            expect(res.text).to.match(/<polyline class="series-heapUsed" points="0\.0,[\d.]+ [\d.]+,[\d.]+/);
+            expect(res.text).to.match(/samples over [\d.]+ min/);
+        } finally {
+            await close();
+        }
+    });
+
+    it('can be turned off', async () => {
+        const { app, server, close } = await start(memoryConfig({ memoryMonitor: false }));
+        try {
+            const res = await request(server).get('/admin').expect(200);
+
+            expect(app.locals.memory).to.equal(undefined);
+            expect(res.text).to.not.include('Memory History');
+            expect(res.text).to.include('Memory Usage');
+        } finally {
+            await close();
+        }
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * @file tests/metrics.spec.js
+ * Tests for the /metrics endpoint (src/routes/metrics.js), request
+ * metrics and the metrics guard (src/middlewares/metrics.js), and the
+ * runtime metrics createServer() adds.
+ */
+
+import { once } from 'node:events';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+import { hashPassword } from '@animated-spork/shared';
+import { createApp } from '../src/app-factory.js';
+import { createServer } from '../src/server-factory.js';
+import { configWith } from './helpers/index.js';
+
+const metricsConfig = (overrides = {}) => configWith({ metricsEnabled: true, ...overrides });
+
+const tasksPlugin = (app) => {
+    app.get('/tasks/:id', (req, res) => res.json({ id: req.params.id }));
+};
+
+describe('metrics', () => {
+    it('serves request durations by route pattern and status', async () => {
+        const app = createApp(metricsConfig(), [tasksPlugin]);
+        await request(app).get('/tasks/1').expect(200);
+        await request(app).get('/tasks/2').expect(200);
+        await request(app).get('/nope').expect(404);
+
+        const res = await request(app).get('/metrics').expect(200);
+
+        expect(res.headers['content-type']).to.match(/^text\/plain;.*version=0\.0\.4/);
+        expect(res.text).to.include('# TYPE http_request_duration_seconds histogram');
+        expect(res.text).to.include('http_request_duration_seconds_count{method="GET",route="/tasks/:id",status="200"} 2');
+        expect(res.text).to.include('http_request_duration_seconds_count{method="GET",route="unmatched",status="404"} 1');
+        expect(res.text).to.not.include('/tasks/1');
+    });
+
+    it('exposes metrics registered by plugins', async () => {
+        const jobsPlugin = (app) => {
+            app.locals.metrics.counter('jobs_processed_total', 'Jobs processed').inc(3);
+        };
+        const res = await request(createApp(metricsConfig(), [jobsPlugin])).get('/metrics').expect(200);
+
+        expect(res.text).to.include('jobs_processed_total 3');
+    });
+
+    it('is off unless METRICS_ENABLED is set', async () => {
+        const config = configWith();
+        expect(config.metricsEnabled).to.be.false;
+        await request(createApp(config))
+            .get('/metrics')
+            .set('Accept', 'application/json')
+            .expect(404);
+    });
+
+    it('requires the bearer token in token mode', async () => {
+        const app = createApp(metricsConfig({ metricsAuth: 'token', metricsToken: 's3cret' }));
+
+        const denied = await request(app).get('/metrics').set('Accept', 'application/json').expect(401);
+        expect(denied.headers['www-authenticate']).to.equal('Bearer realm="metrics"');
+        await request(app).get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+        await request(app).get('/metrics').set('Authorization', 'Bearer s3cret').expect(200);
+
+        expect(() => createApp(metricsConfig({ metricsAuth: 'token' }))).to.throw(/METRICS_TOKEN/);
+    });
+
+    it('uses the admin guard in admin mode', async () => {
+        const hash = await hashPassword('pw', { cost: 1024 });
+        const app = createApp(metricsConfig({
+            adminAuth: 'basic',
+            adminCredentials: [`ops:${hash}`],
+            metricsAuth: 'admin',
+        }), [], { logger: { warn: sinon.stub() } });
+
+        await request(app).get('/metrics').set('Accept', 'application/json').expect(401);
+        await request(app).get('/metrics').auth('ops', 'pw').expect(200);
+    });
+
+    it('adds runtime metrics in createServer and stops collecting on close', async () => {
+        const config = metricsConfig({ port: 0 });
+        const app = createApp(config);
+        const { server, close } = createServer(app, config, {
+            signals: [],
+            logger: { info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() },
+        });
+        await once(server, 'listening');
+        try {
+            const res = await request(server).get('/metrics').expect(200);
+            expect(res.text).to.include('nodejs_memory_bytes{type="heapUsed"}');
+            expect(res.text).to.include('nodejs_eventloop_delay_seconds{stat="p99"}');
+            expect(res.text).to.include('# TYPE nodejs_gc_duration_seconds histogram');
+        } finally {
+            await close();
+        }
+    });
+});
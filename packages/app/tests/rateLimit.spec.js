@@ -0,0 +1,129 @@
+/**
+ * @file tests/rateLimit.spec.js
+ * Tests for rate limiting in createApp(): the app-wide limiter and its
+ * store (src/config/rateLimit.js), the login limiter and route limiters
+ * built by plugins through app.locals.rateLimit().
+ */
+
+import { expect } from 'chai';
+import request from 'supertest';
+import { createMemoryStore, createTokenService } from '@animated-spork/shared';
+import { createApp } from '../src/app-factory.js';
+import { configWith } from './helpers/index.js';
+import { startRedisServer } from './helpers/redisServer.js';
+
+const tasksPlugin = (app) => {
+    app.get('/tasks', (req, res) => res.json([]));
+};
+
+describe('rate limiting', () => {
+    it('limits every route except health probes when enabled', async () => {
+        const app = createApp(configWith({ rateLimitEnabled: true, rateLimitLimit: 2 }), [tasksPlugin]);
+
+        const first = await request(app).get('/tasks').expect(200);
+        expect(first.headers).to.include({
+            'ratelimit-limit': '2',
+            'ratelimit-remaining': '1',
+            'ratelimit-policy': '2;w=60',
+        });
+        await request(app).get('/tasks').expect(200);
+
+        const res = await request(app).get('/tasks').set('Accept', 'application/json').expect(429);
+        expect(res.body).to.include({ code: 'RATE_LIMITED', status: 429 });
+        expect(Number(res.headers['retry-after'])).to.be.within(1, 60);
+
+        await request(app).get('/healthz').expect(200);
+        await request(app).get('/livez').expect(200);
+    });
+
+    it('limits bearer-token users by user with RATE_LIMIT_BY=user', async () => {
+        const tokenService = createTokenService({ secret: 'test-secret-that-is-long-enough' });
+        const app = createApp(
+            configWith({ rateLimitEnabled: true, rateLimitLimit: 1, rateLimitBy: 'user' }),
+            [tasksPlugin],
+            { tokenService },
+        );
+        const bearer = (sub) => `Bearer ${tokenService.sign({ sub })}`;
+
+        await request(app).get('/tasks').set('Authorization', bearer('alice')).expect(200);
+        await request(app).get('/tasks').set('Authorization', bearer('alice')).set('Accept', 'application/json').expect(429);
+        await request(app).get('/tasks').set('Authorization', bearer('bob')).expect(200);
+        // Forged tokens count against the IP
+        await request(app).get('/tasks').set('Authorization', 'Bearer forged').expect(200);
+        await request(app).get('/tasks').set('Authorization', 'Bearer forged').set('Accept', 'application/json').expect(429);
+    });
+
+    it('is off by default', async () => {
+        const app = createApp(configWith({ rateLimitLimit: 1 }), [tasksPlugin]);
+
+        await request(app).get('/tasks').expect(200);
+        const res = await request(app).get('/tasks').expect(200);
+        expect(res.headers).to.not.have.property('ratelimit-limit');
+    });
+
+    it('limits login attempts per client', async () => {
+        const authenticate = async () => null;
+        const app = createApp(
+            configWith({ sessionSecret: 'test-session-secret', loginRateLimit: 2 }),
+            [],
+            { authenticate, logger: { warn: () => {}, info: () => {}, error: () => {} } },
+        );
+        const form = await request(app).get('/login').expect(200);
+        const token = /name="_csrf" value="([^"]+)"/.exec(form.text)[1];
+        const attempt = () => request(app)
+            .post('/login')
+            .set('Cookie', `csrf=${token}`)
+            .type('form')
+            .send({ username: 'alice', password: 'guess', _csrf: token });
+
+        await attempt().expect(401);
+        await attempt().expect(401);
+        const res = await attempt().expect(429);
+        expect(res.text).to.include('Too many requests');
+        await request(app).get('/login').expect(200);
+    });
+
+    it('lets plugins add route limiters on the app store', async () => {
+        const store = createMemoryStore();
+        const apiPlugin = (app) => {
+            app.post(
+                '/api/messages',
+                (req, res, next) => {
+                    req.auth = { sub: req.get('x-user') };
+                    next();
+                },
+                app.locals.rateLimit({ name: 'messages', algorithm: 'token-bucket', limit: 1, key: 'user' }),
+                (req, res) => res.status(201).end(),
+            );
+        };
+        const app = createApp(configWith(), [apiPlugin], { rateLimitStore: store });
+
+        await request(app).post('/api/messages').set('x-user', 'u1').expect(201);
+        await request(app).post('/api/messages').set('x-user', 'u2').expect(201);
+        await request(app).post('/api/messages').set('x-user', 'u1').set('Accept', 'application/json').expect(429);
+        expect((await store.get('ratelimit:messages:user:u1')).tokens).to.be.below(1);
+    });
+
+    it('shares limits through RATE_LIMIT_REDIS_URL and closes the connection on shutdown', async () => {
+        const server = await startRedisServer();
+        try {
+            const config = configWith({ appName: 'tasks', rateLimitEnabled: true, rateLimitLimit: 1, rateLimitRedisUrl: server.url });
+            const [a, b] = [createApp(config, [tasksPlugin]), createApp(config, [tasksPlugin])];
+
+            await request(a).get('/tasks').expect(200);
+            await request(b).get('/tasks').set('Accept', 'application/json').expect(429);
+            expect([...server.data.keys()][0]).to.match(/^tasks:ratelimit:default:ip:/);
+
+            await a.locals.shutdownHooks.run();
+            await b.locals.shutdownHooks.run();
+            expect(server.commands.filter(([name]) => name === 'QUIT')).to.have.length(2);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('rejects unknown algorithms and client keys', () => {
+        expect(() => configWith({ rateLimitAlgorithm: 'leaky-bucket' })).to.throw(/rateLimitAlgorithm/);
+        expect(() => configWith({ rateLimitBy: 'cookie' })).to.throw(/rateLimitBy/);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * @file tests/requestId.spec.js
+ * Tests for request ids in the app: the shared requestIdMiddleware is
+ * mounted first, its id is echoed on every response and surfaces in
+ * error responses so users can quote it.
+ */
+
+import { expect } from 'chai';
+import request from 'supertest';
+import { createApp } from '../src/app-factory.js';
+import { createConfig } from '../src/config/env.js';
+
+const appWith = (overrides = {}) => createApp(createConfig({ adminAuth: 'none', ...overrides }, {}, { rootDir: null }));
+
+describe('request ids', () => {
+    it('echoes an incoming X-Request-Id and a traceparent', async () => {
+        const res = await request(appWith())
+            .get('/healthz')
+            .set('X-Request-Id', 'edge-1234')
+            .expect(200);
+
+        expect(res.headers['x-request-id']).to.equal('edge-1234');
+        expect(res.headers.traceparent).to.match(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+    });
+
+    it('uses the configured header', async () => {
+        const res = await request(appWith({ requestIdHeader: 'X-Correlation-Id' }))
+            .get('/healthz')
+            .set('X-Correlation-Id', 'corr-9')
+            .expect(200);
+
+        expect(res.headers['x-correlation-id']).to.equal('corr-9');
+        expect(res.headers).to.not.have.property('x-request-id');
+    });
+
+    it('includes the request id in JSON errors and on the error page', async () => {
+        const app = appWith();
+        const json = await request(app)
+            .get('/missing')
+            .set('Accept', 'application/json')
+            .expect(404);
+        const html = await request(app)
+            .get('/missing')
+            .set('Accept', 'text/html')
+            .set('X-Request-Id', 'page-77')
+            .expect(404);
+
+        expect(json.body.requestId).to.equal(json.headers['x-request-id']).and.match(/^[0-9a-f-]{36}$/);
+        expect(html.text).to.include('Request ID: <code>page-77</code>');
+    });
+});
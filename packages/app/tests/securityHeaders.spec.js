@@ -0,0 +1,159 @@
+/**
+ * @file tests/securityHeaders.spec.js
+ * Tests for the security headers in createApp()
+ * (src/middlewares/securityHeaders.js) and the CSP violation report
+ * endpoint (src/routes/cspReport.js).
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+import { createApp } from '../src/app-factory.js';
+import { buildContentSecurityPolicy } from '../src/middlewares/securityHeaders.js';
+import { configWith } from './helpers/index.js';
+
+describe('security headers', () => {
+    it('sends the default security headers', async () => {
+        const res = await request(createApp(configWith())).get('/').expect(200);
+
+        expect(res.headers).to.include({
+            'x-content-type-options': 'nosniff',
+            'referrer-policy': 'strict-origin-when-cross-origin',
+            'permissions-policy': 'camera=(), microphone=(), geolocation=(), payment=(), usb=()',
+            'cross-origin-opener-policy': 'same-origin',
+            'reporting-endpoints': 'csp-endpoint="/csp-report"',
+        });
+        expect(res.headers).to.not.have.property('cross-origin-embedder-policy');
+        expect(res.headers).to.not.have.property('strict-transport-security');
+        expect(res.headers['content-security-policy']).to.match(
+            /^default-src 'self'; script-src 'self' 'nonce-[A-Za-z0-9+/]{22}=='; style-src 'self' 'nonce-[^']+';/,
+        );
+        expect(res.headers['content-security-policy']).to.include("object-src 'none'");
+        expect(res.headers['content-security-policy']).to.match(/report-uri \/csp-report; report-to csp-endpoint$/);
+    });
+
+    it('renders a fresh nonce per request into views', async () => {
+        const viewsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-csp-views-'));
+        try {
+            fs.writeFileSync(path.join(viewsDir, 'widget.ejs'), '<script nonce="<%= cspNonce %>">init()</script>');
+            const widgetPlugin = (app) => {
+                app.get('/widget', (req, res) => res.render('widget'));
+            };
+            const app = createApp(configWith({ viewsDir }), [widgetPlugin]);
+
+            const [first, second] = [await request(app).get('/widget'), await request(app).get('/widget')];
+            const nonce = /'nonce-([^']+)'/.exec(first.headers['content-security-policy'])[1];
+            expect(first.text).to.equal(`<script nonce="${nonce}">init()</script>`);
+            expect(second.headers['content-security-policy']).to.not.include(nonce);
+        } finally {
+            fs.rmSync(viewsDir, { recursive: true, force: true });
+        }
+    });
+
+    it('applies configured policies and report-only mode', async () => {
+        const app = createApp(configWith({
+            cspMode: 'report-only',
+            cspDirectives: ["img-src 'self' https://cdn.example.com", 'upgrade-insecure-requests'],
+            referrerPolicy: 'no-referrer',
+            crossOriginOpenerPolicy: 'off',
+            crossOriginEmbedderPolicy: 'require-corp',
+        }));
+
+        const res = await request(app).get('/').expect(200);
+        const policy = res.headers['content-security-policy-report-only'];
+        expect(res.headers).to.not.have.property('content-security-policy');
+        expect(policy).to.include("img-src 'self' https://cdn.example.com;");
+        expect(policy).to.include('upgrade-insecure-requests;');
+        expect(res.headers).to.not.have.property('cross-origin-opener-policy');
+        expect(res.headers).to.include({ 'referrer-policy': 'no-referrer', 'cross-origin-embedder-policy': 'require-corp' });
+    });
+
+    it('sends HSTS on requests that reached a trusted proxy over HTTPS', async () => {
+        const trustProxy = (app) => app.set('trust proxy', 'loopback');
+        const app = createApp(configWith({ hstsMaxAge: 31536000, hstsIncludeSubDomains: true, hstsPreload: true }), [trustProxy]);
+
+        const secure = await request(app).get('/').set('X-Forwarded-Proto', 'https').expect(200);
+        expect(secure.headers['strict-transport-security']).to.equal('max-age=31536000; includeSubDomains; preload');
+
+        const plain = await request(app).get('/').expect(200);
+        expect(plain.headers).to.not.have.property('strict-transport-security');
+    });
+
+    it('can be turned off, wholly or for CSP only', async () => {
+        const off = await request(createApp(configWith({ securityHeaders: false }))).get('/').expect(200);
+        expect(off.headers).to.not.have.property('x-content-type-options');
+        expect(off.headers).to.not.have.property('content-security-policy');
+        await request(createApp(configWith({ securityHeaders: false }))).post('/csp-report').expect(404);
+
+        const noCsp = await request(createApp(configWith({ cspMode: 'off' }))).get('/').expect(200);
+        expect(noCsp.headers['x-content-type-options']).to.equal('nosniff');
+        expect(noCsp.headers).to.not.have.property('content-security-policy');
+        expect(noCsp.headers).to.not.have.property('reporting-endpoints');
+    });
+
+    it('rejects malformed directives', () => {
+        expect(() => buildContentSecurityPolicy(['img-src a; script-src *'])).to.throw(/Invalid CSP_DIRECTIVES entry/);
+        expect(() => createApp(configWith({ cspDirectives: ['Script-Src *'] }))).to.throw(/Invalid CSP_DIRECTIVES/);
+    });
+});
+
+describe('CSP report endpoint', () => {
+    let logger;
+    let app;
+
+    beforeEach(() => {
+        logger = { warn: sinon.spy(), info: sinon.spy(), error: sinon.spy() };
+        app = createApp(configWith(), [], { logger });
+    });
+
+    it('logs report-uri violation reports', async () => {
+        await request(app)
+            .post('/csp-report')
+            .set('Content-Type', 'application/csp-report')
+            .send(JSON.stringify({
+                'csp-report': {
+                    'document-uri': 'https://tasks.example.com/admin',
+                    'violated-directive': 'script-src-elem',
+                    'blocked-uri': 'inline',
+                    'line-number': 12,
+                },
+            }))
+            .expect(204);
+
+        const violations = logger.warn.withArgs('CSP violation');
+        expect(violations.callCount).to.equal(1);
+        expect(violations.firstCall.args[1]).to.include({
+            documentUrl: 'https://tasks.example.com/admin',
+            directive: 'script-src-elem',
+            blockedUrl: 'inline',
+            line: 12,
+        });
+    });
+
+    it('logs Reporting API reports and ignores other report types', async () => {
+        await request(app)
+            .post('/csp-report')
+            .set('Content-Type', 'application/reports+json')
+            .send(JSON.stringify([
+                { type: 'csp-violation', body: { documentURL: 'https://tasks.example.com/', blockedURL: 'https://evil.example/x.js', effectiveDirective: 'script-src-elem', disposition: 'enforce' } },
+                { type: 'deprecation', body: { id: 'x' } },
+            ]))
+            .expect(204);
+
+        const violations = logger.warn.withArgs('CSP violation');
+        expect(violations.callCount).to.equal(1);
+        expect(violations.firstCall.args[1]).to.include({ blockedUrl: 'https://evil.example/x.js', disposition: 'enforce' });
+
+        await request(app).post('/csp-report').send({ unrelated: true }).expect(204);
+        expect(violations.callCount).to.equal(1);
+    });
+
+    it('is not mounted for an external report URI', async () => {
+        const external = createApp(configWith({ cspReportUri: 'https://reports.example.com/csp' }), [], { logger });
+        const res = await request(external).post('/csp-report').set('Accept', 'application/json').expect(404);
+        expect(res.headers['content-security-policy']).to.include('report-uri https://reports.example.com/csp');
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * @file tests/server.spec.js
+ * Tests for graceful shutdown in createServer() (src/server-factory.js)
+ * and the shutdown hook registry (src/lifecycle/shutdownHooks.js).
+ */
+
+import http from 'node:http';
+import { once } from 'node:events';
+import process from 'node:process';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+import { createApp } from '../src/app-factory.js';
+import { createConfig } from '../src/config/env.js';
+import { createServer } from '../src/server-factory.js';
+import { createShutdownHooks } from '../src/lifecycle/shutdownHooks.js';
+
+const stubLogger = () => ({ info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() });
+
+/**
+ * Start a server on an ephemeral port with no signal handlers.
+ */
+async function start(overrides = {}, plugins = [], options = {}) {
+    const config = createConfig({ adminAuth: 'none', port: 0, ...overrides }, {}, { rootDir: null });
+    const app = createApp(config, plugins);
+    const logger = stubLogger();
+    const result = createServer(app, config, { signals: [], exit: sinon.spy(), logger, ...options });
+    await once(result.server, 'listening');
+    return { ...result, app, logger };
+}
+
+describe('graceful shutdown', () => {
+    describe('createShutdownHooks', () => {
+        it('runs hooks by order, then registration, and keeps going after failures', async () => {
+            const hooks = createShutdownHooks();
+            const calls = [];
+            const logger = stubLogger();
+            hooks.register('late', () => calls.push('late'), { order: 10 });
+            hooks.register('first', () => calls.push('first'));
+            hooks.register('broken', () => {
+                throw new Error('pool already closed');
+            });
+            hooks.register('second', async () => calls.push('second'));
+
+            const results = await hooks.run({ logger });
+
+            expect(calls).to.deep.equal(['first', 'second', 'late']);
+            expect(results.map((r) => r.status)).to.deep.equal(['ok', 'fail', 'ok', 'ok']);
+            expect(results[1].error).to.equal('pool already closed');
+            expect(logger.error.calledOnce).to.be.true;
+        });
+
+        it('abandons hooks that exceed their timeout', async () => {
+            const hooks = createShutdownHooks();
+            const after = sinon.spy();
+            hooks.register('hang', () => new Promise(() => {}), { timeout: 20 });
+            hooks.register('after', after);
+
+            const [hang] = await hooks.run();
+
+            expect(hang).to.include({ status: 'fail', error: 'timed out after 20ms' });
+            expect(after.calledOnce).to.be.true;
+        });
+
+        it('rejects hooks that are not functions', () => {
+            expect(() => createShutdownHooks().register('bad', 'nope'))
+                .to.throw().with.property('code', 'INVALID_SHUTDOWN_HOOK');
+        });
+    });
+
+    describe('createServer', () => {
+        it('fails readiness during the pre-stop delay, then stops accepting connections', async () => {
+            const { server, close } = await start({ shutdownDelay: 100 });
+
+            await request(server).get('/readyz').expect(200);
+            const closing = close();
+            const res = await request(server).get('/readyz').expect(503);
+            expect(res.body.status).to.equal('not ready');
+
+            await closing;
+            expect(server.listening).to.be.false;
+        });
+
+        it('lets in-flight requests finish before resolving', async () => {
+            let finish;
+            const plugin = (app) => {
+                app.get('/slow', (_req, res) => {
+                    finish = () => res.send('done');
+                });
+            };
+            const { server, close } = await start({}, [plugin]);
+            const response = request(server).get('/slow').then((res) => res.text);
+            await new Promise((resolve) => globalThis.setTimeout(resolve, 20));
+
+            let closed = false;
+            const closing = close().then(() => {
+                closed = true;
+            });
+            await new Promise((resolve) => globalThis.setTimeout(resolve, 20));
+            expect(closed).to.be.false;
+
+            finish();
+            expect(await response).to.equal('done');
+            await closing;
+            expect(closed).to.be.true;
+        });
+
+        it('destroys connections still open after shutdownTimeout', async () => {
+            const plugin = (app) => {
+                app.get('/hang', () => {});
+            };
+            const { server, close, logger } = await start({ shutdownTimeout: 30 }, [plugin]);
+            const { port } = server.address();
+            const aborted = new Promise((resolve) => {
+                http.get({ port, path: '/hang' }).on('error', resolve);
+            });
+            await new Promise((resolve) => globalThis.setTimeout(resolve, 20));
+
+            await close();
+
+            expect((await aborted).code).to.equal('ECONNRESET');
+            expect(logger.warn.calledWithMatch(/still open after 30ms/)).to.be.true;
+        });
+
+        it('runs shutdown hooks once, even when close() is called twice', async () => {
+            const hook = sinon.spy();
+            const { close } = await start({}, [(app) => app.locals.shutdownHooks.register('flush', hook)]);
+
+            await Promise.all([close(), close()]);
+
+            expect(hook.calledOnce).to.be.true;
+        });
+
+        it('exits through the injected exit() on a signal and removes its handlers', async () => {
+            const exit = sinon.spy();
+            const before = process.listenerCount('SIGUSR2');
+            const { server } = await start({}, [], { signals: ['SIGUSR2'], exit });
+            expect(process.listenerCount('SIGUSR2')).to.equal(before + 1);
+
+            process.emit('SIGUSR2', 'SIGUSR2');
+            await once(server, 'close');
+            await new Promise((resolve) => globalThis.setImmediate(resolve));
+
+            expect(exit.calledOnceWithExactly(0)).to.be.true;
+            expect(process.listenerCount('SIGUSR2')).to.equal(before);
+        });
+    });
+});
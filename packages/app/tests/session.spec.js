@@ -0,0 +1,168 @@
+/**
+ * @file tests/session.spec.js
+ * Tests for cookie sessions (src/middlewares/session.js) and the login /
+ * logout routes (src/routes/session.js).
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import request from 'supertest';
+import { createMemoryStore } from '@animated-spork/shared';
+import { createApp } from '../src/app-factory.js';
+import { createConfig } from '../src/config/env.js';
+import { parseCookies, signValue, unsignValue } from '../src/middlewares/session.js';
+
+const USERS = { alice: { password: 'wonderland', user: { id: 'u1', name: 'Alice' } } };
+
+/**
+ * Demo credential check against the USERS table.
+ */
+const authenticate = async (username, password) =>
+    (USERS[username]?.password === password ? USERS[username].user : null);
+
+describe('sessions', () => {
+    let time;
+    let store;
+    let logger;
+
+    /**
+     * Build an app with sessions enabled and a controllable clock.
+     */
+    const appWith = (overrides = {}) => createApp(
+        createConfig({ adminAuth: 'none', sessionSecret: 'test-session-secret', sessionTtl: 60_000, ...overrides }, {}, { rootDir: null }),
+        [],
+        { authenticate, sessionStore: store, logger },
+    );
+
+    /**
+     * Load a page like a browser would and return the CSRF token from
+     * its form plus the cookies to send with the post.
+     */
+    const csrf = async (app, { page = '/login', cookie } = {}) => {
+        const res = await request(app).get(page).set('Cookie', cookie ?? '').expect(200);
+        const token = /name="_csrf" value="([^"]+)"/.exec(res.text)[1];
+        return { token, cookie: [cookie, `csrf=${token}`].filter(Boolean).join('; ') };
+    };
+
+    /**
+     * Post the login form with `fields` (and a valid CSRF token).
+     */
+    const postLogin = async (app, fields) => {
+        const { token, cookie } = await csrf(app);
+        return request(app).post('/login').set('Cookie', cookie).type('form').send({ ...fields, _csrf: token });
+    };
+
+    /**
+     * Log in as alice and return the session cookie.
+     */
+    const login = async (app) => {
+        const res = await postLogin(app, { username: 'alice', password: 'wonderland', returnTo: '/admin' });
+        expect(res.status).to.equal(303);
+        expect(res.headers.location).to.equal('/admin');
+        return res.headers['set-cookie'][0].split(';')[0];
+    };
+
+    beforeEach(() => {
+        time = 1_000_000;
+        store = createMemoryStore({ now: () => time });
+        logger = { warn: sinon.spy(), info: sinon.spy(), error: sinon.spy() };
+    });
+
+    describe('cookie helpers', () => {
+        it('signs and verifies values', () => {
+            const signed = signValue('abc', 'k');
+            expect(unsignValue(signed, 'k')).to.equal('abc');
+            expect(unsignValue(signed, 'other')).to.be.null;
+            expect(unsignValue(`${signed}x`, 'k')).to.be.null;
+            expect(unsignValue('nodot', 'k')).to.be.null;
+        });
+
+        it('parses cookie headers', () => {
+            expect(parseCookies('a=1; b=hello%20world; bad; c=%E0')).to.deep.equal({ a: '1', b: 'hello world' });
+        });
+    });
+
+    describe('login and logout', () => {
+        it('renders the login form and a login link in the header', async () => {
+            const res = await request(appWith()).get('/login?returnTo=/admin').expect(200);
+
+            expect(res.text).to.include('name="returnTo" value="/admin"');
+            expect(res.text).to.include('href="/login"');
+        });
+
+        it('sets a signed HttpOnly SameSite cookie and shows the user in the header', async () => {
+            const app = appWith();
+            const res = await postLogin(app, { username: 'alice', password: 'wonderland' });
+            expect(res.status).to.equal(303);
+
+            const cookie = res.headers['set-cookie'][0];
+            expect(cookie).to.match(/^sid=[\w-]+\.[\w-]+;/);
+            expect(cookie).to.include('HttpOnly').and.include('SameSite=Lax').and.include('Max-Age=60');
+            expect(cookie).to.not.include('Secure');
+
+            const page = await request(app).get('/').set('Cookie', cookie.split(';')[0]).expect(200);
+            expect(page.text).to.include('Signed in as <strong>Alice</strong>');
+            expect(page.text).to.include('action="/logout"');
+        });
+
+        it('re-renders the form with 401 on bad credentials and logs the attempt', async () => {
+            const res = await postLogin(appWith(), { username: 'alice', password: 'nope' });
+            expect(res.status).to.equal(401);
+
+            expect(res.text).to.include('Invalid username or password');
+            expect(res.headers['set-cookie']).to.be.undefined;
+            expect(logger.warn.calledWithMatch('Login failed', { username: 'alice' })).to.be.true;
+        });
+
+        it('ignores off-site returnTo targets', async () => {
+            const res = await postLogin(appWith(), { username: 'alice', password: 'wonderland', returnTo: '//evil.example' });
+            expect(res.headers.location).to.equal('/');
+        });
+
+        it('logs out by destroying the session and clearing the cookie', async () => {
+            const app = appWith();
+            const cookie = await login(app);
+
+            const form = await csrf(app, { page: '/', cookie });
+            const res = await request(app).post('/logout').set('Cookie', form.cookie).send({ _csrf: form.token }).expect(303);
+            expect(res.headers['set-cookie'][0]).to.match(/^sid=;.*Expires=Thu, 01 Jan 1970/);
+
+            const page = await request(app).get('/').set('Cookie', cookie).expect(200);
+            expect(page.text).to.not.include('Signed in as');
+        });
+    });
+
+    describe('expiry and tampering', () => {
+        it('slides the expiry forward on every request', async () => {
+            const app = appWith();
+            const cookie = await login(app);
+
+            time += 50_000;
+            await request(app).get('/').set('Cookie', cookie).expect(200);
+            time += 50_000;
+            const alive = await request(app).get('/').set('Cookie', cookie).expect(200);
+            expect(alive.text).to.include('Signed in as');
+
+            time += 60_000;
+            const expired = await request(app).get('/').set('Cookie', cookie).expect(200);
+            expect(expired.text).to.not.include('Signed in as');
+        });
+
+        it('rejects cookies signed with another secret', async () => {
+            const cookie = await login(appWith());
+
+            const page = await request(appWith({ sessionSecret: 'another-secret' })).get('/').set('Cookie', cookie);
+            expect(page.text).to.not.include('Signed in as');
+        });
+
+        it('requires a session secret in production', () => {
+            expect(() => appWith({ sessionSecret: undefined, nodeEnv: 'production' }))
+                .to.throw().with.property('code', 'SESSION_MISCONFIGURED');
+        });
+    });
+
+    it('does not mount login routes without an authenticate callback', async () => {
+        const app = createApp(createConfig({ adminAuth: 'none' }, {}, { rootDir: null }));
+        await request(app).get('/login').set('Accept', 'application/json').expect(404);
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * @file tests/tls.spec.js
+ * Tests for HTTPS in createServer(): development certificates
+ * (src/tls/devCert.js), TLS options (src/tls/tlsOptions.js), client
+ * certificates, HSTS and the HTTP→HTTPS redirect server.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import os from 'node:os';
+import path from 'node:path';
+import { once } from 'node:events';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import forge from 'node-forge';
+import { createApp } from '../src/app-factory.js';
+import { createConfig } from '../src/config/env.js';
+import { createServer } from '../src/server-factory.js';
+import { loadDevCertificate } from '../src/tls/devCert.js';
+import { createTlsOptions } from '../src/tls/tlsOptions.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const stubLogger = () => ({ info: sinon.stub(), warn: sinon.stub(), error: sinon.stub() });
+
+/**
+ * Issue a certificate with node-forge, signed by `issuer` (self-signed when omitted).
+ */
+function issueCertificate(commonName, { issuer, ca = false } = {}) {
+    const keys = forge.pki.rsa.generateKeyPair(2048);
+    const cert = forge.pki.createCertificate();
+    cert.publicKey = keys.publicKey;
+    cert.serialNumber = `01${crypto.randomBytes(8).toString('hex')}`;
+    cert.validity.notBefore = new Date(Date.now() - DAY);
+    cert.validity.notAfter = new Date(Date.now() + DAY);
+    cert.setSubject([{ name: 'commonName', value: commonName }]);
+    cert.setIssuer(issuer ? issuer.cert.subject.attributes : [{ name: 'commonName', value: commonName }]);
+    cert.setExtensions(ca
+        ? [{ name: 'basicConstraints', cA: true }, { name: 'keyUsage', keyCertSign: true }]
+        : [{ name: 'extKeyUsage', clientAuth: true }]);
+    cert.sign(issuer ? issuer.keys.privateKey : keys.privateKey, forge.md.sha256.create());
+    return {
+        cert,
+        keys,
+        certPem: forge.pki.certificateToPem(cert),
+        keyPem: forge.pki.privateKeyToPem(keys.privateKey),
+    };
+}
+
+/**
+ * GET `url` and collect status, headers and body.
+ */
+async function get(url, options = {}) {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.get(url, { agent: false, ...options });
+    const [res] = await once(req, 'response');
+    let body = '';
+    for await (const chunk of res) {
+        body += chunk;
+    }
+    return { status: res.statusCode, headers: res.headers, body };
+}
+
+describe('HTTPS', function () {
+    // RSA key generation is slow on small CI machines
+    this.timeout(10000);
+
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spork-tls-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('loadDevCertificate', () => {
+        it('generates a localhost certificate once and reuses the cached copy', () => {
+            const first = loadDevCertificate({ dir });
+            const second = loadDevCertificate({ dir });
+
+            expect(first.generated).to.be.true;
+            expect(second).to.include({ generated: false, cert: first.cert });
+            const cert = new crypto.X509Certificate(first.cert);
+            expect(cert.subjectAltName).to.include('DNS:localhost').and.include('IP Address:127.0.0.1');
+            expect(cert.checkPrivateKey(crypto.createPrivateKey(first.key))).to.be.true;
+            expect(fs.statSync(path.join(dir, 'dev-key.pem')).mode & 0o777).to.equal(0o600);
+        });
+
+        it('regenerates certificates that are about to expire', () => {
+            const first = loadDevCertificate({ dir, days: 30 });
+            const later = loadDevCertificate({ dir, now: () => Date.now() + 25 * DAY });
+
+            expect(later.generated).to.be.true;
+            expect(later.cert).to.not.equal(first.cert);
+        });
+    });
+
+    describe('createTlsOptions', () => {
+        const config = (overrides) => createConfig({ adminAuth: 'none', https: true, ...overrides }, {}, { rootDir: null });
+
+        it('refuses to use a development certificate in production', () => {
+            expect(() => createTlsOptions(config({ nodeEnv: 'production' }), { certDir: dir }))
+                .to.throw().with.property('code', 'TLS_MISCONFIGURED');
+        });
+
+        it('requires the certificate and key together, and a CA for client auth', () => {
+            expect(() => createTlsOptions(config({ tlsCert: 'cert.pem' })))
+                .to.throw(/TLS_CERT and TLS_KEY/);
+            expect(() => createTlsOptions(config({ tlsClientAuth: 'require' }), { certDir: dir }))
+                .to.throw(/needs TLS_CA/);
+        });
+
+        it('names the config key of an unreadable file', () => {
+            expect(() => createTlsOptions(config({ tlsPfx: path.join(dir, 'missing.p12') })))
+                .to.throw(/Cannot read tlsPfx .*ENOENT/);
+        });
+    });
+
+    describe('createServer', () => {
+        let running;
+
+        const start = async (overrides = {}, plugins = []) => {
+            const config = createConfig(
+                { adminAuth: 'none', port: 0, https: true, ...overrides },
+                {},
+                { rootDir: null },
+            );
+            running = createServer(createApp(config, plugins), config, {
+                signals: [],
+                logger: stubLogger(),
+                certDir: dir,
+            });
+            await Promise.all([running.server, running.redirectServer]
+                .filter(Boolean)
+                .map((server) => once(server, 'listening')));
+            return running;
+        };
+
+        afterEach(async () => {
+            await running?.close();
+            running = null;
+        });
+
+        it('serves HTTPS with the development certificate and sends HSTS when configured', async () => {
+            const { server } = await start({ hstsMaxAge: 31536000, hstsIncludeSubDomains: true });
+            const { cert } = loadDevCertificate({ dir });
+
+            const res = await get(`https://localhost:${server.address().port}/healthz`, { ca: cert });
+
+            expect(res.status).to.equal(200);
+            expect(res.headers['strict-transport-security']).to.equal('max-age=31536000; includeSubDomains');
+        });
+
+        it('does not send HSTS by default', async () => {
+            const { server } = await start();
+
+            const res = await get(`https://localhost:${server.address().port}/healthz`, { rejectUnauthorized: false });
+
+            expect(res.headers).to.not.have.property('strict-transport-security');
+        });
+
+        it('redirects plain HTTP to HTTPS', async () => {
+            const { server, redirectServer } = await start({ httpRedirectPort: 0 });
+
+            const res = await get(`http://localhost:${redirectServer.address().port}/tasks?page=2`);
+
+            expect(res.status).to.equal(308);
+            expect(res.headers.location).to.equal(`https://localhost:${server.address().port}/tasks?page=2`);
+        });
+
+        it('exposes verified client certificates on req', async () => {
+            const ca = issueCertificate('Test CA', { ca: true });
+            const client = issueCertificate('service-a', { issuer: ca });
+            const stranger = issueCertificate('stranger');
+            fs.writeFileSync(path.join(dir, 'ca.pem'), ca.certPem);
+
+            const plugin = (app) => {
+                app.get('/whoami', (req, res) => {
+                    res.json({ authorized: req.clientAuthorized, cn: req.clientCertificate?.subject.CN ?? null });
+                });
+            };
+            const { server } = await start({ tlsClientAuth: 'request', tlsCa: path.join(dir, 'ca.pem') }, [plugin]);
+            const url = `https://localhost:${server.address().port}/whoami`;
+
+            const trusted = await get(url, { rejectUnauthorized: false, cert: client.certPem, key: client.keyPem });
+            const untrusted = await get(url, { rejectUnauthorized: false, cert: stranger.certPem, key: stranger.keyPem });
+            const anonymous = await get(url, { rejectUnauthorized: false });
+
+            expect(JSON.parse(trusted.body)).to.deep.equal({ authorized: true, cn: 'service-a' });
+            expect(JSON.parse(untrusted.body)).to.deep.equal({ authorized: false, cn: 'stranger' });
+            expect(JSON.parse(anonymous.body)).to.deep.equal({ authorized: false, cn: null });
+        });
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * @file tests/tracing.spec.js
+ * Tests for request tracing in createApp(): the root span per request
+ * (src/middlewares/tracing.js), child spans and outgoing propagation
+ * from handlers, and the exporters built from config (src/config/tracing.js).
+ */
+
+import http from 'node:http';
+import { once } from 'node:events';
+import { expect } from 'chai';
+import request from 'supertest';
+import { createApp } from '../src/app-factory.js';
+import { configWith } from './helpers/index.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+/**
+ * Exporter keeping every exported span.
+ */
+function memoryExporter() {
+    const spans = [];
+    return {
+        spans,
+        export: async (batch) => {
+            spans.push(...batch);
+        },
+    };
+}
+
+/**
+ * HTTP server answering every request with 200 and recording the
+ * requests it received (url, headers and JSON body).
+ */
+async function listen() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            received.push({ url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+            res.writeHead(200, { 'content-type': 'application/json' }).end('{}');
+        });
+    });
+    server.listen(0);
+    await once(server, 'listening');
+    return { received, url: `http://localhost:${server.address().port}`, close: () => server.close() };
+}
+
+const tasksPlugin = (app) => {
+    app.get('/tasks/:id', async (req, res) => {
+        const task = await app.locals.tracer.startActiveSpan('db.query', async () => ({ id: req.params.id }));
+        res.json(task);
+    });
+    app.get('/broken', () => {
+        throw new Error('kaboom');
+    });
+};
+
+describe('tracing', () => {
+    it('creates a server span per request with child spans from handlers', async () => {
+        const exporter = memoryExporter();
+        const app = createApp(configWith(), [tasksPlugin], { spanExporters: [exporter] });
+
+        const res = await request(app).get('/tasks/7').expect(200);
+        await app.locals.tracer.flush();
+
+        const [child, root] = exporter.spans;
+        expect(res.headers.traceparent).to.equal(`00-${root.traceId}-${root.spanId}-01`);
+        expect(root).to.include({ name: 'GET /tasks/:id', kind: 'server' });
+        expect(root.parentSpanId).to.equal(undefined);
+        expect(root.attributes).to.include({
+            'http.request.method': 'GET',
+            'http.route': '/tasks/:id',
+            'url.path': '/tasks/7',
+            'http.response.status_code': 200,
+            'request.id': res.headers['x-request-id'],
+        });
+        expect(child).to.include({ name: 'db.query', traceId: root.traceId, parentSpanId: root.spanId });
+    });
+
+    it('continues an incoming trace and marks server errors', async () => {
+        const exporter = memoryExporter();
+        const app = createApp(configWith(), [tasksPlugin], { spanExporters: [exporter] });
+
+        await request(app)
+            .get('/broken')
+            .set('traceparent', `00-${TRACE_ID}-${PARENT_ID}-01`)
+            .set('Accept', 'application/json')
+            .expect(500);
+        await app.locals.tracer.flush();
+
+        const [span] = exporter.spans;
+        expect(span).to.include({ name: 'GET /broken', traceId: TRACE_ID, parentSpanId: PARENT_ID });
+        expect(span.status).to.deep.equal({ code: 'error', message: 'kaboom' });
+        expect(span.events.map((event) => event.name)).to.deep.equal(['exception']);
+    });
+
+    it('propagates the trace context on outgoing calls', async () => {
+        const downstream = await listen();
+        try {
+            const exporter = memoryExporter();
+            const proxyPlugin = (app) => {
+                app.get('/proxy', async (req, res) => {
+                    await app.locals.tracer.fetch(`${downstream.url}/inventory`);
+                    res.send('ok');
+                });
+            };
+            const app = createApp(configWith(), [proxyPlugin], { spanExporters: [exporter] });
+
+            await request(app).get('/proxy').expect(200);
+            await app.locals.tracer.flush();
+
+            const [client, root] = exporter.spans;
+            expect(client).to.include({ kind: 'client', traceId: root.traceId, parentSpanId: root.spanId });
+            expect(downstream.received[0].headers.traceparent).to.equal(`00-${root.traceId}-${client.spanId}-01`);
+        } finally {
+            downstream.close();
+        }
+    });
+
+    it('exports to an OTLP/HTTP collector on shutdown', async () => {
+        const collector = await listen();
+        try {
+            const app = createApp(configWith({
+                appName: 'tasks',
+                tracingExporters: ['otlp'],
+                tracingEndpoint: `${collector.url}/v1/traces`,
+            }), [tasksPlugin]);
+
+            await request(app).get('/tasks/1').expect(200);
+            await app.locals.shutdownHooks.run();
+
+            expect(collector.received).to.have.length(1);
+            const [resourceSpans] = collector.received[0].body.resourceSpans;
+            expect(resourceSpans.resource.attributes[0]).to.deep.equal({ key: 'service.name', value: { stringValue: 'tasks' } });
+            expect(resourceSpans.scopeSpans[0].spans.map((span) => span.name)).to.deep.equal(['db.query', 'GET /tasks/:id']);
+        } finally {
+            collector.close();
+        }
+    });
+
+    it('does not sample new traces below the sample rate', async () => {
+        const exporter = memoryExporter();
+        const app = createApp(configWith({ tracingSampleRate: 0 }), [tasksPlugin], { spanExporters: [exporter] });
+
+        const res = await request(app).get('/tasks/1').expect(200);
+        await app.locals.tracer.flush();
+
+        expect(res.headers.traceparent).to.match(/-00$/);
+        expect(exporter.spans).to.deep.equal([]);
+    });
+
+    it('rejects unknown exporters and can be turned off', async () => {
+        expect(() => createApp(configWith({ tracingExporters: ['zipkin'] }))).to.throw(/Unknown span exporter "zipkin"/);
+
+        const exporter = memoryExporter();
+        const app = createApp(configWith({ tracingEnabled: false }), [tasksPlugin], { spanExporters: [exporter] });
+        await request(app).get('/tasks/1').expect(200);
+        await app.locals.tracer.flush();
+
+        expect(exporter.spans.map((span) => span.name)).to.deep.equal(['db.query']);
+        expect(exporter.spans[0].parentSpanId).to.match(/^[0-9a-f]{16}$/);
+    });
+});
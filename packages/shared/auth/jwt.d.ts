@@ -1,6 +1,65 @@
+import type { KeyObject } from 'node:crypto';
+
+export interface KeyPair {
+    kid: string;
+    algorithm: string;
+    publicKey: KeyObject;
+    privateKey?: KeyObject;
+}
+export interface KeyRing {
+    add(key: KeyPair, options?: { activate?: boolean }): string;
+    rotate(key: KeyPair): string | null;
+    retire(kid: string, options?: { at?: number }): void;
+    prune(): string[];
+    signingKey(): KeyPair;
+    verificationKey(kid: string): KeyPair | undefined;
+    startRetirementSchedule(interval?: number): () => void;
+    toJWKS(): { keys: object[] };
+}
+export interface TokenServiceOptions {
+    /** HMAC secret used to sign and verify */
+    secret?: string;
+    /** Asymmetric key ring (instead of a secret); keys are selected by `kid` */
+    keyRing?: KeyRing;
+    /** `iss` claim stamped and required on verify */
+    issuer?: string;
+    /** `aud` claim stamped and required on verify */
+    audience?: string | string[];
+    /** Accepted algorithms; with a secret the first one signs (default: ['HS256'] with a secret) */
+    algorithms?: string[];
+    /** Seconds of clock skew tolerated for exp/nbf (default: 0) */
+    clockTolerance?: number;
+    /** Default token lifetime (default: '15m') */
+    expiresIn?: string | number;
+}
+export interface TokenClaims {
+    sub?: string;
+    scope?: string | string[];
+    roles?: string[];
+    jti?: string;
+    [claim: string]: unknown;
+}
+export interface TokenService {
+    /** Sign claims; `iss`/`aud` always come from the service configuration */
+    sign(payload?: TokenClaims, options?: { expiresIn?: string | number; audience?: string | string[] }): string;
+    /** Verify signature, issuer, audience and expiry; returns the decoded claims */
+    verify(token: string, options?: { audience?: string | string[] }): TokenClaims & { iss?: string; aud?: string | string[]; exp: number; iat: number };
+    /** Decode without verifying (diagnostics only) */
+    decode(token: string): TokenClaims | null;
+}
+/**
+ * Create a token service bound to one issuer/audience/key configuration.
+ *
+ * @example
+ * const tokens = createTokenService({ secret: process.env.JWT_SECRET, issuer: 'tasks-app', audience: 'tasks-api' });
+ * const token = tokens.sign({ sub: 'user-42', roles: ['admin'] });
+ */
+export function createTokenService(options: TokenServiceOptions): TokenService;
 /**
  * Generate JWT token for inter-service authentication
  *
+ * @deprecated Use createTokenService() to control issuer, audience and claims.
+ *
  * @param {string} secret - JWT secret key from environment
  * @param {string} [expiresIn='15m'] - Token expiration time (default: 15 minutes)
  * @returns {string} Signed JWT token
@@ -13,6 +72,8 @@ export function generateToken(secret: string, expiresIn?: string): string;
 /**
  * Verify and decode JWT token
  *
+ * @deprecated Use createTokenService() to control issuer, audience and claims.
+ *
  * @param {string} token - JWT token to verify
  * @param {string} secret - JWT secret key from environment
  * @returns {object} Decoded token payload
@@ -10,17 +10,80 @@ export { createDebugger } from './src/debug.js';
 export { createLogger } from './src/logger.js';
 export { createMemoryLogger } from './src/memory.js';
 
+// ─────────────────────────────────────────────────────────────────
+// Metrics
+// ─────────────────────────────────────────────────────────────────
+export {
+  createMetricsRegistry,
+  collectRuntimeMetrics,
+  METRICS_CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+} from './src/metrics.js';
+
+// ─────────────────────────────────────────────────────────────────
+// Request Context
+// ─────────────────────────────────────────────────────────────────
+export { getRequestContext, runWithRequestContext } from './src/context.js';
+
+// ─────────────────────────────────────────────────────────────────
+// Tracing
+// ─────────────────────────────────────────────────────────────────
+export { createTracer, injectTraceContext, SPAN_KINDS } from './src/tracing/tracer.js';
+export {
+  createConsoleSpanExporter,
+  createFileSpanExporter,
+  createOtlpHttpSpanExporter,
+} from './src/tracing/exporters.js';
+export { toOtlpJson } from './src/tracing/otlp.js';
+
 // ─────────────────────────────────────────────────────────────────
 // Authentication (JWT)
 // ─────────────────────────────────────────────────────────────────
-export { generateToken, verifyToken } from './src/auth/jwt.js';
+export { createTokenService, generateToken, verifyToken } from './src/auth/jwt.js';
+export { createKeyRing, loadKeyPair } from './src/auth/keyRing.js';
+export { createTokenDenylist } from './src/auth/revocation.js';
+export { createRefreshTokenManager } from './src/auth/refreshTokens.js';
+export { hashPassword, verifyPassword } from './src/auth/passwords.js';
 
 // ─────────────────────────────────────────────────────────────────
 // Middleware
 // ─────────────────────────────────────────────────────────────────
 export { jwtAuthMiddleware } from './src/middlewares/jwtAuth.js';
+export {
+  requestIdMiddleware,
+  parseTraceparent,
+  formatTraceparent,
+} from './src/middlewares/requestId.js';
+export {
+  requireRoles,
+  requireScopes,
+  requireAny,
+  requireOwnership,
+} from './src/middlewares/authorize.js';
+export { rateLimit, RATE_LIMIT_ALGORITHMS } from './src/middlewares/rateLimit.js';
+export { cors, isCorsPreflight, CORS_DEFAULT_METHODS } from './src/middlewares/cors.js';
 
+// ─────────────────────────────────────────────────────────────────
+// Secrets
+// ─────────────────────────────────────────────────────────────────
+export {
+  createVault,
+  createEnvSecretProvider,
+  createFileSecretProvider,
+  createEncryptedFileSecretProvider,
+  createHashiCorpVaultProvider,
+  encryptSecrets,
+  decryptSecrets,
+  isSecretRef,
+  SECRET_REF_PREFIX,
+} from './src/vault.js';
 
+// ─────────────────────────────────────────────────────────────────
+// Stores
+// ─────────────────────────────────────────────────────────────────
+export { createMemoryStore } from './src/stores/memory.js';
+export { createFileStore } from './src/stores/file.js';
+export { createRedisStore } from './src/stores/redis.js';
 
 // ─────────────────────────────────────────────────────────────────
 // Errors
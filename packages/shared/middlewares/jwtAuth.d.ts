@@ -1,12 +1,23 @@
+import type { TokenService } from '../auth/jwt';
+
+export interface TokenDenylist {
+    revoke(jti: string, exp?: number): Promise<void>;
+    isRevoked(jti: string): Promise<boolean>;
+}
+
 /**
  * Create JWT authentication middleware
  *
- * @param {string} secret - JWT secret key from environment
+ * @param {TokenService|string} tokens - Token service from createTokenService(),
+ *   or a raw secret for the legacy generateToken() tokens
+ * @param {object} [options]
+ * @param {TokenDenylist} [options.denylist] - Revoked token ids; matches get 401 TOKEN_REVOKED
  * @returns {Function} Express middleware function
  *
  * @example
- * import { jwtAuthMiddleware } from 'excel-export-streaming-shared/middlewares/jwtAuth';
+ * import { createTokenService, jwtAuthMiddleware } from '@animated-spork/shared';
  *
- * router.use(jwtAuthMiddleware(process.env.JWT_SECRET));
+ * const tokens = createTokenService({ secret: process.env.JWT_SECRET, issuer: 'tasks-app' });
+ * router.use(jwtAuthMiddleware(tokens, { denylist }));
  */
-export function jwtAuthMiddleware(secret: string): Function;
+export function jwtAuthMiddleware(tokens: TokenService | string, options?: { denylist?: TokenDenylist }): Function;
@@ -1,15 +1,136 @@
 /**
  * JWT Authentication Utilities
  *
- * Provides token generation and verification for inter-service communication
- * between the App (proxy) and API (export service).
+ * Provides a configurable token service (issuer, audience, algorithms,
+ * clock tolerance, default TTL) that signs arbitrary claims with an HMAC
+ * secret or an asymmetric key ring (kid-based key selection), plus the
+ * original generateToken/verifyToken helpers for inter-service
+ * communication between the App (proxy) and API (export service).
  */
 
+import crypto from "node:crypto";
 import jwt from "jsonwebtoken";
+import { createAppError } from "../errors/appError.js";
+
+const LEGACY_ISSUER = "excel-export-app";
+const LEGACY_AUDIENCE = "excel-export-api";
+
+/**
+ * @typedef {object} TokenService
+ * @property {(payload?: object, options?: object) => string} sign
+ *   Sign claims (`sub`, `scope`, `roles`, `jti`, custom); options may set `expiresIn`, `audience`.
+ * @property {(token: string, options?: object) => object} verify
+ *   Verify signature, issuer, audience and expiry; returns the decoded claims.
+ * @property {(token: string) => object|null} decode
+ *   Decode without verifying (diagnostics only).
+ */
+
+/**
+ * Create a token service bound to one issuer/audience/key configuration.
+ *
+ * `iss` and `aud` are always stamped from the service configuration (a
+ * payload cannot override them). A random `jti` is added unless the
+ * payload carries one, so every token can be revoked individually.
+ *
+ * With a `keyRing`, tokens are signed by the ring's current signing key
+ * with its `kid` in the header, and verified with the ring key that
+ * header names — so keys can rotate without invalidating live tokens.
+ *
+ * @param {object} options
+ * @param {string} [options.secret] - HMAC secret used to sign and verify
+ * @param {object} [options.keyRing] - Key ring from createKeyRing() (instead of a secret)
+ * @param {string} [options.issuer] - `iss` claim stamped and required on verify
+ * @param {string|string[]} [options.audience] - `aud` claim stamped and required on verify
+ * @param {string[]} [options.algorithms] - Accepted algorithms; with a secret the first one signs
+ *   (default: ['HS256'] with a secret, any key ring algorithm otherwise)
+ * @param {number} [options.clockTolerance=0] - Seconds of clock skew tolerated for exp/nbf
+ * @param {string|number} [options.expiresIn='15m'] - Default token lifetime
+ * @returns {TokenService}
+ *
+ * @example
+ * const tokens = createTokenService({
+ *   secret: process.env.JWT_SECRET,
+ *   issuer: 'tasks-app',
+ *   audience: 'tasks-api',
+ * });
+ * const token = tokens.sign({ sub: 'user-42', roles: ['admin'], scope: 'tasks:read tasks:write' });
+ * const claims = tokens.verify(token); // { sub: 'user-42', roles: [...], iss: 'tasks-app', ... }
+ */
+export function createTokenService({
+  secret,
+  keyRing,
+  issuer,
+  audience,
+  algorithms = keyRing ? undefined : ["HS256"],
+  clockTolerance = 0,
+  expiresIn = "15m",
+} = {}) {
+  if (!secret && !keyRing) {
+    throw createAppError("JWT_MISCONFIGURED", "A JWT secret or key ring is required", 500);
+  }
+  if (algorithms && (algorithms.length === 0 || algorithms.some((alg) => alg.toLowerCase() === "none"))) {
+    throw createAppError("JWT_MISCONFIGURED", "JWT algorithms must be non-empty and exclude 'none'", 500);
+  }
+
+  /**
+   * Resolve the key and algorithms to verify `token` with. Ring keys are
+   * selected by the header `kid` and only accept their own algorithm.
+   */
+  const verificationKeyFor = (token) => {
+    if (!keyRing) {
+      return { key: secret, allowed: algorithms };
+    }
+
+    const kid = jwt.decode(token, { complete: true })?.header?.kid;
+    const entry = kid && keyRing.verificationKey(kid);
+    if (!entry) {
+      throw new jwt.JsonWebTokenError(kid ? `unknown or retired key id "${kid}"` : "token has no key id");
+    }
+    if (algorithms && !algorithms.includes(entry.algorithm)) {
+      throw new jwt.JsonWebTokenError("invalid algorithm");
+    }
+    return { key: entry.publicKey, allowed: [entry.algorithm] };
+  };
+
+  const sign = (payload = {}, options = {}) => {
+    // iss/aud come from the service; drop them so jsonwebtoken doesn't reject the duplicate
+    const claims = { jti: crypto.randomUUID(), ...payload };
+    delete claims.iss;
+    delete claims.aud;
+    const aud = options.audience ?? audience;
+    const signing = keyRing?.signingKey();
+
+    return jwt.sign(claims, signing ? signing.privateKey : secret, {
+      algorithm: signing ? signing.algorithm : algorithms[0],
+      expiresIn: options.expiresIn ?? expiresIn,
+      ...(signing && { keyid: signing.kid }),
+      ...(issuer && { issuer }),
+      ...(aud && { audience: aud }),
+    });
+  };
+
+  const verify = (token, options = {}) => {
+    const aud = options.audience ?? audience;
+    const { key, allowed } = verificationKeyFor(token);
+
+    return jwt.verify(token, key, {
+      algorithms: allowed,
+      clockTolerance,
+      ...(issuer && { issuer }),
+      ...(aud && { audience: aud }),
+    });
+  };
+
+  const decode = (token) => jwt.decode(token);
+
+  return { sign, verify, decode };
+}
 
 /**
  * Generate JWT token for inter-service authentication
  *
+ * @deprecated Use createTokenService() to control issuer, audience and claims.
+ *
  * @param {string} secret - JWT secret key from environment
  * @param {string} [expiresIn='15m'] - Token expiration time (default: 15 minutes)
  * @returns {string} Signed JWT token
@@ -21,8 +142,8 @@ import jwt from "jsonwebtoken";
 export function generateToken(secret, expiresIn = "15m") {
   return jwt.sign(
     {
-      iss: "excel-export-app",
-      aud: "excel-export-api",
+      iss: LEGACY_ISSUER,
+      aud: LEGACY_AUDIENCE,
       iat: Math.floor(Date.now() / 1000),
     },
     secret,
@@ -33,6 +154,8 @@ export function generateToken(secret, expiresIn = "15m") {
 /**
  * Verify and decode JWT token
  *
+ * @deprecated Use createTokenService() to control issuer, audience and claims.
+ *
  * @param {string} token - JWT token to verify
  * @param {string} secret - JWT secret key from environment
  * @returns {object} Decoded token payload
@@ -51,7 +174,7 @@ export function generateToken(secret, expiresIn = "15m") {
  */
 export function verifyToken(token, secret) {
   return jwt.verify(token, secret, {
-    issuer: "excel-export-app",
-    audience: "excel-export-api",
+    issuer: LEGACY_ISSUER,
+    audience: LEGACY_AUDIENCE,
   });
 }
@@ -0,0 +1,259 @@
+/**
+ * JWT Signing Key Ring
+ *
+ * Holds asymmetric (RS256 / ES256 / ...) key pairs for token signing and
+ * verification. Exactly one key signs at a time; after a rotation the
+ * previous keys stay available for verification until their retirement
+ * time, so tokens issued before the rotation keep verifying. Public keys
+ * are published as a JWKS document for downstream services.
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import { createAppError } from "../errors/appError.js";
+
+const DEFAULT_GRACE_PERIOD = 24 * 60 * 60 * 1000;
+
+/** Signing algorithm implied by each EC curve. */
+const EC_ALGORITHMS = {
+  "P-256": "ES256",
+  "P-384": "ES384",
+  "P-521": "ES512",
+};
+
+/**
+ * @typedef {object} KeyPair
+ * @property {string} kid - Key id stamped into the JWT header
+ * @property {string} algorithm - JWS algorithm (e.g. 'RS256', 'ES256')
+ * @property {crypto.KeyObject} publicKey - Verification key
+ * @property {crypto.KeyObject} [privateKey] - Signing key (absent for verify-only keys)
+ */
+
+/**
+ * Infer the JWS algorithm from a public key's type.
+ *
+ * @param {crypto.KeyObject} publicKey
+ * @returns {string}
+ */
+function inferAlgorithm(publicKey) {
+  if (publicKey.asymmetricKeyType === "rsa") {
+    return "RS256";
+  }
+  if (publicKey.asymmetricKeyType === "ec") {
+    const algorithm = EC_ALGORITHMS[publicKey.export({ format: "jwk" }).crv];
+    if (algorithm) {
+      return algorithm;
+    }
+  }
+  throw createAppError(
+    "JWT_MISCONFIGURED",
+    `Unsupported key type "${publicKey.asymmetricKeyType}" for JWT signing`,
+    500,
+  );
+}
+
+/**
+ * Compute the RFC 7638 JWK thumbprint of a public key (used as default kid).
+ *
+ * @param {crypto.KeyObject} publicKey
+ * @returns {string} base64url SHA-256 thumbprint
+ */
+function thumbprint(publicKey) {
+  const jwk = publicKey.export({ format: "jwk" });
+  const members = jwk.kty === "RSA"
+    ? { e: jwk.e, kty: jwk.kty, n: jwk.n }
+    : { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+  return crypto.createHash("sha256").update(JSON.stringify(members)).digest("base64url");
+}
+
+/**
+ * Load a PEM key pair from files or strings.
+ *
+ * The public key is derived from the private key when not supplied; a
+ * public key alone yields a verify-only key. The kid defaults to the JWK
+ * thumbprint and the algorithm is inferred from the key type.
+ *
+ * @param {object} options
+ * @param {string} [options.privateKeyPath] - Path to a PEM private key
+ * @param {string} [options.publicKeyPath] - Path to a PEM public key
+ * @param {string} [options.privateKey] - PEM private key (instead of a path)
+ * @param {string} [options.publicKey] - PEM public key (instead of a path)
+ * @param {string} [options.passphrase] - Passphrase for an encrypted private key
+ * @param {string} [options.kid] - Key id (default: JWK thumbprint)
+ * @param {string} [options.algorithm] - JWS algorithm (default: inferred)
+ * @returns {KeyPair}
+ *
+ * @example
+ * const key = loadKeyPair({ privateKeyPath: '/run/secrets/jwt-2025-01.pem', kid: '2025-01' });
+ */
+export function loadKeyPair({
+  privateKeyPath,
+  publicKeyPath,
+  privateKey: privatePem = privateKeyPath && fs.readFileSync(privateKeyPath, "utf8"),
+  publicKey: publicPem = publicKeyPath && fs.readFileSync(publicKeyPath, "utf8"),
+  passphrase,
+  kid,
+  algorithm,
+}) {
+  if (!privatePem && !publicPem) {
+    throw createAppError("JWT_MISCONFIGURED", "A private or public key is required", 500);
+  }
+
+  const privateKey = privatePem ? crypto.createPrivateKey({ key: privatePem, passphrase }) : undefined;
+  const publicKey = publicPem ? crypto.createPublicKey(publicPem) : crypto.createPublicKey(privateKey);
+
+  return {
+    kid: kid ?? thumbprint(publicKey),
+    algorithm: algorithm ?? inferAlgorithm(publicKey),
+    publicKey,
+    privateKey,
+  };
+}
+
+/**
+ * Create a key ring.
+ *
+ * Keys passed in `keys` are added in order; the last one with a private
+ * key becomes the signing key. rotate() promotes a new key and schedules
+ * the previous signing key for retirement after `gracePeriod`. Retired
+ * keys are ignored immediately and dropped by prune(), which
+ * startRetirementSchedule() runs periodically.
+ *
+ * @param {object} [options={}]
+ * @param {KeyPair[]} [options.keys=[]] - Initial keys (from loadKeyPair())
+ * @param {number} [options.gracePeriod=86400000] - How long a rotated-out key still verifies (ms)
+ * @param {() => number} [options.now=Date.now] - Clock (injectable for tests)
+ * @returns {object} Key ring
+ *
+ * @example
+ * const ring = createKeyRing({ keys: [loadKeyPair({ privateKeyPath: 'keys/2025-01.pem' })] });
+ * const tokens = createTokenService({ keyRing: ring, issuer: 'tasks-app' });
+ * // later…
+ * ring.rotate(loadKeyPair({ privateKeyPath: 'keys/2025-02.pem' }));
+ */
+export function createKeyRing({ keys = [], gracePeriod = DEFAULT_GRACE_PERIOD, now = Date.now } = {}) {
+  /** @type {Map<string, KeyPair & { retireAt?: number }>} */
+  const entries = new Map();
+  let signingKid = null;
+
+  const isLive = (entry) => entry.retireAt === undefined || entry.retireAt > now();
+
+  /**
+   * Add a key. Keys with a private key become the signing key unless
+   * `activate` is false.
+   *
+   * @param {KeyPair} key
+   * @param {object} [options]
+   * @param {boolean} [options.activate] - Make this the signing key (default: when it has a private key)
+   * @returns {string} The key id
+   */
+  const add = (key, { activate = Boolean(key.privateKey) } = {}) => {
+    if (activate && !key.privateKey) {
+      throw createAppError("JWT_MISCONFIGURED", `Key "${key.kid}" has no private key to sign with`, 500);
+    }
+    entries.set(key.kid, { ...key });
+    if (activate) {
+      signingKid = key.kid;
+    }
+    return key.kid;
+  };
+
+  /**
+   * Schedule a key for retirement. Retired keys no longer verify.
+   *
+   * @param {string} kid
+   * @param {object} [options]
+   * @param {number} [options.at=now()] - Retirement time (epoch ms)
+   */
+  const retire = (kid, { at = now() } = {}) => {
+    const entry = entries.get(kid);
+    if (entry) {
+      entry.retireAt = at;
+    }
+  };
+
+  /**
+   * Promote a new signing key and retire the current one after the grace period.
+   *
+   * @param {KeyPair} key - New key with a private key
+   * @returns {string|null} The previous signing key id
+   */
+  const rotate = (key) => {
+    const previous = signingKid;
+    add(key, { activate: true });
+    if (previous && previous !== key.kid) {
+      retire(previous, { at: now() + gracePeriod });
+    }
+    return previous;
+  };
+
+  /**
+   * Current signing key.
+   *
+   * @returns {KeyPair}
+   * @throws {AppError} JWT_MISCONFIGURED when no live signing key exists
+   */
+  const signingKey = () => {
+    const entry = signingKid && entries.get(signingKid);
+    if (!entry || !isLive(entry)) {
+      throw createAppError("JWT_MISCONFIGURED", "Key ring has no active signing key", 500);
+    }
+    return entry;
+  };
+
+  /**
+   * Look up a live verification key by kid.
+   *
+   * @param {string} kid
+   * @returns {KeyPair|undefined}
+   */
+  const verificationKey = (kid) => {
+    const entry = entries.get(kid);
+    return entry && isLive(entry) ? entry : undefined;
+  };
+
+  /**
+   * Drop keys whose retirement time has passed.
+   *
+   * @returns {string[]} Removed key ids
+   */
+  const prune = () => {
+    const removed = [...entries.values()].filter((entry) => !isLive(entry)).map((entry) => entry.kid);
+    for (const kid of removed) {
+      entries.delete(kid);
+    }
+    return removed;
+  };
+
+  /**
+   * Run prune() every `interval` ms. The timer does not keep the process alive.
+   *
+   * @param {number} [interval=60000]
+   * @returns {() => void} Stops the schedule
+   */
+  const startRetirementSchedule = (interval = 60_000) => {
+    const timer = globalThis.setInterval(prune, interval);
+    timer.unref();
+    return () => globalThis.clearInterval(timer);
+  };
+
+  /**
+   * Public keys of every live key as a JWKS document.
+   *
+   * @returns {{ keys: object[] }}
+   */
+  const toJWKS = () => ({
+    keys: [...entries.values()].filter(isLive).map((entry) => ({
+      ...entry.publicKey.export({ format: "jwk" }),
+      kid: entry.kid,
+      alg: entry.algorithm,
+      use: "sig",
+    })),
+  });
+
+  for (const key of keys) {
+    add(key);
+  }
+
+  return { add, rotate, retire, prune, signingKey, verificationKey, startRetirementSchedule, toJWKS };
+}
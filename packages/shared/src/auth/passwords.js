@@ -0,0 +1,59 @@
+/**
+ * Password Hashing
+ *
+ * scrypt password hashes in a self-describing string format,
+ * `scrypt$<cost>$<salt>$<hash>` (salt and hash base64url), so hashes can
+ * live in config and environment variables.
+ */
+
+import { Buffer } from "node:buffer";
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+const DEFAULT_COST = 16384;
+
+/**
+ * Hash a password with a random salt.
+ *
+ * @param {string} password - Plain-text password
+ * @param {object} [options={}]
+ * @param {number} [options.cost=16384] - scrypt cost parameter N (power of two)
+ * @returns {Promise<string>} `scrypt$<cost>$<salt>$<hash>`
+ *
+ * @example
+ * const hash = await hashPassword('correct horse battery staple');
+ * // ADMIN_CREDENTIALS=admin:<hash>
+ */
+export async function hashPassword(password, { cost = DEFAULT_COST } = {}) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N: cost });
+  return `scrypt$${cost}$${salt.toString("base64url")}$${hash.toString("base64url")}`;
+}
+
+/**
+ * Check a password against a hash from hashPassword() in constant time.
+ * Malformed hashes never match.
+ *
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Stored hash
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, cost, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash || !/^\d+$/.test(cost)) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "base64url");
+  try {
+    const actual = await scrypt(String(password), Buffer.from(salt, "base64url"), expected.length, {
+      N: Number(cost),
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Refresh Tokens
+ *
+ * Issues opaque, single-use refresh tokens alongside short-lived access
+ * tokens. Every refresh rotates the refresh token; the tokens descending
+ * from one login form a family. Presenting an already-used refresh token
+ * means it was stolen (or replayed), so the whole family is revoked and
+ * the access tokens it minted are added to the denylist.
+ *
+ * Only SHA-256 hashes of refresh tokens are stored. Spending a token and
+ * changing its family go through the store's atomic update(), so two
+ * concurrent refreshes of one token can't both succeed.
+ */
+
+import crypto from "node:crypto";
+import { createAppError } from "../errors/appError.js";
+import { createMemoryStore } from "../stores/memory.js";
+import { createTokenDenylist } from "./revocation.js";
+
+const DEFAULT_REFRESH_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/** Claims the token service stamps itself; never carried across a refresh. */
+const REGISTERED_CLAIMS = ["iss", "aud", "exp", "iat", "nbf", "jti"];
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * @typedef {object} TokenPair
+ * @property {string} accessToken - Signed JWT
+ * @property {string} refreshToken - Opaque single-use refresh token
+ * @property {number} expiresIn - Access token lifetime in seconds
+ */
+
+/**
+ * Create a refresh token manager.
+ *
+ * @param {object} options
+ * @param {import('./jwt.js').TokenService} options.tokenService - Signs and verifies access tokens
+ * @param {import('../stores/memory.js').KeyValueStore & { update: Function }} [options.store]
+ *   Refresh token store with an atomic update() (default: in-memory)
+ * @param {ReturnType<typeof createTokenDenylist>} [options.denylist] - Access token denylist (default: in-memory)
+ * @param {number} [options.refreshTtl=604800000] - Refresh token lifetime in ms, renewed on every rotation
+ * @param {() => number} [options.now=Date.now] - Clock (injectable for tests)
+ * @returns {{
+ *   issue: (claims: object) => Promise<TokenPair>,
+ *   refresh: (refreshToken: string) => Promise<TokenPair>,
+ *   revoke: (token: string) => Promise<void>,
+ *   denylist: ReturnType<typeof createTokenDenylist>,
+ * }}
+ *
+ * @example
+ * const refreshTokens = createRefreshTokenManager({ tokenService: tokens });
+ * const { accessToken, refreshToken } = await refreshTokens.issue({ sub: user.id, roles: user.roles });
+ * router.use(jwtAuthMiddleware(tokens, { denylist: refreshTokens.denylist }));
+ */
+export function createRefreshTokenManager({
+  tokenService,
+  store = createMemoryStore(),
+  denylist = createTokenDenylist(),
+  refreshTtl = DEFAULT_REFRESH_TTL,
+  now = Date.now,
+}) {
+  if (!tokenService) {
+    throw createAppError("JWT_MISCONFIGURED", "A token service is required for refresh tokens", 500);
+  }
+  if (typeof store.update !== "function") {
+    throw createAppError("JWT_MISCONFIGURED", "The refresh token store needs an atomic update()", 500);
+  }
+
+  const nowSeconds = () => Math.floor(now() / 1000);
+
+  /**
+   * Sign an access token and a new refresh token within `familyId`.
+   *
+   * @throws {AppError} REFRESH_TOKEN_REVOKED when the family was revoked meanwhile
+   */
+  const mint = async (claims, familyId) => {
+    const accessToken = tokenService.sign(claims);
+    const { jti, exp, iat } = tokenService.decode(accessToken);
+    const refreshToken = crypto.randomBytes(32).toString("base64url");
+
+    // Remember live access tokens so a reuse can deny them too
+    let revoked = false;
+    await store.update(`family:${familyId}`, (family = { revoked: false, accessTokens: [] }) => {
+      revoked = family.revoked;
+      return revoked
+        ? family
+        : { ...family, accessTokens: [...family.accessTokens.filter((t) => t.exp > nowSeconds()), { jti, exp }] };
+    }, refreshTtl);
+    if (revoked) {
+      await denylist.revoke(jti, exp);
+      throw createAppError("REFRESH_TOKEN_REVOKED", "Refresh token has been revoked", 401);
+    }
+    await store.set(`refresh:${hash(refreshToken)}`, { familyId, claims, used: false }, refreshTtl);
+
+    return { accessToken, refreshToken, expiresIn: exp - iat };
+  };
+
+  /**
+   * Revoke a family and deny every access token it minted.
+   */
+  const revokeFamily = async (familyId) => {
+    let accessTokens = [];
+    await store.update(`family:${familyId}`, (family) => {
+      accessTokens = family?.accessTokens ?? [];
+      return { revoked: true, accessTokens: [] };
+    }, refreshTtl);
+    await Promise.all(accessTokens.map(({ jti, exp }) => denylist.revoke(jti, exp)));
+  };
+
+  /**
+   * Start a new token family (e.g. after login).
+   *
+   * @param {object} claims - Access token claims (`sub`, `roles`, `scope`, ...)
+   * @returns {Promise<TokenPair>}
+   */
+  const issue = async (claims) => {
+    const carried = { ...claims };
+    for (const name of REGISTERED_CLAIMS) {
+      delete carried[name];
+    }
+    return mint(carried, crypto.randomUUID());
+  };
+
+  /**
+   * Exchange a refresh token for a new pair. The presented token is spent.
+   *
+   * @param {string} refreshToken
+   * @returns {Promise<TokenPair>}
+   * @throws {AppError} INVALID_REFRESH_TOKEN (401) for unknown or expired tokens
+   * @throws {AppError} REFRESH_TOKEN_REVOKED (401) when the family was revoked
+   * @throws {AppError} REFRESH_TOKEN_REUSED (401) when the token was already used; the family is revoked
+   */
+  const refresh = async (refreshToken) => {
+    const key = `refresh:${hash(String(refreshToken))}`;
+    const record = await store.get(key);
+    if (!record) {
+      throw createAppError("INVALID_REFRESH_TOKEN", "Invalid or expired refresh token", 401);
+    }
+
+    const family = await store.get(`family:${record.familyId}`);
+    if (!family || family.revoked) {
+      throw createAppError("REFRESH_TOKEN_REVOKED", "Refresh token has been revoked", 401);
+    }
+
+    // Spend the token atomically; kept until it expires so a replay is detected
+    let used = false;
+    await store.update(key, (current = record) => {
+      used = current.used;
+      return { ...current, used: true };
+    }, refreshTtl);
+    if (used) {
+      await revokeFamily(record.familyId);
+      throw createAppError("REFRESH_TOKEN_REUSED", "Refresh token was already used", 401);
+    }
+    return mint(record.claims, record.familyId);
+  };
+
+  /**
+   * Revoke a refresh token (and its whole family) or a single access
+   * token. Unknown tokens are ignored, as RFC 7009 recommends.
+   *
+   * @param {string} token - Refresh token or access token
+   * @returns {Promise<void>}
+   */
+  const revoke = async (token) => {
+    const record = await store.get(`refresh:${hash(String(token))}`);
+    if (record) {
+      await revokeFamily(record.familyId);
+      return;
+    }
+
+    let claims;
+    try {
+      claims = tokenService.verify(token);
+    } catch {
+      return;
+    }
+    if (claims.jti) {
+      await denylist.revoke(claims.jti, claims.exp);
+    }
+  };
+
+  return { issue, refresh, revoke, denylist };
+}
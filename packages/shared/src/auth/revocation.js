@@ -0,0 +1,51 @@
+/**
+ * Token Revocation
+ *
+ * A `jti` denylist backed by a pluggable key-value store. Entries expire
+ * together with the token they revoke, so the list never outgrows the
+ * set of still-valid tokens.
+ */
+
+import { createMemoryStore } from "../stores/memory.js";
+
+const PREFIX = "revoked:";
+
+/**
+ * Create a token denylist.
+ *
+ * @param {object} [options={}]
+ * @param {import('../stores/memory.js').KeyValueStore} [options.store] - Backing store (default: in-memory)
+ * @param {() => number} [options.now=Date.now] - Clock (injectable for tests)
+ * @returns {{
+ *   revoke: (jti: string, exp?: number) => Promise<void>,
+ *   isRevoked: (jti: string) => Promise<boolean>,
+ * }}
+ *
+ * @example
+ * const denylist = createTokenDenylist({ store: createFileStore({ file: 'data/denylist.json' }) });
+ * await denylist.revoke(claims.jti, claims.exp);
+ * router.use(jwtAuthMiddleware(tokens, { denylist }));
+ */
+export function createTokenDenylist({ store = createMemoryStore(), now = Date.now } = {}) {
+  /**
+   * Revoke a token id until the token would have expired anyway.
+   *
+   * @param {string} jti - Token id
+   * @param {number} [exp] - Token `exp` claim (epoch seconds); omit to revoke forever
+   */
+  const revoke = async (jti, exp) => {
+    const ttl = exp === undefined ? undefined : Math.max(exp * 1000 - now(), 0);
+    if (ttl === 0) {
+      return; // already expired — nothing to deny
+    }
+    await store.set(`${PREFIX}${jti}`, true, ttl);
+  };
+
+  /**
+   * @param {string} jti - Token id
+   * @returns {Promise<boolean>}
+   */
+  const isRevoked = async (jti) => Boolean(jti) && (await store.get(`${PREFIX}${jti}`)) === true;
+
+  return { revoke, isRevoked };
+}
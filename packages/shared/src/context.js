@@ -0,0 +1,46 @@
+/**
+ * Request Context
+ *
+ * Per-request values (request id, W3C trace context) carried through
+ * AsyncLocalStorage, so code running on behalf of a request — loggers,
+ * debuggers, outgoing calls — can read them without threading `req`
+ * everywhere. requestIdMiddleware() opens the context for each request.
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/**
+ * @typedef {object} RequestContext
+ * @property {string} requestId      - Accepted `X-Request-Id` or a generated UUID
+ * @property {string} traceId        - W3C trace id (32 hex chars)
+ * @property {string} spanId         - Span id of this request (16 hex chars)
+ * @property {string} [parentSpanId] - Span id of the caller, when a traceparent was received
+ * @property {string} traceFlags     - W3C trace flags (2 hex chars, "01" = sampled)
+ * @property {import('./tracing/tracer.js').Span} [span] - Current span, when tracing (see tracing/tracer.js)
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `context` as the current request context.
+ *
+ * @template T
+ * @param {RequestContext} context
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * The context of the request being handled, if any.
+ *
+ * @returns {RequestContext|undefined}
+ *
+ * @example
+ * const { requestId } = getRequestContext() ?? {};
+ */
+export function getRequestContext() {
+  return storage.getStore();
+}
@@ -7,10 +7,14 @@
  * without the overhead of file logging.
  *
  * Example: DEBUG=myapp:* node app.js
+ *
+ * Output produced while a request is being handled (see context.js) ends with
+ * `requestId=<id>` so it can be matched with the logger's entries.
  */
 import debug from 'debug';
 import fs from 'node:fs';
 import path from 'node:path';
+import { getRequestContext } from './context.js';
 import { createLogger } from './logger.js';
 
 /**
@@ -120,8 +124,20 @@ export function createDebugger({ name, namespaceSuffix } = {}) {
       ? `${appName}${suffix}`
       : namespaceSuffix || "animated-spork:shared-core";
 
-    // Return a debug instance for this namespace
-    return debug(ns);
+    // Create the debug instance for this namespace
+    const instance = debug(ns);
+
+    // Tag output with the current request id; args[0] is the format string
+    // (with namespace and timestamp) that util.format() fills in
+    instance.log = function logWithRequestId(...args) {
+        const requestId = getRequestContext()?.requestId;
+        if (requestId && typeof args[0] === 'string') {
+            args[0] = `${args[0]} requestId=${requestId}`;
+        }
+        return debug.log.apply(this, args);
+    };
+
+    return instance;
 }
 
 // Export for testing purposes - allows tests to inject a mock logger
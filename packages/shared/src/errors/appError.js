@@ -20,12 +20,16 @@ class AppError extends Error {
    * @param {string} code       - Machine-readable error code (e.g. 'NOT_FOUND').
    * @param {string} message    - Human-readable error message.
    * @param {number} statusCode - HTTP status code (e.g. 404, 400, 500).
+   * @param {object} [extensions] - Extra members for problem+json responses.
    */
-  constructor(code, message, statusCode) {
+  constructor(code, message, statusCode, extensions) {
     super(message);
     this.code = code;
     this.statusCode = statusCode;
     this.isOperational = true;
+    if (extensions) {
+      this.extensions = extensions;
+    }
   }
 }
 
@@ -35,10 +39,12 @@ class AppError extends Error {
  * @param {string} code       - Machine-readable error code.
  * @param {string} message    - Human-readable error message.
  * @param {number} statusCode - HTTP status code.
+ * @param {object} [extensions] - Extra members for problem+json responses
+ *   (e.g. `{ errors: [{ field: 'title', message: 'Required' }] }`).
  * @returns {AppError}
  */
-export function createAppError(code, message, statusCode) {
-  return new AppError(code, message, statusCode);
+export function createAppError(code, message, statusCode, extensions) {
+  return new AppError(code, message, statusCode, extensions);
 }
 
 /**
@@ -6,16 +6,98 @@
  * Log messages include timestamps, levels (error, warn, info, debug), and optional metadata.
  *
  * Logs are written to process.cwd()/logs/<name>.log by default, with configurable log directory.
- * Both File and Console transports are enabled for immediate feedback and archival.
+ * Both File and Console transports are enabled for immediate feedback and archival; the file
+ * transport can be turned off (containers) or rotated by time and size with gzip and retention.
+ *
+ * Two formats are available:
+ * - pretty (default): human-readable lines for development
+ * - json: newline-delimited JSON with stable field names for log shippers
+ *
+ * Calls made while a request is being handled (see context.js) automatically
+ * carry its `requestId`, `traceId` and current `spanId` as metadata.
  *
  * Example:
  *   logger.info('Server started', { port: 3000 });
- *   // Writes: "2025-12-22T02:24:08.033Z [info] Server started {"port":3000}"
+ *   // pretty: "2025-12-22T02:24:08.033Z [info] Server started {"port":3000}"
+ *   // json:   {"time":"2025-12-22T02:24:08.033Z","level":"info","msg":"Server started","service":"app",...,"port":3000}
  */
 
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
 import winston from 'winston';
+import DailyRotateFile from 'winston-daily-rotate-file';
+import { getRequestContext } from './context.js';
+import { createAppError } from './errors/appError.js';
+
+/** File name date patterns per rotation interval. */
+const ROTATE_PATTERNS = { hourly: 'YYYY-MM-DD-HH', daily: 'YYYY-MM-DD' };
+
+/** Fields written first, in this order, by the json format; metadata can't override them. */
+const JSON_FIELDS = ['time', 'level', 'msg', 'service', 'version', 'pid', 'hostname'];
+
+/**
+ * Winston format adding the current request's ids to every entry.
+ * Explicit metadata wins over the context.
+ */
+const requestContextFormat = winston.format((info) => {
+    const context = getRequestContext();
+    if (context) {
+        info.requestId ??= context.requestId;
+        info.traceId ??= context.traceId;
+        info.spanId ??= context.spanId;
+    }
+    return info;
+});
+
+/**
+ * "2025-12-22T02:24:08.033Z [info] message {metadata}"
+ */
+const prettyFormat = winston.format.printf(({ timestamp, level, message, ...meta }) => {
+    // Include metadata only if present (non-empty object)
+    const metaKeys = Object.keys(meta || {});
+    const metaStr = metaKeys.length ? ` ${JSON.stringify(meta)}` : '';
+    return `${timestamp} [${level}] ${message}${metaStr}`;
+});
+
+/**
+ * One JSON object per line: the JSON_FIELDS, then the entry's metadata.
+ *
+ * @param {{ service: string, version?: string }} identity - Written into every entry
+ */
+const jsonFormat = ({ service, version }) => {
+    const hostname = os.hostname();
+    return winston.format.printf(({ timestamp, level, message, ...meta }) => {
+        const entry = { time: timestamp, level, msg: message, service, version, pid: globalThis.process.pid, hostname };
+        for (const [key, value] of Object.entries(meta)) {
+            if (!JSON_FIELDS.includes(key)) {
+                entry[key] = value;
+            }
+        }
+        return JSON.stringify(entry);
+    });
+};
+
+/**
+ * File transport rotating at `interval` boundaries and whenever the file
+ * exceeds `maxSize`. Files are named <name>-<date>.log; rotated files are
+ * gzipped unless `compress` is false and pruned beyond `maxFiles`.
+ */
+function createRotatingFileTransport(dirname, name, { interval = 'daily', maxSize, maxFiles, compress = true }) {
+    if (!ROTATE_PATTERNS[interval]) {
+        throw createAppError('LOGGER_MISCONFIGURED', `Unknown log rotation interval "${interval}"`, 500);
+    }
+    return new DailyRotateFile({
+        dirname,
+        filename: `${name}-%DATE%.log`,
+        datePattern: ROTATE_PATTERNS[interval],
+        maxSize,
+        maxFiles,
+        zippedArchive: compress,
+        // Keep the bookkeeping of rotated files next to them, one per logger
+        auditFile: path.join(dirname, `.${name}-audit.json`),
+    });
+}
 
 /**
  * createLogger(options)
@@ -23,12 +105,22 @@ import winston from 'winston';
  *
  * The logger includes:
  * - File transport: logs to <logDir>/<name>.log with full timestamp and metadata
- * - Console transport: logs to stdout/stderr with simple formatting
+ *   (<name>-<date>.log when rotating; omitted when `file` is false)
+ * - Console transport: logs to stdout/stderr with simple formatting (JSON lines in json format)
  *
  * @param {object} options - Configuration options
  * @param {string} [options.name='app'] - Log file basename (without .log). Defaults to the current directory name.
  * @param {string} [options.level='info'] - Minimum log level: 'error', 'warn', 'info', or 'debug'
  * @param {string} [options.logDir] - Directory to store log files. Defaults to process.cwd()/logs
+ * @param {'pretty'|'json'} [options.format='pretty'] - Human-readable lines or newline-delimited JSON
+ * @param {boolean} [options.file=true] - Write to a log file (turn off when stdout is collected)
+ * @param {object} [options.rotate] - Rotate the log file; omitted: one ever-growing file
+ * @param {'hourly'|'daily'} [options.rotate.interval='daily'] - Start a new file every hour or day
+ * @param {string|number} [options.rotate.maxSize] - Also rotate past this size (bytes, or '10k', '20m', '1g')
+ * @param {string|number} [options.rotate.maxFiles] - Keep this many files, or this many days with a 'd' suffix ('14d')
+ * @param {boolean} [options.rotate.compress=true] - Gzip rotated files
+ * @param {string} [options.service=name] - `service` field of json entries
+ * @param {string} [options.version] - `version` field of json entries
  *
  * @returns {object} A Winston logger instance with methods: .info(), .warn(), .error(), .debug()
  *
@@ -41,45 +133,64 @@ import winston from 'winston';
  * // Custom logger with options
  * const log2 = createLogger({ name: 'service', level: 'debug', logDir: '/var/log' });
  * log2.debug('detailed trace info');
+ *
+ * @example
+ * // Production: JSON lines, daily files capped at 20 MB, two weeks of gzipped history
+ * const log3 = createLogger({ name: 'api', format: 'json', rotate: { maxSize: '20m', maxFiles: '14d' } });
  */
-export function createLogger({ name = path.basename(globalThis.process.cwd()) || 'app', level = 'info', logDir } = {}) {
-    // Determine the log directory: explicit param or default to process.cwd()/logs
-    const baseLogDir = logDir || path.resolve(globalThis.process.cwd(), 'logs');
-
-    // Ensure the log directory exists; create recursively if needed
-    try {
-        fs.mkdirSync(baseLogDir, { recursive: true });
-    } catch (error) {
-        // Log directory creation failed; emit error to console as logger is being initialized
-        // (Using globalThis.console here to avoid logger not yet ready)
-        globalThis.console.error(`Failed to create log directory at ${baseLogDir}:`, error);
+export function createLogger({
+    name = path.basename(globalThis.process.cwd()) || 'app',
+    level = 'info',
+    logDir,
+    format = 'pretty',
+    file = true,
+    rotate,
+    service = name,
+    version,
+} = {}) {
+    if (format !== 'pretty' && format !== 'json') {
+        throw createAppError('LOGGER_MISCONFIGURED', `Unknown log format "${format}"`, 500);
+    }
+
+    const transports = [];
+
+    if (file) {
+        // Determine the log directory: explicit param or default to process.cwd()/logs
+        const baseLogDir = logDir || path.resolve(globalThis.process.cwd(), 'logs');
+
+        // Ensure the log directory exists; create recursively if needed
+        try {
+            fs.mkdirSync(baseLogDir, { recursive: true });
+        } catch (error) {
+            // Log directory creation failed; emit error to console as logger is being initialized
+            // (Using globalThis.console here to avoid logger not yet ready)
+            globalThis.console.error(`Failed to create log directory at ${baseLogDir}:`, error);
+        }
+
+        // Sanitize filename: replace colons (reserved on Windows) with hyphens
+        const sanitizedName = name.replace(/:/g, '-');
+
+        // File transport: logs all entries to the file with full formatting
+        transports.push(rotate
+            ? createRotatingFileTransport(baseLogDir, sanitizedName, rotate)
+            : new winston.transports.File({ filename: path.join(baseLogDir, `${sanitizedName}.log`) }));
     }
 
-    // Construct the full path to the log file
-    // Sanitize filename: replace colons (reserved on Windows) with hyphens
-    const sanitizedName = name.replace(/:/g, '-');
-    const filename = path.join(baseLogDir, `${sanitizedName}.log`);
+    // Console transport: logs to stdout/stderr for immediate feedback; simple formatting
+    // in pretty mode, the same JSON lines as the file in json mode
+    transports.push(new winston.transports.Console(format === 'pretty' ? { format: winston.format.simple() } : {}));
 
-    // Create and configure the Winston logger with File and Console transports
+    // Create and configure the Winston logger
     const logger = winston.createLogger({
         level,
         format: winston.format.combine(
+            // Correlate entries with the request being handled, if any
+            requestContextFormat(),
             // Add ISO 8601 timestamp to all log entries
             winston.format.timestamp(),
-            // Custom format: "2025-12-22T02:24:08.033Z [info] message {metadata}"
-            winston.format.printf(({ timestamp, level: lvl, message, ...meta }) => {
-                // Include metadata only if present (non-empty object)
-                const metaKeys = Object.keys(meta || {});
-                const metaStr = metaKeys.length ? ` ${JSON.stringify(meta)}` : '';
-                return `${timestamp} [${lvl}] ${message}${metaStr}`;
-            })
+            format === 'json' ? jsonFormat({ service, version }) : prettyFormat
         ),
-        transports: [
-            // File transport: logs all entries to the file with full formatting
-            new winston.transports.File({ filename }),
-            // Console transport: logs to stdout/stderr with simple formatting for immediate feedback
-            new winston.transports.Console({ format: winston.format.simple() })
-        ]
+        transports
     });
 
     return logger;
@@ -1,10 +1,56 @@
+import path from "node:path";
+import v8 from "node:v8";
+import { PerformanceObserver, constants } from "node:perf_hooks";
+
+/**
+ * @typedef {Object} MemorySample
+ * @property {number} time - Sample time (ms since the epoch)
+ * @property {number} rss
+ * @property {number} heapUsed
+ * @property {number} heapTotal
+ * @property {number} external
+ * @property {number} arrayBuffers
+ */
+
 /**
- * Creates a memory logger function that tracks peak memory usage
+ * Creates a memory logger function that tracks peak memory usage.
+ *
+ * Calling start() also samples in the background: samples are kept in a
+ * ring buffer (getHistory()), heap growth is summarised by getTrend(),
+ * and warnings are logged when the heap stays above `heapThreshold` or
+ * the heap left after major GCs keeps growing. With `snapshotThreshold`,
+ * a `.heapsnapshot` is written the first time the heap crosses it.
+ *
  * @param {NodeJS.Process} proc - The process to monitor memory usage
  * @param {Function} logger - The logging function (e.g., debug instance)
- * @returns {Function} A function that logs current memory usage with getPeakSummary() and logPeakSummary() methods
+ * @param {Object} [options={}] - Background sampling options
+ * @param {number} [options.interval=10000] - Milliseconds between samples
+ * @param {number} [options.historySize=360] - Samples kept in the ring buffer
+ * @param {number} [options.heapThreshold=0] - Warn when heapUsed stays above this many bytes (0: off)
+ * @param {number} [options.sustainedSamples=3] - Consecutive samples above heapThreshold before warning
+ * @param {number} [options.growthCycles=5] - Warn when the heap after GC grows across this many major GCs (0: off)
+ * @param {number} [options.snapshotThreshold=0] - Write a heap snapshot when heapUsed crosses this many bytes (0: off)
+ * @param {string} [options.snapshotDir=proc.cwd()] - Where heap snapshots are written
+ * @param {number} [options.maxSnapshots=1] - Heap snapshots written at most per process
+ * @param {Function} [options.warn=logger] - Logging function for warnings
+ * @param {Function} [options.writeHeapSnapshot=v8.writeHeapSnapshot] - Snapshot writer (injectable for tests)
+ * @returns {Function} A function that logs current memory usage with getPeakSummary(), logPeakSummary(),
+ *   sample(), start(), stop(), getHistory() and getTrend() methods
  */
-const createMemoryLogger = (proc, logger) => {
+const createMemoryLogger = (proc, logger, options = {}) => {
+  const {
+    interval = 10000,
+    historySize = 360,
+    heapThreshold = 0,
+    sustainedSamples = 3,
+    growthCycles = 5,
+    snapshotThreshold = 0,
+    snapshotDir = proc.cwd?.() ?? ".",
+    maxSnapshots = 1,
+    warn = logger,
+    writeHeapSnapshot = v8.writeHeapSnapshot,
+  } = options;
+
   // Track peak values
   const peaks = {
     rss: 0,
@@ -40,8 +86,7 @@ const createMemoryLogger = (proc, logger) => {
    * @param {string} [label=''] - Optional label to prefix the log
    */
   const memoryLogger = (label = "") => {
-    const mem = proc.memoryUsage();
-    updatePeaks(mem);
+    const mem = memoryLogger.sample();
 
     const prefix = label ? `[${label}] ` : "";
 
@@ -89,6 +134,167 @@ const createMemoryLogger = (proc, logger) => {
     );
   };
 
+  // ── Background sampling ─────────────────────────────────────
+  const history = [];
+  const heapAfterGc = [];
+  let timer = null;
+  let gcObserver = null;
+  let samplesAboveThreshold = 0;
+  let aboveSnapshotThreshold = false;
+  let snapshots = 0;
+  let growthReported = false;
+
+  /**
+   * Writes a heap snapshot, once per crossing of snapshotThreshold
+   * @param {number} heapUsed - Heap used at the crossing, in bytes
+   */
+  const snapshot = (heapUsed) => {
+    snapshots += 1;
+    try {
+      const file = writeHeapSnapshot(path.join(snapshotDir, `heap-${proc.pid}-${Date.now()}.heapsnapshot`));
+      warn(`Memory warning: heap used ${formatMB(heapUsed)} MB crossed ${formatMB(snapshotThreshold)} MB — wrote heap snapshot ${file}`);
+    } catch (err) {
+      warn(`Memory warning: could not write heap snapshot: ${err.message}`);
+    }
+  };
+
+  /**
+   * Checks a sample against heapThreshold and snapshotThreshold
+   * @param {MemorySample} sample
+   */
+  const checkThresholds = (sample) => {
+    if (heapThreshold > 0) {
+      samplesAboveThreshold = sample.heapUsed > heapThreshold ? samplesAboveThreshold + 1 : 0;
+      if (samplesAboveThreshold === sustainedSamples) {
+        warn(
+          `Memory warning: heap used ${formatMB(sample.heapUsed)} MB has stayed above ` +
+            `${formatMB(heapThreshold)} MB for ${sustainedSamples} samples`,
+        );
+      }
+    }
+    if (snapshotThreshold > 0) {
+      const above = sample.heapUsed >= snapshotThreshold;
+      if (above && !aboveSnapshotThreshold && snapshots < maxSnapshots) {
+        snapshot(sample.heapUsed);
+      }
+      aboveSnapshotThreshold = above;
+    }
+  };
+
+  /**
+   * Records the heap left after a major GC and warns when it has grown
+   * across growthCycles GCs in a row
+   */
+  const recordGc = () => {
+    heapAfterGc.push(proc.memoryUsage().heapUsed);
+    if (heapAfterGc.length > growthCycles + 1) {
+      heapAfterGc.shift();
+    }
+    const growing = heapAfterGc.length === growthCycles + 1 &&
+      heapAfterGc.every((heap, i) => i === 0 || heap > heapAfterGc[i - 1]);
+    if (growing && !growthReported) {
+      warn(
+        `Memory warning: heap after GC grew across ${growthCycles} consecutive major GCs ` +
+          `(${formatMB(heapAfterGc[0])} MB → ${formatMB(heapAfterGc[growthCycles])} MB) — possible leak`,
+      );
+    }
+    growthReported = growing;
+  };
+
+  /**
+   * Takes a sample without logging it: updates the peaks, appends it to
+   * the history and checks the thresholds
+   * @returns {MemorySample} The sample
+   */
+  memoryLogger.sample = () => {
+    const mem = proc.memoryUsage();
+    updatePeaks(mem);
+
+    const sample = {
+      time: Date.now(),
+      rss: mem.rss,
+      heapUsed: mem.heapUsed,
+      heapTotal: mem.heapTotal,
+      external: mem.external,
+      arrayBuffers: mem.arrayBuffers ?? 0,
+    };
+    history.push(sample);
+    if (history.length > historySize) {
+      history.shift();
+    }
+    checkThresholds(sample);
+    return sample;
+  };
+
+  /**
+   * Starts background sampling every `interval` ms (and GC tracking when
+   * growthCycles > 0). The timer doesn't keep the process alive.
+   * @returns {Function} The memory logger
+   */
+  memoryLogger.start = () => {
+    if (timer) {
+      return memoryLogger;
+    }
+    memoryLogger.sample();
+    timer = globalThis.setInterval(memoryLogger.sample, interval);
+    timer.unref?.();
+
+    if (growthCycles > 0) {
+      gcObserver = new PerformanceObserver((list) => {
+        if (list.getEntries().some((entry) => entry.detail?.kind === constants.NODE_PERFORMANCE_GC_MAJOR)) {
+          recordGc();
+        }
+      });
+      gcObserver.observe({ entryTypes: ["gc"] });
+    }
+    return memoryLogger;
+  };
+
+  /**
+   * Stops background sampling; the history is kept
+   */
+  memoryLogger.stop = () => {
+    globalThis.clearInterval(timer);
+    timer = null;
+    gcObserver?.disconnect();
+    gcObserver = null;
+  };
+
+  /**
+   * Returns the sampled history, oldest first
+   * @returns {MemorySample[]}
+   */
+  memoryLogger.getHistory = () => history.slice();
+
+  /**
+   * Summarises heap growth over the sampled history
+   * @returns {Object} `heapGrowthPerMinute` (bytes, least-squares slope of heapUsed),
+   *   `spanMs`, `samples`, `heapAfterGc` (bytes, recent major GCs) and `growing`
+   */
+  memoryLogger.getTrend = () => {
+    const n = history.length;
+    let slope = 0;
+    if (n > 1) {
+      const t0 = history[0].time;
+      const meanT = history.reduce((sum, s) => sum + (s.time - t0), 0) / n;
+      const meanH = history.reduce((sum, s) => sum + s.heapUsed, 0) / n;
+      let num = 0;
+      let den = 0;
+      for (const s of history) {
+        num += (s.time - t0 - meanT) * (s.heapUsed - meanH);
+        den += (s.time - t0 - meanT) ** 2;
+      }
+      slope = den > 0 ? num / den : 0;
+    }
+    return {
+      heapGrowthPerMinute: Math.round(slope * 60000),
+      spanMs: n > 1 ? history[n - 1].time - history[0].time : 0,
+      samples: n,
+      heapAfterGc: heapAfterGc.slice(),
+      growing: growthReported,
+    };
+  };
+
   return memoryLogger;
 };
 
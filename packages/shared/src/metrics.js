@@ -0,0 +1,397 @@
+/**
+ * Metrics
+ *
+ * A small Prometheus metrics registry: counters, gauges and histograms
+ * with labels, rendered in the text exposition format (version 0.0.4)
+ * for a `/metrics` endpoint. Plugins register their own metrics on the
+ * same registry the framework uses.
+ *
+ * collectRuntimeMetrics() adds process memory, event-loop delay and GC
+ * pause metrics to a registry.
+ */
+
+import process from "node:process";
+import { monitorEventLoopDelay, PerformanceObserver, constants } from "node:perf_hooks";
+import { createAppError } from "./errors/appError.js";
+import { createMemoryLogger } from "./memory.js";
+
+/** Content type of metrics() output. */
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/** Default histogram buckets in seconds, tuned for request latencies. */
+export const DEFAULT_BUCKETS = Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * @typedef {Record<string, string|number>} Labels
+ */
+
+/**
+ * @typedef {object} Counter
+ * @property {(labelsOrValue?: Labels|number, value?: number) => void} inc - Add `value` (default 1, must be >= 0).
+ * @property {(labels?: Labels) => number} get
+ * @property {() => void} reset
+ */
+
+/**
+ * @typedef {object} Gauge
+ * @property {(labelsOrValue: Labels|number, value?: number) => void} set
+ * @property {(labelsOrValue?: Labels|number, value?: number) => void} inc
+ * @property {(labelsOrValue?: Labels|number, value?: number) => void} dec
+ * @property {(labels?: Labels) => number} get
+ * @property {() => void} reset
+ */
+
+/**
+ * @typedef {object} Histogram
+ * @property {(labelsOrValue: Labels|number, value?: number) => void} observe
+ * @property {(labels?: Labels) => (endLabels?: Labels) => number} startTimer
+ *   Start timing; the returned function observes and returns the elapsed seconds.
+ * @property {(labels?: Labels) => { buckets: number[], sum: number, count: number }} get
+ * @property {() => void} reset
+ */
+
+/**
+ * Split the `(labels, value)` / `(value)` call forms.
+ *
+ * @param {Labels|number} [labelsOrValue]
+ * @param {number} [value]
+ * @returns {[Labels, number|undefined]}
+ */
+function splitArgs(labelsOrValue, value) {
+  return typeof labelsOrValue === "object" && labelsOrValue !== null
+    ? [labelsOrValue, value]
+    : [{}, labelsOrValue];
+}
+
+/**
+ * Format a sample value; Prometheus spells infinities and NaN its own way.
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) {
+    return "NaN";
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? "+Inf" : "-Inf";
+  }
+  return String(value);
+}
+
+/**
+ * Render a label set, e.g. `{method="GET",status="200"}`.
+ *
+ * @param {Array<[string, string]>} pairs
+ * @returns {string}
+ */
+function formatLabels(pairs) {
+  if (pairs.length === 0) {
+    return "";
+  }
+  const escape = (value) => value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  return `{${pairs.map(([name, value]) => `${name}="${escape(value)}"`).join(",")}}`;
+}
+
+/**
+ * Create a metrics registry.
+ *
+ * @returns {{
+ *   counter: (name: string, help: string, options?: { labelNames?: string[] }) => Counter,
+ *   gauge: (name: string, help: string, options?: { labelNames?: string[], collect?: (gauge: Gauge) => void|Promise<void> }) => Gauge,
+ *   histogram: (name: string, help: string, options?: { labelNames?: string[], buckets?: number[] }) => Histogram,
+ *   get: (name: string) => Counter|Gauge|Histogram|undefined,
+ *   metrics: () => Promise<string>,
+ *   contentType: string,
+ * }}
+ *
+ * @example
+ * const registry = createMetricsRegistry();
+ * const jobs = registry.counter('jobs_processed_total', 'Jobs processed', { labelNames: ['queue'] });
+ * jobs.inc({ queue: 'email' });
+ * res.set('Content-Type', registry.contentType).send(await registry.metrics());
+ */
+export function createMetricsRegistry() {
+  /** @type {Map<string, { metric: object, render: () => Promise<string[]> }>} */
+  const entries = new Map();
+
+  /**
+   * Validate a new metric's name and labels, and set up its series map
+   * keyed by label values in `labelNames` order.
+   */
+  const define = (type, name, help, labelNames, reserved = []) => {
+    if (!METRIC_NAME.test(name)) {
+      throw createAppError("METRIC_INVALID", `Invalid metric name "${name}"`, 500);
+    }
+    if (entries.has(name)) {
+      throw createAppError("METRIC_EXISTS", `Metric "${name}" is already registered`, 500);
+    }
+    for (const label of labelNames) {
+      if (!LABEL_NAME.test(label) || label.startsWith("__") || reserved.includes(label)) {
+        throw createAppError("METRIC_INVALID", `Invalid label name "${label}" for metric "${name}"`, 500);
+      }
+    }
+
+    const series = new Map();
+    const keyOf = (labels) => {
+      for (const label of Object.keys(labels)) {
+        if (!labelNames.includes(label)) {
+          throw createAppError("METRIC_INVALID", `Unknown label "${label}" for metric "${name}"`, 500);
+        }
+      }
+      return JSON.stringify(labelNames.map((label) => (labels[label] === undefined ? null : String(labels[label]))));
+    };
+    /** Label pairs of a series key, skipping labels that were not given. */
+    const pairsOf = (key) => JSON.parse(key)
+      .map((value, index) => [labelNames[index], value])
+      .filter(([, value]) => value !== null);
+    const header = [`# HELP ${name} ${help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`, `# TYPE ${name} ${type}`];
+
+    return { series, keyOf, pairsOf, header };
+  };
+
+  /** Register a counter or gauge; they only differ in what may change them. */
+  const scalar = (type, name, help, { labelNames = [], collect } = {}) => {
+    const { series, keyOf, pairsOf, header } = define(type, name, help, labelNames);
+    const add = (labelsOrValue, value) => {
+      const [labels, amount = 1] = splitArgs(labelsOrValue, value);
+      if (type === "counter" && amount < 0) {
+        throw createAppError("METRIC_INVALID", `Counter "${name}" can only increase`, 500);
+      }
+      const key = keyOf(labels);
+      series.set(key, (series.get(key) ?? 0) + amount);
+    };
+
+    const metric = {
+      inc: add,
+      get: (labels = {}) => series.get(keyOf(labels)) ?? 0,
+      reset: () => series.clear(),
+    };
+    if (type === "gauge") {
+      metric.dec = (labelsOrValue, value) => {
+        const [labels, amount = 1] = splitArgs(labelsOrValue, value);
+        add(labels, -amount);
+      };
+      metric.set = (labelsOrValue, value) => {
+        const [labels, amount] = splitArgs(labelsOrValue, value);
+        series.set(keyOf(labels), amount);
+      };
+    }
+
+    const render = async () => {
+      await collect?.(metric);
+      // Unlabelled metrics report 0 before their first update
+      if (series.size === 0 && labelNames.length === 0) {
+        return [...header, `${name} 0`];
+      }
+      return [...header, ...[...series].map(([key, value]) => `${name}${formatLabels(pairsOf(key))} ${formatValue(value)}`)];
+    };
+
+    entries.set(name, { metric, render });
+    return metric;
+  };
+
+  /**
+   * Register a counter.
+   *
+   * @param {string} name - Metric name; counters conventionally end in `_total`.
+   * @param {string} help
+   * @param {{ labelNames?: string[] }} [options]
+   * @returns {Counter}
+   */
+  const counter = (name, help, options) => scalar("counter", name, help, options);
+
+  /**
+   * Register a gauge. `collect` runs before every scrape, for values that
+   * are read rather than tracked (e.g. pool sizes).
+   *
+   * @param {string} name
+   * @param {string} help
+   * @param {{ labelNames?: string[], collect?: (gauge: Gauge) => void|Promise<void> }} [options]
+   * @returns {Gauge}
+   */
+  const gauge = (name, help, options) => scalar("gauge", name, help, options);
+
+  /**
+   * Register a histogram.
+   *
+   * @param {string} name
+   * @param {string} help
+   * @param {{ labelNames?: string[], buckets?: number[] }} [options]
+   * @returns {Histogram}
+   */
+  const histogram = (name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) => {
+    const { series, keyOf, pairsOf, header } = define("histogram", name, help, labelNames, ["le"]);
+    const bounds = [...buckets].sort((a, b) => a - b);
+
+    const observe = (labelsOrValue, value) => {
+      const [labels, observed] = splitArgs(labelsOrValue, value);
+      const key = keyOf(labels);
+      let state = series.get(key);
+      if (!state) {
+        state = { buckets: bounds.map(() => 0), sum: 0, count: 0 };
+        series.set(key, state);
+      }
+      // Bucket counts are stored per bucket and made cumulative when rendered
+      const index = bounds.findIndex((bound) => observed <= bound);
+      if (index !== -1) {
+        state.buckets[index] += 1;
+      }
+      state.sum += observed;
+      state.count += 1;
+    };
+
+    const metric = {
+      observe,
+      startTimer: (labels = {}) => {
+        const start = process.hrtime.bigint();
+        return (endLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+          observe({ ...labels, ...endLabels }, seconds);
+          return seconds;
+        };
+      },
+      get: (labels = {}) => {
+        const state = series.get(keyOf(labels));
+        return state ? { buckets: [...state.buckets], sum: state.sum, count: state.count } : { buckets: bounds.map(() => 0), sum: 0, count: 0 };
+      },
+      reset: () => series.clear(),
+    };
+
+    const render = async () => {
+      const lines = [...header];
+      for (const [key, state] of series) {
+        const pairs = pairsOf(key);
+        let cumulative = 0;
+        bounds.forEach((bound, index) => {
+          cumulative += state.buckets[index];
+          lines.push(`${name}_bucket${formatLabels([...pairs, ["le", formatValue(bound)]])} ${cumulative}`);
+        });
+        lines.push(
+          `${name}_bucket${formatLabels([...pairs, ["le", "+Inf"]])} ${state.count}`,
+          `${name}_sum${formatLabels(pairs)} ${formatValue(state.sum)}`,
+          `${name}_count${formatLabels(pairs)} ${state.count}`,
+        );
+      }
+      return lines;
+    };
+
+    entries.set(name, { metric, render });
+    return metric;
+  };
+
+  /**
+   * Render every metric in the text exposition format.
+   *
+   * @returns {Promise<string>}
+   */
+  const metrics = async () => {
+    const blocks = [];
+    for (const { render } of entries.values()) {
+      blocks.push((await render()).join("\n"));
+    }
+    return blocks.length ? `${blocks.join("\n")}\n` : "";
+  };
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    get: (name) => entries.get(name)?.metric,
+    metrics,
+    contentType: METRICS_CONTENT_TYPE,
+  };
+}
+
+/** GC kinds reported by perf_hooks, as `kind` label values. */
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: "minor",
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: "major",
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: "incremental",
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: "weakcb",
+};
+
+/** The process.memoryUsage() fields createMemoryLogger() tracks. */
+const MEMORY_TYPES = ["rss", "heapUsed", "heapTotal", "external", "arrayBuffers"];
+
+/**
+ * Add Node.js runtime metrics to a registry:
+ *
+ * - `nodejs_memory_bytes{type}` / `nodejs_memory_peak_bytes{type}` – current
+ *   process.memoryUsage() values (rss, heapUsed, heapTotal, external, arrayBuffers)
+ *   and the peaks createMemoryLogger() tracked
+ * - `nodejs_eventloop_delay_seconds{stat}` – event-loop delay since the previous
+ *   scrape (min, mean, max, p50, p90, p99)
+ * - `nodejs_gc_duration_seconds{kind}` – GC pauses by kind (minor, major, …)
+ *
+ * Pass the process's running `memoryLogger` to report the peaks of its
+ * background samples. Without one, a memory logger of its own samples at
+ * every scrape.
+ *
+ * @param {ReturnType<typeof createMetricsRegistry>} registry
+ * @param {object} [options={}]
+ * @param {NodeJS.Process} [options.proc=process] - Process whose memory is reported.
+ * @param {ReturnType<typeof createMemoryLogger>} [options.memoryLogger] - Memory logger whose peaks are reported.
+ * @param {number} [options.eventLoopResolution=10] - Event-loop sampling resolution in ms.
+ * @returns {{ stop: () => void }} Stops the event-loop and GC observers.
+ */
+export function collectRuntimeMetrics(registry, { proc = process, memoryLogger, eventLoopResolution = 10 } = {}) {
+  const memory = memoryLogger ?? createMemoryLogger(proc, () => {}, { historySize: 1 });
+
+  registry.gauge("nodejs_memory_bytes", "Process memory usage in bytes", {
+    labelNames: ["type"],
+    collect: (gauge) => {
+      const current = memoryLogger ? proc.memoryUsage() : memory.sample();
+      for (const type of MEMORY_TYPES) {
+        gauge.set({ type }, current[type] ?? 0);
+      }
+    },
+  });
+  registry.gauge("nodejs_memory_peak_bytes", "Peak process memory usage in bytes tracked by the memory logger", {
+    labelNames: ["type"],
+    collect: (gauge) => {
+      const peaks = memory.getPeakSummary();
+      for (const type of MEMORY_TYPES) {
+        gauge.set({ type }, peaks[type].bytes);
+      }
+    },
+  });
+
+  const delay = monitorEventLoopDelay({ resolution: eventLoopResolution });
+  delay.enable();
+  registry.gauge("nodejs_eventloop_delay_seconds", "Event-loop delay since the previous scrape", {
+    labelNames: ["stat"],
+    collect: (gauge) => {
+      // The histogram reports nanoseconds; it is empty until the loop has been sampled
+      const seconds = (ns) => (delay.count > 0 ? ns / 1e9 : 0);
+      gauge.set({ stat: "min" }, seconds(delay.min));
+      gauge.set({ stat: "mean" }, seconds(delay.mean));
+      gauge.set({ stat: "max" }, seconds(delay.max));
+      gauge.set({ stat: "p50" }, seconds(delay.percentile(50)));
+      gauge.set({ stat: "p90" }, seconds(delay.percentile(90)));
+      gauge.set({ stat: "p99" }, seconds(delay.percentile(99)));
+      delay.reset();
+    },
+  });
+
+  const gc = registry.histogram("nodejs_gc_duration_seconds", "Garbage collection pauses by kind", {
+    labelNames: ["kind"],
+    buckets: [0.001, 0.01, 0.1, 1, 2, 5],
+  });
+  const observer = new PerformanceObserver((list) => {
+    for (const entry of list.getEntries()) {
+      gc.observe({ kind: GC_KINDS[entry.detail?.kind] ?? "unknown" }, entry.duration / 1000);
+    }
+  });
+  observer.observe({ entryTypes: ["gc"] });
+
+  return {
+    stop: () => {
+      delay.disable();
+      observer.disconnect();
+    },
+  };
+}
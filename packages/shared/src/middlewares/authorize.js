@@ -0,0 +1,145 @@
+/**
+ * Authorization Guards
+ *
+ * Declarative route guards over the claims jwtAuthMiddleware attaches to
+ * `req.auth`. A guard passes control on when its check succeeds and
+ * forwards a 403 FORBIDDEN AppError to the error handler otherwise (401
+ * UNAUTHORIZED when the request is not authenticated at all).
+ *
+ * Guards compose: requireAny() passes when at least one of its guards
+ * would pass, so "admin or owner" rules stay declarative.
+ */
+
+import { createAppError } from "../errors/appError.js";
+
+/**
+ * @typedef {(req: object) => (string|null|Promise<string|null>)} GuardCheck
+ *   Returns null when access is granted, or the reason it was denied.
+ */
+
+/**
+ * @typedef {Function & { check: GuardCheck }} Guard
+ *   Express middleware carrying its check so guards can be combined.
+ */
+
+/**
+ * Normalise a claim holding a list: arrays are kept, strings are split on
+ * whitespace (the OAuth `scope` format), anything else is empty.
+ *
+ * @param {*} value
+ * @returns {string[]}
+ */
+function claimList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return typeof value === "string" ? value.split(/\s+/).filter(Boolean) : [];
+}
+
+/**
+ * Wrap a check in middleware. Unauthenticated requests are rejected with
+ * 401 before the check runs.
+ *
+ * @param {GuardCheck} check
+ * @returns {Guard}
+ */
+function createGuard(check) {
+  const guard = async (req, _res, next) => {
+    if (!req.auth) {
+      return next(createAppError("UNAUTHORIZED", "Authentication required", 401));
+    }
+    try {
+      const denied = await check(req);
+      next(denied ? createAppError("FORBIDDEN", denied, 403) : undefined);
+    } catch (err) {
+      next(err);
+    }
+  };
+  guard.check = check;
+  return guard;
+}
+
+/**
+ * Require every listed role in the `roles` claim.
+ *
+ * @param {...string} roles
+ * @returns {Guard}
+ *
+ * @example
+ * router.delete('/tasks/:id', requireRoles('admin'), deleteTask);
+ */
+export function requireRoles(...roles) {
+  return createGuard((req) => {
+    const granted = claimList(req.auth.roles);
+    const missing = roles.filter((role) => !granted.includes(role));
+    return missing.length > 0 ? `Missing required role: ${missing.join(", ")}` : null;
+  });
+}
+
+/**
+ * Require every listed scope in the `scope` claim (space-separated string
+ * or array; `scp` is accepted as an alias).
+ *
+ * @param {...string} scopes
+ * @returns {Guard}
+ *
+ * @example
+ * router.use(requireScopes('tasks:read'));
+ * router.post('/tasks', requireScopes('tasks:write'), createTask);
+ */
+export function requireScopes(...scopes) {
+  return createGuard((req) => {
+    const granted = claimList(req.auth.scope ?? req.auth.scp);
+    const missing = scopes.filter((scope) => !granted.includes(scope));
+    return missing.length > 0 ? `Missing required scope: ${missing.join(", ")}` : null;
+  });
+}
+
+/**
+ * Require the authenticated subject to own the requested resource.
+ *
+ * `getOwner(req)` returns (or resolves to) the owner id of the resource;
+ * it is compared with the `claim` of `req.auth`. A resource without an
+ * owner is denied.
+ *
+ * @param {(req: object) => (string|undefined|Promise<string|undefined>)} getOwner
+ * @param {object} [options={}]
+ * @param {string} [options.claim='sub'] - Claim holding the caller's id
+ * @returns {Guard}
+ *
+ * @example
+ * router.put('/tasks/:id', requireOwnership((req) => tasks.get(req.params.id)?.owner), updateTask);
+ */
+export function requireOwnership(getOwner, { claim = "sub" } = {}) {
+  return createGuard(async (req) => {
+    const owner = await getOwner(req);
+    const caller = req.auth[claim];
+    return owner !== undefined && owner !== null && caller !== undefined && String(owner) === String(caller)
+      ? null
+      : "Not the owner of this resource";
+  });
+}
+
+/**
+ * Pass when at least one of the given guards would pass. When all fail,
+ * the reasons are joined into the 403 message.
+ *
+ * @param {...Guard} guards - Guards from requireRoles(), requireScopes(), ...
+ * @returns {Guard}
+ *
+ * @example
+ * router.delete('/tasks/:id', requireAny(requireRoles('admin'), requireOwnership(ownerOf)), deleteTask);
+ */
+export function requireAny(...guards) {
+  return createGuard(async (req) => {
+    const reasons = [];
+    for (const guard of guards) {
+      const denied = await guard.check(req);
+      if (!denied) {
+        return null;
+      }
+      reasons.push(denied);
+    }
+    return reasons.join("; ") || "Access denied";
+  });
+}
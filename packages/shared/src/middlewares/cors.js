@@ -0,0 +1,190 @@
+/**
+ * CORS Middleware
+ *
+ * Lets browser apps on other origins call the API. Each request's
+ * `Origin` is checked against the allowed origins — exact
+ * (`https://app.example.com`), wildcard subdomain
+ * (`https://*.example.com`, any subdomain but not the apex), `*` for any
+ * origin, or a function deciding per request. Allowed origins get the
+ * `Access-Control-*` response headers; others get none, and the browser
+ * withholds the response from the calling page.
+ *
+ * Preflight requests (`OPTIONS` with `Access-Control-Request-Method`)
+ * are answered with 204 and the allowed methods, headers and max-age.
+ *
+ * A policy removes the `Access-Control-*` headers set by an earlier one,
+ * so a router can replace an app-wide policy with its own.
+ */
+
+import { createAppError } from "../errors/appError.js";
+
+/** Methods allowed when none are configured. */
+export const CORS_DEFAULT_METHODS = Object.freeze(["GET", "HEAD", "PUT", "PATCH", "POST", "DELETE"]);
+
+/** Response headers a policy sets, and clears from earlier policies. */
+const RESPONSE_HEADERS = [
+  "Access-Control-Allow-Origin",
+  "Access-Control-Allow-Credentials",
+  "Access-Control-Allow-Methods",
+  "Access-Control-Allow-Headers",
+  "Access-Control-Expose-Headers",
+  "Access-Control-Max-Age",
+];
+
+/** `scheme://host[:port]`, optionally with a `*.` wildcard before the host. */
+const ORIGIN_PATTERN = /^([a-z][a-z0-9+.-]*:\/\/)(\*\.)?([a-z0-9.-]+(?::\d+)?)$/i;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Whether a request is a CORS preflight.
+ *
+ * @param {object} req - Incoming request
+ * @returns {boolean}
+ */
+export function isCorsPreflight(req) {
+  return req.method === "OPTIONS"
+    && req.headers.origin !== undefined
+    && req.headers["access-control-request-method"] !== undefined;
+}
+
+/**
+ * Compile origin patterns into a matcher.
+ *
+ * @param {string[]} patterns
+ * @returns {(origin: string) => boolean}
+ */
+function compileOrigins(patterns) {
+  const exact = new Set();
+  const wildcards = [];
+  for (const pattern of patterns) {
+    const match = typeof pattern === "string" ? ORIGIN_PATTERN.exec(pattern) : null;
+    if (!match) {
+      throw createAppError(
+        "CORS_MISCONFIGURED",
+        `Invalid CORS origin "${pattern}" (expected "*", "https://host[:port]" or "https://*.host")`,
+        500,
+      );
+    }
+    const [, scheme, wildcard, host] = match;
+    if (wildcard) {
+      wildcards.push(new RegExp(`^${escapeRegExp(scheme)}[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.${escapeRegExp(host)}$`, "i"));
+    } else {
+      exact.add(pattern.toLowerCase());
+    }
+  }
+  return (origin) => exact.has(origin.toLowerCase()) || wildcards.some((re) => re.test(origin));
+}
+
+/**
+ * Append a value to the Vary header.
+ */
+function vary(res, field) {
+  const current = res.getHeader("Vary");
+  if (!current) {
+    res.setHeader("Vary", field);
+  } else if (current !== "*" && !String(current).toLowerCase().split(/\s*,\s*/).includes(field.toLowerCase())) {
+    res.setHeader("Vary", `${current}, ${field}`);
+  }
+}
+
+/**
+ * Create CORS middleware.
+ *
+ * @param {object} [options={}]
+ * @param {string|string[]|false|((origin: string, req: object) => boolean|Promise<boolean>)} [options.origin=[]]
+ *   Allowed origins: `*`, exact origins, `https://*.example.com` wildcards, or a function; false or an
+ *   empty list allows none
+ * @param {string[]} [options.methods=CORS_DEFAULT_METHODS] - Methods allowed by preflights
+ * @param {string[]} [options.allowedHeaders=[]] - Request headers allowed by preflights (empty: those requested)
+ * @param {string[]} [options.exposedHeaders=[]] - Response headers readable by the calling page
+ * @param {boolean}  [options.credentials=false] - Allow cookies and HTTP authentication
+ * @param {number}   [options.maxAge] - Seconds browsers may cache a preflight response
+ * @param {boolean}  [options.preflightContinue=false] - Pass preflights on to next() instead of answering them
+ * @returns {Function} Express middleware function
+ * @throws {AppError} CORS_MISCONFIGURED for an invalid origin, or `*` with credentials
+ *
+ * @example
+ * import { cors } from '@animated-spork/shared';
+ *
+ * router.use(cors({ origin: ['https://app.example.com', 'https://*.example.org'], credentials: true }));
+ */
+export function cors({
+  origin = [],
+  methods = CORS_DEFAULT_METHODS,
+  allowedHeaders = [],
+  exposedHeaders = [],
+  credentials = false,
+  maxAge,
+  preflightContinue = false,
+} = {}) {
+  let isAllowed;
+  let anyOrigin = false;
+  if (typeof origin === "function") {
+    isAllowed = origin;
+  } else {
+    const patterns = origin === false ? [] : [origin].flat();
+    anyOrigin = patterns.includes("*");
+    if (anyOrigin && credentials) {
+      // Browsers reject `*` on credentialed requests, and reflecting the
+      // request's origin instead would let every site read responses made
+      // with the user's cookies
+      throw createAppError("CORS_MISCONFIGURED", "CORS origin \"*\" can't be combined with credentials", 500);
+    }
+    const matches = compileOrigins(patterns.filter((pattern) => pattern !== "*"));
+    isAllowed = (requestOrigin) => anyOrigin || matches(requestOrigin);
+  }
+
+  const allowMethods = methods.map((method) => method.toUpperCase()).join(", ");
+  const allowHeaders = allowedHeaders.join(", ");
+  const exposeHeaders = exposedHeaders.join(", ");
+
+  return async (req, res, next) => {
+    for (const header of RESPONSE_HEADERS) {
+      res.removeHeader(header);
+    }
+    const requestOrigin = req.headers.origin;
+    const preflight = isCorsPreflight(req);
+
+    let allowed = false;
+    if (requestOrigin !== undefined) {
+      try {
+        allowed = Boolean(await isAllowed(requestOrigin, req));
+      } catch (err) {
+        return next(err);
+      }
+    }
+    // Caches must keep per-origin copies unless every origin gets the same answer
+    if (!anyOrigin) {
+      vary(res, "Origin");
+    }
+
+    if (allowed) {
+      res.setHeader("Access-Control-Allow-Origin", anyOrigin ? "*" : requestOrigin);
+      if (credentials) {
+        res.setHeader("Access-Control-Allow-Credentials", "true");
+      }
+      if (preflight) {
+        res.setHeader("Access-Control-Allow-Methods", allowMethods);
+        if (allowHeaders) {
+          res.setHeader("Access-Control-Allow-Headers", allowHeaders);
+        } else if (req.headers["access-control-request-headers"]) {
+          res.setHeader("Access-Control-Allow-Headers", req.headers["access-control-request-headers"]);
+          vary(res, "Access-Control-Request-Headers");
+        }
+        if (maxAge !== undefined) {
+          res.setHeader("Access-Control-Max-Age", String(maxAge));
+        }
+      } else if (exposeHeaders) {
+        res.setHeader("Access-Control-Expose-Headers", exposeHeaders);
+      }
+    }
+
+    if (preflight && !preflightContinue) {
+      res.statusCode = 204;
+      res.setHeader("Content-Length", "0");
+      return res.end();
+    }
+    next();
+  };
+}
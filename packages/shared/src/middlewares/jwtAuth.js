@@ -1,62 +1,71 @@
 /**
  * JWT Authentication Middleware
  *
- * Validates JWT tokens in the Authorization header for API endpoints.
- * Ensures only authenticated requests from the App service are processed.
+ * Validates JWT tokens in the Authorization header for API endpoints and
+ * attaches the verified claims to `req.auth`. Failures are passed to
+ * `next()` as 401 AppErrors (`UNAUTHORIZED`, or `TOKEN_REVOKED` for tokens
+ * whose `jti` is on the optional denylist) for the error handler to render.
  */
 
 import { verifyToken } from "../auth/jwt.js";
+import { createAppError } from "../errors/appError.js";
 
 /**
  * Create JWT authentication middleware
  *
- * @param {string} secret - JWT secret key from environment
+ * @param {import('../auth/jwt.js').TokenService|string} tokens - Token service from
+ *   createTokenService(), or a raw secret for the legacy generateToken() tokens
+ * @param {object} [options={}]
+ * @param {{ isRevoked: (jti: string) => Promise<boolean> }} [options.denylist] - Revoked
+ *   token ids, from createTokenDenylist()
  * @returns {Function} Express middleware function
  *
  * @example
- * import { jwtAuthMiddleware } from 'excel-export-streaming-shared/middlewares/jwtAuth';
+ * import { createTokenService, jwtAuthMiddleware } from '@animated-spork/shared';
  *
- * router.use(jwtAuthMiddleware(process.env.JWT_SECRET));
+ * const tokens = createTokenService({ secret: process.env.JWT_SECRET, issuer: 'tasks-app' });
+ * router.use(jwtAuthMiddleware(tokens, { denylist }));
  */
-export function jwtAuthMiddleware(secret) {
-  return (req, res, next) => {
+export function jwtAuthMiddleware(tokens, { denylist } = {}) {
+  const verify = typeof tokens === "string"
+    ? (token) => verifyToken(token, tokens)
+    : (token) => tokens.verify(token);
+
+  return async (req, res, next) => {
+    let decoded;
+
     try {
       // Extract Authorization header
       const authHeader = req.headers.authorization;
 
       if (!authHeader?.startsWith("Bearer ")) {
-        return res.status(401).json({
-          error: {
-            message: "Missing or invalid authorization header",
-            code: "UNAUTHORIZED",
-          },
-        });
+        return next(createAppError("UNAUTHORIZED", "Missing or invalid authorization header", 401));
       }
 
       // Extract token (remove 'Bearer ' prefix)
       const token = authHeader.substring(7);
 
-      // Verify token and attach decoded payload to request
-      const decoded = verifyToken(token, secret);
-      req.auth = decoded;
-
-      next();
+      // Verify token
+      decoded = verify(token);
     } catch (error) {
-      // Handle specific JWT errors
-      let message = null;
+      // Verification failures don't reveal more than whether the token expired
+      const message = error.name === "TokenExpiredError" ? "Token expired" : "Invalid token";
+      return next(createAppError("UNAUTHORIZED", message, 401));
+    }
 
-      if (error.name === "TokenExpiredError") {
-        message = "Token expired";
-      } else if (error.name === "JsonWebTokenError") {
-        message = "Invalid token";
+    if (denylist) {
+      try {
+        if (await denylist.isRevoked(decoded.jti)) {
+          return next(createAppError("TOKEN_REVOKED", "Token revoked", 401));
+        }
+      } catch (error) {
+        // Store failures are server errors, not authentication failures
+        return next(error);
       }
-
-      res.status(401).json({
-        error: {
-          message,
-          code: "UNAUTHORIZED",
-        },
-      });
     }
+
+    // Attach decoded payload to request
+    req.auth = decoded;
+    next();
   };
 }
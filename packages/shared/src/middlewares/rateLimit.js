@@ -0,0 +1,205 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Limits how often a client may call a route, with one of three
+ * algorithms:
+ * - fixed-window: `limit` requests per window, counters reset at window boundaries
+ * - sliding-window: the previous window's count, weighted by how much of it
+ *   still overlaps the last `window` ms, plus the current window's count —
+ *   smooths out the burst a fixed window allows at its boundary
+ * - token-bucket: a bucket of `limit` tokens refilled evenly over `window` ms;
+ *   allows short bursts up to `limit` and a steady `limit / window` rate
+ *
+ * State lives in a store with increment() and update() (memory by
+ * default, see ../stores/redis.js to share it between instances).
+ * Responses carry `RateLimit-Limit`, `RateLimit-Remaining`,
+ * `RateLimit-Reset` and `RateLimit-Policy` headers; rejected requests get
+ * `Retry-After` and a 429 `RATE_LIMITED` AppError passed to next(), so
+ * the app's error handler renders them.
+ */
+
+import crypto from "node:crypto";
+import { createAppError } from "../errors/appError.js";
+import { createMemoryStore } from "../stores/memory.js";
+
+/** Algorithms by name. */
+export const RATE_LIMIT_ALGORITHMS = Object.freeze(["fixed-window", "sliding-window", "token-bucket"]);
+
+/**
+ * @typedef {object} RateLimitResult
+ * @property {boolean} allowed
+ * @property {number}  remaining  - Requests left in the current window (tokens left for token-bucket)
+ * @property {number}  resetMs    - Milliseconds until the limit fully resets
+ * @property {number}  retryAfterMs - Milliseconds until a rejected client may retry (0 when allowed)
+ */
+
+/**
+ * Built-in client key strategies. Keys that can't be derived (no
+ * authenticated user, no API key) fall back to the client IP.
+ */
+const KEYS = {
+  ip: () => null,
+  user: (req) => {
+    const id = req.auth?.sub ?? req.user?.id;
+    return id === undefined || id === null ? null : `user:${id}`;
+  },
+  "api-key": (req, { apiKeyHeader }) => {
+    const apiKey = req.get?.(apiKeyHeader) ?? req.headers?.[apiKeyHeader];
+    // Hashed, so API keys don't end up in the store
+    return apiKey ? `key:${crypto.createHash("sha256").update(apiKey).digest("hex").slice(0, 32)}` : null;
+  },
+};
+
+/**
+ * Fixed window: one counter per client and window.
+ */
+async function fixedWindow(store, key, { limit, window, now }) {
+  const start = Math.floor(now / window) * window;
+  const count = await store.increment(`${key}:${start}`, window);
+  const resetMs = start + window - now;
+  return {
+    allowed: count <= limit,
+    remaining: Math.max(0, limit - count),
+    resetMs,
+    retryAfterMs: count <= limit ? 0 : resetMs,
+  };
+}
+
+/**
+ * Sliding window counter: the current window's count plus the previous
+ * window's, weighted by its overlap with the last `window` ms.
+ */
+async function slidingWindow(store, key, { limit, window, now }) {
+  const start = Math.floor(now / window) * window;
+  const previous = (await store.get(`${key}:${start - window}`)) ?? 0;
+  const count = await store.increment(`${key}:${start}`, window * 2);
+  const overlap = 1 - (now - start) / window;
+  const estimated = previous * overlap + count;
+  const allowed = estimated <= limit;
+
+  // A rejected client may retry once the previous window's share has
+  // decayed enough (or, failing that, when this window ends)
+  let retryAfterMs = 0;
+  if (!allowed) {
+    const needed = previous > 0 ? (estimated - limit) / previous * window : Infinity;
+    retryAfterMs = Math.min(Math.ceil(needed), start + window - now);
+  }
+  return {
+    allowed,
+    remaining: Math.max(0, Math.floor(limit - estimated)),
+    resetMs: start + window * 2 - now,
+    retryAfterMs,
+  };
+}
+
+/**
+ * Token bucket: `limit` tokens, refilled at `limit / window` per ms.
+ */
+async function tokenBucket(store, key, { limit, window, now }) {
+  const rate = limit / window;
+  let allowed = false;
+  // update() may call this more than once; the last call is the one stored
+  const state = await store.update(key, (current) => {
+    const elapsed = current ? Math.max(0, now - current.updatedAt) : 0;
+    const tokens = current ? Math.min(limit, current.tokens + elapsed * rate) : limit;
+    allowed = tokens >= 1;
+    return { tokens: allowed ? tokens - 1 : tokens, updatedAt: now };
+  }, window);
+
+  return {
+    allowed,
+    remaining: Math.floor(state.tokens),
+    resetMs: Math.ceil((limit - state.tokens) / rate),
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - state.tokens) / rate),
+  };
+}
+
+const ALGORITHMS = {
+  "fixed-window": fixedWindow,
+  "sliding-window": slidingWindow,
+  "token-bucket": tokenBucket,
+};
+
+/**
+ * Create rate limiting middleware.
+ *
+ * @param {object} [options={}]
+ * @param {'fixed-window'|'sliding-window'|'token-bucket'} [options.algorithm="fixed-window"]
+ * @param {number} [options.limit=100] - Requests per window (bucket size for token-bucket)
+ * @param {number} [options.window=60000] - Window in ms (time to refill the bucket for token-bucket)
+ * @param {'ip'|'user'|'api-key'|((req: object) => string|null|undefined)} [options.key="ip"]
+ *   Client key: the client IP, the authenticated user (`req.auth.sub`, else `req.user.id`), the
+ *   API key header, or a function; missing keys fall back to the IP
+ * @param {string} [options.apiKeyHeader="x-api-key"] - Header read by the api-key strategy
+ * @param {string} [options.name="default"] - Limiter name, separating the counters of several limiters
+ * @param {object} [options.store] - Store with increment() and update() (default: in-memory)
+ * @param {(req: object) => boolean} [options.skip] - Requests not counted
+ * @param {boolean} [options.headers=true] - Send the RateLimit-* headers
+ * @param {() => number} [options.now=Date.now] - Clock (injectable for tests)
+ * @returns {Function} Express middleware function
+ * @throws {AppError} RATE_LIMIT_MISCONFIGURED for an unknown algorithm or key, a bad limit or window,
+ *   or a store without increment() / update()
+ *
+ * @example
+ * import { rateLimit, createRedisStore } from '@animated-spork/shared';
+ *
+ * const store = createRedisStore({ url: process.env.REDIS_URL });
+ * router.post('/api/messages', jwtAuthMiddleware(tokens),
+ *   rateLimit({ algorithm: 'token-bucket', limit: 20, window: 60_000, key: 'user', store }),
+ *   sendMessage);
+ */
+export function rateLimit({
+  algorithm = "fixed-window",
+  limit = 100,
+  window = 60000,
+  key = "ip",
+  apiKeyHeader = "x-api-key",
+  name = "default",
+  store = createMemoryStore(),
+  skip,
+  headers = true,
+  now = Date.now,
+} = {}) {
+  const check = ALGORITHMS[algorithm];
+  if (!check) {
+    throw createAppError("RATE_LIMIT_MISCONFIGURED", `Unknown rate limit algorithm "${algorithm}"`, 500);
+  }
+  if (!(Number.isInteger(limit) && limit > 0) || !(window > 0)) {
+    throw createAppError("RATE_LIMIT_MISCONFIGURED", "Rate limit needs a positive integer limit and window", 500);
+  }
+  const keyOf = typeof key === "function" ? key : KEYS[key];
+  if (!keyOf) {
+    throw createAppError("RATE_LIMIT_MISCONFIGURED", `Unknown rate limit key "${key}"`, 500);
+  }
+  if (typeof store.increment !== "function" || typeof store.update !== "function") {
+    throw createAppError("RATE_LIMIT_MISCONFIGURED", "Rate limit store needs increment() and update()", 500);
+  }
+  const policy = `${limit};w=${Math.ceil(window / 1000)}`;
+
+  return async (req, res, next) => {
+    if (skip?.(req)) {
+      return next();
+    }
+    let result;
+    try {
+      const client = keyOf(req, { apiKeyHeader }) ?? `ip:${req.ip ?? req.socket?.remoteAddress}`;
+      result = await check(store, `ratelimit:${name}:${client}`, { limit, window, now: now() });
+    } catch (err) {
+      return next(err);
+    }
+
+    if (headers) {
+      res.setHeader("RateLimit-Limit", String(limit));
+      res.setHeader("RateLimit-Remaining", String(result.remaining));
+      res.setHeader("RateLimit-Reset", String(Math.ceil(result.resetMs / 1000)));
+      res.setHeader("RateLimit-Policy", policy);
+    }
+    if (result.allowed) {
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    res.setHeader("Retry-After", String(retryAfter));
+    next(createAppError("RATE_LIMITED", `Too many requests, retry in ${retryAfter} s`, 429));
+  };
+}
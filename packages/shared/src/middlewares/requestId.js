@@ -0,0 +1,79 @@
+/**
+ * Request ID Middleware
+ *
+ * Gives every request an id and a W3C trace context, stores them in the
+ * request context (see ../context.js) for the rest of the request and
+ * echoes them in the `X-Request-Id` and `traceparent` response headers.
+ *
+ * An incoming `X-Request-Id` is kept when it looks like an id (letters,
+ * digits and `._:-`, at most 128 characters) so values can't smuggle
+ * anything into log lines; otherwise a UUID is generated. An incoming
+ * `traceparent` continues the caller's trace with a new span id.
+ */
+
+import crypto from "node:crypto";
+import { runWithRequestContext } from "../context.js";
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Parse a W3C traceparent header (version 00). All-zero ids are invalid.
+ *
+ * @param {string} [header]
+ * @returns {{ traceId: string, parentSpanId: string, traceFlags: string }|null}
+ */
+export function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(header?.trim().toLowerCase() ?? "");
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], parentSpanId: match[2], traceFlags: match[3] };
+}
+
+/**
+ * Format a W3C traceparent header.
+ *
+ * @param {{ traceId: string, spanId: string, traceFlags: string }} context
+ * @returns {string}
+ */
+export function formatTraceparent({ traceId, spanId, traceFlags }) {
+  return `00-${traceId}-${spanId}-${traceFlags}`;
+}
+
+/**
+ * Create request id middleware.
+ *
+ * @param {object} [options={}]
+ * @param {string} [options.header='x-request-id'] - Header the id is read from and echoed in
+ * @param {() => string} [options.generate=crypto.randomUUID] - Id generator
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * app.use(requestIdMiddleware());
+ * app.get('/', (req, res) => res.send(req.id));
+ */
+export function requestIdMiddleware({ header = "x-request-id", generate = () => crypto.randomUUID() } = {}) {
+  return (req, res, next) => {
+    const incoming = req.headers[header.toLowerCase()];
+    const requestId = REQUEST_ID_PATTERN.test(incoming ?? "") ? incoming : generate();
+    const parent = parseTraceparent(req.headers.traceparent);
+
+    const context = {
+      requestId,
+      traceId: parent?.traceId ?? crypto.randomBytes(16).toString("hex"),
+      spanId: crypto.randomBytes(8).toString("hex"),
+      traceFlags: parent?.traceFlags ?? "01",
+    };
+    if (parent) {
+      context.parentSpanId = parent.parentSpanId;
+    }
+
+    req.id = requestId;
+    res.locals.requestId = requestId;
+    res.setHeader(header, requestId);
+    res.setHeader("traceparent", formatTraceparent(context));
+
+    runWithRequestContext(context, next);
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * File-Backed Key-Value Store
+ *
+ * Same interface as the in-memory store, persisted to a single JSON file
+ * so state (revoked tokens, sessions, ...) survives a restart. Writes are
+ * serialised and atomic (temp file + rename). Suited to single-instance
+ * deployments; share state across instances with a networked backend.
+ * Expired entries are pruned every `pruneInterval` ms, so revoked tokens
+ * and dead sessions don't pile up in a file rewritten on every write.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Create a file-backed store.
+ *
+ * @param {object} options
+ * @param {string} options.file - Path to the JSON file (created on first write)
+ * @param {() => number} [options.now=Date.now] - Clock (injectable for tests)
+ * @param {number} [options.pruneInterval=60000] - Ms between background prunes (0: only on demand)
+ * @returns {import('./memory.js').KeyValueStore & {
+ *   update: (key: string, fn: (current: *) => *, ttl?: number) => Promise<*>,
+ *   prune: () => Promise<number>,
+ *   close: () => Promise<void>,
+ * }}
+ */
+export function createFileStore({ file, now = Date.now, pruneInterval = 60000 }) {
+  let entries = null;
+  let loading = null;
+  let writing = Promise.resolve();
+
+  const isExpired = (entry) => entry.expiresAt !== null && entry.expiresAt <= now();
+
+  // Loaded once; concurrent first calls share the read
+  const load = () => (loading ??= (async () => {
+    try {
+      entries = JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        loading = null;
+        throw err;
+      }
+      entries = {};
+    }
+    return entries;
+  })());
+
+  const persist = () => {
+    const snapshot = JSON.stringify(entries);
+    // A failed write (ENOSPC, EACCES, ...) rejects this call only, not every later one
+    writing = writing.catch(() => {}).then(async () => {
+      const tmp = `${file}.${globalThis.process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(tmp, snapshot, { mode: 0o600 });
+      await fs.promises.rename(tmp, file);
+    });
+    return writing;
+  };
+
+  const get = async (key) => {
+    const data = await load();
+    const entry = Object.hasOwn(data, key) ? data[key] : undefined;
+    if (!entry || isExpired(entry)) {
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = async (key, value, ttl) => {
+    const data = await load();
+    data[key] = { value, expiresAt: ttl === undefined ? null : now() + ttl };
+    await persist();
+  };
+
+  /**
+   * Replace a value with `fn(current)` and return it. Atomic within the
+   * process: the entries aren't touched between the read and the write.
+   */
+  const update = async (key, fn, ttl) => {
+    const data = await load();
+    const entry = Object.hasOwn(data, key) ? data[key] : undefined;
+    const value = fn(entry && !isExpired(entry) ? entry.value : undefined);
+    data[key] = { value, expiresAt: ttl === undefined ? null : now() + ttl };
+    await persist();
+    return value;
+  };
+
+  const del = async (key) => {
+    const data = await load();
+    if (Object.hasOwn(data, key)) {
+      delete data[key];
+      await persist();
+    }
+  };
+
+  /**
+   * Remove every expired entry and rewrite the file.
+   *
+   * @returns {Promise<number>} Number of entries removed
+   */
+  const prune = async () => {
+    const data = await load();
+    const expired = Object.keys(data).filter((key) => isExpired(data[key]));
+    for (const key of expired) {
+      delete data[key];
+    }
+    if (expired.length > 0) {
+      await persist();
+    }
+    return expired.length;
+  };
+
+  // Unref'd, so an idle store doesn't keep the process alive. Errors
+  // surface on the next call that loads or writes the file.
+  const timer = pruneInterval > 0
+    ? globalThis.setInterval(() => entries && prune().catch(() => {}), pruneInterval)
+    : null;
+  timer?.unref?.();
+
+  /**
+   * Stop the background prune.
+   */
+  const close = async () => {
+    globalThis.clearInterval(timer);
+  };
+
+  return { get, set, delete: del, update, prune, close };
+}
@@ -0,0 +1,123 @@
+/**
+ * In-Memory Key-Value Store
+ *
+ * Default backend for features that need small amounts of shared state
+ * with expiry (token denylists, refresh-token families, sessions). State
+ * lives in the current process only; use the file store (or another
+ * backend with the same interface) to survive restarts.
+ */
+
+/**
+ * @typedef {object} KeyValueStore
+ * @property {(key: string) => Promise<*>} get - Value, or undefined when missing/expired
+ * @property {(key: string, value: *, ttl?: number) => Promise<void>} set - Store a value; `ttl` in ms (omit for no expiry)
+ * @property {(key: string) => Promise<void>} delete - Remove a key
+ */
+
+/**
+ * Atomic operations a store needs to back the rate limiter (see
+ * ../middlewares/rateLimit.js). The memory and Redis stores have them.
+ *
+ * @typedef {object} AtomicStore
+ * @property {(key: string, ttl: number) => Promise<number>} increment
+ *   Add 1 to a counter and return the new count; a new counter expires after `ttl` ms
+ * @property {(key: string, fn: (current: *) => *, ttl: number) => Promise<*>} update
+ *   Replace a value with `fn(current)` atomically and return it; `fn` may run more than once
+ *   when the store retries, so it must not have side effects beyond its return value
+ */
+
+/**
+ * Create an in-memory store. Expired entries are dropped lazily on read
+ * and by prune(), which also runs every `pruneInterval` ms — keys that
+ * are never read again (a rate limit window per client, say) would
+ * otherwise pile up.
+ *
+ * @param {object} [options={}]
+ * @param {() => number} [options.now=Date.now] - Clock (injectable for tests)
+ * @param {number} [options.pruneInterval=60000] - Ms between background prunes (0: only on demand)
+ * @returns {KeyValueStore & AtomicStore & { prune: () => number, size: () => number, close: () => Promise<void> }}
+ */
+export function createMemoryStore({ now = Date.now, pruneInterval = 60000 } = {}) {
+  const entries = new Map();
+
+  const isExpired = (entry) => entry.expiresAt !== undefined && entry.expiresAt <= now();
+
+  // Synchronous internals, so increment() and update() are atomic
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (isExpired(entry)) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const write = (key, value, ttl) => {
+    entries.set(key, { value, expiresAt: ttl === undefined ? undefined : now() + ttl });
+  };
+
+  const get = async (key) => read(key)?.value;
+
+  const set = async (key, value, ttl) => {
+    write(key, value, ttl);
+  };
+
+  const increment = async (key, ttl) => {
+    const entry = read(key);
+    if (!entry) {
+      write(key, 1, ttl);
+      return 1;
+    }
+    entry.value += 1;
+    return entry.value;
+  };
+
+  const update = async (key, fn, ttl) => {
+    const value = fn(read(key)?.value);
+    write(key, value, ttl);
+    return value;
+  };
+
+  const del = async (key) => {
+    entries.delete(key);
+  };
+
+  /**
+   * Remove every expired entry.
+   *
+   * @returns {number} Number of entries removed
+   */
+  const prune = () => {
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (isExpired(entry)) {
+        entries.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  };
+
+  // Unref'd, so an idle store doesn't keep the process alive
+  const timer = pruneInterval > 0 ? globalThis.setInterval(prune, pruneInterval) : null;
+  timer?.unref?.();
+
+  /**
+   * Number of entries held, expired ones not yet pruned included.
+   *
+   * @returns {number}
+   */
+  const size = () => entries.size;
+
+  /**
+   * Stop the background prune.
+   */
+  const close = async () => {
+    globalThis.clearInterval(timer);
+  };
+
+  return { get, set, delete: del, increment, update, prune, size, close };
+}
@@ -0,0 +1,319 @@
+/**
+ * Redis Key-Value Store
+ *
+ * Same interface as the in-memory store (plus increment() and update()
+ * for the rate limiter), backed by any server speaking the Redis
+ * protocol (RESP2): Redis, Valkey, KeyDB, Dragonfly. State is shared by
+ * every instance pointing at the same server.
+ *
+ * Values are stored as JSON. The client is built in: one connection,
+ * opened on first use, commands pipelined over it, reconnected after a
+ * failure. increment() runs `SET NX PX` + `INCR` in a MULTI block;
+ * update() is an optimistic WATCH / MULTI / EXEC transaction retried on
+ * conflicts. Transactions are serialised on the connection because
+ * EXEC drops every WATCH the connection holds. Replies that don't arrive
+ * within `commandTimeout` fail every pending command and drop the
+ * connection, so a hung server can't stall callers indefinitely.
+ */
+
+import net from "node:net";
+import tls from "node:tls";
+import { Buffer } from "node:buffer";
+import { createAppError } from "../errors/appError.js";
+
+const CRLF = "\r\n";
+
+/**
+ * Encode a command as a RESP array of bulk strings.
+ *
+ * @param {Array<string|number>} args
+ * @returns {string}
+ */
+function encodeCommand(args) {
+  let out = `*${args.length}${CRLF}`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+  }
+  return out;
+}
+
+/**
+ * Parse one RESP reply from `buffer` at `offset`. Error replies are
+ * returned as Error values, so EXEC results can carry them.
+ *
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{ value: *, offset: number }|null} null when the reply is incomplete
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new Error(line), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString("utf8", next, next + length), offset: next + length + 2 };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw createAppError("STORE_PROTOCOL_ERROR", `Unexpected Redis reply type "${type}"`, 502);
+  }
+}
+
+/**
+ * Minimal pipelining RESP client.
+ *
+ * @param {object} options
+ * @param {URL} options.url - `redis://` or `rediss://` URL (user, password and `/db` are honoured)
+ * @param {number} options.connectTimeout - Milliseconds to wait for the connection
+ * @param {number} options.commandTimeout - Milliseconds to wait for the replies to a pipeline
+ * @returns {{ pipeline: (commands: Array<Array<string|number>>) => Promise<Array<*>>, close: () => Promise<void> }}
+ */
+function createClient({ url, connectTimeout, commandTimeout }) {
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+
+  const failAll = (err) => {
+    const waiting = pending;
+    pending = [];
+    socket = null;
+    buffer = Buffer.alloc(0);
+    for (const { reject } of waiting) {
+      reject(err);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    for (;;) {
+      let reply;
+      try {
+        reply = parseReply(buffer, offset);
+      } catch (err) {
+        socket?.destroy();
+        failAll(err);
+        return;
+      }
+      if (!reply) {
+        break;
+      }
+      offset = reply.offset;
+      const { resolve, reject } = pending.shift();
+      if (reply.value instanceof Error) {
+        reject(createAppError("STORE_COMMAND_FAILED", `Redis: ${reply.value.message}`, 502));
+      } else {
+        resolve(reply.value);
+      }
+    }
+    buffer = buffer.subarray(offset);
+  };
+
+  const connect = () => {
+    const secure = url.protocol === "rediss:";
+    const port = Number(url.port) || 6379;
+    const host = url.hostname || "localhost";
+    const conn = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    conn.setNoDelay(true);
+    conn.setTimeout(connectTimeout, () => {
+      conn.destroy(createAppError("STORE_UNAVAILABLE", `Redis connection to ${host}:${port} timed out`, 503));
+    });
+    conn.once(secure ? "secureConnect" : "connect", () => conn.setTimeout(0));
+    conn.on("data", onData);
+    conn.on("error", (err) => {
+      failAll(err.code === "STORE_UNAVAILABLE"
+        ? err
+        : createAppError("STORE_UNAVAILABLE", `Redis connection to ${host}:${port} failed: ${err.message}`, 503));
+    });
+    conn.on("close", () => {
+      if (socket === conn) {
+        failAll(createAppError("STORE_UNAVAILABLE", "Redis connection closed", 503));
+      }
+    });
+    socket = conn;
+
+    // Handshake commands are queued ahead of everything else
+    const handshake = [];
+    if (url.password) {
+      const password = decodeURIComponent(url.password);
+      handshake.push(url.username ? ["AUTH", decodeURIComponent(url.username), password] : ["AUTH", password]);
+    }
+    const db = url.pathname.replace(/^\//, "");
+    if (db) {
+      handshake.push(["SELECT", db]);
+    }
+    return handshake.length ? pipeline(handshake) : null;
+  };
+
+  /**
+   * Send commands in one write and resolve with their replies, in order.
+   *
+   * @param {Array<Array<string|number>>} commands
+   * @returns {Promise<Array<*>>}
+   */
+  function pipeline(commands) {
+    if (!socket) {
+      connect()?.catch(() => {});
+    }
+    const conn = socket;
+    const replies = commands.map(() => new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+    }));
+    conn.write(commands.map(encodeCommand).join(""));
+
+    // Replies are matched to commands by order, so a late one can't be
+    // skipped: give up on the connection and everything waiting on it
+    const timer = globalThis.setTimeout(() => {
+      if (socket === conn) {
+        failAll(createAppError("STORE_UNAVAILABLE", `Redis command timed out after ${commandTimeout} ms`, 503));
+      }
+      conn.destroy();
+    }, commandTimeout);
+    const all = Promise.all(replies);
+    all.then(() => globalThis.clearTimeout(timer), () => globalThis.clearTimeout(timer));
+    return all;
+  }
+
+  const close = async () => {
+    if (!socket) {
+      return;
+    }
+    const conn = socket;
+    try {
+      await pipeline([["QUIT"]]);
+    } finally {
+      socket = null;
+      conn.destroy();
+    }
+  };
+
+  return { pipeline, close };
+}
+
+/**
+ * Create a Redis-backed store.
+ *
+ * @param {object} [options={}]
+ * @param {string} [options.url="redis://localhost:6379"] - Server URL, e.g. `redis://:secret@cache:6379/2`
+ * @param {string} [options.prefix=""] - Prepended to every key
+ * @param {number} [options.connectTimeout=5000] - Milliseconds to wait for a connection
+ * @param {number} [options.commandTimeout=2000] - Milliseconds to wait for a command's reply
+ * @param {number} [options.maxRetries=10] - update() attempts before giving up on a contended key
+ * @returns {import('./memory.js').KeyValueStore & import('./memory.js').AtomicStore & { close: () => Promise<void> }}
+ *
+ * @example
+ * const store = createRedisStore({ url: process.env.REDIS_URL, prefix: 'tasks:' });
+ * app.use(rateLimit({ store, limit: 100, window: 60_000 }));
+ */
+export function createRedisStore({
+  url = "redis://localhost:6379",
+  prefix = "",
+  connectTimeout = 5000,
+  commandTimeout = 2000,
+  maxRetries = 10,
+} = {}) {
+  const parsed = new globalThis.URL(url);
+  if (!["redis:", "rediss:"].includes(parsed.protocol)) {
+    throw createAppError("STORE_MISCONFIGURED", `Unsupported Redis URL protocol "${parsed.protocol}"`, 500);
+  }
+  const client = createClient({ url: parsed, connectTimeout, commandTimeout });
+  let exclusive = Promise.resolve();
+
+  /**
+   * Run `fn` once the transactions before it have finished.
+   *
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  const serialised = (fn) => {
+    const run = exclusive.then(fn);
+    exclusive = run.catch(() => {});
+    return run;
+  };
+
+  const command = async (...args) => (await client.pipeline([args]))[0];
+  const decode = (raw) => (raw === null ? undefined : JSON.parse(raw));
+
+  const get = async (key) => decode(await command("GET", prefix + key));
+
+  const set = async (key, value, ttl) => {
+    const args = ["SET", prefix + key, JSON.stringify(value)];
+    if (ttl !== undefined) {
+      args.push("PX", Math.max(1, Math.ceil(ttl)));
+    }
+    await command(...args);
+  };
+
+  const del = async (key) => {
+    await command("DEL", prefix + key);
+  };
+
+  const increment = (key, ttl) => serialised(async () => {
+    const replies = await client.pipeline([
+      ["MULTI"],
+      ["SET", prefix + key, 0, "PX", Math.max(1, Math.ceil(ttl)), "NX"],
+      ["INCR", prefix + key],
+      ["EXEC"],
+    ]);
+    const count = replies[3][1];
+    if (count instanceof Error) {
+      throw createAppError("STORE_COMMAND_FAILED", `Redis: ${count.message}`, 502);
+    }
+    return count;
+  });
+
+  const update = (key, fn, ttl) => serialised(async () => {
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      const [, raw] = await client.pipeline([["WATCH", prefix + key], ["GET", prefix + key]]);
+      const value = fn(decode(raw));
+      const replies = await client.pipeline([
+        ["MULTI"],
+        ["SET", prefix + key, JSON.stringify(value), "PX", Math.max(1, Math.ceil(ttl))],
+        ["EXEC"],
+      ]);
+      // EXEC answers null when a watched key changed in between
+      if (replies[2] !== null) {
+        return value;
+      }
+    }
+    throw createAppError("STORE_CONFLICT", `Gave up updating "${key}" after ${maxRetries} conflicting writes`, 503);
+  });
+
+  return { get, set, delete: del, increment, update, close: client.close };
+}
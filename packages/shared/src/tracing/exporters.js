@@ -0,0 +1,107 @@
+/**
+ * Span Exporters
+ *
+ * Built-in exporters for createTracer():
+ * - console: one human-readable line per span, for development
+ * - file: OTLP/JSON, one ExportTraceServiceRequest per line (JSON Lines)
+ * - OTLP/HTTP: POSTs OTLP/JSON to a collector's `/v1/traces`
+ *
+ * Any object with an async `export(spans, resource)` method (and an
+ * optional `shutdown()`) can be used alongside them.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { createAppError } from "../errors/appError.js";
+import { toOtlpJson } from "./otlp.js";
+
+/**
+ * Span duration in milliseconds.
+ *
+ * @param {import('./tracer.js').Span} span
+ * @returns {number}
+ */
+const durationMs = (span) => Number(span.endTime - span.startTime) / 1e6;
+
+/**
+ * Log each span as one line:
+ * `span GET /tasks/:id server 3.2 ms ok traceId=… spanId=… parentSpanId=…`
+ *
+ * @param {object} [options={}]
+ * @param {(line: string) => void} [options.log=console.log] - Line writer (e.g. a logger's info)
+ * @returns {{ export: (spans: object[]) => Promise<void> }}
+ */
+export function createConsoleSpanExporter({ log = (line) => globalThis.console.log(line) } = {}) {
+  return {
+    async export(spans) {
+      for (const span of spans) {
+        log(
+          `span ${span.name} ${span.kind} ${durationMs(span).toFixed(1)} ms ${span.status.code} ` +
+            `traceId=${span.traceId} spanId=${span.spanId} parentSpanId=${span.parentSpanId ?? "-"}`,
+        );
+      }
+    },
+  };
+}
+
+/**
+ * Append spans to a file in OTLP/JSON, one export request per line —
+ * the format of the OpenTelemetry collector's file exporter, so the file
+ * can be replayed into a collector. The directory is created if needed.
+ *
+ * @param {object} options
+ * @param {string} options.file - Path of the `.jsonl` file
+ * @returns {{ export: (spans: object[], resource?: object) => Promise<void>, shutdown: () => Promise<void> }}
+ */
+export function createFileSpanExporter({ file }) {
+  if (!file) {
+    throw createAppError("TRACING_MISCONFIGURED", "The file span exporter needs a file", 500);
+  }
+  let writing = Promise.resolve();
+  let dirReady = null;
+
+  return {
+    export(spans, resource) {
+      const line = `${JSON.stringify(toOtlpJson(spans, resource))}\n`;
+      dirReady ??= fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // A failed write is reported to its caller and doesn't block later ones
+      writing = writing.catch(() => {}).then(async () => {
+        await dirReady;
+        await fs.promises.appendFile(file, line, "utf8");
+      });
+      return writing;
+    },
+    shutdown: () => writing.catch(() => {}),
+  };
+}
+
+/**
+ * POST spans to an OTLP/HTTP collector as OTLP/JSON.
+ *
+ * @param {object} [options={}]
+ * @param {string} [options.url="http://localhost:4318/v1/traces"] - Collector traces endpoint
+ * @param {Record<string, string>} [options.headers={}] - Extra headers (e.g. an API key)
+ * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+ * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation (injectable for tests)
+ * @returns {{ export: (spans: object[], resource?: object) => Promise<void> }}
+ */
+export function createOtlpHttpSpanExporter({
+  url = "http://localhost:4318/v1/traces",
+  headers = {},
+  timeout = 10000,
+  fetch: fetchImpl = globalThis.fetch,
+} = {}) {
+  return {
+    async export(spans, resource) {
+      const res = await fetchImpl(url, {
+        method: "POST",
+        headers: { ...headers, "content-type": "application/json" },
+        body: JSON.stringify(toOtlpJson(spans, resource)),
+        signal: globalThis.AbortSignal.timeout(timeout),
+      });
+      if (!res.ok) {
+        throw createAppError("TRACE_EXPORT_FAILED", `OTLP export to ${url} failed with status ${res.status}`, 502);
+      }
+    },
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * OTLP/JSON Encoding
+ *
+ * Turns ended spans into an OTLP `ExportTraceServiceRequest` in its JSON
+ * encoding — what OTLP/HTTP collectors accept on `/v1/traces` and what
+ * the collector's file exporter writes. Trace and span ids stay hex
+ * strings and timestamps are nanosecond strings, as the spec requires.
+ */
+
+/** OTLP SpanKind values. */
+const SPAN_KINDS = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+
+/** OTLP StatusCode values. */
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+/** Instrumentation scope reported with every span. */
+const SCOPE = { name: "@animated-spork/shared" };
+
+/**
+ * Encode an attribute value as an OTLP AnyValue.
+ *
+ * @param {*} value
+ * @returns {object}
+ */
+function anyValue(value) {
+  if (typeof value === "boolean") {
+    return { boolValue: value };
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(anyValue) } };
+  }
+  return { stringValue: String(value) };
+}
+
+/**
+ * Encode an attribute map as an OTLP KeyValue list.
+ *
+ * @param {Record<string, *>} attributes
+ * @returns {Array<{ key: string, value: object }>}
+ */
+export function toOtlpAttributes(attributes = {}) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: anyValue(value) }));
+}
+
+/**
+ * Encode one span.
+ *
+ * @param {import('./tracer.js').Span} span
+ * @returns {object}
+ */
+function toOtlpSpan(span) {
+  const encoded = {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    name: span.name,
+    kind: SPAN_KINDS[span.kind] ?? SPAN_KINDS.internal,
+    startTimeUnixNano: String(span.startTime),
+    endTimeUnixNano: String(span.endTime),
+    attributes: toOtlpAttributes(span.attributes),
+    events: span.events.map((event) => ({
+      timeUnixNano: String(event.time),
+      name: event.name,
+      attributes: toOtlpAttributes(event.attributes),
+    })),
+    status: { code: STATUS_CODES[span.status.code] ?? STATUS_CODES.unset },
+  };
+  if (span.parentSpanId) {
+    encoded.parentSpanId = span.parentSpanId;
+  }
+  if (span.status.message) {
+    encoded.status.message = span.status.message;
+  }
+  return encoded;
+}
+
+/**
+ * Build an OTLP ExportTraceServiceRequest for a batch of spans.
+ *
+ * @param {import('./tracer.js').Span[]} spans
+ * @param {Record<string, string>} [resource={}] - Resource attributes (service.name, …)
+ * @returns {object}
+ */
+export function toOtlpJson(spans, resource = {}) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toOtlpAttributes(resource) },
+      scopeSpans: [{ scope: SCOPE, spans: spans.map(toOtlpSpan) }],
+    }],
+  };
+}
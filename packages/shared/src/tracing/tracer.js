@@ -0,0 +1,381 @@
+/**
+ * Tracing
+ *
+ * Lightweight distributed tracing on top of the request context (see
+ * ../context.js). A span's ids become the current trace context while it
+ * is active, so child spans, loggers and outgoing calls pick them up
+ * without passing spans around. Ended spans are batched and handed to
+ * pluggable exporters (see exporters.js); only sampled traces (trace
+ * flag 01) are exported.
+ *
+ * An exporter is any object with `export(spans, resource)` returning a
+ * promise, and optionally `shutdown()`.
+ */
+
+import crypto from "node:crypto";
+import { performance } from "node:perf_hooks";
+import { getRequestContext, runWithRequestContext } from "../context.js";
+import { formatTraceparent } from "../middlewares/requestId.js";
+import { createAppError } from "../errors/appError.js";
+
+/** Span kinds, as in OpenTelemetry. */
+export const SPAN_KINDS = Object.freeze(["internal", "server", "client", "producer", "consumer"]);
+
+/**
+ * @typedef {object} SpanEvent
+ * @property {string} name
+ * @property {bigint} time       - Unix time in nanoseconds
+ * @property {Record<string, string|number|boolean>} attributes
+ */
+
+/**
+ * @typedef {object} Span
+ * @property {string}  name
+ * @property {'internal'|'server'|'client'|'producer'|'consumer'} kind
+ * @property {string}  traceId       - 32 hex chars
+ * @property {string}  spanId        - 16 hex chars
+ * @property {string}  [parentSpanId]
+ * @property {string}  traceFlags    - "01" when sampled
+ * @property {bigint}  startTime     - Unix time in nanoseconds
+ * @property {bigint|null} endTime   - Unix time in nanoseconds, null until ended
+ * @property {Record<string, string|number|boolean>} attributes
+ * @property {SpanEvent[]} events
+ * @property {{ code: 'unset'|'ok'|'error', message?: string }} status
+ * @property {(key: string, value: *) => Span} setAttribute - Ignores undefined and null values
+ * @property {(attributes: object) => Span} setAttributes
+ * @property {(name: string, attributes?: object) => Span} addEvent
+ * @property {(code: 'ok'|'error', message?: string) => Span} setStatus
+ * @property {(err: Error) => Span} recordException - Adds an `exception` event and sets the error status
+ * @property {(name: string) => Span} updateName
+ * @property {() => void} end - Idempotent
+ */
+
+const randomId = (bytes) => crypto.randomBytes(bytes).toString("hex");
+
+/** Unix time in nanoseconds from the monotonic high-resolution clock. */
+const nowNanos = () => BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+
+/**
+ * Create a span. `onEnd` is called once, when the span ends.
+ *
+ * @param {object} fields - name, kind, ids and initial attributes
+ * @param {(span: Span) => void} onEnd
+ * @returns {Span}
+ */
+function createSpan({ name, kind, traceId, spanId, parentSpanId, traceFlags, attributes }, onEnd) {
+  const span = {
+    name,
+    kind,
+    traceId,
+    spanId,
+    parentSpanId,
+    traceFlags,
+    startTime: nowNanos(),
+    endTime: null,
+    attributes: {},
+    events: [],
+    status: { code: "unset" },
+  };
+
+  span.setAttribute = (key, value) => {
+    if (span.endTime === null && value !== undefined && value !== null) {
+      span.attributes[key] = value;
+    }
+    return span;
+  };
+  span.setAttributes = (values = {}) => {
+    for (const [key, value] of Object.entries(values)) {
+      span.setAttribute(key, value);
+    }
+    return span;
+  };
+  span.addEvent = (eventName, eventAttributes = {}) => {
+    if (span.endTime === null) {
+      span.events.push({ name: eventName, time: nowNanos(), attributes: { ...eventAttributes } });
+    }
+    return span;
+  };
+  span.setStatus = (code, message) => {
+    if (span.endTime === null) {
+      span.status = message === undefined ? { code } : { code, message };
+    }
+    return span;
+  };
+  span.recordException = (err) => {
+    span.addEvent("exception", {
+      "exception.type": err?.name ?? "Error",
+      "exception.message": err?.message ?? String(err),
+      ...(err?.stack ? { "exception.stacktrace": err.stack } : {}),
+    });
+    return span.setStatus("error", err?.message ?? String(err));
+  };
+  span.updateName = (newName) => {
+    if (span.endTime === null) {
+      span.name = newName;
+    }
+    return span;
+  };
+  span.end = () => {
+    if (span.endTime === null) {
+      span.endTime = nowNanos();
+      onEnd(span);
+    }
+  };
+
+  return span.setAttributes(attributes);
+}
+
+/**
+ * Run `fn(span)` and end the span when it returns or settles, recording
+ * a thrown error or rejection on the span.
+ *
+ * @template T
+ * @param {Span} span
+ * @param {(span: Span) => T} fn
+ * @returns {T}
+ */
+function runInSpan(span, fn) {
+  const fail = (err) => {
+    span.recordException(err);
+    span.end();
+    throw err;
+  };
+  let result;
+  try {
+    result = fn(span);
+  } catch (err) {
+    fail(err);
+  }
+  if (typeof result?.then === "function") {
+    return result.then((value) => {
+      span.end();
+      return value;
+    }, fail);
+  }
+  span.end();
+  return result;
+}
+
+/**
+ * Add the current trace context to outgoing request headers as a W3C
+ * `traceparent`. Leaves the headers alone outside a request.
+ *
+ * @param {Record<string, string>|Headers} [headers={}]
+ * @returns {Record<string, string>|Headers} The same headers object
+ *
+ * @example
+ * await fetch(url, { headers: injectTraceContext({ accept: 'application/json' }) });
+ */
+export function injectTraceContext(headers = {}) {
+  const context = getRequestContext();
+  if (context?.traceId && context?.spanId) {
+    const value = formatTraceparent(context);
+    if (typeof headers.set === "function") {
+      headers.set("traceparent", value);
+    } else {
+      headers.traceparent = value;
+    }
+  }
+  return headers;
+}
+
+/**
+ * Create a tracer.
+ *
+ * @param {object} [options={}]
+ * @param {string} [options.serviceName="app"] - `service.name` resource attribute
+ * @param {string} [options.serviceVersion] - `service.version` resource attribute
+ * @param {Array<{ export: Function, shutdown?: Function }>} [options.exporters=[]] - Span exporters
+ * @param {number} [options.sampleRate=1] - Fraction of new traces sampled (incoming traces keep their flag)
+ * @param {number} [options.maxBatchSize=100] - Ended spans buffered before an export is triggered
+ * @param {number} [options.flushInterval=5000] - Milliseconds between exports of buffered spans
+ * @param {(err: Error) => void} [options.onError] - Export failures (default: console.error)
+ * @param {() => number} [options.random=Math.random] - Sampling source (injectable for tests)
+ * @returns {object} Tracer with startSpan(), startActiveSpan(), currentSpan(), fetch(), flush() and shutdown()
+ *
+ * @example
+ * const tracer = createTracer({ serviceName: 'tasks', exporters: [createConsoleSpanExporter()] });
+ *
+ * app.get('/tasks', async (req, res) => {
+ *   const tasks = await tracer.startActiveSpan('db.query', { attributes: { 'db.operation.name': 'SELECT' } },
+ *     () => db.query('SELECT * FROM tasks'));
+ *   res.json(tasks);
+ * });
+ */
+export function createTracer({
+  serviceName = "app",
+  serviceVersion,
+  exporters = [],
+  sampleRate = 1,
+  maxBatchSize = 100,
+  flushInterval = 5000,
+  onError = (err) => globalThis.console.error(`Span export failed: ${err.message}`),
+  random = Math.random,
+} = {}) {
+  for (const exporter of exporters) {
+    if (typeof exporter?.export !== "function") {
+      throw createAppError("TRACING_MISCONFIGURED", "Span exporters must have an export(spans) method", 500);
+    }
+  }
+
+  const resource = { "service.name": serviceName };
+  if (serviceVersion) {
+    resource["service.version"] = serviceVersion;
+  }
+
+  let buffer = [];
+  let timer = null;
+
+  /**
+   * Export the buffered spans to every exporter. Failures go to onError.
+   *
+   * @returns {Promise<void>}
+   */
+  const flush = async () => {
+    if (buffer.length === 0) {
+      return;
+    }
+    const batch = buffer;
+    buffer = [];
+    await Promise.all(exporters.map(async (exporter) => {
+      try {
+        await exporter.export(batch, resource);
+      } catch (err) {
+        onError(err);
+      }
+    }));
+  };
+
+  const onEnd = (span) => {
+    if (exporters.length === 0 || span.traceFlags !== "01") {
+      return;
+    }
+    buffer.push(span);
+    if (buffer.length >= maxBatchSize) {
+      flush();
+    } else if (!timer) {
+      timer = globalThis.setInterval(flush, flushInterval);
+      timer.unref?.();
+    }
+  };
+
+  /**
+   * Start a span, a child of the current span unless `parent` says
+   * otherwise. A span without a parent starts a new trace, sampled at
+   * `sampleRate`.
+   *
+   * @param {string} name
+   * @param {object} [options={}]
+   * @param {'internal'|'server'|'client'|'producer'|'consumer'} [options.kind='internal']
+   * @param {object} [options.attributes] - Initial attributes
+   * @param {{ traceId: string, spanId: string, traceFlags: string }|null} [options.parent]
+   *   Parent trace context (default: the current one; null starts a new trace)
+   * @param {import('../context.js').RequestContext} [options.context]
+   *   Adopt this context's own ids instead of generating a span id (a request's root span)
+   * @returns {Span}
+   */
+  const startSpan = (name, { kind = "internal", attributes, parent, context } = {}) => {
+    if (!SPAN_KINDS.includes(kind)) {
+      throw createAppError("TRACING_MISCONFIGURED", `Unknown span kind "${kind}"`, 500);
+    }
+    let ids;
+    if (context) {
+      ids = {
+        traceId: context.traceId,
+        spanId: context.spanId,
+        parentSpanId: context.parentSpanId,
+        traceFlags: context.parentSpanId ? context.traceFlags : undefined,
+      };
+    } else {
+      const from = parent === undefined ? getRequestContext() : parent;
+      ids = from?.traceId
+        ? { traceId: from.traceId, spanId: randomId(8), parentSpanId: from.spanId, traceFlags: from.traceFlags }
+        : { traceId: randomId(16), spanId: randomId(8) };
+    }
+    ids.traceFlags ??= random() < sampleRate ? "01" : "00";
+    return createSpan({ name, kind, attributes, ...ids }, onEnd);
+  };
+
+  /**
+   * Start a span and make it the current span while `fn` runs; the span
+   * ends when `fn` returns (or its promise settles). Errors are recorded
+   * on the span and rethrown.
+   *
+   * @template T
+   * @param {string} name
+   * @param {object|((span: Span) => T)} [options] - startSpan() options, or `fn`
+   * @param {(span: Span) => T} [fn]
+   * @returns {T}
+   */
+  const startActiveSpan = (name, options, fn) => {
+    if (typeof options === "function") {
+      return startActiveSpan(name, {}, options);
+    }
+    const span = startSpan(name, options);
+    const context = {
+      ...getRequestContext(),
+      traceId: span.traceId,
+      spanId: span.spanId,
+      parentSpanId: span.parentSpanId,
+      traceFlags: span.traceFlags,
+      span,
+    };
+    return runWithRequestContext(context, () => runInSpan(span, fn));
+  };
+
+  /**
+   * fetch() in a client span, with the span's `traceparent` sent along.
+   * The span records the method, URL (without its query string) and
+   * response status; 4xx and 5xx responses and network errors mark it
+   * as failed.
+   *
+   * @param {string|URL} url
+   * @param {RequestInit} [init={}]
+   * @param {object} [options={}]
+   * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation (injectable for tests)
+   * @returns {Promise<Response>}
+   */
+  const tracedFetch = (url, init = {}, { fetch: fetchImpl = globalThis.fetch } = {}) => {
+    const target = new globalThis.URL(String(url));
+    const method = (init.method ?? "GET").toUpperCase();
+    return startActiveSpan(method, {
+      kind: "client",
+      attributes: {
+        "http.request.method": method,
+        "url.full": `${target.origin}${target.pathname}`,
+        "server.address": target.hostname,
+        "server.port": Number(target.port) || (target.protocol === "https:" ? 443 : 80),
+      },
+    }, async (span) => {
+      const headers = injectTraceContext(new globalThis.Headers(init.headers));
+      const res = await fetchImpl(url, { ...init, headers });
+      span.setAttribute("http.response.status_code", res.status);
+      if (res.status >= 400) {
+        span.setStatus("error", `HTTP ${res.status}`);
+      }
+      return res;
+    });
+  };
+
+  /**
+   * Export what is buffered, stop the flush timer and shut the exporters down.
+   *
+   * @returns {Promise<void>}
+   */
+  const shutdown = async () => {
+    globalThis.clearInterval(timer);
+    timer = null;
+    await flush();
+    await Promise.all(exporters.map((exporter) => exporter.shutdown?.()));
+  };
+
+  return {
+    startSpan,
+    startActiveSpan,
+    currentSpan: () => getRequestContext()?.span,
+    fetch: tracedFetch,
+    flush,
+    shutdown,
+    resource,
+  };
+}
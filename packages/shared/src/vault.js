@@ -1 +1,364 @@
-export default {};
\ No newline at end of file
+/**
+ * Secrets Vault
+ *
+ * Resolves named secrets through an ordered list of pluggable providers:
+ * environment variables, mounted secret files (`/run/secrets/*`), an
+ * encrypted local JSON file and HashiCorp Vault (KV v2 over HTTP).
+ *
+ * Secrets are looked up lazily on first use, cached for a configurable
+ * TTL and can be refreshed on demand. Config values written as
+ * `secret://<name>` are references that the vault resolves, so the
+ * secret itself never has to live in plain environment variables.
+ */
+
+import { Buffer } from "node:buffer";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { createAppError } from "./errors/appError.js";
+
+/** Prefix marking a config value as a reference into the vault. */
+export const SECRET_REF_PREFIX = "secret://";
+
+const CIPHER = "aes-256-gcm";
+const KEY_LENGTH = 32;
+
+/**
+ * @typedef {object} SecretProvider
+ * @property {string} name - Provider name (used in diagnostics).
+ * @property {(name: string) => Promise<string|undefined>} get
+ *   Resolve a secret; `undefined` means "not here, ask the next provider".
+ * @property {() => void} [reload] - Drop any provider-level caches.
+ */
+
+/**
+ * Check whether a value is a `secret://` reference.
+ *
+ * @param {*} value - Any config value
+ * @returns {boolean} True when value is a string starting with `secret://`
+ */
+export function isSecretRef(value) {
+  return typeof value === "string" && value.startsWith(SECRET_REF_PREFIX);
+}
+
+/**
+ * Create an environment variable secret provider.
+ *
+ * Secret names are upper-cased and non-alphanumeric characters replaced
+ * with underscores, so `db/password` is read from `DB_PASSWORD`
+ * (or `<prefix>DB_PASSWORD` when a prefix is given).
+ *
+ * @param {object} [options={}]
+ * @param {object} [options.env=process.env] - Environment variable source
+ * @param {string} [options.prefix=''] - Prefix prepended to the variable name
+ * @returns {SecretProvider}
+ */
+export function createEnvSecretProvider({ env = process.env, prefix = "" } = {}) {
+  return {
+    name: "env",
+    async get(name) {
+      const key = `${prefix}${name.replace(/[^a-z0-9]/gi, "_").toUpperCase()}`;
+      const value = env[key];
+      // Never hand back another reference — that would loop through the vault
+      return value === undefined || isSecretRef(value) ? undefined : value;
+    },
+  };
+}
+
+/**
+ * Create a provider that reads secrets from mounted files, one secret per
+ * file (Docker / Kubernetes `/run/secrets/<name>` convention). A single
+ * trailing newline is stripped from the file contents.
+ *
+ * @param {object} [options={}]
+ * @param {string} [options.dir='/run/secrets'] - Directory holding the secret files
+ * @returns {SecretProvider}
+ */
+export function createFileSecretProvider({ dir = "/run/secrets" } = {}) {
+  const root = path.resolve(dir);
+
+  return {
+    name: "file",
+    async get(name) {
+      const filePath = path.resolve(root, name);
+
+      // Reject names that escape the secrets directory (e.g. '../etc/passwd')
+      if (!filePath.startsWith(root + path.sep)) {
+        throw createAppError("INVALID_SECRET_NAME", `Invalid secret name "${name}"`, 500);
+      }
+
+      try {
+        const raw = await fs.promises.readFile(filePath, "utf8");
+        return raw.replace(/\r?\n$/, "");
+      } catch (err) {
+        if (err.code === "ENOENT") {
+          return undefined;
+        }
+        throw err;
+      }
+    },
+  };
+}
+
+/**
+ * Derive the AES key for an encrypted secrets file.
+ *
+ * @param {string} passphrase - Passphrase protecting the file
+ * @param {Buffer} salt - Per-file random salt
+ * @returns {Buffer} 256-bit key
+ */
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH);
+}
+
+/**
+ * Encrypt a flat map of secrets into a JSON-serialisable envelope
+ * (AES-256-GCM, key derived from the passphrase with scrypt).
+ *
+ * @param {Record<string, string>} secrets - Secret names and values
+ * @param {string} passphrase - Passphrase protecting the file
+ * @returns {object} Envelope to be written with JSON.stringify()
+ *
+ * @example
+ * const envelope = encryptSecrets({ 'db/password': 's3cret' }, process.env.SECRETS_PASSPHRASE);
+ * fs.writeFileSync('secrets.enc.json', JSON.stringify(envelope));
+ */
+export function encryptSecrets(secrets, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), "utf8"), cipher.final()]);
+
+  return {
+    version: 1,
+    algorithm: CIPHER,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+/**
+ * Decrypt an envelope produced by encryptSecrets().
+ *
+ * @param {object} envelope - Parsed envelope object
+ * @param {string} passphrase - Passphrase protecting the file
+ * @returns {Record<string, string>} Decrypted secrets
+ * @throws {AppError} SECRETS_DECRYPT_FAILED when the passphrase is wrong or the data was tampered with
+ */
+export function decryptSecrets(envelope, passphrase) {
+  try {
+    const decipher = crypto.createDecipheriv(
+      CIPHER,
+      deriveKey(passphrase, Buffer.from(envelope.salt, "base64")),
+      Buffer.from(envelope.iv, "base64"),
+    );
+    decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+    const plain = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, "base64")),
+      decipher.final(),
+    ]);
+    return JSON.parse(plain.toString("utf8"));
+  } catch {
+    throw createAppError("SECRETS_DECRYPT_FAILED", "Unable to decrypt secrets file", 500);
+  }
+}
+
+/**
+ * Create a provider backed by an encrypted local JSON file written with
+ * encryptSecrets(). The file is read and decrypted once, on first lookup.
+ *
+ * @param {object} options
+ * @param {string} options.file - Path to the encrypted JSON file
+ * @param {string} options.passphrase - Passphrase protecting the file
+ * @returns {SecretProvider}
+ */
+export function createEncryptedFileSecretProvider({ file, passphrase }) {
+  let secrets = null;
+
+  return {
+    name: "encrypted-file",
+    async get(name) {
+      if (!secrets) {
+        const raw = await fs.promises.readFile(file, "utf8");
+        secrets = decryptSecrets(JSON.parse(raw), passphrase);
+      }
+      return Object.hasOwn(secrets, name) ? String(secrets[name]) : undefined;
+    },
+    reload() {
+      secrets = null;
+    },
+  };
+}
+
+/**
+ * Create a HashiCorp Vault KV v2 provider.
+ *
+ * Secret names take the form `<path>#<field>`; the field defaults to
+ * `value` when omitted. `myapp/db#password` reads the `password` field of
+ * `GET <address>/v1/<mount>/data/myapp/db`.
+ *
+ * @param {object} [options={}]
+ * @param {string} [options.address=process.env.VAULT_ADDR] - Vault base URL (e.g. 'http://127.0.0.1:8200')
+ * @param {string} [options.token=process.env.VAULT_TOKEN] - Vault token sent as X-Vault-Token
+ * @param {string} [options.mount='secret'] - KV v2 mount point
+ * @param {string} [options.namespace] - Vault Enterprise namespace (X-Vault-Namespace)
+ * @param {number} [options.timeout=5000] - Request timeout in milliseconds
+ * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation (injectable for tests)
+ * @returns {SecretProvider}
+ */
+export function createHashiCorpVaultProvider({
+  address = process.env.VAULT_ADDR,
+  token = process.env.VAULT_TOKEN,
+  mount = "secret",
+  namespace,
+  timeout = 5000,
+  fetch: fetchImpl = globalThis.fetch,
+} = {}) {
+  if (!address) {
+    throw createAppError("VAULT_MISCONFIGURED", "HashiCorp Vault address is required", 500);
+  }
+
+  const baseUrl = address.replace(/\/+$/, "");
+
+  return {
+    name: "hashicorp-vault",
+    async get(name) {
+      const [secretPath, field = "value"] = name.split("#");
+      const url = `${baseUrl}/v1/${mount}/data/${secretPath.replace(/^\/+/, "")}`;
+      const headers = { "X-Vault-Token": token };
+      if (namespace) {
+        headers["X-Vault-Namespace"] = namespace;
+      }
+
+      const res = await fetchImpl(url, { headers, signal: globalThis.AbortSignal.timeout(timeout) });
+
+      if (res.status === 404) {
+        return undefined;
+      }
+      if (!res.ok) {
+        throw createAppError(
+          "VAULT_REQUEST_FAILED",
+          `Vault request for "${secretPath}" failed with status ${res.status}`,
+          502,
+        );
+      }
+
+      const body = await res.json();
+      const value = body?.data?.data?.[field];
+      return value === undefined ? undefined : String(value);
+    },
+  };
+}
+
+/**
+ * Create a secrets vault.
+ *
+ * Providers are asked in order; the first one returning a value wins.
+ * Resolved values are cached for `ttl` milliseconds; concurrent lookups
+ * of the same secret share one provider call.
+ *
+ * @param {object} [options={}]
+ * @param {SecretProvider[]} [options.providers] - Ordered providers (default: env only)
+ * @param {number} [options.ttl=300000] - Cache TTL in milliseconds (0 disables caching)
+ * @param {() => number} [options.now=Date.now] - Clock (injectable for tests)
+ * @returns {{
+ *   get: (name: string) => Promise<string>,
+ *   resolve: (value: *) => Promise<*>,
+ *   refresh: (name?: string) => Promise<void>,
+ *   clear: () => void,
+ * }}
+ *
+ * @example
+ * const vault = createVault({
+ *   providers: [createFileSecretProvider(), createEnvSecretProvider()],
+ *   ttl: 60_000,
+ * });
+ * const dbPassword = await vault.get('db/password');
+ */
+export function createVault({
+  providers = [createEnvSecretProvider()],
+  ttl = 5 * 60 * 1000,
+  now = Date.now,
+} = {}) {
+  const cache = new Map();
+  const pending = new Map();
+
+  const lookup = async (name) => {
+    for (const provider of providers) {
+      const value = await provider.get(name);
+      if (value !== undefined) {
+        return value;
+      }
+    }
+    throw createAppError("SECRET_NOT_FOUND", `Secret "${name}" was not found`, 500);
+  };
+
+  const load = (name) => {
+    if (pending.has(name)) {
+      return pending.get(name);
+    }
+
+    const promise = lookup(name)
+      .then((value) => {
+        if (ttl > 0) {
+          cache.set(name, { value, expiresAt: now() + ttl });
+        }
+        return value;
+      })
+      .finally(() => pending.delete(name));
+
+    pending.set(name, promise);
+    return promise;
+  };
+
+  /**
+   * Resolve a secret by name, serving from cache while it is fresh.
+   *
+   * @param {string} name - Secret name
+   * @returns {Promise<string>} Secret value
+   * @throws {AppError} SECRET_NOT_FOUND when no provider knows the secret
+   */
+  const get = async (name) => {
+    const entry = cache.get(name);
+    if (entry && entry.expiresAt > now()) {
+      return entry.value;
+    }
+    return load(name);
+  };
+
+  /**
+   * Resolve a value if it is a `secret://` reference; return it unchanged otherwise.
+   *
+   * @param {*} value - Any config value
+   * @returns {Promise<*>} Secret value or the original value
+   */
+  const resolve = async (value) =>
+    isSecretRef(value) ? get(value.slice(SECRET_REF_PREFIX.length)) : value;
+
+  /**
+   * Re-fetch one secret, or every cached secret when no name is given.
+   *
+   * @param {string} [name] - Secret name
+   * @returns {Promise<void>}
+   */
+  const refresh = async (name) => {
+    for (const provider of providers) {
+      provider.reload?.();
+    }
+    const names = name ? [name] : [...cache.keys()];
+    await Promise.all(names.map(async (n) => {
+      cache.delete(n);
+      await load(n);
+    }));
+  };
+
+  /** Drop every cached value. */
+  const clear = () => {
+    cache.clear();
+  };
+
+  return { get, resolve, refresh, clear };
+}
@@ -0,0 +1,81 @@
+/**
+ * @file tests/authorize.spec.js
+ * Unit tests for the authorization guards (src/middlewares/authorize.js).
+ *
+ * Tests verify:
+ * - requireRoles / requireScopes pass or forward 403 FORBIDDEN errors
+ * - Unauthenticated requests get 401 UNAUTHORIZED
+ * - requireOwnership compares the resource owner with a claim
+ * - requireAny passes when any guard passes
+ */
+
+import { expect } from 'chai';
+import {
+    requireRoles,
+    requireScopes,
+    requireAny,
+    requireOwnership,
+} from '../src/middlewares/authorize.js';
+
+/**
+ * Run a guard and resolve with whatever it passed to next().
+ */
+async function run(guard, req) {
+    let forwarded = 'next not called';
+    await guard(req, {}, (err) => {
+        forwarded = err;
+    });
+    return forwarded;
+}
+
+describe('authorize guards', () => {
+    const admin = { auth: { sub: 'u1', roles: ['admin', 'editor'], scope: 'tasks:read tasks:write' } };
+    const reader = { auth: { sub: 'u2', roles: 'viewer', scp: ['tasks:read'] } };
+
+    it('requireRoles needs every listed role', async () => {
+        expect(await run(requireRoles('admin', 'editor'), admin)).to.be.undefined;
+
+        const err = await run(requireRoles('admin'), reader);
+        expect(err).to.include({ code: 'FORBIDDEN', statusCode: 403, message: 'Missing required role: admin' });
+    });
+
+    it('requireScopes reads space-separated scope strings and scp arrays', async () => {
+        expect(await run(requireScopes('tasks:write'), admin)).to.be.undefined;
+        expect(await run(requireScopes('tasks:read'), reader)).to.be.undefined;
+
+        const err = await run(requireScopes('tasks:read', 'tasks:write'), reader);
+        expect(err.message).to.equal('Missing required scope: tasks:write');
+    });
+
+    it('responds 401 when the request is not authenticated', async () => {
+        const err = await run(requireScopes('tasks:read'), {});
+        expect(err).to.include({ code: 'UNAUTHORIZED', statusCode: 401 });
+    });
+
+    it('requireOwnership compares the owner with sub (or another claim)', async () => {
+        const guard = requireOwnership(async (req) => req.params.owner);
+
+        expect(await run(guard, { ...admin, params: { owner: 'u1' } })).to.be.undefined;
+        expect((await run(guard, { ...admin, params: { owner: 'u2' } })).code).to.equal('FORBIDDEN');
+        expect((await run(guard, { ...admin, params: {} })).code).to.equal('FORBIDDEN');
+
+        const byTenant = requireOwnership(() => 't1', { claim: 'tenant' });
+        expect(await run(byTenant, { auth: { tenant: 't1' } })).to.be.undefined;
+    });
+
+    it('requireAny passes when one guard passes and reports every reason otherwise', async () => {
+        const guard = requireAny(requireRoles('admin'), requireOwnership((req) => req.params.owner));
+
+        expect(await run(guard, { ...reader, params: { owner: 'u2' } })).to.be.undefined;
+        expect(await run(guard, { ...admin, params: { owner: 'u2' } })).to.be.undefined;
+
+        const err = await run(guard, { ...reader, params: { owner: 'u1' } });
+        expect(err.message).to.equal('Missing required role: admin; Not the owner of this resource');
+    });
+
+    it('forwards errors thrown while checking', async () => {
+        const failure = new Error('db down');
+        const err = await run(requireOwnership(() => { throw failure; }), admin);
+        expect(err).to.equal(failure);
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * @file tests/cors.spec.js
+ * Unit tests for the CORS middleware (src/middlewares/cors.js).
+ *
+ * Tests verify:
+ * - Exact, wildcard subdomain, any-origin and function origin checks
+ * - Preflight answers: methods, requested or configured headers, max-age
+ * - Credentials, exposed headers and Vary
+ * - A later policy replaces an earlier one's headers
+ * - Misconfiguration is rejected up front
+ */
+
+import { expect } from 'chai';
+import { cors } from '../src/middlewares/cors.js';
+
+/**
+ * Run the middleware and resolve with the response headers, status,
+ * whether it ended the response and what it passed to next().
+ */
+async function run(middleware, { method = 'GET', headers = {} } = {}, initialHeaders = {}) {
+    const responseHeaders = { ...initialHeaders };
+    const res = {
+        statusCode: 200,
+        ended: false,
+        getHeader: (name) => responseHeaders[name],
+        setHeader: (name, value) => {
+            responseHeaders[name] = value;
+        },
+        removeHeader: (name) => {
+            delete responseHeaders[name];
+        },
+        end: () => {
+            res.ended = true;
+        },
+    };
+    let forwarded = 'next not called';
+    await middleware({ method, headers }, res, (err) => {
+        forwarded = err;
+    });
+    return { headers: responseHeaders, status: res.statusCode, ended: res.ended, err: forwarded };
+}
+
+const preflight = (origin, extra = {}) => ({
+    method: 'OPTIONS',
+    headers: { origin, 'access-control-request-method': 'PUT', ...extra },
+});
+
+describe('cors', () => {
+    it('allows exact and wildcard subdomain origins', async () => {
+        const policy = cors({ origin: ['https://app.example.com', 'https://*.example.org'] });
+
+        const exact = await run(policy, { headers: { origin: 'https://app.example.com' } });
+        expect(exact.err).to.equal(undefined);
+        expect(exact.headers).to.include({ 'Access-Control-Allow-Origin': 'https://app.example.com', Vary: 'Origin' });
+
+        const sub = await run(policy, { headers: { origin: 'https://eu.api.example.org' } });
+        expect(sub.headers['Access-Control-Allow-Origin']).to.equal('https://eu.api.example.org');
+
+        for (const origin of ['https://example.org', 'http://app.example.com', 'https://app.example.com.evil.io', 'https://evilexample.org']) {
+            const denied = await run(policy, { headers: { origin } });
+            expect(denied.err, origin).to.equal(undefined);
+            expect(denied.headers, origin).to.not.have.property('Access-Control-Allow-Origin');
+        }
+    });
+
+    it('answers preflights with the allowed methods, headers and max-age', async () => {
+        const policy = cors({ origin: 'https://app.example.com', maxAge: 600 });
+
+        const res = await run(policy, preflight('https://app.example.com', { 'access-control-request-headers': 'content-type,x-csrf-token' }));
+        expect(res).to.include({ status: 204, ended: true, err: 'next not called' });
+        expect(res.headers).to.include({
+            'Access-Control-Allow-Origin': 'https://app.example.com',
+            'Access-Control-Allow-Methods': 'GET, HEAD, PUT, PATCH, POST, DELETE',
+            'Access-Control-Allow-Headers': 'content-type,x-csrf-token',
+            'Access-Control-Max-Age': '600',
+            Vary: 'Origin, Access-Control-Request-Headers',
+        });
+
+        const configured = cors({ origin: '*', methods: ['get', 'post'], allowedHeaders: ['Content-Type'] });
+        const fixed = await run(configured, preflight('https://other.example', { 'access-control-request-headers': 'x-anything' }));
+        expect(fixed.headers).to.include({
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST',
+            'Access-Control-Allow-Headers': 'Content-Type',
+        });
+        expect(fixed.headers).to.not.have.property('Vary');
+
+        // Disallowed origins get an empty answer the browser treats as a refusal
+        const denied = await run(policy, preflight('https://evil.example'));
+        expect(denied).to.include({ status: 204, ended: true });
+        expect(denied.headers).to.not.have.property('Access-Control-Allow-Methods');
+    });
+
+    it('sends credentials and exposed headers on actual requests', async () => {
+        const policy = cors({ origin: ['https://app.example.com'], credentials: true, exposedHeaders: ['X-Request-Id', 'RateLimit-Remaining'] });
+
+        const res = await run(policy, { method: 'POST', headers: { origin: 'https://app.example.com' } }, { Vary: 'Accept-Encoding' });
+        expect(res.headers).to.include({
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Expose-Headers': 'X-Request-Id, RateLimit-Remaining',
+            Vary: 'Accept-Encoding, Origin',
+        });
+        expect(res.headers).to.not.have.property('Access-Control-Allow-Methods');
+    });
+
+    it('asks an origin function, which may be async', async () => {
+        const seen = [];
+        const policy = cors({
+            origin: async (origin, req) => {
+                seen.push(req.method);
+                return origin.endsWith('.trusted.test');
+            },
+        });
+
+        expect((await run(policy, { headers: { origin: 'https://a.trusted.test' } })).headers['Access-Control-Allow-Origin'])
+            .to.equal('https://a.trusted.test');
+        expect((await run(policy, { headers: { origin: 'https://a.untrusted.test' } })).headers)
+            .to.not.have.property('Access-Control-Allow-Origin');
+        expect(seen).to.deep.equal(['GET', 'GET']);
+
+        const failing = await run(cors({ origin: () => { throw new Error('lookup failed'); } }), { headers: { origin: 'https://x.test' } });
+        expect(failing.err).to.be.an('error').with.property('message', 'lookup failed');
+    });
+
+    it('replaces the headers of an earlier policy and can pass preflights on', async () => {
+        const appWide = cors({ origin: '*', preflightContinue: true });
+        const adminOnly = cors({ origin: false });
+
+        const first = await run(appWide, preflight('https://other.example'));
+        expect(first).to.include({ err: undefined, ended: false });
+        expect(first.headers['Access-Control-Allow-Origin']).to.equal('*');
+
+        const second = await run(adminOnly, preflight('https://other.example'), first.headers);
+        expect(second.ended).to.equal(true);
+        expect(second.headers).to.not.have.property('Access-Control-Allow-Origin');
+        expect(second.headers).to.not.have.property('Access-Control-Allow-Methods');
+    });
+
+    it('passes requests without an Origin through untouched', async () => {
+        const res = await run(cors({ origin: ['https://app.example.com'] }), { method: 'OPTIONS', headers: {} });
+        expect(res).to.include({ err: undefined, ended: false });
+        expect(res.headers).to.deep.equal({ Vary: 'Origin' });
+    });
+
+    it('rejects invalid origins and * with credentials', () => {
+        for (const origin of ['app.example.com', 'https://app.example.com/', 'https://*example.com', 'https://a.*.example.com']) {
+            expect(() => cors({ origin: [origin] }), origin).to.throw().with.property('code', 'CORS_MISCONFIGURED');
+        }
+        expect(() => cors({ origin: '*', credentials: true })).to.throw(/can't be combined with credentials/);
+    });
+});
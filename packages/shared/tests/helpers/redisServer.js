@@ -0,0 +1,212 @@
+/**
+ * @file tests/helpers/redisServer.js
+ * In-process stand-in for a Redis server, speaking just enough RESP2 for
+ * the Redis store: PING, AUTH, SELECT, QUIT, GET, SET (PX, NX), DEL,
+ * INCR, PTTL, WATCH, UNWATCH, MULTI, EXEC and DISCARD.
+ */
+
+import net from 'node:net';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+
+const CRLF = '\r\n';
+
+const simple = (value) => `+${value}${CRLF}`;
+const error = (message) => `-${message}${CRLF}`;
+const integer = (value) => `:${value}${CRLF}`;
+const bulk = (value) => (value === null ? `$-1${CRLF}` : `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`);
+const array = (items) => (items === null ? `*-1${CRLF}` : `*${items.length}${CRLF}${items.join('')}`);
+
+/**
+ * Parse one command (an array of bulk strings) from `buffer`.
+ *
+ * @returns {{ args: string[], offset: number }|null}
+ */
+function parseCommand(buffer, offset) {
+    let position = offset;
+    const readLine = () => {
+        const end = buffer.indexOf(CRLF, position);
+        if (end === -1) {
+            return null;
+        }
+        const line = buffer.toString('utf8', position, end);
+        position = end + 2;
+        return line;
+    };
+    const header = readLine();
+    if (header === null) {
+        return null;
+    }
+    const args = [];
+    for (let i = 0; i < Number(header.slice(1)); i++) {
+        const length = readLine();
+        if (length === null || buffer.length < position + Number(length.slice(1)) + 2) {
+            return null;
+        }
+        args.push(buffer.toString('utf8', position, position + Number(length.slice(1))));
+        position += Number(length.slice(1)) + 2;
+    }
+    return { args, offset: position };
+}
+
+/**
+ * Start the stand-in on a random port.
+ *
+ * @param {object} [options={}]
+ * @param {string} [options.password] - Require AUTH with this password
+ * @returns {Promise<{ url: string, data: Map, commands: string[][], write: Function, close: () => Promise<void> }>}
+ */
+export async function startRedisServer({ password } = {}) {
+    const data = new Map();
+    const versions = new Map();
+    const commands = [];
+    const sockets = new Set();
+
+    const live = (key) => {
+        const entry = data.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            data.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+    const touch = (key) => versions.set(key, (versions.get(key) ?? 0) + 1);
+
+    /** Run one data command; returns the encoded reply. */
+    const execute = ([name, ...args]) => {
+        switch (name) {
+            case 'PING':
+                return simple('PONG');
+            case 'GET':
+                return bulk(live(args[0])?.value ?? null);
+            case 'SET': {
+                const [key, value, ...flags] = args;
+                const upper = flags.map((flag) => flag.toUpperCase());
+                if (upper.includes('NX') && live(key)) {
+                    return bulk(null);
+                }
+                const px = upper.indexOf('PX');
+                data.set(key, { value, expiresAt: px === -1 ? null : Date.now() + Number(flags[px + 1]) });
+                touch(key);
+                return simple('OK');
+            }
+            case 'DEL': {
+                const existed = live(args[0]) ? 1 : 0;
+                data.delete(args[0]);
+                touch(args[0]);
+                return integer(existed);
+            }
+            case 'INCR': {
+                const entry = live(args[0]) ?? { value: '0', expiresAt: null };
+                if (!/^-?\d+$/.test(entry.value)) {
+                    return error('ERR value is not an integer or out of range');
+                }
+                entry.value = String(Number(entry.value) + 1);
+                data.set(args[0], entry);
+                touch(args[0]);
+                return integer(entry.value);
+            }
+            case 'PTTL': {
+                const entry = live(args[0]);
+                if (!entry) {
+                    return integer(-2);
+                }
+                return integer(entry.expiresAt === null ? -1 : entry.expiresAt - Date.now());
+            }
+            default:
+                return error(`ERR unknown command '${name}'`);
+        }
+    };
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        const state = { authed: !password, queue: null, watched: new Map(), quit: false };
+        let buffer = Buffer.alloc(0);
+
+        const handle = (args) => {
+            const name = args[0].toUpperCase();
+            commands.push([name, ...args.slice(1)]);
+            if (name === 'AUTH') {
+                state.authed = args[args.length - 1] === password;
+                return state.authed ? simple('OK') : error('WRONGPASS invalid password');
+            }
+            if (!state.authed) {
+                return error('NOAUTH Authentication required.');
+            }
+            switch (name) {
+                case 'QUIT':
+                    state.quit = true;
+                    return simple('OK');
+                case 'SELECT':
+                    return simple('OK');
+                case 'WATCH':
+                    for (const key of args.slice(1)) {
+                        state.watched.set(key, versions.get(key) ?? 0);
+                    }
+                    return simple('OK');
+                case 'UNWATCH':
+                    state.watched.clear();
+                    return simple('OK');
+                case 'MULTI':
+                    state.queue = [];
+                    return simple('OK');
+                case 'DISCARD':
+                    state.queue = null;
+                    state.watched.clear();
+                    return simple('OK');
+                case 'EXEC': {
+                    const queued = state.queue ?? [];
+                    const dirty = [...state.watched].some(([key, version]) => (versions.get(key) ?? 0) !== version);
+                    state.queue = null;
+                    state.watched.clear();
+                    return dirty ? array(null) : array(queued.map(execute));
+                }
+                default:
+                    if (state.queue) {
+                        state.queue.push([name, ...args.slice(1)]);
+                        return simple('QUEUED');
+                    }
+                    return execute([name, ...args.slice(1)]);
+            }
+        };
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let offset = 0;
+            let out = '';
+            for (let parsed = parseCommand(buffer, offset); parsed && !state.quit; parsed = parseCommand(buffer, offset)) {
+                offset = parsed.offset;
+                out += handle(parsed.args);
+            }
+            buffer = buffer.subarray(offset);
+            if (out && !socket.writableEnded) {
+                socket.write(out);
+            }
+            if (state.quit) {
+                socket.end();
+            }
+        });
+    });
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    return {
+        url: `redis://${password ? `:${password}@` : ''}127.0.0.1:${server.address().port}`,
+        data,
+        commands,
+        /** Change a key behind the client's back (to provoke WATCH conflicts). */
+        write: (key, value) => {
+            data.set(key, { value, expiresAt: null });
+            touch(key);
+        },
+        close: async () => {
+            for (const socket of sockets) {
+                socket.destroy();
+            }
+            server.close();
+            await once(server, 'close');
+        },
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * @file tests/jwt.spec.js
+ * Unit tests for the JWT token service (src/auth/jwt.js) and the
+ * authentication middleware (src/middlewares/jwtAuth.js).
+ *
+ * Tests verify:
+ * - createTokenService signs arbitrary claims with configured iss/aud
+ * - Verification enforces issuer, audience, algorithms and clock tolerance
+ * - Legacy generateToken/verifyToken keep working
+ * - jwtAuthMiddleware accepts a token service or a raw secret
+ * - jwtAuthMiddleware passes 401 AppErrors to next(), TOKEN_REVOKED for denylisted tokens
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import jwt from 'jsonwebtoken';
+import { createTokenService, generateToken, verifyToken } from '../src/auth/jwt.js';
+import { createTokenDenylist } from '../src/auth/revocation.js';
+import { jwtAuthMiddleware } from '../src/middlewares/jwtAuth.js';
+
+const SECRET = 'test-secret-that-is-long-enough';
+
+/**
+ * Minimal Express-like response double recording status and JSON body.
+ */
+function mockResponse() {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+    };
+    return res;
+}
+
+describe('jwt module', () => {
+    describe('createTokenService', () => {
+        const tokens = createTokenService({ secret: SECRET, issuer: 'tasks-app', audience: 'tasks-api' });
+
+        it('signs arbitrary claims and stamps iss, aud and jti', () => {
+            const token = tokens.sign({ sub: 'user-42', roles: ['admin'], scope: 'tasks:read', tenant: 't1' });
+            const claims = tokens.verify(token);
+
+            expect(claims).to.include({ sub: 'user-42', scope: 'tasks:read', tenant: 't1', iss: 'tasks-app', aud: 'tasks-api' });
+            expect(claims.roles).to.deep.equal(['admin']);
+            expect(claims.jti).to.be.a('string').and.not.be.empty;
+        });
+
+        it('keeps a caller-supplied jti and ignores payload iss/aud', () => {
+            const claims = tokens.verify(tokens.sign({ jti: 'fixed', iss: 'spoofed', aud: 'elsewhere' }));
+
+            expect(claims).to.include({ jti: 'fixed', iss: 'tasks-app', aud: 'tasks-api' });
+        });
+
+        it('applies the default TTL and per-call expiresIn', () => {
+            const short = createTokenService({ secret: SECRET, expiresIn: 60 });
+            const defaultClaims = short.decode(short.sign());
+            const overridden = short.decode(short.sign({}, { expiresIn: '2h' }));
+
+            expect(defaultClaims.exp - defaultClaims.iat).to.equal(60);
+            expect(overridden.exp - overridden.iat).to.equal(7200);
+        });
+
+        it('rejects tokens from another issuer or audience', () => {
+            const other = createTokenService({ secret: SECRET, issuer: 'other-app', audience: 'tasks-api' });
+            const wrongAud = createTokenService({ secret: SECRET, issuer: 'tasks-app', audience: 'other-api' });
+
+            expect(() => tokens.verify(other.sign())).to.throw(jwt.JsonWebTokenError, /issuer/);
+            expect(() => tokens.verify(wrongAud.sign())).to.throw(jwt.JsonWebTokenError, /audience/);
+        });
+
+        it('rejects algorithms outside the allowed list', () => {
+            const hs512 = jwt.sign({ iss: 'tasks-app', aud: 'tasks-api' }, SECRET, { algorithm: 'HS512' });
+            expect(() => tokens.verify(hs512)).to.throw(jwt.JsonWebTokenError, /invalid algorithm/);
+        });
+
+        it('tolerates clock skew up to clockTolerance', () => {
+            const clock = sinon.useFakeTimers(Date.now());
+            try {
+                const lenient = createTokenService({ secret: SECRET, expiresIn: 10, clockTolerance: 30 });
+                const token = lenient.sign();
+
+                clock.tick(20_000);
+                expect(() => lenient.verify(token)).to.not.throw();
+                expect(() => createTokenService({ secret: SECRET }).verify(token)).to.throw(jwt.TokenExpiredError);
+            } finally {
+                clock.restore();
+            }
+        });
+
+        it('refuses to start without a secret or with the none algorithm', () => {
+            expect(() => createTokenService({})).to.throw().with.property('code', 'JWT_MISCONFIGURED');
+            expect(() => createTokenService({ secret: SECRET, algorithms: ['none'] }))
+                .to.throw().with.property('code', 'JWT_MISCONFIGURED');
+        });
+    });
+
+    describe('legacy helpers', () => {
+        it('generateToken/verifyToken round-trip with the fixed issuer and audience', () => {
+            const claims = verifyToken(generateToken(SECRET), SECRET);
+            expect(claims).to.include({ iss: 'excel-export-app', aud: 'excel-export-api' });
+        });
+    });
+
+    describe('jwtAuthMiddleware', () => {
+        const tokens = createTokenService({ secret: SECRET, issuer: 'tasks-app' });
+
+        it('attaches verified claims from a token service to req.auth', () => {
+            const req = { headers: { authorization: `Bearer ${tokens.sign({ sub: 'u1' })}` } };
+            const next = sinon.spy();
+
+            jwtAuthMiddleware(tokens)(req, mockResponse(), next);
+
+            expect(next.calledOnce).to.be.true;
+            expect(req.auth.sub).to.equal('u1');
+        });
+
+        it('still accepts a raw secret for legacy tokens', () => {
+            const req = { headers: { authorization: `Bearer ${generateToken(SECRET)}` } };
+            const next = sinon.spy();
+
+            jwtAuthMiddleware(SECRET)(req, mockResponse(), next);
+
+            expect(next.calledOnce).to.be.true;
+            expect(req.auth.iss).to.equal('excel-export-app');
+        });
+
+        it('passes 401 errors to next() for missing, invalid or expired tokens', () => {
+            const next = sinon.spy();
+            const res = mockResponse();
+            const expired = tokens.sign({ sub: 'u1' }, { expiresIn: -10 });
+
+            jwtAuthMiddleware(tokens)({ headers: {} }, res, next);
+            jwtAuthMiddleware(tokens)({ headers: { authorization: 'Bearer not-a-jwt' } }, res, next);
+            jwtAuthMiddleware(tokens)({ headers: { authorization: `Bearer ${expired}` } }, res, next);
+
+            expect(next.args.map(([err]) => [err.statusCode, err.code, err.message])).to.deep.equal([
+                [401, 'UNAUTHORIZED', 'Missing or invalid authorization header'],
+                [401, 'UNAUTHORIZED', 'Invalid token'],
+                [401, 'UNAUTHORIZED', 'Token expired'],
+            ]);
+            expect(res.statusCode).to.equal(200);
+        });
+
+        it('rejects revoked tokens with TOKEN_REVOKED', async () => {
+            const denylist = createTokenDenylist();
+            const token = tokens.sign({ sub: 'u1' });
+            const { jti, exp } = tokens.decode(token);
+            const middleware = jwtAuthMiddleware(tokens, { denylist });
+            const next = sinon.spy();
+
+            const req = { headers: { authorization: `Bearer ${token}` } };
+            await middleware(req, mockResponse(), next);
+            expect(next.calledOnce).to.be.true;
+
+            await denylist.revoke(jti, exp);
+            await middleware({ headers: { authorization: `Bearer ${token}` } }, mockResponse(), next);
+
+            expect(next.secondCall.args[0]).to.include({ code: 'TOKEN_REVOKED', message: 'Token revoked', statusCode: 401 });
+        });
+
+        it('passes denylist store failures to next()', async () => {
+            const failure = new Error('store down');
+            const denylist = { isRevoked: async () => { throw failure; } };
+            const next = sinon.spy();
+
+            await jwtAuthMiddleware(tokens, { denylist })(
+                { headers: { authorization: `Bearer ${tokens.sign()}` } }, mockResponse(), next,
+            );
+
+            expect(next.calledOnceWith(failure)).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * @file tests/keyRing.spec.js
+ * Unit tests for the JWT key ring (src/auth/keyRing.js) and its use by
+ * createTokenService and jwtAuthMiddleware.
+ *
+ * Tests verify:
+ * - PEM loading from files, kid thumbprints and algorithm inference
+ * - RS256 / ES256 signing with kid headers
+ * - Rotation keeps old keys verifying until their retirement time
+ * - prune() and JWKS export
+ * - jwtAuthMiddleware selects the verification key by kid
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import jwt from 'jsonwebtoken';
+import { tempDir } from './helpers/index.js';
+import { createKeyRing, loadKeyPair } from '../src/auth/keyRing.js';
+import { createTokenService } from '../src/auth/jwt.js';
+import { jwtAuthMiddleware } from '../src/middlewares/jwtAuth.js';
+
+/**
+ * Generate a PEM key pair of the given type.
+ */
+function pemPair(type, options) {
+    return crypto.generateKeyPairSync(type, {
+        ...options,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    });
+}
+
+const rsa = pemPair('rsa', { modulusLength: 2048 });
+const ec = pemPair('ec', { namedCurve: 'P-256' });
+
+describe('keyRing module', () => {
+    describe('loadKeyPair', () => {
+        it('loads PEM files and infers kid and algorithm', async () => {
+            const { path: dir, cleanup } = tempDir();
+            try {
+                fs.writeFileSync(path.join(dir, 'rsa.pem'), rsa.privateKey);
+                fs.writeFileSync(path.join(dir, 'ec.pub.pem'), ec.publicKey);
+
+                const signing = loadKeyPair({ privateKeyPath: path.join(dir, 'rsa.pem') });
+                const verifyOnly = loadKeyPair({ publicKeyPath: path.join(dir, 'ec.pub.pem'), kid: 'ec-1' });
+
+                expect(signing.algorithm).to.equal('RS256');
+                expect(signing.kid).to.match(/^[\w-]{43}$/);
+                expect(signing.privateKey).to.exist;
+                expect(verifyOnly).to.include({ kid: 'ec-1', algorithm: 'ES256', privateKey: undefined });
+            } finally {
+                await cleanup();
+            }
+        });
+
+        it('requires at least one key', () => {
+            expect(() => loadKeyPair({})).to.throw().with.property('code', 'JWT_MISCONFIGURED');
+        });
+    });
+
+    describe('createKeyRing', () => {
+        it('signs with the active key and stamps its kid', () => {
+            const ring = createKeyRing({ keys: [loadKeyPair({ privateKey: ec.privateKey, kid: 'ec-1' })] });
+            const tokens = createTokenService({ keyRing: ring, issuer: 'tasks-app' });
+
+            const token = tokens.sign({ sub: 'u1' });
+            const { header } = jwt.decode(token, { complete: true });
+
+            expect(header).to.include({ kid: 'ec-1', alg: 'ES256' });
+            expect(tokens.verify(token).sub).to.equal('u1');
+        });
+
+        it('keeps rotated-out keys verifying until the grace period ends', () => {
+            let now = 0;
+            const ring = createKeyRing({
+                keys: [loadKeyPair({ privateKey: rsa.privateKey, kid: 'old' })],
+                gracePeriod: 1000,
+                now: () => now,
+            });
+            const tokens = createTokenService({ keyRing: ring });
+            const oldToken = tokens.sign();
+
+            expect(ring.rotate(loadKeyPair({ privateKey: ec.privateKey, kid: 'new' }))).to.equal('old');
+            expect(jwt.decode(tokens.sign(), { complete: true }).header.kid).to.equal('new');
+            expect(() => tokens.verify(oldToken)).to.not.throw();
+
+            now = 1001;
+            expect(() => tokens.verify(oldToken)).to.throw(jwt.JsonWebTokenError, /retired key id "old"/);
+            expect(ring.prune()).to.deep.equal(['old']);
+        });
+
+        it('rejects tokens without a kid or signed outside the ring', () => {
+            const ring = createKeyRing({ keys: [loadKeyPair({ privateKey: rsa.privateKey, kid: 'k1' })] });
+            const tokens = createTokenService({ keyRing: ring });
+            const foreign = jwt.sign({}, ec.privateKey, { algorithm: 'ES256', keyid: 'k1' });
+
+            expect(() => tokens.verify(jwt.sign({}, 'hmac'))).to.throw(/no key id/);
+            expect(() => tokens.verify(foreign)).to.throw(jwt.JsonWebTokenError, /invalid algorithm/);
+        });
+
+        it('publishes live public keys as JWKS', () => {
+            const ring = createKeyRing({
+                keys: [
+                    loadKeyPair({ publicKey: rsa.publicKey, kid: 'rsa-1' }),
+                    loadKeyPair({ privateKey: ec.privateKey, kid: 'ec-1' }),
+                ],
+            });
+            ring.retire('rsa-1');
+
+            const { keys } = ring.toJWKS();
+
+            expect(keys).to.have.length(1);
+            expect(keys[0]).to.include({ kid: 'ec-1', alg: 'ES256', use: 'sig', kty: 'EC', crv: 'P-256' });
+            expect(keys[0]).to.not.have.property('d');
+        });
+
+        it('prunes retired keys on a schedule', () => {
+            const clock = sinon.useFakeTimers();
+            try {
+                const ring = createKeyRing({ keys: [loadKeyPair({ privateKey: ec.privateKey, kid: 'k' })] });
+                const stop = ring.startRetirementSchedule(1000);
+
+                ring.retire('k');
+                clock.tick(1000);
+                stop();
+
+                // The scheduled run already removed the key
+                expect(ring.prune()).to.deep.equal([]);
+            } finally {
+                clock.restore();
+            }
+        });
+    });
+
+    describe('jwtAuthMiddleware with a key ring', () => {
+        it('picks the verification key by kid', () => {
+            const ring = createKeyRing({ keys: [loadKeyPair({ privateKey: rsa.privateKey, kid: 'a' })] });
+            const tokens = createTokenService({ keyRing: ring });
+            const first = tokens.sign({ sub: 'first' });
+            ring.rotate(loadKeyPair({ privateKey: ec.privateKey, kid: 'b' }));
+            const second = tokens.sign({ sub: 'second' });
+
+            const subjects = [first, second].map((token) => {
+                const req = { headers: { authorization: `Bearer ${token}` } };
+                jwtAuthMiddleware(tokens)(req, {}, () => {});
+                return req.auth.sub;
+            });
+
+            expect(subjects).to.deep.equal(['first', 'second']);
+        });
+    });
+});
@@ -8,6 +8,8 @@
  * - Log level filtering works (e.g., level=warn filters out info messages)
  * - Log directory creation and file generation
  * - Timestamp formatting in log output
+ * - JSON format with stable field names
+ * - Disabling the file transport and rotating log files
  *
  * Test strategy:
  * - Use tempDir() for isolated log file output (avoids polluting file system)
@@ -19,6 +21,9 @@ import { expect } from 'chai';
 import sinon from 'sinon';
 import path from 'node:path';
 import fs from 'node:fs';
+import os from 'node:os';
+import zlib from 'node:zlib';
+import { once } from 'node:events';
 import { fileURLToPath } from 'node:url';
 import { tempDir, importFresh } from './helpers/index.js';
 
@@ -191,4 +196,103 @@ describe('logger module', () => {
             await cleanup();
         }
     });
+
+    /**
+     * Test 7: Verify the json format writes one object per line with stable field names
+     * Purpose: Log shippers rely on time/level/msg/service/version/pid/hostname
+     */
+    it('writes newline-delimited JSON with stable field names', async () => {
+        const { path: tempPath, cleanup } = tempDir();
+
+        try {
+            const loggerPath = path.resolve(__dirname, '../src/logger.js');
+            const { createLogger } = await importFresh(loggerPath);
+
+            const logger = createLogger({ name: 'jsontest', logDir: tempPath, format: 'json', service: 'api', version: '1.2.3' });
+            logger.transports.find((t) => t.name === 'console').silent = true;
+
+            logger.info('first', { userId: 7, level: 'forged' });
+            logger.warn('second');
+            await new Promise(resolve => globalThis.setTimeout(resolve, 100));
+
+            const [first, second] = fs.readFileSync(path.join(tempPath, 'jsontest.log'), 'utf8')
+                .trim().split('\n').map((line) => JSON.parse(line));
+            expect(Object.keys(first)).to.deep.equal(['time', 'level', 'msg', 'service', 'version', 'pid', 'hostname', 'userId']);
+            expect(first).to.include({
+                level: 'info',
+                msg: 'first',
+                service: 'api',
+                version: '1.2.3',
+                pid: globalThis.process.pid,
+                hostname: os.hostname(),
+                userId: 7,
+            });
+            expect(new Date(first.time).toISOString()).to.equal(first.time);
+            expect(second).to.include({ level: 'warn', msg: 'second' });
+        } finally {
+            await cleanup();
+        }
+    });
+
+    /**
+     * Test 8: Verify file: false leaves only the console transport
+     * Purpose: Container deployments log to stdout only
+     */
+    it('skips the log file when file is false', async () => {
+        const { path: tempPath, cleanup } = tempDir();
+
+        try {
+            const loggerPath = path.resolve(__dirname, '../src/logger.js');
+            const { createLogger } = await importFresh(loggerPath);
+
+            const logDir = path.join(tempPath, 'unused');
+            const logger = createLogger({ name: 'nofile', logDir, file: false });
+
+            expect(logger.transports.map((t) => t.name)).to.deep.equal(['console']);
+            expect(fs.existsSync(logDir)).to.be.false;
+        } finally {
+            await cleanup();
+        }
+    });
+
+    /**
+     * Test 9: Verify size-based rotation gzips the rotated file
+     * Purpose: Rotated files are compressed and named <name>-<date>.log
+     */
+    it('rotates past maxSize and gzips the rotated file', async () => {
+        const { path: tempPath, cleanup } = tempDir();
+
+        try {
+            const loggerPath = path.resolve(__dirname, '../src/logger.js');
+            const { createLogger } = await importFresh(loggerPath);
+
+            const logger = createLogger({ name: 'rotatetest', logDir: tempPath, rotate: { maxSize: '1k', maxFiles: 5 } });
+            logger.transports.find((t) => t.name === 'console').silent = true;
+            const fileTransport = logger.transports.find((t) => t.name !== 'console');
+            const archived = once(fileTransport, 'archive');
+
+            for (let i = 0; i < 30; i++) {
+                logger.info(`entry ${i} ${'x'.repeat(60)}`);
+                await new Promise(resolve => globalThis.setImmediate(resolve));
+            }
+            const [archive] = await archived;
+
+            expect(path.basename(archive)).to.match(/^rotatetest-\d{4}-\d{2}-\d{2}\.log\.gz$/);
+            expect(zlib.gunzipSync(fs.readFileSync(archive)).toString()).to.include('entry 0');
+        } finally {
+            await cleanup();
+        }
+    });
+
+    /**
+     * Test 10: Verify invalid options fail fast
+     */
+    it('rejects unknown formats and rotation intervals', async () => {
+        const loggerPath = path.resolve(__dirname, '../src/logger.js');
+        const { createLogger } = await importFresh(loggerPath);
+
+        expect(() => createLogger({ format: 'xml', file: false })).to.throw(/Unknown log format "xml"/);
+        expect(() => createLogger({ rotate: { interval: 'weekly' }, logDir: os.tmpdir() }))
+            .to.throw(/Unknown log rotation interval "weekly"/);
+    });
 });
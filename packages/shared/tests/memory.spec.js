@@ -0,0 +1,141 @@
+/**
+ * @file tests/memory.spec.js
+ * Unit tests for the memory logger (src/memory.js).
+ *
+ * Tests verify:
+ * - Samples are kept in a bounded ring buffer and summarised as a trend
+ * - A heap staying above the threshold is reported once per episode
+ * - A heap snapshot is written when the snapshot threshold is crossed
+ * - Heap growth across major GCs is reported as a possible leak
+ */
+
+import v8 from 'node:v8';
+import vm from 'node:vm';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { createMemoryLogger } from '../src/memory.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Fake process whose heapUsed is whatever `memory.heapUsed` is set to.
+ */
+function fakeProcess(heapUsed = 10 * MB) {
+    const memory = { rss: 50 * MB, heapUsed, heapTotal: 40 * MB, external: MB, arrayBuffers: 0 };
+    return { memory, proc: { pid: 4242, cwd: () => '/srv/app', memoryUsage: () => ({ ...memory }) } };
+}
+
+describe('createMemoryLogger', () => {
+    let clock;
+
+    afterEach(() => {
+        clock?.restore();
+        clock = undefined;
+    });
+
+    it('logs the current usage and tracks peaks', () => {
+        const { memory, proc } = fakeProcess(20 * MB);
+        const log = sinon.stub();
+        const memLogger = createMemoryLogger(proc, log);
+
+        memLogger('startup');
+        memory.heapUsed = 5 * MB;
+        memLogger();
+
+        expect(log.firstCall.args[0]).to.match(/^\[startup\] Memory Usage: RSS: 50\.00 MB \| Heap Used: 20\.00 MB/);
+        expect(memLogger.getPeakSummary().heapUsed).to.deep.equal({ bytes: 20 * MB, mb: '20.00' });
+    });
+
+    it('samples in the background into a bounded history with a growth trend', () => {
+        clock = sinon.useFakeTimers({ now: 0, toFake: ['setInterval', 'clearInterval', 'Date'] });
+        const { memory, proc } = fakeProcess();
+        const memLogger = createMemoryLogger(proc, sinon.stub(), { interval: 1000, historySize: 3, growthCycles: 0 });
+
+        memLogger.start();
+        for (let i = 1; i <= 4; i++) {
+            memory.heapUsed += MB;
+            clock.tick(1000);
+        }
+        memLogger.stop();
+        clock.tick(5000);
+
+        const history = memLogger.getHistory();
+        expect(history.map((s) => s.time)).to.deep.equal([2000, 3000, 4000]);
+        expect(history.map((s) => s.heapUsed)).to.deep.equal([12 * MB, 13 * MB, 14 * MB]);
+        expect(memLogger.getTrend()).to.include({ heapGrowthPerMinute: 60 * MB, spanMs: 2000, samples: 3 });
+    });
+
+    it('warns once when the heap stays above the threshold', () => {
+        const { memory, proc } = fakeProcess(100 * MB);
+        const warn = sinon.stub();
+        const memLogger = createMemoryLogger(proc, sinon.stub(), { heapThreshold: 64 * MB, sustainedSamples: 2, warn });
+
+        memLogger.sample();
+        expect(warn.called).to.be.false;
+        memLogger.sample();
+        memLogger.sample();
+        expect(warn.calledOnce).to.be.true;
+        expect(warn.firstCall.args[0]).to.equal(
+            'Memory warning: heap used 100.00 MB has stayed above 64.00 MB for 2 samples',
+        );
+
+        memory.heapUsed = 10 * MB;
+        memLogger.sample();
+        memory.heapUsed = 100 * MB;
+        memLogger.sample();
+        memLogger.sample();
+        expect(warn.calledTwice).to.be.true;
+    });
+
+    it('writes a heap snapshot when the snapshot threshold is crossed', () => {
+        const { memory, proc } = fakeProcess(10 * MB);
+        const warn = sinon.stub();
+        const writeHeapSnapshot = sinon.stub().callsFake((file) => file);
+        const memLogger = createMemoryLogger(proc, sinon.stub(), {
+            snapshotThreshold: 50 * MB,
+            maxSnapshots: 1,
+            warn,
+            writeHeapSnapshot,
+        });
+
+        memLogger.sample();
+        memory.heapUsed = 60 * MB;
+        memLogger.sample();
+        memLogger.sample();
+        memory.heapUsed = 10 * MB;
+        memLogger.sample();
+        memory.heapUsed = 60 * MB;
+        memLogger.sample();
+
+        expect(writeHeapSnapshot.calledOnce).to.be.true;
+        expect(writeHeapSnapshot.firstCall.args[0]).to.match(/^\/srv\/app\/heap-4242-\d+\.heapsnapshot$/);
+        expect(warn.firstCall.args[0]).to.match(/crossed 50\.00 MB — wrote heap snapshot \/srv\/app\/heap-4242-/);
+    });
+
+    it('warns when the heap left after major GCs keeps growing', async () => {
+        v8.setFlagsFromString('--expose-gc');
+        const gc = vm.runInNewContext('gc');
+        const { memory, proc } = fakeProcess();
+        const warn = sinon.stub();
+        const memLogger = createMemoryLogger(proc, sinon.stub(), { interval: 60000, growthCycles: 2, warn });
+
+        memLogger.start();
+        try {
+            for (let i = 0; i < 3; i++) {
+                memory.heapUsed += MB;
+                gc();
+                // GC entries reach the observer asynchronously
+                await new Promise((resolve) => globalThis.setTimeout(resolve, 20));
+            }
+        } finally {
+            memLogger.stop();
+        }
+
+        expect(memLogger.getTrend().heapAfterGc).to.deep.equal([11 * MB, 12 * MB, 13 * MB]);
+        expect(memLogger.getTrend().growing).to.be.true;
+        expect(warn.calledOnce).to.be.true;
+        expect(warn.firstCall.args[0]).to.equal(
+            'Memory warning: heap after GC grew across 2 consecutive major GCs (11.00 MB → 13.00 MB) — possible leak',
+        );
+    });
+});
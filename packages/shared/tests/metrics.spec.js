@@ -0,0 +1,149 @@
+/**
+ * @file tests/metrics.spec.js
+ * Unit tests for the metrics registry and runtime metrics (src/metrics.js).
+ *
+ * Tests verify:
+ * - Counters, gauges and histograms render in the Prometheus text format
+ * - Label values and help text are escaped
+ * - Invalid names, labels and duplicate registrations are rejected
+ * - Runtime metrics report memory, event-loop delay and GC pauses, with the
+ *   peaks of a given memory logger
+ */
+
+import { expect } from 'chai';
+import { createMetricsRegistry, collectRuntimeMetrics } from '../src/metrics.js';
+import { createMemoryLogger } from '../src/memory.js';
+
+describe('metrics', () => {
+    describe('createMetricsRegistry', () => {
+        it('renders counters and gauges with labels', async () => {
+            const registry = createMetricsRegistry();
+            const jobs = registry.counter('jobs_total', 'Jobs processed', { labelNames: ['queue'] });
+            const idle = registry.gauge('workers_idle', 'Idle workers');
+            registry.counter('errors_total', 'Errors');
+
+            jobs.inc({ queue: 'email' });
+            jobs.inc({ queue: 'email' }, 2);
+            jobs.inc({ queue: 'sms' });
+            idle.set(5);
+            idle.dec(2);
+
+            expect(jobs.get({ queue: 'email' })).to.equal(3);
+            expect(await registry.metrics()).to.equal([
+                '# HELP jobs_total Jobs processed',
+                '# TYPE jobs_total counter',
+                'jobs_total{queue="email"} 3',
+                'jobs_total{queue="sms"} 1',
+                '# HELP workers_idle Idle workers',
+                '# TYPE workers_idle gauge',
+                'workers_idle 3',
+                '# HELP errors_total Errors',
+                '# TYPE errors_total counter',
+                'errors_total 0',
+                '',
+            ].join('\n'));
+        });
+
+        it('renders cumulative histogram buckets with sum and count', async () => {
+            const registry = createMetricsRegistry();
+            const latency = registry.histogram('latency_seconds', 'Latency', { labelNames: ['route'], buckets: [1, 0.1] });
+
+            latency.observe({ route: '/' }, 0.05);
+            latency.observe({ route: '/' }, 0.5);
+            latency.observe({ route: '/' }, 3);
+
+            expect(await registry.metrics()).to.include([
+                'latency_seconds_bucket{route="/",le="0.1"} 1',
+                'latency_seconds_bucket{route="/",le="1"} 2',
+                'latency_seconds_bucket{route="/",le="+Inf"} 3',
+                'latency_seconds_sum{route="/"} 3.55',
+                'latency_seconds_count{route="/"} 3',
+            ].join('\n'));
+        });
+
+        it('times observations with startTimer', () => {
+            const registry = createMetricsRegistry();
+            const latency = registry.histogram('op_seconds', 'Op', { labelNames: ['op', 'result'] });
+
+            const end = latency.startTimer({ op: 'save' });
+            const seconds = end({ result: 'ok' });
+
+            expect(seconds).to.be.a('number').and.at.least(0);
+            expect(latency.get({ op: 'save', result: 'ok' }).count).to.equal(1);
+        });
+
+        it('escapes label values and help text', async () => {
+            const registry = createMetricsRegistry();
+            registry.counter('odd_total', 'Has a \\ and a\nnewline', { labelNames: ['v'] }).inc({ v: 'a"b\\c\nd' });
+
+            const text = await registry.metrics();
+            expect(text).to.include('# HELP odd_total Has a \\\\ and a\\nnewline');
+            expect(text).to.include('odd_total{v="a\\"b\\\\c\\nd"} 1');
+        });
+
+        it('runs gauge collectors at scrape time', async () => {
+            const registry = createMetricsRegistry();
+            let size = 1;
+            registry.gauge('pool_size', 'Pool size', { collect: (gauge) => gauge.set(size) });
+
+            expect(await registry.metrics()).to.include('pool_size 1');
+            size = 4;
+            expect(await registry.metrics()).to.include('pool_size 4');
+        });
+
+        it('rejects invalid names, unknown labels, decreasing counters and duplicates', () => {
+            const registry = createMetricsRegistry();
+            const jobs = registry.counter('jobs_total', 'Jobs', { labelNames: ['queue'] });
+
+            expect(() => registry.counter('bad-name', 'x')).to.throw(/Invalid metric name/);
+            expect(() => registry.counter('ok_total', 'x', { labelNames: ['__reserved'] })).to.throw(/Invalid label name/);
+            expect(() => registry.histogram('h_seconds', 'x', { labelNames: ['le'] })).to.throw(/Invalid label name/);
+            expect(() => registry.gauge('jobs_total', 'again')).to.throw(/already registered/)
+                .with.property('code', 'METRIC_EXISTS');
+            expect(() => jobs.inc({ queue: 'a', region: 'eu' })).to.throw(/Unknown label "region"/);
+            expect(() => jobs.inc(-1)).to.throw(/can only increase/);
+        });
+    });
+
+    describe('collectRuntimeMetrics', () => {
+        it('reports memory, event-loop delay and GC pauses', async () => {
+            const registry = createMetricsRegistry();
+            const memory = { rss: 300, heapUsed: 100, heapTotal: 200, external: 10, arrayBuffers: 5 };
+            const proc = { memoryUsage: () => memory };
+            const runtime = collectRuntimeMetrics(registry, { proc });
+            try {
+                await registry.metrics();
+                memory.rss = 250;
+                const text = await registry.metrics();
+
+                expect(text).to.include('nodejs_memory_bytes{type="rss"} 250');
+                expect(text).to.include('nodejs_memory_peak_bytes{type="rss"} 300');
+                expect(text).to.include('nodejs_memory_bytes{type="arrayBuffers"} 5');
+                expect(text).to.match(/nodejs_eventloop_delay_seconds\{stat="p99"\} [\d.e-]+/);
+                expect(text).to.include('# TYPE nodejs_gc_duration_seconds histogram');
+            } finally {
+                runtime.stop();
+            }
+        });
+
+        it('reports the peaks of a given memory logger', async () => {
+            const registry = createMetricsRegistry();
+            const memory = { rss: 300, heapUsed: 100, heapTotal: 200, external: 10, arrayBuffers: 5 };
+            const proc = { memoryUsage: () => memory };
+            const memoryLogger = createMemoryLogger(proc, () => {});
+            memoryLogger.sample();
+            memory.rss = 250;
+            const runtime = collectRuntimeMetrics(registry, { proc, memoryLogger });
+            try {
+                memory.rss = 400;
+                const text = await registry.metrics();
+
+                expect(text).to.include('nodejs_memory_bytes{type="rss"} 400');
+                expect(text).to.include('nodejs_memory_peak_bytes{type="rss"} 300');
+                expect(memoryLogger.getHistory()).to.have.lengthOf(1);
+            } finally {
+                runtime.stop();
+            }
+        });
+    });
+});
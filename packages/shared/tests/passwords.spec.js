@@ -0,0 +1,25 @@
+/**
+ * @file tests/passwords.spec.js
+ * Unit tests for password hashing (src/auth/passwords.js).
+ */
+
+import { expect } from 'chai';
+import { hashPassword, verifyPassword } from '../src/auth/passwords.js';
+
+describe('passwords', () => {
+    it('hashes with a random salt and verifies the original password', async () => {
+        const first = await hashPassword('hunter2', { cost: 1024 });
+        const second = await hashPassword('hunter2', { cost: 1024 });
+
+        expect(first).to.match(/^scrypt\$1024\$[\w-]+\$[\w-]+$/);
+        expect(first).to.not.equal(second);
+        expect(await verifyPassword('hunter2', first)).to.be.true;
+        expect(await verifyPassword('hunter3', first)).to.be.false;
+    });
+
+    it('never matches malformed hashes', async () => {
+        for (const hash of [undefined, '', 'plain', 'md5$1$a$b', 'scrypt$abc$a$b', 'scrypt$3$a$b']) {
+            expect(await verifyPassword('x', hash)).to.be.false;
+        }
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * @file tests/rateLimit.spec.js
+ * Unit tests for the rate limiting middleware (src/middlewares/rateLimit.js).
+ *
+ * Tests verify:
+ * - Fixed-window, sliding-window and token-bucket limits
+ * - RateLimit-* and Retry-After headers; rejections forwarded as 429 RATE_LIMITED
+ * - IP, user, API key and custom client keys; skipped requests
+ * - Limits shared through the Redis store
+ * - Window counters in the memory store don't pile up
+ * - Misconfiguration is rejected up front
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { rateLimit } from '../src/middlewares/rateLimit.js';
+import { createMemoryStore } from '../src/stores/memory.js';
+import { createRedisStore } from '../src/stores/redis.js';
+import { startRedisServer } from './helpers/redisServer.js';
+
+/**
+ * Run the middleware and resolve with the error passed to next() and
+ * the headers it set.
+ */
+async function run(limiter, req = {}) {
+    const headers = {};
+    const res = {
+        setHeader: (name, value) => {
+            headers[name] = value;
+        },
+    };
+    let forwarded = 'next not called';
+    await limiter({ ip: '10.0.0.1', headers: {}, ...req }, res, (err) => {
+        forwarded = err;
+    });
+    return { err: forwarded, headers };
+}
+
+/**
+ * Run the middleware `count` times and return which calls were allowed.
+ */
+async function allowed(limiter, count, req) {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+        results.push((await run(limiter, req)).err === undefined);
+    }
+    return results;
+}
+
+describe('rateLimit', () => {
+    let time;
+    const now = () => time;
+
+    beforeEach(() => {
+        // Aligned to a minute, so windows start with the tests
+        time = 1_000_020_000;
+    });
+
+    it('allows `limit` requests per fixed window', async () => {
+        const limiter = rateLimit({ limit: 2, window: 1000, now });
+
+        const first = await run(limiter);
+        expect(first.err).to.be.undefined;
+        expect(first.headers).to.deep.equal({
+            'RateLimit-Limit': '2',
+            'RateLimit-Remaining': '1',
+            'RateLimit-Reset': '1',
+            'RateLimit-Policy': '2;w=1',
+        });
+        expect(await allowed(limiter, 2)).to.deep.equal([true, false]);
+
+        time += 1000;
+        expect(await allowed(limiter, 1)).to.deep.equal([true]);
+    });
+
+    it('rejects with 429 RATE_LIMITED and Retry-After', async () => {
+        const limiter = rateLimit({ limit: 1, window: 60_000, now });
+        await run(limiter);
+        time += 15_000;
+
+        const { err, headers } = await run(limiter);
+        expect(err).to.include({ code: 'RATE_LIMITED', statusCode: 429, isOperational: true });
+        expect(headers).to.include({ 'RateLimit-Remaining': '0', 'RateLimit-Reset': '45', 'Retry-After': '45' });
+    });
+
+    it('weights the previous window with sliding-window', async () => {
+        const limiter = rateLimit({ algorithm: 'sliding-window', limit: 4, window: 1000, now });
+        expect(await allowed(limiter, 4)).to.deep.equal([true, true, true, true]);
+
+        // Half way into the next window, half of the previous 4 still count
+        time += 1500;
+        expect(await allowed(limiter, 3)).to.deep.equal([true, true, false]);
+
+        const { headers } = await run(limiter);
+        expect(Number(headers['Retry-After'])).to.equal(1);
+    });
+
+    it('refills a token bucket evenly over the window', async () => {
+        const limiter = rateLimit({ algorithm: 'token-bucket', limit: 3, window: 3000, now });
+        expect(await allowed(limiter, 4)).to.deep.equal([true, true, true, false]);
+
+        time += 1000;
+        const { err, headers } = await run(limiter);
+        expect(err).to.be.undefined;
+        expect(headers).to.include({ 'RateLimit-Remaining': '0', 'RateLimit-Reset': '3' });
+
+        const rejected = await run(limiter);
+        expect(rejected.headers['Retry-After']).to.equal('1');
+    });
+
+    it('counts clients by IP, user, API key or a custom key', async () => {
+        const byIp = rateLimit({ limit: 1, now });
+        expect(await allowed(byIp, 1, { ip: '10.0.0.1' })).to.deep.equal([true]);
+        expect(await allowed(byIp, 1, { ip: '10.0.0.2' })).to.deep.equal([true]);
+
+        const byUser = rateLimit({ limit: 1, key: 'user', now });
+        expect(await allowed(byUser, 2, { auth: { sub: 'u1' } })).to.deep.equal([true, false]);
+        expect(await allowed(byUser, 1, { ip: '10.0.0.1', auth: { sub: 'u2' } })).to.deep.equal([true]);
+
+        const store = createMemoryStore();
+        const keys = [];
+        const recording = { ...store, increment: (key, ttl) => keys.push(key) && store.increment(key, ttl) };
+        const byApiKey = rateLimit({ limit: 1, key: 'api-key', store: recording, now });
+        expect(await allowed(byApiKey, 2, { headers: { 'x-api-key': 'k-123' } })).to.deep.equal([true, false]);
+        expect(await allowed(byApiKey, 1, { headers: { 'x-api-key': 'k-456' } })).to.deep.equal([true]);
+        expect(keys[0]).to.match(/^ratelimit:default:key:[0-9a-f]{32}:/);
+        expect(keys.join()).to.not.include('k-123');
+
+        const byTenant = rateLimit({ limit: 1, key: (req) => req.headers['x-tenant'], now });
+        expect(await allowed(byTenant, 2, { headers: { 'x-tenant': 'acme' } })).to.deep.equal([true, false]);
+    });
+
+    it('does not count skipped requests', async () => {
+        const limiter = rateLimit({ limit: 1, skip: (req) => req.path === '/health', now });
+
+        expect(await allowed(limiter, 3, { path: '/health' })).to.deep.equal([true, true, true]);
+        const { headers } = await run(limiter, { path: '/health' });
+        expect(headers).to.deep.equal({});
+        expect(await allowed(limiter, 2, { path: '/tasks' })).to.deep.equal([true, false]);
+    });
+
+    it('keeps the memory store bounded as windows pass', async () => {
+        const clock = sinon.useFakeTimers({ now: time, toFake: ['Date', 'setInterval', 'clearInterval'] });
+        const store = createMemoryStore({ pruneInterval: 1000 });
+        try {
+            const limiter = rateLimit({ algorithm: 'sliding-window', limit: 5, window: 1000, store });
+            const sizes = [];
+            for (let window = 0; window < 10; window++) {
+                for (let client = 0; client < 20; client++) {
+                    await run(limiter, { ip: `10.0.1.${client}` });
+                }
+                sizes.push(store.size());
+                clock.tick(1000);
+            }
+            // The current and previous window per client, never more
+            expect(Math.max(...sizes)).to.equal(40);
+            clock.tick(2000);
+            expect(store.size()).to.equal(0);
+        } finally {
+            await store.close();
+            clock.restore();
+        }
+    });
+
+    it('shares limits between instances through the Redis store', async () => {
+        const server = await startRedisServer();
+        const stores = [createRedisStore({ url: server.url }), createRedisStore({ url: server.url })];
+        try {
+            const [a, b] = stores.map((store) => rateLimit({ algorithm: 'token-bucket', limit: 2, store, now }));
+            expect(await allowed(a, 1)).to.deep.equal([true]);
+            expect(await allowed(b, 2)).to.deep.equal([true, false]);
+
+            const fixed = stores.map((store) => rateLimit({ name: 'fixed', limit: 1, store, now }));
+            expect(await allowed(fixed[0], 1)).to.deep.equal([true]);
+            expect(await allowed(fixed[1], 1)).to.deep.equal([false]);
+        } finally {
+            await Promise.all(stores.map((store) => store.close()));
+            await server.close();
+        }
+    });
+
+    it('forwards store failures and rejects misconfiguration', async () => {
+        const failing = { increment: async () => { throw new Error('store down'); }, update: async () => {} };
+        const { err } = await run(rateLimit({ store: failing }));
+        expect(err.message).to.equal('store down');
+
+        expect(() => rateLimit({ algorithm: 'leaky-bucket' })).to.throw(/Unknown rate limit algorithm/);
+        expect(() => rateLimit({ key: 'cookie' })).to.throw(/Unknown rate limit key/);
+        expect(() => rateLimit({ limit: 0 })).to.throw(/positive integer limit/);
+        expect(() => rateLimit({ store: { get: async () => {} } })).to.throw(/increment\(\) and update\(\)/);
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * @file tests/refreshTokens.spec.js
+ * Unit tests for the token denylist (src/auth/revocation.js) and the
+ * refresh token manager (src/auth/refreshTokens.js).
+ *
+ * Tests verify:
+ * - Denylist entries expire with the token they revoke
+ * - Refresh rotates tokens and carries claims forward
+ * - Reusing a spent refresh token revokes its family and access tokens
+ * - revoke() accepts refresh and access tokens
+ */
+
+import { expect } from 'chai';
+import { createTokenService } from '../src/auth/jwt.js';
+import { createTokenDenylist } from '../src/auth/revocation.js';
+import { createRefreshTokenManager } from '../src/auth/refreshTokens.js';
+import { createMemoryStore } from '../src/stores/memory.js';
+
+const SECRET = 'test-secret-that-is-long-enough';
+
+/**
+ * Await a promise expected to reject and return the error.
+ */
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (err) {
+        return err;
+    }
+    throw new Error('expected promise to reject');
+}
+
+describe('refresh tokens', () => {
+    const tokenService = createTokenService({ secret: SECRET, issuer: 'tasks-app' });
+
+    describe('createTokenDenylist', () => {
+        it('denies a jti until the token would have expired', async () => {
+            let time = 1_000_000;
+            const now = () => time;
+            const denylist = createTokenDenylist({ store: createMemoryStore({ now }), now });
+
+            await denylist.revoke('jti-1', 1_060); // exp = 60s from now
+            expect(await denylist.isRevoked('jti-1')).to.be.true;
+            expect(await denylist.isRevoked('jti-2')).to.be.false;
+
+            time += 60_000;
+            expect(await denylist.isRevoked('jti-1')).to.be.false;
+        });
+
+        it('ignores missing jtis and already-expired tokens', async () => {
+            const denylist = createTokenDenylist();
+            await denylist.revoke('old', 1);
+
+            expect(await denylist.isRevoked('old')).to.be.false;
+            expect(await denylist.isRevoked(undefined)).to.be.false;
+        });
+    });
+
+    describe('createRefreshTokenManager', () => {
+        let manager;
+
+        beforeEach(() => {
+            manager = createRefreshTokenManager({ tokenService });
+        });
+
+        it('issues an access token with the given claims and an opaque refresh token', async () => {
+            const pair = await manager.issue({ sub: 'user-42', roles: ['admin'], exp: 1, jti: 'ignored' });
+
+            const claims = tokenService.verify(pair.accessToken);
+            expect(claims).to.include({ sub: 'user-42', iss: 'tasks-app' });
+            expect(claims.jti).to.not.equal('ignored');
+            expect(pair.refreshToken).to.match(/^[\w-]{43}$/);
+            expect(pair.expiresIn).to.equal(900);
+        });
+
+        it('rotates the refresh token and carries claims forward', async () => {
+            const first = await manager.issue({ sub: 'user-42', scope: 'tasks:read' });
+            const second = await manager.refresh(first.refreshToken);
+
+            expect(second.refreshToken).to.not.equal(first.refreshToken);
+            expect(tokenService.verify(second.accessToken)).to.include({ sub: 'user-42', scope: 'tasks:read' });
+        });
+
+        it('detects reuse and revokes the whole family', async () => {
+            const first = await manager.issue({ sub: 'user-42' });
+            const second = await manager.refresh(first.refreshToken);
+
+            const reused = await rejection(manager.refresh(first.refreshToken));
+            expect(reused).to.include({ code: 'REFRESH_TOKEN_REUSED', statusCode: 401 });
+
+            const revoked = await rejection(manager.refresh(second.refreshToken));
+            expect(revoked.code).to.equal('REFRESH_TOKEN_REVOKED');
+
+            for (const { accessToken } of [first, second]) {
+                expect(await manager.denylist.isRevoked(tokenService.decode(accessToken).jti)).to.be.true;
+            }
+        });
+
+        it('lets only one of two concurrent refreshes of a token through', async () => {
+            const first = await manager.issue({ sub: 'user-42' });
+
+            const results = await Promise.all([
+                manager.refresh(first.refreshToken).catch((err) => err),
+                manager.refresh(first.refreshToken).catch((err) => err),
+            ]);
+
+            const codes = results.map((result) => result.code ?? 'OK');
+            expect(codes).to.include('REFRESH_TOKEN_REUSED');
+            expect(codes.filter((code) => code === 'OK')).to.have.length.of.at.most(1);
+            // The reuse revoked the family, the pair that got through included
+            const winner = results.find((result) => result.refreshToken);
+            if (winner) {
+                expect((await rejection(manager.refresh(winner.refreshToken))).code).to.equal('REFRESH_TOKEN_REVOKED');
+                expect(await manager.denylist.isRevoked(tokenService.decode(winner.accessToken).jti)).to.be.true;
+            }
+        });
+
+        it('rejects unknown refresh tokens', async () => {
+            const err = await rejection(manager.refresh('nope'));
+            expect(err).to.include({ code: 'INVALID_REFRESH_TOKEN', statusCode: 401 });
+        });
+
+        it('revokes a family by refresh token and single access tokens by jti', async () => {
+            const a = await manager.issue({ sub: 'a' });
+            const b = await manager.issue({ sub: 'b' });
+
+            await manager.revoke(a.refreshToken);
+            await manager.revoke(b.accessToken);
+            await manager.revoke('garbage');
+
+            expect((await rejection(manager.refresh(a.refreshToken))).code).to.equal('REFRESH_TOKEN_REVOKED');
+            expect(await manager.denylist.isRevoked(tokenService.decode(a.accessToken).jti)).to.be.true;
+            expect(await manager.denylist.isRevoked(tokenService.decode(b.accessToken).jti)).to.be.true;
+            await manager.refresh(b.refreshToken);
+        });
+
+        it('requires a token service and a store with update()', () => {
+            expect(() => createRefreshTokenManager({})).to.throw().with.property('code', 'JWT_MISCONFIGURED');
+            const store = { get: async () => undefined, set: async () => {}, delete: async () => {} };
+            expect(() => createRefreshTokenManager({ tokenService, store })).to.throw(/atomic update/);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * @file tests/requestContext.spec.js
+ * Unit tests for request ids and async context propagation
+ * (src/context.js, src/middlewares/requestId.js) and for how the logger
+ * and debugger pick the context up.
+ *
+ * Tests verify:
+ * - Incoming X-Request-Id values are kept when safe, replaced otherwise
+ * - W3C traceparent headers continue the caller's trace
+ * - The context survives async hops inside the request
+ * - Logger entries and debug output carry the request id
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'node:fs';
+import path from 'node:path';
+import util from 'node:util';
+import debug from 'debug';
+import { getRequestContext, runWithRequestContext } from '../src/context.js';
+import { requestIdMiddleware, parseTraceparent } from '../src/middlewares/requestId.js';
+import { createLogger } from '../src/logger.js';
+import { createDebugger } from '../src/debug.js';
+import { tempDir } from './helpers/index.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+/**
+ * Run the middleware against a fake request; resolve with the request,
+ * response headers and the context seen after an async hop in next().
+ */
+function run(headers, options) {
+    const req = { headers };
+    const res = {
+        locals: {},
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+    };
+    return new Promise((resolve) => {
+        requestIdMiddleware(options)(req, res, () => {
+            globalThis.setTimeout(() => resolve({ req, res, context: getRequestContext() }), 1);
+        });
+    });
+}
+
+describe('request context', () => {
+    describe('requestIdMiddleware', () => {
+        it('generates an id and trace context, exposes them and echoes them', async () => {
+            const { req, res, context } = await run({}, { generate: () => 'generated-id' });
+
+            expect(req.id).to.equal('generated-id');
+            expect(res.locals.requestId).to.equal('generated-id');
+            expect(res.headers['x-request-id']).to.equal('generated-id');
+            expect(context.requestId).to.equal('generated-id');
+            expect(context.traceId).to.match(/^[0-9a-f]{32}$/);
+            expect(context).to.not.have.property('parentSpanId');
+            expect(res.headers.traceparent).to.equal(`00-${context.traceId}-${context.spanId}-01`);
+        });
+
+        it('keeps safe incoming ids and replaces unsafe ones', async () => {
+            const kept = await run({ 'x-request-id': 'lb-7f3a:42' });
+            const injected = await run({ 'x-request-id': 'abc\n[error] forged' });
+            const long = await run({ 'x-request-id': 'a'.repeat(129) });
+
+            expect(kept.req.id).to.equal('lb-7f3a:42');
+            expect(injected.req.id).to.match(/^[0-9a-f-]{36}$/);
+            expect(long.req.id).to.match(/^[0-9a-f-]{36}$/);
+        });
+
+        it('reads and echoes a custom header', async () => {
+            const { req, res } = await run({ 'x-correlation-id': 'corr-1' }, { header: 'X-Correlation-Id' });
+
+            expect(req.id).to.equal('corr-1');
+            expect(res.headers['x-correlation-id']).to.equal('corr-1');
+        });
+
+        it('continues an incoming traceparent with a new span', async () => {
+            const { res, context } = await run({ traceparent: `00-${TRACE_ID}-${PARENT_ID}-00` });
+
+            expect(context).to.include({ traceId: TRACE_ID, parentSpanId: PARENT_ID, traceFlags: '00' });
+            expect(context.spanId).to.match(/^[0-9a-f]{16}$/).and.not.equal(PARENT_ID);
+            expect(res.headers.traceparent).to.equal(`00-${TRACE_ID}-${context.spanId}-00`);
+        });
+
+        it('ignores malformed traceparent headers', () => {
+            expect(parseTraceparent(`00-${'0'.repeat(32)}-${PARENT_ID}-01`)).to.equal(null);
+            expect(parseTraceparent(`01-${TRACE_ID}-${PARENT_ID}-01`)).to.equal(null);
+            expect(parseTraceparent('garbage')).to.equal(null);
+            expect(parseTraceparent(undefined)).to.equal(null);
+        });
+    });
+
+    describe('logging', () => {
+        it('adds the request id and trace id to logger entries', async () => {
+            const { path: tempPath, cleanup } = tempDir();
+            try {
+                const logger = createLogger({ name: 'context', logDir: tempPath });
+                const consoleTransport = logger.transports.find((t) => t.name === 'console');
+                consoleTransport.silent = true;
+
+                runWithRequestContext({ requestId: 'req-42', traceId: TRACE_ID }, () => {
+                    logger.info('inside request');
+                });
+                logger.info('outside request');
+                await new Promise((resolve) => globalThis.setTimeout(resolve, 100));
+
+                const [inside, outside] = fs.readFileSync(path.join(tempPath, 'context.log'), 'utf8').trim().split('\n');
+                expect(inside).to.include('inside request').and.include(`"requestId":"req-42","traceId":"${TRACE_ID}"`);
+                expect(outside).to.not.include('requestId');
+            } finally {
+                await cleanup();
+            }
+        });
+
+        it('appends the request id to debug output', () => {
+            const log = sinon.stub(debug, 'log');
+            try {
+                const dbg = createDebugger({ name: 'context-test' });
+                dbg.enabled = true;
+
+                runWithRequestContext({ requestId: 'req-42' }, () => dbg('loading %s', 'tasks'));
+                dbg('no request');
+
+                expect(util.format(...log.firstCall.args)).to.match(/context-test loading tasks requestId=req-42$/);
+                expect(util.format(...log.secondCall.args)).to.not.include('requestId');
+            } finally {
+                log.restore();
+            }
+        });
+    });
+});
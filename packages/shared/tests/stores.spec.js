@@ -0,0 +1,269 @@
+/**
+ * @file tests/stores.spec.js
+ * Unit tests for the key-value stores (src/stores/memory.js, src/stores/file.js,
+ * src/stores/redis.js).
+ *
+ * Tests verify:
+ * - Values round-trip and expire after their TTL
+ * - prune() drops expired entries
+ * - The file store persists across instances
+ * - increment() and update() for the rate limiter, including WATCH conflicts on Redis
+ * - Redis commands time out on a server that stops answering
+ * - update() on the file store, background prunes and recovery from failed writes
+ */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import fs from 'node:fs';
+import net from 'node:net';
+import { once } from 'node:events';
+import os from 'node:os';
+import path from 'node:path';
+import { createMemoryStore } from '../src/stores/memory.js';
+import { createFileStore } from '../src/stores/file.js';
+import { createRedisStore } from '../src/stores/redis.js';
+import { startRedisServer } from './helpers/redisServer.js';
+
+describe('stores', () => {
+    let time;
+    const now = () => time;
+
+    beforeEach(() => {
+        time = 1_000_000;
+    });
+
+    describe('createMemoryStore', () => {
+        it('stores values until their TTL passes', async () => {
+            const store = createMemoryStore({ now });
+            await store.set('a', { n: 1 }, 1000);
+            await store.set('b', 'forever');
+
+            expect(await store.get('a')).to.deep.equal({ n: 1 });
+            time += 1000;
+            expect(await store.get('a')).to.be.undefined;
+            expect(await store.get('b')).to.equal('forever');
+        });
+
+        it('deletes keys and prunes expired entries', async () => {
+            const store = createMemoryStore({ now });
+            await store.set('a', 1, 10);
+            await store.set('b', 2, 10);
+            await store.set('c', 3);
+            await store.delete('c');
+
+            time += 10;
+            expect(store.prune()).to.equal(2);
+            expect(await store.get('c')).to.be.undefined;
+        });
+
+        it('increments counters that expire with their first TTL', async () => {
+            const store = createMemoryStore({ now });
+            expect(await store.increment('hits', 100)).to.equal(1);
+            time += 60;
+            expect(await store.increment('hits', 100)).to.equal(2);
+            time += 40;
+            expect(await store.increment('hits', 100)).to.equal(1);
+        });
+
+        it('updates values from their current value', async () => {
+            const store = createMemoryStore({ now });
+            const add = (current) => (current ?? 0) + 5;
+            expect(await store.update('n', add, 100)).to.equal(5);
+            expect(await store.update('n', add, 100)).to.equal(10);
+            time += 100;
+            expect(await store.get('n')).to.be.undefined;
+        });
+    });
+
+    describe('createRedisStore', () => {
+        let server;
+        let store;
+
+        beforeEach(async () => {
+            server = await startRedisServer({ password: 's3cret' });
+            store = createRedisStore({ url: `${server.url}/2`, prefix: 'test:' });
+        });
+
+        afterEach(async () => {
+            await store.close();
+            await server.close();
+        });
+
+        it('authenticates, selects the database and round-trips JSON values', async () => {
+            await store.set('a', { n: 1 }, 5000);
+            await store.set('b', 'forever');
+
+            expect(await store.get('a')).to.deep.equal({ n: 1 });
+            expect(await store.get('b')).to.equal('forever');
+            expect(await store.get('missing')).to.be.undefined;
+            expect(server.commands.slice(0, 2)).to.deep.equal([['AUTH', 's3cret'], ['SELECT', '2']]);
+            expect(server.data.get('test:a').expiresAt).to.be.a('number');
+            expect(server.data.get('test:b').expiresAt).to.be.null;
+
+            await store.delete('a');
+            expect(await store.get('a')).to.be.undefined;
+        });
+
+        it('increments counters atomically with a TTL on the first hit', async () => {
+            const counts = await Promise.all([1, 2, 3].map(() => store.increment('hits', 60_000)));
+
+            expect(counts.sort()).to.deep.equal([1, 2, 3]);
+            expect(server.data.get('test:hits').value).to.equal('3');
+            expect(server.data.get('test:hits').expiresAt).to.be.a('number');
+        });
+
+        it('retries update() when the key changes under it', async () => {
+            await store.set('n', 1);
+            let calls = 0;
+            const value = await store.update('n', (current) => {
+                calls += 1;
+                if (calls === 1) {
+                    server.write('test:n', '10');
+                }
+                return current + 1;
+            }, 60_000);
+
+            expect(calls).to.equal(2);
+            expect(value).to.equal(11);
+            expect(await store.get('n')).to.equal(11);
+        });
+
+        it('gives up on keys that keep changing and reports connection failures', async () => {
+            const contended = createRedisStore({ url: `${server.url}/2`, maxRetries: 2 });
+            try {
+                let error;
+                await contended.update('n', (current) => {
+                    server.write('n', '1');
+                    return current;
+                }, 1000).catch((err) => {
+                    error = err;
+                });
+                expect(error).to.include({ code: 'STORE_CONFLICT' });
+            } finally {
+                await contended.close();
+            }
+
+            await server.close();
+            let error;
+            await createRedisStore({ url: server.url }).get('a').catch((err) => {
+                error = err;
+            });
+            expect(error).to.include({ code: 'STORE_UNAVAILABLE', statusCode: 503 });
+            server = await startRedisServer();
+        });
+
+        it('fails pending commands when the server stops answering', async () => {
+            const sockets = [];
+            const silent = net.createServer((socket) => sockets.push(socket)).listen(0, '127.0.0.1');
+            await once(silent, 'listening');
+            const hung = createRedisStore({ url: `redis://127.0.0.1:${silent.address().port}`, commandTimeout: 50 });
+            try {
+                const errors = await Promise.all([hung.get('a'), hung.increment('b', 1000)].map((p) => p.catch((err) => err)));
+                for (const err of errors) {
+                    expect(err).to.include({ code: 'STORE_UNAVAILABLE', statusCode: 503 });
+                    expect(err.message).to.include('timed out after 50 ms');
+                }
+            } finally {
+                sockets.forEach((socket) => socket.destroy());
+                silent.close();
+            }
+        });
+
+        it('reports command errors and rejects non-Redis URLs', async () => {
+            server.write('test:text', '"abc"');
+            let error;
+            await store.increment('text', 1000).catch((err) => {
+                error = err;
+            });
+            expect(error).to.include({ code: 'STORE_COMMAND_FAILED' });
+            expect(error.message).to.include('not an integer');
+
+            expect(() => createRedisStore({ url: 'http://localhost:6379' })).to.throw(/Unsupported Redis URL protocol/);
+        });
+    });
+
+    describe('createFileStore', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shared-store-test-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('persists values across instances', async () => {
+            const file = path.join(dir, 'nested', 'store.json');
+            await createFileStore({ file, now }).set('jti-1', true, 5000);
+
+            const reopened = createFileStore({ file, now });
+            expect(await reopened.get('jti-1')).to.be.true;
+            expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+        });
+
+        it('updates values atomically, even before the file is loaded', async () => {
+            const file = path.join(dir, 'store.json');
+            const store = createFileStore({ file, now });
+
+            await Promise.all([1, 2, 3].map(() => store.update('n', (n = 0) => n + 1, 1000)));
+            expect(await createFileStore({ file, now }).get('n')).to.equal(3);
+        });
+
+        it('expires, deletes and prunes entries', async () => {
+            const file = path.join(dir, 'store.json');
+            const store = createFileStore({ file, now });
+            await store.set('short', 1, 10);
+            await store.set('long', 2);
+            await store.set('gone', 3);
+            await store.delete('gone');
+
+            time += 10;
+            expect(await store.get('short')).to.be.undefined;
+            expect(await store.prune()).to.equal(1);
+            expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')))).to.deep.equal(['long']);
+        });
+
+        it('prunes expired entries in the background', async () => {
+            const clock = sinon.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+            const file = path.join(dir, 'store.json');
+            const store = createFileStore({ file, now, pruneInterval: 1000 });
+            try {
+                await store.set('short', 1, 10);
+                await store.set('long', 2);
+
+                time += 10;
+                clock.tick(1000);
+                // Writes are serialised, so this one lands after the prune's
+                await store.set('other', 3);
+                expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')))).to.deep.equal(['long', 'other']);
+            } finally {
+                await store.close();
+                clock.restore();
+            }
+        });
+
+        it('keeps writing after a failed write', async () => {
+            const blocker = path.join(dir, 'blocked');
+            const store = createFileStore({ file: path.join(blocker, 'store.json'), now });
+            await store.get('a');
+            // A file where the directory should be makes the next write fail
+            fs.writeFileSync(blocker, '');
+
+            let error;
+            await store.set('a', 1).catch((err) => {
+                error = err;
+            });
+            expect(error).to.be.an('error');
+
+            fs.rmSync(blocker);
+            await store.set('b', 2);
+            expect(JSON.parse(fs.readFileSync(path.join(blocker, 'store.json'), 'utf8'))).to.have.keys('a', 'b');
+        });
+
+        it('does not treat inherited properties as keys', async () => {
+            const store = createFileStore({ file: path.join(dir, 'store.json'), now });
+            expect(await store.get('constructor')).to.be.undefined;
+        });
+    });
+});
@@ -0,0 +1,281 @@
+/**
+ * @file tests/tracing.spec.js
+ * Unit tests for tracing (src/tracing/tracer.js, src/tracing/otlp.js,
+ * src/tracing/exporters.js).
+ *
+ * Tests verify:
+ * - Active spans nest, become the current trace context and reach the logger
+ * - Errors are recorded on spans; unsampled traces are not exported
+ * - Outgoing fetch() calls get a client span and a traceparent header
+ * - Console, OTLP/JSON file and OTLP/HTTP exporters
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { once } from 'node:events';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { getRequestContext, runWithRequestContext } from '../src/context.js';
+import { createLogger } from '../src/logger.js';
+import { createTracer, injectTraceContext } from '../src/tracing/tracer.js';
+import {
+    createConsoleSpanExporter,
+    createFileSpanExporter,
+    createOtlpHttpSpanExporter,
+} from '../src/tracing/exporters.js';
+import { tempDir } from './helpers/index.js';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+/**
+ * Exporter keeping every exported batch.
+ */
+function memoryExporter() {
+    const batches = [];
+    return { batches, spans: () => batches.flat(), export: async (spans) => { batches.push(spans); } };
+}
+
+describe('tracing', () => {
+    describe('createTracer', () => {
+        it('nests active spans and makes them the current trace context', async () => {
+            const exporter = memoryExporter();
+            const tracer = createTracer({ serviceName: 'tasks', exporters: [exporter] });
+            let inner;
+
+            await tracer.startActiveSpan('load', { attributes: { 'task.count': 2 } }, async (span) => {
+                expect(tracer.currentSpan()).to.equal(span);
+                await tracer.startActiveSpan('db.query', async (child) => {
+                    await new Promise((resolve) => globalThis.setTimeout(resolve, 1));
+                    inner = getRequestContext();
+                    expect(inner.span).to.equal(child);
+                });
+            });
+            await tracer.flush();
+
+            const [child, parent] = exporter.spans();
+            expect(parent).to.include({ name: 'load', kind: 'internal', traceFlags: '01' });
+            expect(parent.parentSpanId).to.equal(undefined);
+            expect(parent.attributes).to.deep.equal({ 'task.count': 2 });
+            expect(child).to.include({ name: 'db.query', traceId: parent.traceId, parentSpanId: parent.spanId });
+            expect(inner).to.include({ traceId: parent.traceId, spanId: child.spanId });
+            expect(child.endTime >= child.startTime).to.be.true;
+            expect(tracer.currentSpan()).to.equal(undefined);
+        });
+
+        it('continues the request trace and records errors', async () => {
+            const exporter = memoryExporter();
+            const tracer = createTracer({ exporters: [exporter] });
+            const request = { requestId: 'req-1', traceId: TRACE_ID, spanId: PARENT_ID, traceFlags: '01' };
+
+            const failing = runWithRequestContext(request, () => tracer.startActiveSpan('save', async () => {
+                throw new Error('disk full');
+            }));
+            let error;
+            await failing.catch((err) => {
+                error = err;
+            });
+            expect(error.message).to.equal('disk full');
+            await tracer.flush();
+
+            const [span] = exporter.spans();
+            expect(span).to.include({ traceId: TRACE_ID, parentSpanId: PARENT_ID });
+            expect(span.status).to.deep.equal({ code: 'error', message: 'disk full' });
+            expect(span.events[0].name).to.equal('exception');
+            expect(span.events[0].attributes).to.include({ 'exception.type': 'Error', 'exception.message': 'disk full' });
+        });
+
+        it('samples new traces at sampleRate and keeps the caller\'s decision', async () => {
+            const exporter = memoryExporter();
+            const tracer = createTracer({ exporters: [exporter], sampleRate: 0.5, random: () => 0.7 });
+
+            tracer.startSpan('dropped').end();
+            runWithRequestContext({ traceId: TRACE_ID, spanId: PARENT_ID, traceFlags: '01' }, () => {
+                tracer.startSpan('kept').end();
+            });
+            runWithRequestContext({ traceId: TRACE_ID, spanId: PARENT_ID, traceFlags: '00' }, () => {
+                tracer.startSpan('not sampled upstream').end();
+            });
+            await tracer.flush();
+
+            expect(exporter.spans().map((span) => span.name)).to.deep.equal(['kept']);
+        });
+
+        it('exports in batches and on shutdown, reporting exporter failures', async () => {
+            const exporter = memoryExporter();
+            const onError = sinon.stub();
+            const broken = { export: sinon.stub().rejects(new Error('collector down')), shutdown: sinon.stub() };
+            const tracer = createTracer({ exporters: [exporter, broken], maxBatchSize: 2, onError });
+
+            tracer.startSpan('a').end();
+            tracer.startSpan('b').end();
+            tracer.startSpan('c').end();
+            await tracer.shutdown();
+
+            expect(exporter.batches.map((batch) => batch.map((span) => span.name))).to.deep.equal([['a', 'b'], ['c']]);
+            expect(onError.callCount).to.equal(2);
+            expect(onError.firstCall.args[0].message).to.equal('collector down');
+            expect(broken.shutdown.calledOnce).to.be.true;
+        });
+
+        it('rejects exporters without export() and unknown span kinds', () => {
+            expect(() => createTracer({ exporters: [{}] })).to.throw(/export\(spans\)/);
+            expect(() => createTracer().startSpan('x', { kind: 'sideways' })).to.throw(/Unknown span kind/);
+        });
+    });
+
+    describe('propagation', () => {
+        it('sends traceparent on outgoing fetch() calls in a client span', async () => {
+            const exporter = memoryExporter();
+            const tracer = createTracer({ exporters: [exporter] });
+            const fetch = sinon.stub().resolves({ status: 503 });
+            const request = { traceId: TRACE_ID, spanId: PARENT_ID, traceFlags: '01' };
+
+            await runWithRequestContext(request, () => tracer.fetch(
+                'http://inventory.local:8080/items?token=secret',
+                { method: 'post', headers: { accept: 'application/json' } },
+                { fetch },
+            ));
+            await tracer.flush();
+
+            const [span] = exporter.spans();
+            const [url, init] = fetch.firstCall.args;
+            expect(url).to.equal('http://inventory.local:8080/items?token=secret');
+            expect(init.method).to.equal('post');
+            expect(init.headers.get('accept')).to.equal('application/json');
+            expect(init.headers.get('traceparent')).to.equal(`00-${TRACE_ID}-${span.spanId}-01`);
+            expect(span).to.include({ name: 'POST', kind: 'client', parentSpanId: PARENT_ID });
+            expect(span.attributes).to.deep.equal({
+                'http.request.method': 'POST',
+                'url.full': 'http://inventory.local:8080/items',
+                'server.address': 'inventory.local',
+                'server.port': 8080,
+                'http.response.status_code': 503,
+            });
+            expect(span.status.code).to.equal('error');
+        });
+
+        it('injects the current trace context into plain header objects', () => {
+            expect(injectTraceContext({ a: '1' })).to.deep.equal({ a: '1' });
+            const headers = runWithRequestContext(
+                { traceId: TRACE_ID, spanId: PARENT_ID, traceFlags: '00' },
+                () => injectTraceContext({ a: '1' }),
+            );
+            expect(headers).to.deep.equal({ a: '1', traceparent: `00-${TRACE_ID}-${PARENT_ID}-00` });
+        });
+
+        it('adds the current span id to logger entries', async () => {
+            const { path: tempPath, cleanup } = tempDir();
+            try {
+                const logger = createLogger({ name: 'spans', logDir: tempPath, format: 'json' });
+                logger.transports.find((t) => t.name === 'console').silent = true;
+                const tracer = createTracer();
+
+                let span;
+                runWithRequestContext({ requestId: 'req-1', traceId: TRACE_ID, spanId: PARENT_ID, traceFlags: '01' }, () => {
+                    tracer.startActiveSpan('work', (active) => {
+                        span = active;
+                        logger.info('inside span');
+                    });
+                });
+                await new Promise((resolve) => globalThis.setTimeout(resolve, 100));
+
+                const entry = JSON.parse(fs.readFileSync(path.join(tempPath, 'spans.log'), 'utf8').trim());
+                expect(entry).to.include({ requestId: 'req-1', traceId: TRACE_ID, spanId: span.spanId });
+            } finally {
+                await cleanup();
+            }
+        });
+    });
+
+    describe('exporters', () => {
+        /**
+         * One ended server span with an event, exported by a throwaway tracer.
+         */
+        async function exportOne(exporter) {
+            const tracer = createTracer({ serviceName: 'tasks', serviceVersion: '1.2.3', exporters: [exporter] });
+            runWithRequestContext({ traceId: TRACE_ID, spanId: PARENT_ID, traceFlags: '01' }, () => {
+                tracer.startSpan('GET /tasks/:id', { kind: 'server', attributes: { 'http.response.status_code': 200, ok: true } })
+                    .addEvent('cache miss', { ratio: 0.5 })
+                    .end();
+            });
+            await tracer.shutdown();
+        }
+
+        it('logs one line per span to the console exporter', async () => {
+            const log = sinon.stub();
+            await exportOne(createConsoleSpanExporter({ log }));
+
+            expect(log.firstCall.args[0]).to.match(
+                new RegExp(`^span GET /tasks/:id server \\d+\\.\\d ms unset traceId=${TRACE_ID} spanId=[0-9a-f]{16} parentSpanId=${PARENT_ID}$`),
+            );
+        });
+
+        it('appends OTLP/JSON export requests to a file', async () => {
+            const { path: tempPath, cleanup } = tempDir();
+            try {
+                const file = path.join(tempPath, 'traces', 'spans.jsonl');
+                await exportOne(createFileSpanExporter({ file }));
+                await exportOne(createFileSpanExporter({ file }));
+
+                const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+                expect(lines).to.have.length(2);
+                const { resource, scopeSpans } = lines[0].resourceSpans[0];
+                expect(resource.attributes).to.deep.equal([
+                    { key: 'service.name', value: { stringValue: 'tasks' } },
+                    { key: 'service.version', value: { stringValue: '1.2.3' } },
+                ]);
+                const [span] = scopeSpans[0].spans;
+                expect(span).to.include({ traceId: TRACE_ID, parentSpanId: PARENT_ID, name: 'GET /tasks/:id', kind: 2 });
+                expect(span.startTimeUnixNano).to.match(/^\d{19}$/);
+                expect(span.attributes).to.deep.equal([
+                    { key: 'http.response.status_code', value: { intValue: '200' } },
+                    { key: 'ok', value: { boolValue: true } },
+                ]);
+                expect(span.events[0]).to.include({ name: 'cache miss' });
+                expect(span.events[0].attributes).to.deep.equal([{ key: 'ratio', value: { doubleValue: 0.5 } }]);
+                expect(span.status).to.deep.equal({ code: 0 });
+            } finally {
+                await cleanup();
+            }
+        });
+
+        it('posts OTLP/JSON to a collector over HTTP', async () => {
+            const received = [];
+            let status = 200;
+            const collector = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', (chunk) => {
+                    body += chunk;
+                });
+                req.on('end', () => {
+                    received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+                    res.writeHead(status, { 'content-type': 'application/json' }).end('{}');
+                });
+            });
+            collector.listen(0);
+            await once(collector, 'listening');
+            try {
+                const url = `http://localhost:${collector.address().port}/v1/traces`;
+                await exportOne(createOtlpHttpSpanExporter({ url, headers: { 'x-api-key': 'k' } }));
+
+                expect(received).to.have.length(1);
+                expect(received[0].url).to.equal('/v1/traces');
+                expect(received[0].headers).to.include({ 'content-type': 'application/json', 'x-api-key': 'k' });
+                expect(received[0].body.resourceSpans[0].scopeSpans[0].spans[0].name).to.equal('GET /tasks/:id');
+
+                status = 503;
+                const exporter = createOtlpHttpSpanExporter({ url });
+                let error;
+                await exporter.export([], {}).catch((err) => {
+                    error = err;
+                });
+                expect(error).to.include({ code: 'TRACE_EXPORT_FAILED' });
+                expect(error.message).to.include('failed with status 503');
+            } finally {
+                collector.close();
+            }
+        });
+    });
+});
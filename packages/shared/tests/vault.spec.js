@@ -0,0 +1,220 @@
+/**
+ * @file tests/vault.spec.js
+ * Unit tests for the secrets vault (src/vault.js).
+ *
+ * Tests verify:
+ * - Env, mounted-file, encrypted-file and HashiCorp Vault providers
+ * - Provider ordering and SECRET_NOT_FOUND when nothing matches
+ * - TTL caching, refresh and concurrent lookup de-duplication
+ * - secret:// reference resolution
+ *
+ * The HashiCorp provider is exercised against a local node:http stub
+ * that mimics the KV v2 read endpoint.
+ */
+
+import { expect } from 'chai';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { tempDir } from './helpers/index.js';
+import {
+    createVault,
+    createEnvSecretProvider,
+    createFileSecretProvider,
+    createEncryptedFileSecretProvider,
+    createHashiCorpVaultProvider,
+    encryptSecrets,
+    decryptSecrets,
+    isSecretRef,
+} from '../src/vault.js';
+
+/**
+ * Provider stub that counts lookups and serves from a plain object.
+ */
+function countingProvider(secrets) {
+    const provider = {
+        name: 'stub',
+        calls: 0,
+        async get(name) {
+            provider.calls += 1;
+            return secrets[name];
+        },
+    };
+    return provider;
+}
+
+describe('vault module', () => {
+    describe('providers', () => {
+        it('env provider maps secret names to upper-cased variable names', async () => {
+            const provider = createEnvSecretProvider({ env: { DB_PASSWORD: 'pw', APP_JWT_KEY: 'k' } });
+            const prefixed = createEnvSecretProvider({ env: { APP_JWT_KEY: 'k' }, prefix: 'APP_' });
+
+            expect(await provider.get('db/password')).to.equal('pw');
+            expect(await prefixed.get('jwt-key')).to.equal('k');
+            expect(await provider.get('missing')).to.be.undefined;
+        });
+
+        it('env provider ignores values that are themselves secret references', async () => {
+            const provider = createEnvSecretProvider({ env: { JWT: 'secret://jwt' } });
+            expect(await provider.get('jwt')).to.be.undefined;
+        });
+
+        it('file provider reads one secret per file and strips the trailing newline', async () => {
+            const { path: dir, cleanup } = tempDir();
+            try {
+                fs.writeFileSync(path.join(dir, 'db_password'), 'hunter2\n');
+                const provider = createFileSecretProvider({ dir });
+
+                expect(await provider.get('db_password')).to.equal('hunter2');
+                expect(await provider.get('absent')).to.be.undefined;
+            } finally {
+                await cleanup();
+            }
+        });
+
+        it('file provider rejects names that escape the secrets directory', async () => {
+            const provider = createFileSecretProvider({ dir: '/run/secrets' });
+
+            try {
+                await provider.get('../../etc/passwd');
+                expect.fail('expected rejection');
+            } catch (err) {
+                expect(err.code).to.equal('INVALID_SECRET_NAME');
+            }
+        });
+
+        it('encrypted file round-trips and rejects a wrong passphrase', async () => {
+            const { path: dir, cleanup } = tempDir();
+            try {
+                const file = path.join(dir, 'secrets.enc.json');
+                const envelope = encryptSecrets({ 'api-key': 'abc123' }, 'correct horse');
+                fs.writeFileSync(file, JSON.stringify(envelope));
+
+                expect(envelope.data).to.not.include('abc123');
+                expect(decryptSecrets(envelope, 'correct horse')).to.deep.equal({ 'api-key': 'abc123' });
+                expect(() => decryptSecrets(envelope, 'wrong')).to.throw().with.property('code', 'SECRETS_DECRYPT_FAILED');
+
+                const provider = createEncryptedFileSecretProvider({ file, passphrase: 'correct horse' });
+                expect(await provider.get('api-key')).to.equal('abc123');
+                expect(await provider.get('other')).to.be.undefined;
+            } finally {
+                await cleanup();
+            }
+        });
+    });
+
+    describe('HashiCorp Vault provider', () => {
+        let server;
+        let address;
+        let requests;
+
+        before(async () => {
+            requests = [];
+            server = http.createServer((req, res) => {
+                requests.push({ url: req.url, token: req.headers['x-vault-token'] });
+                if (req.headers['x-vault-token'] !== 'root') {
+                    res.writeHead(403).end();
+                    return;
+                }
+                if (req.url === '/v1/secret/data/myapp/db') {
+                    res.setHeader('Content-Type', 'application/json');
+                    res.end(JSON.stringify({ data: { data: { password: 'from-vault', value: 'v' } } }));
+                    return;
+                }
+                res.writeHead(404).end();
+            });
+            await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+            address = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(async () => {
+            await new Promise((resolve) => server.close(resolve));
+        });
+
+        it('reads a field from a KV v2 secret', async () => {
+            const provider = createHashiCorpVaultProvider({ address, token: 'root' });
+
+            expect(await provider.get('myapp/db#password')).to.equal('from-vault');
+            expect(await provider.get('myapp/db')).to.equal('v');
+            expect(requests.at(-1)).to.deep.equal({ url: '/v1/secret/data/myapp/db', token: 'root' });
+        });
+
+        it('returns undefined for missing secrets and fails on other errors', async () => {
+            expect(await createHashiCorpVaultProvider({ address, token: 'root' }).get('nope#x')).to.be.undefined;
+
+            try {
+                await createHashiCorpVaultProvider({ address, token: 'bad' }).get('myapp/db#password');
+                expect.fail('expected rejection');
+            } catch (err) {
+                expect(err.code).to.equal('VAULT_REQUEST_FAILED');
+            }
+        });
+
+        it('requires an address', () => {
+            expect(() => createHashiCorpVaultProvider({ address: '' })).to.throw().with.property('code', 'VAULT_MISCONFIGURED');
+        });
+    });
+
+    describe('createVault', () => {
+        it('asks providers in order and throws SECRET_NOT_FOUND when none match', async () => {
+            const vault = createVault({
+                providers: [countingProvider({ a: 'first' }), countingProvider({ a: 'second', b: 'b' })],
+            });
+
+            expect(await vault.get('a')).to.equal('first');
+            expect(await vault.get('b')).to.equal('b');
+
+            try {
+                await vault.get('c');
+                expect.fail('expected rejection');
+            } catch (err) {
+                expect(err.code).to.equal('SECRET_NOT_FOUND');
+            }
+        });
+
+        it('caches values until the TTL expires', async () => {
+            let now = 1000;
+            const provider = countingProvider({ a: '1' });
+            const vault = createVault({ providers: [provider], ttl: 500, now: () => now });
+
+            await vault.get('a');
+            await vault.get('a');
+            expect(provider.calls).to.equal(1);
+
+            now += 501;
+            await vault.get('a');
+            expect(provider.calls).to.equal(2);
+        });
+
+        it('shares one provider call between concurrent lookups', async () => {
+            const provider = countingProvider({ a: '1' });
+            const vault = createVault({ providers: [provider] });
+
+            const values = await Promise.all([vault.get('a'), vault.get('a'), vault.get('a')]);
+
+            expect(values).to.deep.equal(['1', '1', '1']);
+            expect(provider.calls).to.equal(1);
+        });
+
+        it('refresh re-fetches cached secrets', async () => {
+            const secrets = { a: 'old' };
+            const vault = createVault({ providers: [countingProvider(secrets)] });
+
+            expect(await vault.get('a')).to.equal('old');
+            secrets.a = 'new';
+            expect(await vault.get('a')).to.equal('old');
+
+            await vault.refresh();
+            expect(await vault.get('a')).to.equal('new');
+        });
+
+        it('resolve() follows secret:// references and passes other values through', async () => {
+            const vault = createVault({ providers: [countingProvider({ 'jwt-key': 'k' })] });
+
+            expect(isSecretRef('secret://jwt-key')).to.be.true;
+            expect(await vault.resolve('secret://jwt-key')).to.equal('k');
+            expect(await vault.resolve('plain')).to.equal('plain');
+            expect(await vault.resolve(42)).to.equal(42);
+        });
+    });
+});